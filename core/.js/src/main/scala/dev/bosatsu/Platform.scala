@@ -34,4 +34,79 @@ object Platform {
       OsPlatformId.Unknown("unknown js")
     }
   }
+
+  private def numberFormat(
+      localeTag: String,
+      options: scala.scalajs.js.Object
+  ): scala.scalajs.js.Dynamic = {
+    import scala.scalajs.js
+    import scala.scalajs.js.Dynamic.global
+
+    // en-US for a malformed tag, as the runtime's _number_format
+    try js.Dynamic.newInstance(global.Intl.NumberFormat)(localeTag, options)
+    catch {
+      case _: js.JavaScriptException =>
+        js.Dynamic.newInstance(global.Intl.NumberFormat)("en-US", options)
+    }
+  }
+
+  // The magnitude of value rounded half up, as an exact decimal string with
+  // the sign of value, -0.0 included, as the JVM's NumberFormat rounds. Intl
+  // would round the shortest decimal of the Double instead.
+  private def rounded(value: Double, digits: Int): String = {
+    val plain = new java.math.BigDecimal(math.abs(value))
+      .setScale(digits, java.math.RoundingMode.HALF_UP)
+      .toPlainString
+    val negative = value < 0 || (value == 0.0 && 1.0 / value < 0)
+    if (negative) "-" + plain else plain
+  }
+
+  // Three uppercase letters that Intl knows, as Currency.getInstance takes
+  private def knownCurrency(code: String): Boolean = {
+    import scala.scalajs.js
+    import scala.scalajs.js.Dynamic.global
+
+    code.length == 3 && code.forall(c => c >= 'A' && c <= 'Z') && (
+      js.typeOf(global.Intl.supportedValuesOf) != "function" ||
+      global.Intl
+        .supportedValuesOf("currency")
+        .includes(code)
+        .asInstanceOf[Boolean]
+    )
+  }
+
+  /**
+   * Format an amount of a currency with Intl.NumberFormat, or None for an
+   * unknown currency code
+   */
+  def formatCurrency(
+      value: Double,
+      currency: String,
+      localeTag: String
+  ): Option[String] = {
+    import scala.scalajs.js
+
+    if (!knownCurrency(currency)) None
+    else {
+      val opts = js.Dynamic.literal(style = "currency", currency = currency)
+      val fmt = numberFormat(localeTag, opts)
+      val fraction = fmt.resolvedOptions().maximumFractionDigits.asInstanceOf[Int]
+      Some(fmt.format(rounded(value, fraction)).asInstanceOf[String])
+    }
+  }
+
+  /** Format a ratio as a percent with Intl.NumberFormat */
+  def formatPercent(value: Double, digits: Int, localeTag: String): String = {
+    import scala.scalajs.js
+
+    val opts = js.Dynamic.literal(
+      style = "percent",
+      minimumFractionDigits = digits,
+      maximumFractionDigits = digits
+    )
+    // the JVM multiplies by 100 as a Double before rounding
+    numberFormat(localeTag, opts)
+      .format(rounded(value * 100, digits) + "e-2")
+      .asInstanceOf[String]
+  }
 }
@@ -0,0 +1,240 @@
+package dev.bosatsu.codegen.js
+
+import munit.FunSuite
+import scala.scalajs.js
+import dev.bosatsu.{
+  Evaluation,
+  Identifier,
+  Matchless,
+  MatchlessFromTypedExpr,
+  PackageName,
+  Par,
+  Predef,
+  TestUtils,
+  Value
+}
+
+/**
+ * Conformance tests for the JS backend.
+ *
+ * Compiles a package with JsGen, runs it in Node together with the runtime,
+ * and checks that every Int or String binding matches the Scala evaluator.
+ * Int values are chosen to leave the safe number range and to exceed 32-bit
+ * bitwise ops; String values exercise pattern matching over code points.
+ */
+class JsConformanceTest extends FunSuite {
+
+  // Predef bindings that the runtime implements natively
+  private val runtimeProvided = Set("foldl_List", "range", "flat_map_List")
+
+  private def renderBindings(
+      pack: PackageName,
+      bindings: List[(Identifier.Bindable, Matchless.Expr[Unit])]
+  ): String =
+    bindings
+      .filterNot { case (name, _) =>
+        pack == PackageName.PredefName && runtimeProvided(JsGen.escape(name).name)
+      }
+      .map { case (name, expr) =>
+        val qualified = JsGen.qualifiedName(pack, name)
+        val (_, jsExpr) =
+          JsGen.Env.run(JsGen.exprToJsWithTopLevel(expr, name, qualified))
+        s"globalThis.${qualified.name} = ${Code.render(jsExpr)};"
+      }
+      .mkString("\n")
+
+  private def checkAgainstEvaluator(src: String, names: List[String])(implicit
+      loc: munit.Location
+  ): Unit =
+    TestUtils.checkPackageMap(src) { pm =>
+      val compiled = Par.withEC(MatchlessFromTypedExpr.compile((), pm))
+      val packs = List(PackageName.PredefName, TestUtils.testPackage)
+      val code = JsGen.renderRuntime + "\n" + packs
+        .map(p => renderBindings(p, compiled.getOrElse(p, Nil)))
+        .mkString("\n")
+      js.eval(code)
+
+      val ev = Evaluation(pm, Predef.jvmExternals)
+      names.foreach { n =>
+        val name = Identifier.Name(n)
+        val expected = ev.evaluateName(TestUtils.testPackage, name) match {
+          case Some((v, _)) =>
+            v.value match {
+              case Value.VInt(bi) => ("bigint", bi.toString)
+              case Value.Str(s)   => ("string", s)
+              case other => fail(s"$n: expected an Int or String, got $other")
+            }
+          case None => fail(s"$n: not found by the evaluator")
+        }
+        val jsName = JsGen.qualifiedName(TestUtils.testPackage, name).name
+        val got = js.Dynamic.global.selectDynamic(jsName)
+        val (kind, value) = expected
+        val gotKind = if (js.typeOf(got) == "number") "bigint" else js.typeOf(got)
+        assertEquals(gotKind, kind, n)
+        assertEquals(js.Dynamic.global.String(got).asInstanceOf[String], value, n)
+      }
+    }
+
+  test("large Int arithmetic matches the evaluator") {
+    checkAgainstEvaluator(
+      """
+big = 2.shift_left_Int(100)
+prod = 123456789012345678901.times(987654321987654321)
+fact = int_loop(30, 1, (i, acc) -> (i.sub(1), acc.times(i)))
+safe_edge = 9007199254740991.add(2)
+back_to_safe = safe_edge.sub(10)
+neg_div = prod.sub(7).div(-1000000007)
+neg_mod = prod.mod_Int(-1000000007)
+pos_mod = (0.sub(prod)).mod_Int(1000000007)
+zero_div = prod.div(0)
+zero_mod = prod.mod_Int(0)
+""",
+      List(
+        "big",
+        "prod",
+        "fact",
+        "safe_edge",
+        "back_to_safe",
+        "neg_div",
+        "neg_mod",
+        "pos_mod",
+        "zero_div",
+        "zero_mod"
+      )
+    )
+  }
+
+  test("bitwise Int ops beyond 32 bits match the evaluator") {
+    checkAgainstEvaluator(
+      """
+big = 2.shift_left_Int(100)
+wide_and = big.sub(1).and_Int(4294967296.times(3))
+wide_or = 4294967296.or_Int(1)
+wide_xor = 123456789012345678901.xor_Int(big)
+inverted = not_Int(4294967296)
+neg_and = -73786976294838206464.and_Int(36893488147419103232.sub(1))
+shifted = 123456789012345678901.shift_right_Int(40)
+neg_shifted = -5.shift_right_Int(1)
+left_by_neg = 1024.shift_left_Int(-3)
+""",
+      List(
+        "big",
+        "wide_and",
+        "wide_or",
+        "wide_xor",
+        "inverted",
+        "neg_and",
+        "shifted",
+        "neg_shifted",
+        "left_by_neg"
+      )
+    )
+  }
+
+  test("gcd and string conversion of large Ints match the evaluator") {
+    checkAgainstEvaluator(
+      """
+g = gcd_Int(123456789012345678901.times(600851475143), 600851475143.times(77))
+g_neg = gcd_Int(4, -6)
+parsed = match string_to_Int("123456789012345678901234567890"):
+  case Some(i): i
+  case None: 0
+rejected = match string_to_Int("12abc"):
+  case Some(i): i
+  case None: -1
+round_trip = match string_to_Int(int_to_String(2.shift_left_Int(80))):
+  case Some(i): i
+  case None: 0
+""",
+      List("g", "g_neg", "parsed", "rejected", "round_trip")
+    )
+  }
+
+  test("string patterns match the evaluator") {
+    checkAgainstEvaluator(
+      """
+def first_word(s: String) -> String:
+  match s:
+    case "${w} ${_}": w
+    case _: s
+
+def middle(s: String) -> String:
+  match s:
+    case "<${m}>": m
+    case _: ""
+
+def second_char(s: String) -> String:
+  match s:
+    case "$.{_}$.{c}${rest}": concat_String([char_to_String(c), rest])
+    case _: "none"
+
+def around(s: String) -> String:
+  match s:
+    case "${a}-$.{c}-${b}": concat_String([b, char_to_String(c), a])
+    case _: "none"
+
+words = first_word("hello big world")
+one_word = first_word("single")
+inner = middle("<a<b>>")
+emoji = second_char("a\U0001F600bc")
+pair = around("x-\U0001F600-y-z-w")
+no_pair = around("x--y")
+joined = concat_String(["a", "\U0001F600", "b"])
+split = match "key=value=more".partition_String("="):
+  case Some((k, v)): concat_String([v, ":", k])
+  case None: "none"
+rsplit = match "key=value=more".rpartition_String("="):
+  case Some((k, v)): concat_String([v, ":", k])
+  case None: "none"
+""",
+      List(
+        "words",
+        "one_word",
+        "inner",
+        "emoji",
+        "pair",
+        "no_pair",
+        "joined",
+        "split",
+        "rsplit"
+      )
+    )
+  }
+
+  test("non-tail recursion over a 1,000,000 element list matches the evaluator") {
+    checkAgainstEvaluator(
+      """
+big = range(1000000)
+
+def sum_all(xs: List[Int]) -> Int:
+  recur xs:
+    case []: 0
+    case [h, *t]: h.add(sum_all(t))
+
+summed = sum_all(big)
+folded = foldr_List(big, (x, acc) -> x.add(acc), 0)
+rebuilt = foldr_List(big, (x, acc) -> [x, *acc], []).foldl_List(0, (acc, x) -> acc.add(x))
+""",
+      List("summed", "folded", "rebuilt")
+    )
+  }
+
+  test("deep recursion inside another recursive function matches the evaluator") {
+    checkAgainstEvaluator(
+      """
+def count(xs: List[Int]) -> Int:
+  recur xs:
+    case []: 0
+    case [_, *t]: count(t).add(1)
+
+def count_all(ns: List[Int]) -> Int:
+  recur ns:
+    case []: 0
+    case [n, *t]: count(range(n)).add(count_all(t))
+
+nested = count_all([10, 1000000, 20])
+""",
+      List("nested")
+    )
+  }
+}
@@ -0,0 +1,182 @@
+package dev.bosatsu.codegen.js
+
+import munit.FunSuite
+import scala.concurrent.Future
+import scala.concurrent.ExecutionContext.Implicits.global
+import scala.scalajs.js
+import java.math.BigInteger
+import dev.bosatsu.{Identifier, IO, Value}
+
+/**
+ * Checks the JS runtime's Bosatsu/IO interpreter: seeded random values are
+ * the same as in the Scala evaluator, so a seed replays a run on either,
+ * and async runs can sleep, call host effects and be cancelled.
+ */
+class JsIOTest extends FunSuite {
+
+  js.eval(JsGen.renderRuntime)
+
+  private def io(name: String, args: Code.Expression*): Code.Expression = {
+    val (fn, arity) = JsGen.IOExternal.results(Identifier.Name(name))
+    assertEquals(arity, args.length, name)
+    fn(args.toList)
+  }
+
+  private def double(d: Double): Code.Expression = Code.Ident(s"($d)")
+
+  // run an IO without async effects, giving its { value, trace } result
+  private def runJs(expr: Code.Expression): js.Dynamic =
+    js.eval(s"_io_run_sync(${Code.render(expr)})").asInstanceOf[js.Dynamic]
+
+  // run an IO with _io_run, giving its { value, trace } result
+  private def runAsync(jsExpr: String): Future[js.Dynamic] =
+    js.eval(s"_io_run($jsExpr)").asInstanceOf[js.Promise[js.Dynamic]].toFuture
+
+  private def fn(params: String*)(body: Code.Expression): Code.Expression =
+    Code.ArrowFunction(params.toList, Left(body))
+
+  private def runSeeded[A](seed: Int, effect: IO.IOEffect[A]): A =
+    IO.runWithProvenance(IO.WithSeed(BigInteger.valueOf(seed.toLong), effect))._1
+
+  test("with_seed random_Int matches the evaluator") {
+    List(1, 42, 2024, -7).foreach { seed =>
+      val got = runJs(io("with_seed", Code.IntLiteral(seed), io("random_Int", Code.IntLiteral(1), Code.IntLiteral(100))))
+      assertEquals(got.value.asInstanceOf[Int], runSeeded(seed, IO.RandomInt(1, 100)), s"seed $seed")
+    }
+  }
+
+  test("with_seed random_Double matches the evaluator") {
+    List(1, 42, 2024).foreach { seed =>
+      val got = runJs(io("with_seed", Code.IntLiteral(seed), io("random_Double", double(-2.0), double(3.5))))
+      assertEquals(got.value.asInstanceOf[Double], runSeeded(seed, IO.RandomDouble(-2.0, 3.5)), s"seed $seed")
+    }
+  }
+
+  test("with_seed random_Gaussian matches the evaluator") {
+    List(1, 42, 2024).foreach { seed =>
+      val got = runJs(io("with_seed", Code.IntLiteral(seed), io("random_Gaussian", double(10.0), double(2.0))))
+      // log and cos may differ in the last bit
+      assertEqualsDouble(got.value.asInstanceOf[Double], runSeeded(seed, IO.RandomGaussian(10.0, 2.0)), 1e-12)
+    }
+  }
+
+  test("every run starts its trace with a seed that replays it") {
+    val draw = io("random_Int", Code.IntLiteral(0), Code.IntLiteral(1000000))
+    val got = runJs(draw)
+    val trace = got.trace.asInstanceOf[js.Array[js.Dynamic]]
+    assertEquals(trace.length, 1)
+    assertEquals(trace(0).name.asInstanceOf[String], "seed")
+    val seed = trace(0).value.asInstanceOf[Int]
+    val replayed = runJs(io("with_seed", Code.IntLiteral(seed), draw))
+    assertEquals(replayed.value.asInstanceOf[Int], got.value.asInstanceOf[Int])
+  }
+
+  test("runs draw from their own generators, seeded by _io_seed") {
+    val draw = io("random_Int", Code.IntLiteral(0), Code.IntLiteral(1000000))
+    def seeds(): List[Int] = List.fill(2)(runJs(draw).trace.asInstanceOf[js.Array[js.Dynamic]](0).value.asInstanceOf[Int])
+    js.eval("_io_seed(5)")
+    val first = seeds()
+    js.eval("_io_seed(5)")
+    assertEquals(seeds(), first)
+    assertNotEquals(first(0), first(1))
+  }
+
+  test("with_seed records the seed in the trace") {
+    val got = runJs(io("with_seed", Code.IntLiteral(99), io("pure", Code.IntLiteral(1))))
+    val trace = got.trace.asInstanceOf[js.Array[js.Dynamic]]
+    assertEquals(trace.length, 2)
+    assertEquals(trace(1).name.asInstanceOf[String], "seed")
+    assertEquals(trace(1).value.asInstanceOf[Int], 99)
+  }
+
+  test("trace gives the captures as the evaluator does") {
+    val traceJs =
+      io("flatMap", io("capture", Code.StringLiteral("a"), Code.IntLiteral(1)), fn("_a")(
+        io("flatMap", io("capture", Code.StringLiteral("s"), Code.StringLiteral("x")), fn("_s")(
+          io("with_seed", Code.IntLiteral(3), io("flatMap",
+            io("capture", Code.StringLiteral("b"), Code.ArrayLiteral(List(Code.IntLiteral(1)))),
+            fn("_b")(io("trace", Code.ArrayLiteral(Nil)))))))))
+    val traceEval =
+      IO.FlatMap(IO.Capture("a", Value.VInt(1), None), (_: Value) =>
+        IO.FlatMap(IO.Capture("s", Value.Str("x"), None), (_: Value) =>
+          IO.WithSeed(BigInteger.valueOf(3L),
+            IO.FlatMap(IO.Capture("b", Value.True, None), (_: Value) => IO.Trace()))))
+    val expected = IO.runWithProvenance(traceEval)._1
+    assertEquals(expected, "a=1, s=\"x\", seed=3, b=True")
+    assertEquals(runJs(traceJs).value.asInstanceOf[String], expected)
+  }
+
+  test("with_seed restores the outer generator") {
+    val draw = io("random_Int", Code.IntLiteral(0), Code.IntLiteral(1000000))
+    val inner = io("with_seed", Code.IntLiteral(1), io("random_Int", Code.IntLiteral(0), Code.IntLiteral(10)))
+    // draw twice, with or without a with_seed in between
+    val plain = io("flatMap", draw, fn("_a")(draw))
+    val withInner = io("flatMap", draw, fn("_a")(io("flatMap", inner, fn("_b")(draw))))
+    js.eval("_io_seed(5)")
+    val first = runJs(plain).value.asInstanceOf[Int]
+    js.eval("_io_seed(5)")
+    val again = runJs(withInner).value.asInstanceOf[Int]
+    assertEquals(again, first)
+  }
+
+  test("long flatMap chains don't grow the stack") {
+    // loop(n) = flatMap(pure(n), k -> if k == 0 then pure("done") else loop(k - 1))
+    js.eval(s"""var _test_loop = (n) => ${Code.render(
+        io("flatMap", io("pure", Code.Ident("n")), fn("k")(
+          Code.Ternary(
+            Code.Ident("k") === Code.IntLiteral(0),
+            io("pure", Code.StringLiteral("done")),
+            Code.Ident("_test_loop")(Code.Ident("k") - Code.IntLiteral(1))
+          )
+        ))
+      )};""")
+    assertEquals(js.eval("_io_run_sync(_test_loop(200000))").asInstanceOf[js.Dynamic].value.asInstanceOf[String], "done")
+  }
+
+  test("sequence runs each IO in order") {
+    val list = Code.ArrayLiteral(List(Code.IntLiteral(1),
+      io("capture", Code.StringLiteral("a"), Code.IntLiteral(1)),
+      Code.ArrayLiteral(List(Code.IntLiteral(1),
+        io("capture", Code.StringLiteral("b"), Code.IntLiteral(2)),
+        Code.ArrayLiteral(List(Code.IntLiteral(0)))))))
+    val got = runJs(io("sequence", list))
+    assertEquals(js.JSON.stringify(got.value), "[1,1,[1,2,[0]]]")
+    assertEquals(got.trace.asInstanceOf[js.Array[js.Dynamic]].map(_.name.asInstanceOf[String]).toList, List("seed", "a", "b"))
+  }
+
+  test("an async effect needs _io_run") {
+    intercept[js.JavaScriptException](runJs(io("sleep", Code.IntLiteral(1))))
+  }
+
+  test("sleep waits and now reads the clock") {
+    val sleepThenNow = io("flatMap", io("sleep", Code.IntLiteral(20)), fn("_u")(io("now")))
+    val start = js.Date.now()
+    runAsync(Code.render(sleepThenNow)).map { got =>
+      assert(got.value.asInstanceOf[Double] >= start + 15, s"${got.value} should be after $start")
+    }
+  }
+
+  test("host effects are looked up by name when they run") {
+    val effect = io("host_effect", Code.StringLiteral("test_double"), Code.IntLiteral(21))
+    js.eval("_io_register_effect('test_double', (x, _signal) => Promise.resolve(x * 2))")
+    runAsync(Code.render(effect)).map { got =>
+      assertEquals(got.value.asInstanceOf[Int], 42)
+    }
+  }
+
+  test("an unknown host effect fails the run") {
+    val effect = io("host_effect", Code.StringLiteral("test_missing"), Code.IntLiteral(1))
+    runAsync(Code.render(effect)).failed.map { err =>
+      assert(err.getMessage.contains("no host effect named test_missing"), err.getMessage)
+    }
+  }
+
+  test("cancelling a run rejects it") {
+    val slow = io("flatMap", io("sleep", Code.IntLiteral(60000)), fn("_u")(io("pure", Code.IntLiteral(1))))
+    val run = js.eval(s"_io_start(${Code.render(slow)})").asInstanceOf[js.Dynamic]
+    run.cancel(new js.Error("stopped"))
+    run.result.asInstanceOf[js.Promise[js.Any]].toFuture.failed.map { err =>
+      assert(err.getMessage.contains("stopped"), err.getMessage)
+    }
+  }
+}
@@ -0,0 +1,155 @@
+package dev.bosatsu.codegen.js
+
+import munit.FunSuite
+import scala.scalajs.js
+import dev.bosatsu.{Identifier, NumericImpl, Value}
+
+/**
+ * Checks that the JS code of each Bosatsu/Numeric intrinsic gives the same
+ * value as the Scala evaluator's implementation.
+ */
+class JsNumericTest extends FunSuite {
+
+  js.eval(JsGen.renderRuntime)
+
+  private def wrap(d: Double): Value =
+    Value.ExternalValue(java.lang.Double.valueOf(d))
+
+  private def unwrap(v: Value): Double = v match {
+    case Value.ExternalValue(d: java.lang.Double) => d.doubleValue
+    case other => fail(s"expected a Double, got $other")
+  }
+
+  // a Double as JS source, keeping NaN and the sign of zero
+  private def jsDouble(d: Double): Code.Expression =
+    if (d.isNaN) Code.Ident("NaN")
+    else if (d == 0.0 && 1.0 / d < 0) Code.Ident("(-0)")
+    else Code.Ident(s"($d)")
+
+  // the JS value of an intrinsic applied to Doubles
+  private def runJs(name: String, args: List[Double]): js.Any = {
+    val (fn, arity) = JsGen.NumericExternal.results(Identifier.Name(name))
+    assertEquals(arity, args.length, name)
+    js.eval(s"(${Code.render(fn(args.map(jsDouble)))})")
+  }
+
+  private val values = List(0.0, -0.0, 0.5, -0.5, 2.5, -2.5, 1.0, -3.7, 10.0, 1e-9, 1e300)
+
+  private def sameDouble(a: Double, b: Double): Boolean =
+    java.lang.Double.doubleToLongBits(a) == java.lang.Double.doubleToLongBits(b)
+
+  private val unary: List[(String, Value => Value)] = List(
+    "sqrt" -> NumericImpl.sqrt,
+    "exp" -> NumericImpl.exp,
+    "log" -> NumericImpl.log,
+    "sin" -> NumericImpl.sin,
+    "cos" -> NumericImpl.cos,
+    "tan" -> NumericImpl.tan,
+    "floor" -> NumericImpl.floor,
+    "ceil" -> NumericImpl.ceil,
+    "round" -> NumericImpl.round
+  )
+
+  private val binary: List[(String, (Value, Value) => Value)] = List(
+    "pow" -> NumericImpl.pow,
+    "atan2" -> NumericImpl.atan2,
+    "min_Double" -> NumericImpl.min,
+    "max_Double" -> NumericImpl.max
+  )
+
+  test("unary math intrinsics match the evaluator") {
+    for {
+      (name, impl) <- unary
+      x <- Double.NaN :: values
+    } {
+      val expected = unwrap(impl(wrap(x)))
+      val got = runJs(name, List(x)).asInstanceOf[Double]
+      assert(sameDouble(got, expected), s"$name($x): js $got, eval $expected")
+    }
+  }
+
+  test("binary math intrinsics match the evaluator") {
+    for {
+      (name, impl) <- binary
+      x <- values
+      y <- Double.NaN :: values
+    } {
+      val expected = unwrap(impl(wrap(x), wrap(y)))
+      val got = runJs(name, List(x, y)).asInstanceOf[Double]
+      assert(sameDouble(got, expected), s"$name($x, $y): js $got, eval $expected")
+    }
+  }
+
+  test("constants and is_nan match the evaluator") {
+    assertEquals(runJs("pi", Nil).asInstanceOf[Double], unwrap(NumericImpl.pi))
+    assertEquals(runJs("e", Nil).asInstanceOf[Double], unwrap(NumericImpl.e))
+    List(Double.NaN, 1.0).foreach { x =>
+      // a Bool is [0] or [1]
+      val got = runJs("is_nan", List(x)).asInstanceOf[js.Array[Int]](0)
+      assertEquals(got, if (x.isNaN) 1 else 0, s"is_nan($x)")
+    }
+  }
+
+  test("format_fixed and format_exponential match the evaluator") {
+    // the evaluator rounds the exact binary value, as toFixed does
+    val xs = List(0.0, -0.0, 1.005, 2.5, -2.5, -0.001, 12345.678, 5e-7, 1e21, 1.5e300) ++
+      List(Double.NaN, Double.NegativeInfinity)
+    for {
+      name <- List("format_fixed", "format_exponential")
+      x <- xs
+      n <- List(0, 2, 7)
+    } {
+      val impl = if (name == "format_fixed") NumericImpl.formatFixed else NumericImpl.formatExponential
+      val expected = impl(wrap(x), Value.VInt(n)) match {
+        case Value.Str(s) => s
+        case other => fail(s"expected a String, got $other")
+      }
+      val (fn, _) = JsGen.NumericExternal.results(Identifier.Name(name))
+      val got = js.eval(s"(${Code.render(fn(List(jsDouble(x), Code.IntLiteral(n))))})")
+      assertEquals(got.asInstanceOf[String], expected, s"$name($x, $n)")
+    }
+  }
+
+  private def evalStr(v: Value): String = v match {
+    case Value.Str(s) => s
+    case other => fail(s"expected a String, got $other")
+  }
+
+  test("format_currency and format_percent match the evaluator") {
+    val xs = List(0.0, -0.0, 1.005, 2.5, -0.001, 1234.5, -1234.565, 0.00005, 1e22) ++
+      List(Double.NaN, Double.PositiveInfinity, Double.NegativeInfinity)
+    val locales = List("en-US", "de-DE", "not a locale")
+    val (currencyFn, _) = JsGen.NumericExternal.results(Identifier.Name("format_currency"))
+    val (percentFn, _) = JsGen.NumericExternal.results(Identifier.Name("format_percent"))
+    for {
+      x <- xs
+      locale <- locales
+    } {
+      List("USD", "EUR", "JPY", "XYZ", "usd", "US").foreach { code =>
+        val expected = evalStr(NumericImpl.formatCurrency(wrap(x), Value.Str(code), Value.Str(locale)))
+        val got = js.eval(s"(${Code.render(currencyFn(List(jsDouble(x), Code.StringLiteral(code), Code.StringLiteral(locale))))})")
+        assertEquals(got.asInstanceOf[String], expected, s"format_currency($x, $code, $locale)")
+      }
+      List(0, 1, 3).foreach { n =>
+        val expected = evalStr(NumericImpl.formatPercent(wrap(x), Value.VInt(n), Value.Str(locale)))
+        val got = js.eval(s"(${Code.render(percentFn(List(jsDouble(x), Code.IntLiteral(n), Code.StringLiteral(locale))))})")
+        assertEquals(got.asInstanceOf[String], expected, s"format_percent($x, $n, $locale)")
+      }
+    }
+  }
+
+  test("string_to_Double matches the evaluator") {
+    List("12", "-0.5", ".5", "5.", "1e-3", "+2E10", "12px", " 1", ".", "", "NaN", "Infinity", "0x10")
+      .foreach { str =>
+        val expected = NumericImpl.stringToDouble(Value.Str(str)) match {
+          case Value.VOption(Some(d)) => Some(unwrap(d))
+          case _ => None
+        }
+        val (fn, _) = JsGen.NumericExternal.results(Identifier.Name("string_to_Double"))
+        val got = js.eval(s"(${Code.render(fn(List(Code.StringLiteral(str))))})")
+          .asInstanceOf[js.Array[js.Any]]
+        val gotOpt = if (got(0).asInstanceOf[Int] == 1) Some(got(1).asInstanceOf[Double]) else None
+        assertEquals(gotOpt, expected, str)
+      }
+  }
+}
@@ -0,0 +1,122 @@
+package dev.bosatsu.codegen.js
+
+import munit.FunSuite
+import scala.scalajs.js
+
+/**
+ * Runs Bosatsu/Prog values, built directly from the runtime's externals, with
+ * _prog_run_main and an io that records output and serves stdin from a string.
+ */
+class JsProgRuntimeTest extends FunSuite {
+
+  js.eval(JsGen.renderRuntime)
+
+  // (exit code, stdout, stderr)
+  private def runMain(prog: String, args: List[String], stdin: String): (Int, String, String) = {
+    val argsJs = args.map(a => "\"" + a + "\"").mkString("[", ", ", "]")
+    val res = js.eval(s"""(() => {
+  const input = new TextEncoder().encode("$stdin");
+  let pos = 0;
+  const out = { stdout: "", stderr: "" };
+  const io = {
+    stdout: s => { out.stdout += s; },
+    stderr: s => { out.stderr += s; },
+    readStdin: n => { const bytes = input.subarray(pos, pos + n); pos += bytes.length; return bytes; }
+  };
+  const code = _prog_run_main([$prog], $argsJs, io);
+  return [code, out.stdout, out.stderr];
+})()""").asInstanceOf[js.Array[js.Any]]
+    (res(0).asInstanceOf[Int], res(1).asInstanceOf[String], res(2).asInstanceOf[String])
+  }
+
+  test("argv is the env and the result is the exit code") {
+    val prog =
+      """Bosatsu_Prog$flat_map(Bosatsu_Prog$read_env, args =>
+        Bosatsu_Prog$flat_map(Bosatsu_Prog$println(args[2][1]), _ => Bosatsu_Prog$pure(3)))"""
+    assertEquals(runMain(prog, List("prog", "hello"), ""), (3, "hello\n", ""))
+  }
+
+  test("stdin is read in UTF-8 chunks that don't split code points") {
+    def read(n: Int) =
+      s"""Bosatsu_Prog$$recover(Bosatsu_Prog$$read_stdin_utf8_bytes($n), _ => Bosatsu_Prog$$pure("<error>"))"""
+    val prog =
+      s"""Bosatsu_Prog$$flat_map(${read(2)}, a =>
+        Bosatsu_Prog$$flat_map(${read(10)}, b =>
+          Bosatsu_Prog$$flat_map(${read(10)}, c =>
+            Bosatsu_Prog$$flat_map(Bosatsu_Prog$$print(a + "|" + b + "|" + c), _ => Bosatsu_Prog$$pure(0)))))"""
+    // é is two bytes, so the first read of 2 bytes takes 3
+    assertEquals(runMain(prog, Nil, "aéb"), (0, "aé|b|", ""))
+    assertEquals(
+      runMain(s"Bosatsu_Prog$$flat_map(${read(0)}, s => Bosatsu_Prog$$flat_map(Bosatsu_Prog$$print(s), _ => Bosatsu_Prog$$pure(0)))", Nil, "x"),
+      (0, "<error>", "")
+    )
+  }
+
+  test("a large read only takes bounded chunks of stdin") {
+    val res = js.eval("""(() => {
+  const input = new TextEncoder().encode("ab".repeat(50000));
+  let pos = 0;
+  let largest = 0;
+  const io = _prog_io;
+  _prog_io = {
+    readStdin: n => {
+      largest = Math.max(largest, n);
+      const bytes = input.subarray(pos, pos + n);
+      pos += bytes.length;
+      return bytes;
+    }
+  };
+  try {
+    const res = _prog_read_stdin(2147483647n);
+    return [res[1].length, largest];
+  } finally {
+    _prog_io = io;
+  }
+})()""").asInstanceOf[js.Array[Int]]
+    assertEquals(res.toList, List(100000, 65536))
+  }
+
+  test("node stdin waits out EAGAIN instead of failing") {
+    val res = js.eval("""(() => {
+  let calls = 0;
+  const readSync = (_fd, buf, offset, _len, _pos) => {
+    calls++;
+    if (calls <= 3) {
+      const err = new Error("busy");
+      err.code = "EAGAIN";
+      throw err;
+    }
+    if (calls === 4) {
+      buf[offset] = 104;
+      return 1;
+    }
+    return 0;
+  };
+  const bytes = _prog_node_io({}, readSync).readStdin(8);
+  return [new TextDecoder().decode(bytes), calls];
+})()""").asInstanceOf[js.Array[js.Any]]
+    assertEquals(res(0).asInstanceOf[String], "h")
+    assertEquals(res(1).asInstanceOf[Int], 5)
+  }
+
+  test("an unhandled error exits with 1") {
+    assertEquals(runMain("Bosatsu_Prog$raise_error([])", Nil, ""), (1, "", "unexpected top error\n"))
+    val recovered = "Bosatsu_Prog$recover(Bosatsu_Prog$raise_error(7), e => Bosatsu_Prog$pure(e))"
+    assertEquals(runMain(recovered, Nil, ""), (7, "", ""))
+  }
+
+  test("remap_env restores the env afterwards") {
+    val prog =
+      """Bosatsu_Prog$flat_map(
+        Bosatsu_Prog$remap_env(Bosatsu_Prog$flat_map(Bosatsu_Prog$read_env, e => Bosatsu_Prog$print(e)), _ => "inner"),
+        _ => Bosatsu_Prog$flat_map(Bosatsu_Prog$read_env, args => Bosatsu_Prog$flat_map(Bosatsu_Prog$print(args[1]), _ => Bosatsu_Prog$pure(0))))"""
+    assertEquals(runMain(prog, List("outer"), ""), (0, "innerouter", ""))
+  }
+
+  test("long running loops don't grow the stack") {
+    val prog =
+      """Bosatsu_Prog$apply_fix(1000000, loop => i =>
+        (i === 0) ? Bosatsu_Prog$pure(0) : Bosatsu_Prog$flat_map(Bosatsu_Prog$pure(i - 1), loop))"""
+    assertEquals(runMain(prog, Nil, ""), (0, "", ""))
+  }
+}
@@ -14,4 +14,42 @@ object Platform {
     else if (osName.contains("linux")) OsPlatformId.Linux
     else OsPlatformId.Unknown(osName0)
   }
+
+  // A BCP 47 locale, en-US for a malformed or empty tag as Intl.NumberFormat
+  // falls back to
+  private def locale(tag: String): java.util.Locale = {
+    val loc = java.util.Locale.forLanguageTag(tag)
+    if (loc.getLanguage.isEmpty) java.util.Locale.US else loc
+  }
+
+  /**
+   * Format an amount of a currency like Intl.NumberFormat, or None for an
+   * unknown currency code
+   */
+  def formatCurrency(
+      value: Double,
+      currency: String,
+      localeTag: String
+  ): Option[String] =
+    try {
+      val cur = java.util.Currency.getInstance(currency)
+      val fmt = java.text.NumberFormat.getCurrencyInstance(locale(localeTag))
+      fmt.setCurrency(cur)
+      val fraction = math.max(cur.getDefaultFractionDigits, 0)
+      fmt.setMinimumFractionDigits(fraction)
+      fmt.setMaximumFractionDigits(fraction)
+      fmt.setRoundingMode(java.math.RoundingMode.HALF_UP)
+      Some(fmt.format(value))
+    } catch {
+      case _: IllegalArgumentException => None
+    }
+
+  /** Format a ratio as a percent like Intl.NumberFormat */
+  def formatPercent(value: Double, digits: Int, localeTag: String): String = {
+    val fmt = java.text.NumberFormat.getPercentInstance(locale(localeTag))
+    fmt.setMinimumFractionDigits(digits)
+    fmt.setMaximumFractionDigits(digits)
+    fmt.setRoundingMode(java.math.RoundingMode.HALF_UP)
+    fmt.format(value)
+  }
 }
@@ -11,33 +11,81 @@
  * 1. Mount: Create DOM from initial VNode, populate element cache
  * 2. State change: Look up bindings for changed path, apply updates directly
  * 3. No diffing, no re-rendering - just targeted property updates
+ *
+ * The one exception is a 'children' binding: the bound value is a list of
+ * VNodes for the children of a container, and the container's children are
+ * reconciled against it by key (see VNode.keyedEl), so list items can be
+ * added, removed and reordered without remounting.
+ *
+ * A 'region' binding is the other: the bound element shows one of a fixed
+ * set of branches (from a match on state), and when the state selects a
+ * different branch its content is disposed and the new branch is created
+ * from its VNode. Bindings inside the branch are applied as it is created,
+ * and bindings elsewhere are unaffected.
+ *
+ * Everything a mounted UI changes lives in an app (see _newApp), so
+ * several UIs can share a page: BosatsuUI.createApp(root, vnode, bindings,
+ * state) mounts one and returns its API. The functions on BosatsuUI itself
+ * act on a default app, for pages with a single UI.
+ *
+ * renderToString(vnode) renders the same markup as the DOM mount creates,
+ * without a DOM, and hydrate(root, vnode, bindings, state) attaches to
+ * that markup in the browser instead of creating it again.
+ *
+ * A binding with an 'input' kind is two-way: edits to its form element are
+ * parsed into a Bosatsu value of that kind and set at its state path.
  */
 
 // -----------------------------------------------------------------------------
-// Element Cache
+// Apps
 // -----------------------------------------------------------------------------
 
 /**
- * Cache for DOM elements by selector/id.
- * Enables O(1) lookup for binding updates.
- */
-const _elementCache = new Map();
-
-/**
- * State storage.
+ * Create the state of one UI: its root, state, bindings, element cache,
+ * batching config and pending updates.
+ * @param {Element|null} root - Root element (null searches the document)
+ * @returns {Object}
  */
-let _state = {};
+function _newApp(root) {
+  return {
+    root,
+    // State storage
+    state: {},
+    // Binding registry: statePath -> DOMBinding[], from static analysis
+    bindings: {},
+    // Cache for DOM elements by selector, for O(1) lookup on updates
+    elementCache: new Map(),
+    config: {
+      batchSize: Infinity,
+      flushDelay: 'microtask',
+    },
+    pendingPaths: new Map(),
+    // The state before the pending updates, for listeners' old values
+    stateBeforeUpdates: undefined,
+    // [{path, listener}] added by subscribe
+    listeners: [],
+    // Recorded transactions, once enableHistory is called
+    history: null,
+    // {root, listener} delegating edits of two-way bindings' elements
+    inputListener: null,
+    // The paths set so far in the current batch
+    batchPaths: [],
+    flushScheduled: false,
+    inBatch: false,
+    pendingCount: 0,
+  };
+}
 
 /**
- * Binding registry: statePath -> DOMBinding[]
- * Populated from static analysis output.
+ * The functions built from declarative transforms.
  */
-let _bindings = {};
+const _transformCache = new WeakMap();
 
 /**
- * Compiled transform functions cache.
+ * The VNode each DOM node was created from, so reconciliation can tell
+ * whether a keyed child needs to be rebuilt.
  */
-const _transformCache = new Map();
+const _renderedVNodes = new WeakMap();
 
 // -----------------------------------------------------------------------------
 // State Utilities
@@ -109,31 +157,69 @@ function _deepEqual(a, b) {
 // -----------------------------------------------------------------------------
 
 /**
- * Find an element by selector, using cache for efficiency.
+ * Find an element of an app by selector, using cache for efficiency.
+ * @param {Object} app
  * @param {string} selector - CSS selector or data-bosatsu-id
- * @param {Element} [root] - Root element to search within
  * @returns {Element|null}
  */
-function _findElement(selector, root) {
+function _findElement(app, selector) {
+  const searchRoot = app.root || document;
+
   // Check cache first
-  const cached = _elementCache.get(selector);
-  if (cached && document.contains(cached)) {
+  const cached = app.elementCache.get(selector);
+  if (cached && searchRoot.contains(cached)) {
     return cached;
   }
 
   // Find and cache
-  const searchRoot = root || document;
   const element = searchRoot.querySelector(selector);
   if (element) {
-    _elementCache.set(selector, element);
+    app.elementCache.set(selector, element);
   }
   return element;
 }
 
+/**
+ * A Bool as a JS boolean: Bosatsu Bools are [0] and [1].
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+function _toBool(value) {
+  return Array.isArray(value) ? value[0] === 1 : Boolean(value);
+}
+
+/**
+ * The text a form element shows for a value: an Option shows its value,
+ * or nothing for None.
+ * @param {unknown} value
+ * @returns {string}
+ */
+function _inputText(value) {
+  if (Array.isArray(value) && value[0] === 0 && value.length === 1) return '';
+  if (Array.isArray(value) && value[0] === 1 && value.length === 2) return String(value[1]);
+  return String(value ?? '');
+}
+
+/**
+ * The value to give an attribute for a binding's value, or null to remove
+ * it: None and False (and null, undefined, false) remove it, True sets it
+ * empty and Some(v) sets v.
+ * @param {unknown} value
+ * @returns {string|null}
+ */
+function _attributeValue(value) {
+  if (value === null || value === undefined || value === false) return null;
+  if (value === true) return '';
+  if (Array.isArray(value) && value.length === 1) return value[0] === 1 ? '' : null;
+  if (Array.isArray(value) && value.length === 2 && value[0] === 1) return String(value[1]);
+  return String(value);
+}
+
 /**
  * Apply a binding update to an element.
  * @param {Element} element - DOM element
- * @param {string} property - Property name (textContent, className, etc.)
+ * @param {string} property - Property name (textContent, className,
+ *   attr.<name> for an attribute, class.<name> for one class, etc.)
  * @param {unknown} value - New value
  * @param {string} [styleProperty] - CSS property for style bindings
  */
@@ -148,43 +234,143 @@ function _applyBindingUpdate(element, property, value, styleProperty) {
       break;
 
     case 'value':
-      if ('value' in element) {
-        element.value = String(value ?? '');
+      // A radio of a group is checked when it has the group's value
+      if (element.type === 'radio') {
+        element.checked = element.value === _inputText(value);
+      } else if ('value' in element) {
+        element.value = _inputText(value);
       }
       break;
 
     case 'checked':
       if ('checked' in element) {
-        element.checked = Boolean(value);
+        element.checked = _toBool(value);
+      }
+      break;
+
+    case 'selected':
+      if (element.options) {
+        const selected = new Set(_toArray(value).map(String));
+        for (const option of Array.from(element.options)) {
+          option.selected = selected.has(option.value);
+        }
       }
       break;
 
     case 'disabled':
       if ('disabled' in element) {
-        element.disabled = Boolean(value);
+        element.disabled = _toBool(value);
       }
       break;
 
+    case 'children':
+      _reconcileChildren(element, _toVNodeArray(value));
+      break;
+
     default:
-      // Style property
       if (property.startsWith('style.') && styleProperty) {
+        // Style property
         element.style[styleProperty] = String(value ?? '');
+      } else if (property.startsWith('attr.')) {
+        const name = property.slice(5);
+        const attrValue = _attributeValue(value);
+        if (attrValue === null) {
+          element.removeAttribute(name);
+        } else {
+          element.setAttribute(name, attrValue);
+        }
+      } else if (property.startsWith('class.')) {
+        element.classList.toggle(property.slice(6), _toBool(value));
       }
       break;
   }
 }
 
+// -----------------------------------------------------------------------------
+// Transforms
+// -----------------------------------------------------------------------------
+
+/**
+ * A state value as something Intl.NumberFormat formats: BigInts (Bosatsu
+ * Ints) are kept, anything else is converted to a number.
+ */
+function _toNumeric(value) {
+  return typeof value === 'bigint' ? value : Number(value);
+}
+
+function _numberFormat(locale, options) {
+  return new Intl.NumberFormat(locale || 'en-US', options);
+}
+
 /**
- * Get or compile a transform function.
- * @param {string} transform - Transform expression
+ * Builders for the declarative transforms (see UIAnalyzer.Transform), by op.
+ */
+const _transformOps = {
+  // a function of the generated bundle or runtime, by its registered name
+  call: (t) => {
+    const fn = _getFunction(t.name);
+    if (!fn) throw new Error(`Unknown transform function: ${t.name}`);
+    return fn;
+  },
+  number: (t) => {
+    const format = _numberFormat(t.locale, {
+      minimumFractionDigits: t.decimals ?? 0,
+      maximumFractionDigits: t.decimals ?? 0,
+    });
+    return (value) => format.format(_toNumeric(value));
+  },
+  currency: (t) => {
+    const format = _numberFormat(t.locale, {
+      style: 'currency',
+      currency: t.currency || 'USD',
+      minimumFractionDigits: t.decimals ?? 2,
+      maximumFractionDigits: t.decimals ?? 2,
+    });
+    return (value) => format.format(_toNumeric(value));
+  },
+  // the value is already in percent: 6.5 -> "6.5%"
+  percent: (t) => {
+    const format = _numberFormat(t.locale, {
+      minimumFractionDigits: t.decimals ?? 0,
+      maximumFractionDigits: t.decimals ?? 0,
+    });
+    return (value) => format.format(_toNumeric(value)) + '%';
+  },
+  concat: (t) => (value) => (t.prefix || '') + String(value ?? '') + (t.suffix || ''),
+  table: (t) => (value) => {
+    const key = String(value);
+    if (Object.prototype.hasOwnProperty.call(t.table, key)) return t.table[key];
+    return t.default !== undefined ? t.default : key;
+  },
+};
+
+/**
+ * Get the function for a binding's transform, which is one of
+ * - {op, ...}: a declarative transform, see _transformOps
+ * - an array of transforms, applied in order
+ * - the name of a registered function, e.g. '_int_to_String'
+ * Transforms are never evaluated as code, so binding maps work under a
+ * Content-Security-Policy without 'unsafe-eval'.
+ * @param {Object|Array|string} transform
  * @returns {Function}
  */
 function _getTransform(transform) {
+  if (typeof transform === 'string') {
+    return _transformOps.call({ name: transform });
+  }
+
   const cached = _transformCache.get(transform);
   if (cached) return cached;
 
-  // Compile the transform function
-  const fn = new Function('value', `return (${transform})(value)`);
+  let fn;
+  if (Array.isArray(transform)) {
+    const steps = transform.map(_getTransform);
+    fn = (value) => steps.reduce((v, step) => step(v), value);
+  } else {
+    const build = _transformOps[transform.op];
+    if (!build) throw new Error(`Unknown transform op: ${transform.op}`);
+    fn = build(transform);
+  }
   _transformCache.set(transform, fn);
   return fn;
 }
@@ -194,140 +380,184 @@ function _getTransform(transform) {
 // -----------------------------------------------------------------------------
 
 /**
- * Batching configuration.
- * @property {number} batchSize - Number of updates before auto-flush (default: Infinity = microtask only)
- * @property {string|number} flushDelay - 'microtask' | 0 (sync) | 16 (frame) | ms delay
- */
-let _config = {
-  batchSize: Infinity,
-  flushDelay: 'microtask',
-};
-
-/**
- * Configure batching behavior.
+ * Configure an app's batching behavior.
+ * @param {Object} app
  * @param {Object} options
  * @param {number} [options.batchSize] - Updates before auto-flush (1 = immediate, Infinity = full batching)
  * @param {string|number} [options.flushDelay] - 'microtask' | 0 (sync) | 16 (frame-aligned) | ms
  */
-function _configure(options) {
+function _configure(app, options) {
   if (options.batchSize !== undefined) {
-    _config.batchSize = options.batchSize;
+    app.config.batchSize = options.batchSize;
   }
   if (options.flushDelay !== undefined) {
-    _config.flushDelay = options.flushDelay;
+    app.config.flushDelay = options.flushDelay;
   }
 }
 
 /**
- * Get current configuration.
+ * Get an app's current configuration.
+ * @param {Object} app
  * @returns {Object}
  */
-function _getConfig() {
-  return { ..._config };
+function _getConfig(app) {
+  return { ...app.config };
 }
 
 // -----------------------------------------------------------------------------
 // Batching Support
 // -----------------------------------------------------------------------------
 
-let _pendingPaths = new Map();
-let _flushScheduled = false;
-let _inBatch = false;
-let _pendingCount = 0;
-
 /**
- * Flush all pending DOM updates.
+ * Flush all pending DOM updates of an app, then notify its listeners.
+ * @param {Object} app
  */
-function _flushPendingUpdates() {
-  _flushScheduled = false;
-  _pendingCount = 0;
+function _flushPendingUpdates(app) {
+  app.flushScheduled = false;
+  app.pendingCount = 0;
 
-  _pendingPaths.forEach((path, key) => {
-    _applyBindingsForPath(path);
+  app.pendingPaths.forEach((path, key) => {
+    _applyBindingsForPath(app, path);
   });
 
-  _pendingPaths.clear();
+  const changedPaths = Array.from(app.pendingPaths.values());
+  const oldState = app.stateBeforeUpdates;
+  app.pendingPaths.clear();
+  app.stateBeforeUpdates = undefined;
+
+  if (changedPaths.length > 0) {
+    _notifyListeners(app, changedPaths, oldState);
+  }
 }
 
 /**
- * Schedule a flush based on configuration.
+ * Schedule a flush based on the app's configuration.
+ * @param {Object} app
  */
-function _scheduleFlush() {
-  if (_inBatch) return;
+function _scheduleFlush(app) {
+  if (app.inBatch) return;
+
+  const config = app.config;
+  const flush = () => _flushPendingUpdates(app);
 
   // Check if we've hit the batch size threshold
-  if (_config.batchSize !== Infinity && _pendingCount >= _config.batchSize) {
+  if (config.batchSize !== Infinity && app.pendingCount >= config.batchSize) {
     // Immediate flush when batch size exceeded
-    _flushPendingUpdates();
+    flush();
     return;
   }
 
-  if (_flushScheduled) return;
-  _flushScheduled = true;
+  if (app.flushScheduled) return;
+  app.flushScheduled = true;
 
   // Schedule based on flushDelay config
-  if (_config.flushDelay === 0) {
+  if (config.flushDelay === 0) {
     // Synchronous - flush immediately
-    _flushPendingUpdates();
-  } else if (_config.flushDelay === 'microtask') {
+    flush();
+  } else if (config.flushDelay === 'microtask') {
     // Default microtask batching
-    queueMicrotask(_flushPendingUpdates);
-  } else if (typeof _config.flushDelay === 'number') {
+    queueMicrotask(flush);
+  } else if (typeof config.flushDelay === 'number') {
     // Time-based delay (e.g., 16ms for frame-aligned)
-    setTimeout(_flushPendingUpdates, _config.flushDelay);
+    setTimeout(flush, config.flushDelay);
   } else {
     // Fallback to microtask
-    queueMicrotask(_flushPendingUpdates);
+    queueMicrotask(flush);
   }
 }
 
 /**
  * Queue a path for update.
+ * @param {Object} app
  * @param {string[]} path
  */
-function _queuePathUpdate(path) {
+function _queuePathUpdate(app, path) {
   const key = path.join('.');
-  if (!_pendingPaths.has(key)) {
-    _pendingCount++;
+  if (!app.pendingPaths.has(key)) {
+    app.pendingCount++;
+  }
+  app.pendingPaths.set(key, path);
+  _scheduleFlush(app);
+}
+
+/**
+ * The element a binding updates.
+ * @param {Object} app
+ * @param {Object} binding
+ * @returns {Element|null}
+ */
+function _elementFor(app, binding) {
+  return _findElement(
+    app,
+    binding.elementId.startsWith('#') || binding.elementId.startsWith('[')
+      ? binding.elementId
+      : `[data-bosatsu-id="${binding.elementId}"]`
+  );
+}
+
+/**
+ * Apply one binding with the app's current state at its path.
+ * @param {Object} app
+ * @param {Object} binding
+ * @param {string[]} path
+ */
+function _applyBinding(app, binding, path) {
+  // Find the element
+  const element = _elementFor(app, binding);
+  if (!element) return;
+
+  // Get the new value
+  let newValue = _getAtPath(app.state, binding.statePath || path);
+
+  // Apply transform if present
+  if (binding.transform) {
+    try {
+      const transformFn = _getTransform(binding.transform);
+      newValue = transformFn(newValue);
+    } catch (e) {
+      console.error(`Failed to apply transform:`, e);
+    }
   }
-  _pendingPaths.set(key, path);
-  _scheduleFlush();
+
+  // Leave a form element alone while it already shows the value, so
+  // writing back an edit doesn't reformat what is being typed (e.g. "1.")
+  if (binding.input && _deepEqual(_readInput(element, binding.input), newValue)) {
+    return;
+  }
+
+  // A region swaps its content for the branch the value selects
+  if (binding.property === 'region') {
+    _updateRegion(app, element, binding.branches || [], newValue);
+    return;
+  }
+
+  // Render each item of a list binding to its VNode
+  if (binding.render) {
+    const renderFn = _getFunction(binding.render);
+    if (!renderFn) {
+      console.error(`Unknown render function: ${binding.render}`);
+      return;
+    }
+    newValue = _toArray(newValue).map((item, index) => renderFn(item, index));
+  }
+
+  // Apply the update
+  _applyBindingUpdate(element, binding.property, newValue, binding.styleProperty);
 }
 
 /**
- * Apply bindings for a changed state path.
+ * Apply an app's bindings for a changed state path.
+ * @param {Object} app
  * @param {string[]} path
  */
-function _applyBindingsForPath(path) {
+function _applyBindingsForPath(app, path) {
   const key = path.join('.');
-  const bindings = _bindings[key];
+  const bindings = app.bindings[key];
 
   if (!bindings) return;
 
   for (const binding of bindings) {
-    // Find the element
-    const element = _findElement(
-      binding.elementId.startsWith('#') || binding.elementId.startsWith('[')
-        ? binding.elementId
-        : `[data-bosatsu-id="${binding.elementId}"]`
-    );
-    if (!element) continue;
-
-    // Get the new value
-    let newValue = _getAtPath(_state, binding.statePath || path);
-
-    // Apply transform if present
-    if (binding.transform) {
-      try {
-        const transformFn = _getTransform(binding.transform);
-        newValue = transformFn(newValue);
-      } catch (e) {
-        console.error(`Failed to apply transform:`, e);
-      }
-    }
-
-    // Apply the update
-    _applyBindingUpdate(element, binding.property, newValue, binding.styleProperty);
+    _applyBinding(app, binding, path);
   }
 }
 
@@ -336,85 +566,237 @@ function _applyBindingsForPath(path) {
 // -----------------------------------------------------------------------------
 
 /**
- * Initialize the UI runtime with bindings and initial state.
+ * Initialize an app with bindings and initial state.
+ * @param {Object} app
  * @param {Object} bindings - Binding map from static analysis
  * @param {Object} initialState - Initial state object
  */
-function _initRuntime(bindings, initialState) {
-  _bindings = bindings || {};
-  _state = initialState || {};
-  _elementCache.clear();
-  _pendingPaths.clear();
-  _flushScheduled = false;
-  _pendingCount = 0;
-}
-
-/**
- * Get the current state.
- * @returns {Object}
- */
-function _getState() {
-  return _state;
-}
-
-/**
- * Get state at a path.
- * @param {string[]} path
- * @returns {unknown}
- */
-function _getStateAt(path) {
-  return _getAtPath(_state, path);
+function _initRuntime(app, bindings, initialState) {
+  app.bindings = bindings || {};
+  app.state = initialState || {};
+  app.elementCache.clear();
+  app.pendingPaths.clear();
+  app.stateBeforeUpdates = undefined;
+  app.flushScheduled = false;
+  app.pendingCount = 0;
+  if (app.history) {
+    _enableHistory(app, { limit: app.history.limit });
+  }
 }
 
 /**
  * Set state at a path (triggers targeted DOM updates).
+ * @param {Object} app
  * @param {string[]} path - Path into state
  * @param {unknown} value - New value
  */
-function _setState(path, value) {
-  const prevValue = _getAtPath(_state, path);
+function _setState(app, path, value) {
+  const prevValue = _getAtPath(app.state, path);
 
   // Only update if value actually changed
   if (_deepEqual(prevValue, value)) return;
 
+  // Remember what listeners saw before this round of updates
+  if (app.pendingPaths.size === 0) {
+    app.stateBeforeUpdates = app.state;
+  }
+
   // Update state immediately
-  _state = _setAtPath(_state, path, value);
+  app.state = _setAtPath(app.state, path, value);
+
+  if (app.history) {
+    if (app.inBatch) {
+      app.batchPaths.push(path);
+    } else {
+      _recordTransaction(app, [path]);
+    }
+  }
 
   // Queue DOM update
-  _queuePathUpdate(path);
+  _queuePathUpdate(app, path);
 }
 
 /**
  * Update state using a function.
+ * @param {Object} app
  * @param {string[]} path
  * @param {Function} fn
  */
-function _updateState(path, fn) {
-  const current = _getAtPath(_state, path);
+function _updateState(app, path, fn) {
+  const current = _getAtPath(app.state, path);
   const newValue = fn(current);
-  _setState(path, newValue);
+  _setState(app, path, newValue);
 }
 
 /**
  * Execute multiple state updates in a batch.
- * DOM updates are deferred until the batch completes.
+ * DOM updates are deferred until the batch completes, and the history
+ * records the batch as one transaction. A batch inside a batch is part of
+ * the outer one.
+ * @param {Object} app
  * @param {Function} fn
  */
-function _batch(fn) {
-  _inBatch = true;
+function _batch(app, fn) {
+  if (app.inBatch) {
+    fn();
+    return;
+  }
+  app.inBatch = true;
   try {
     fn();
   } finally {
-    _inBatch = false;
-    _flushPendingUpdates();
+    app.inBatch = false;
+    if (app.history && app.batchPaths.length > 0) {
+      _recordTransaction(app, app.batchPaths);
+    }
+    app.batchPaths = [];
+    _flushPendingUpdates(app);
+  }
+}
+
+// -----------------------------------------------------------------------------
+// History
+// -----------------------------------------------------------------------------
+
+/**
+ * Start recording an app's state changes so they can be undone. Each
+ * setState outside a batch, and each batch, is one transaction. The
+ * history starts from the current state and keeps at most limit
+ * transactions, dropping the oldest.
+ * @param {Object} app
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Transactions to keep (default: Infinity)
+ */
+function _enableHistory(app, options = {}) {
+  app.history = {
+    limit: options.limit ?? Infinity,
+    // entries[0] is the starting state, entries[i] the state after the
+    // i-th transaction
+    entries: [{ paths: [], state: app.state, time: Date.now() }],
+    index: 0,
+  };
+}
+
+/**
+ * Record a transaction that set the given paths, discarding any undone
+ * transactions after the current one.
+ * @param {Object} app
+ * @param {string[][]} paths
+ */
+function _recordTransaction(app, paths) {
+  const history = app.history;
+  const entries = history.entries.slice(0, history.index + 1);
+  entries.push({ paths, state: app.state, time: Date.now() });
+  if (entries.length > history.limit + 1) {
+    entries.splice(0, entries.length - (history.limit + 1));
   }
+  history.entries = entries;
+  history.index = entries.length - 1;
 }
 
 /**
- * Force immediate application of all pending updates.
+ * The recorded transactions and the index of the current one.
+ * @param {Object} app
+ * @returns {{index: number, entries: Object[]}}
  */
-function _flush() {
-  _flushPendingUpdates();
+function _getHistory(app) {
+  if (!app.history) return { index: 0, entries: [] };
+  return {
+    index: app.history.index,
+    entries: app.history.entries.map(({ paths, state, time }) => ({ paths, state, time })),
+  };
+}
+
+/**
+ * Move an app to the state after the transaction at index, applying the
+ * bindings of the paths the transactions in between set.
+ * @param {Object} app
+ * @param {number} index
+ * @returns {boolean} Whether the state moved
+ */
+function _goto(app, index) {
+  const history = app.history;
+  if (!history || app.inBatch) return false;
+  if (index < 0 || index >= history.entries.length || index === history.index) return false;
+
+  const from = Math.min(index, history.index);
+  const to = Math.max(index, history.index);
+  if (app.pendingPaths.size === 0) {
+    app.stateBeforeUpdates = app.state;
+  }
+  app.state = history.entries[index].state;
+  history.index = index;
+
+  // Queue every path before flushing, so they flush together
+  app.inBatch = true;
+  for (let i = from + 1; i <= to; i++) {
+    for (const path of history.entries[i].paths) {
+      _queuePathUpdate(app, path);
+    }
+  }
+  app.inBatch = false;
+  _scheduleFlush(app);
+  return true;
+}
+
+// -----------------------------------------------------------------------------
+// Subscriptions
+// -----------------------------------------------------------------------------
+
+/**
+ * Whether one path is a prefix of the other.
+ * @param {string[]} a
+ * @param {string[]} b
+ * @returns {boolean}
+ */
+function _pathsOverlap(a, b) {
+  const n = Math.min(a.length, b.length);
+  for (let i = 0; i < n; i++) {
+    if (a[i] !== b[i]) return false;
+  }
+  return true;
+}
+
+/**
+ * Listen for changes to the state at a path, including changes to paths
+ * under it (so [] listens to all of the state). After each flush the
+ * listener is called with the new value at the path, the value before the
+ * flushed updates, and the changed paths that touched it.
+ * @param {Object} app
+ * @param {string[]} path
+ * @param {Function} listener - (value, oldValue, changedPaths) => void
+ * @returns {Function} Removes the listener
+ */
+function _subscribe(app, path, listener) {
+  const subscription = { path, listener };
+  app.listeners.push(subscription);
+  return () => {
+    app.listeners = app.listeners.filter((s) => s !== subscription);
+  };
+}
+
+/**
+ * Call the listeners whose paths had changes in a flush.
+ * @param {Object} app
+ * @param {string[][]} changedPaths
+ * @param {Object} oldState - The state before the flushed updates
+ */
+function _notifyListeners(app, changedPaths, oldState) {
+  // Listeners may subscribe or unsubscribe as they run
+  for (const { path, listener } of app.listeners.slice()) {
+    const touched = changedPaths.filter((changed) => _pathsOverlap(path, changed));
+    if (touched.length === 0) continue;
+
+    const value = _getAtPath(app.state, path);
+    const oldValue = _getAtPath(oldState, path);
+    if (_deepEqual(value, oldValue)) continue;
+
+    try {
+      listener(value, oldValue, touched);
+    } catch (e) {
+      console.error(`State listener failed:`, e);
+    }
+  }
 }
 
 // -----------------------------------------------------------------------------
@@ -434,7 +816,9 @@ function _createDOM(vnode) {
   // Text node
   if (vnode.type === 'text' || typeof vnode === 'string') {
     const text = typeof vnode === 'string' ? vnode : vnode.text;
-    return document.createTextNode(text);
+    const node = document.createTextNode(text);
+    _renderedVNodes.set(node, vnode);
+    return node;
   }
 
   // Fragment
@@ -452,29 +836,22 @@ function _createDOM(vnode) {
   // Element
   const element = document.createElement(vnode.tag || 'div');
 
-  // Set attributes
-  if (vnode.props || vnode.attributes) {
-    const attrs = vnode.props || vnode.attributes || {};
-    for (const [key, value] of Object.entries(attrs)) {
-      if (key === 'className') {
-        element.className = String(value);
-      } else if (key === 'style' && typeof value === 'object') {
-        for (const [prop, val] of Object.entries(value)) {
-          element.style[prop] = String(val);
-        }
-      } else if (key.startsWith('on')) {
-        // Skip event handlers in creation - they're attached separately
-      } else if (value !== null && value !== undefined && value !== false) {
-        element.setAttribute(key, value === true ? '' : String(value));
-      }
-    }
+  // Set attributes (event handlers are attached below)
+  for (const [key, value] of Object.entries(vnode.props || vnode.attributes || {})) {
+    if (!key.startsWith('on')) _setAttribute(element, key, value);
   }
 
+  _attachEvents(element, vnode);
+
   // Set data-bosatsu-id if present
   if (vnode.id) {
     element.setAttribute('data-bosatsu-id', vnode.id);
-    _elementCache.set(vnode.id, element);
-    _elementCache.set(`[data-bosatsu-id="${vnode.id}"]`, element);
+  }
+
+  // Keep the key in the DOM so lists rendered elsewhere (e.g. on the
+  // server) can be reconciled too
+  if (vnode.key !== undefined && vnode.key !== null) {
+    element.setAttribute('data-bosatsu-key', String(vnode.key));
   }
 
   // Create children
@@ -485,88 +862,857 @@ function _createDOM(vnode) {
     }
   }
 
+  _renderedVNodes.set(element, vnode);
   return element;
 }
 
 /**
- * Mount a VNode to a root element.
- * @param {Element} root - Root DOM element
+ * Set a VNode prop on an element: className, a style object, or an
+ * attribute, which null, undefined and false leave unset.
+ * @param {Element} element
+ * @param {string} key
+ * @param {unknown} value
+ */
+function _setAttribute(element, key, value) {
+  if (key === 'className') {
+    element.className = String(value);
+  } else if (key === 'style' && typeof value === 'object' && value !== null) {
+    for (const [prop, val] of Object.entries(value)) {
+      element.style[prop] = String(val);
+    }
+  } else if (value !== null && value !== undefined && value !== false) {
+    element.setAttribute(key, value === true ? '' : String(value));
+  } else {
+    element.removeAttribute(key);
+  }
+}
+
+/**
+ * Undo _setAttribute for a prop that had the given value.
+ * @param {Element} element
+ * @param {string} key
+ * @param {unknown} value
+ */
+function _removeAttribute(element, key, value) {
+  if (key === 'className') {
+    element.removeAttribute('class');
+  } else if (key === 'style' && typeof value === 'object' && value !== null) {
+    for (const prop of Object.keys(value)) {
+      element.style[prop] = '';
+    }
+  } else {
+    element.removeAttribute(key);
+  }
+}
+
+/**
+ * Add the listeners of a VNode's function-valued on* props, e.g.
+ * onClick or onclick for 'click'.
+ * @param {Element} element
+ * @param {Object} vnode
+ */
+function _attachEvents(element, vnode) {
+  const attrs = vnode.props || vnode.attributes || {};
+  for (const [key, value] of Object.entries(attrs)) {
+    if (key.startsWith('on') && typeof value === 'function') {
+      element.addEventListener(key.slice(2).toLowerCase(), value);
+    }
+  }
+}
+
+/**
+ * Remove the listeners _attachEvents added for a VNode.
+ * @param {Element} element
+ * @param {Object} vnode
+ */
+function _detachEvents(element, vnode) {
+  const attrs = vnode.props || vnode.attributes || {};
+  for (const [key, value] of Object.entries(attrs)) {
+    if (key.startsWith('on') && typeof value === 'function') {
+      element.removeEventListener(key.slice(2).toLowerCase(), value);
+    }
+  }
+}
+
+// -----------------------------------------------------------------------------
+// Server Rendering and Hydration
+// -----------------------------------------------------------------------------
+
+/**
+ * HTML void elements (self-closing).
+ */
+const _voidElements = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+  'link', 'meta', 'param', 'source', 'track', 'wbr',
+]);
+
+function _escapeHtml(s) {
+  return s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function _escapeAttr(s) {
+  return _escapeHtml(s).replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+/**
+ * Render a VNode to HTML, as _createDOM would build it, so a page can be
+ * rendered on the server (no DOM needed) and hydrated in the browser.
+ * Event handlers are left for hydrate to attach.
+ * @param {Object} vnode - Virtual node
+ * @returns {string}
+ */
+function _renderToString(vnode) {
+  if (vnode === null || vnode === undefined) {
+    return '';
+  }
+
+  // Text node
+  if (vnode.type === 'text' || typeof vnode === 'string') {
+    return _escapeHtml(typeof vnode === 'string' ? vnode : vnode.text);
+  }
+
+  // Fragment
+  if (vnode.type === 'fragment') {
+    return (vnode.children || []).map(_renderToString).join('');
+  }
+
+  // Element
+  const tag = vnode.tag || 'div';
+  const attrs = [];
+  for (const [key, value] of Object.entries(vnode.props || vnode.attributes || {})) {
+    if (key === 'className') {
+      attrs.push(`class="${_escapeAttr(String(value))}"`);
+    } else if (key === 'style' && typeof value === 'object') {
+      const css = Object.entries(value)
+        .map(([prop, val]) => `${prop.replace(/[A-Z]/g, (c) => '-' + c.toLowerCase())}: ${val};`)
+        .join(' ');
+      attrs.push(`style="${_escapeAttr(css)}"`);
+    } else if (key.startsWith('on')) {
+      // Event handlers are attached by hydrate
+    } else if (value !== null && value !== undefined && value !== false) {
+      attrs.push(value === true ? `${key}=""` : `${key}="${_escapeAttr(String(value))}"`);
+    }
+  }
+  if (vnode.id) {
+    attrs.push(`data-bosatsu-id="${_escapeAttr(String(vnode.id))}"`);
+  }
+  if (vnode.key !== undefined && vnode.key !== null) {
+    attrs.push(`data-bosatsu-key="${_escapeAttr(String(vnode.key))}"`);
+  }
+
+  const open = attrs.length === 0 ? `<${tag}>` : `<${tag} ${attrs.join(' ')}>`;
+  if (_voidElements.has(tag)) return open;
+  return `${open}${(vnode.children || []).map(_renderToString).join('')}</${tag}>`;
+}
+
+/**
+ * Attach a VNode's elements to existing DOM: each element VNode is matched
+ * to the element at its position among its parent's element children, and
+ * must have the same tag and data-bosatsu-id. Matched elements are cached
+ * for the app's bindings by id, and get their VNode's event handlers.
+ * @param {Object} app
+ * @param {Element} parent
+ * @param {Object[]} vnodes - The parent's children
+ * @returns {boolean} Whether the DOM matched the VNodes
+ */
+function _hydrateChildren(app, parent, vnodes) {
+  const elementVNodes = _toVNodeArray(vnodes).filter((v) => typeof v === 'object' && v.type !== 'text');
+  const elements = Array.from(parent.children);
+  if (elements.length !== elementVNodes.length) return false;
+
+  return elementVNodes.every((vnode, i) => {
+    const element = elements[i];
+    if (element.tagName.toLowerCase() !== (vnode.tag || 'div').toLowerCase()) return false;
+
+    const id = element.getAttribute('data-bosatsu-id');
+    if ((vnode.id || null) !== id) return false;
+    if (id !== null) {
+      app.elementCache.set(`[data-bosatsu-id="${id}"]`, element);
+    }
+
+    _attachEvents(element, vnode);
+    _renderedVNodes.set(element, vnode);
+    return _hydrateChildren(app, element, vnode.children || []);
+  });
+}
+
+// -----------------------------------------------------------------------------
+// Keyed Children
+// -----------------------------------------------------------------------------
+
+/**
+ * Convert a Bosatsu list ([0] or [1, head, tail]) to an array.
+ * JS arrays of VNodes are returned as they are.
+ * @param {unknown} value
+ * @returns {Array}
+ */
+function _toArray(value) {
+  if (value === null || value === undefined) return [];
+  if (!Array.isArray(value)) return [value];
+
+  const isBosatsuList = (v) =>
+    Array.isArray(v) &&
+    ((v.length === 1 && v[0] === 0) || (v.length === 3 && v[0] === 1 && Array.isArray(v[2])));
+  if (!isBosatsuList(value)) return value;
+
+  const items = [];
+  let current = value;
+  while (current[0] === 1) {
+    items.push(current[1]);
+    current = current[2];
+  }
+  return items;
+}
+
+/**
+ * The children a 'children' binding renders, with fragments flattened
+ * and empty entries dropped.
+ * @param {unknown} value - VNode, array of VNodes or Bosatsu list of VNodes
+ * @returns {Object[]}
+ */
+function _toVNodeArray(value) {
+  const result = [];
+  for (const vnode of _toArray(value)) {
+    if (vnode === null || vnode === undefined) continue;
+    if (typeof vnode === 'object' && vnode.type === 'fragment') {
+      result.push(..._toVNodeArray(vnode.children));
+    } else {
+      result.push(vnode);
+    }
+  }
+  return result;
+}
+
+/**
+ * The functions bindings can name, registered by the generated code with
+ * BosatsuUI.registerFunctions (see UIAnalyzer.functionsToJs). Names are
+ * only looked up here, never as globals, so a binding map can't call
+ * anything the page didn't register.
+ */
+const _functionRegistry = new Map();
+
+/**
+ * Register functions bindings can name, e.g. {_int_to_String: fn}.
+ * Entries that aren't functions are skipped.
+ * @param {Object<string, Function>} functions
+ */
+function _registerFunctions(functions) {
+  for (const [name, fn] of Object.entries(functions)) {
+    if (typeof fn === 'function') _functionRegistry.set(name, fn);
+  }
+}
+
+/**
+ * Get a function a binding names, such as the one a list binding renders
+ * each item with: either the function itself or the name of a registered
+ * function.
+ * @param {Function|string} name
+ * @returns {Function|undefined}
+ */
+function _getFunction(name) {
+  if (typeof name === 'function') return name;
+  return _functionRegistry.get(name);
+}
+
+function _vnodeKey(vnode) {
+  if (vnode === null || typeof vnode !== 'object') return null;
+  return (vnode.key === undefined || vnode.key === null) ? null : String(vnode.key);
+}
+
+function _nodeKey(node) {
+  return (node.nodeType === 1 && node.hasAttribute('data-bosatsu-key'))
+    ? node.getAttribute('data-bosatsu-key')
+    : null;
+}
+
+/**
+ * Whether two VNodes are equal apart from their event handlers, which are
+ * usually new closures on every render.
+ */
+function _equalIgnoringHandlers(a, b) {
+  if (a === b) return true;
+  if (a === null || b === null) return a === b;
+  if (typeof a !== 'object' || typeof b !== 'object') return a === b;
+
+  if (Array.isArray(a) || Array.isArray(b)) {
+    if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length) return false;
+    return a.every((val, i) => _equalIgnoringHandlers(val, b[i]));
+  }
+
+  const aKeys = Object.keys(a);
+  if (aKeys.length !== Object.keys(b).length) return false;
+
+  return aKeys.every((key) =>
+    (key.startsWith('on') && typeof a[key] === 'function' && typeof b[key] === 'function') ||
+    _equalIgnoringHandlers(a[key], b[key]));
+}
+
+/**
+ * The VNodes of the DOM nodes _createDOM makes for a list of children:
+ * fragments are flattened and null children dropped.
+ * @param {Object[]} vnodes
+ * @returns {Object[]}
+ */
+function _domChildVNodes(vnodes) {
+  const result = [];
+  for (const vnode of vnodes || []) {
+    if (vnode === null || vnode === undefined) continue;
+    if (typeof vnode === 'object' && vnode.type === 'fragment') {
+      result.push(..._domChildVNodes(vnode.children));
+    } else {
+      result.push(vnode);
+    }
+  }
+  return result;
+}
+
+function _isElementVNode(vnode) {
+  return typeof vnode === 'object' && vnode !== null && vnode.type !== 'text' && vnode.type !== 'fragment';
+}
+
+/**
+ * Whether the node rendered from oldVNode can be patched into vnode
+ * rather than rebuilt: it is the same text, or the same element with the
+ * same children, apart from event handlers. Its other props may differ.
+ */
+function _canPatch(oldVNode, vnode) {
+  if (!_isElementVNode(oldVNode) || !_isElementVNode(vnode)) {
+    return _equalIgnoringHandlers(oldVNode, vnode);
+  }
+  return (oldVNode.tag || 'div') === (vnode.tag || 'div') &&
+    (oldVNode.id || null) === (vnode.id || null) &&
+    _vnodeKey(oldVNode) === _vnodeKey(vnode) &&
+    _equalIgnoringHandlers(oldVNode.children || [], vnode.children || []);
+}
+
+/**
+ * Update a node rendered from oldVNode to vnode in place (see _canPatch):
+ * its changed props are set and the listeners of it and its descendants
+ * are rebound to vnode's handlers.
+ * @param {Node} node
+ * @param {Object} oldVNode
+ * @param {Object} vnode
+ */
+function _patchNode(node, oldVNode, vnode) {
+  _renderedVNodes.set(node, vnode);
+  if (node.nodeType !== 1 || !_isElementVNode(oldVNode) || !_isElementVNode(vnode)) return;
+
+  const oldAttrs = oldVNode.props || oldVNode.attributes || {};
+  const attrs = vnode.props || vnode.attributes || {};
+  for (const [key, value] of Object.entries(oldAttrs)) {
+    if (!key.startsWith('on') && !(key in attrs)) _removeAttribute(node, key, value);
+  }
+  for (const [key, value] of Object.entries(attrs)) {
+    if (key.startsWith('on') || _deepEqual(oldAttrs[key], value)) continue;
+    if (key in oldAttrs) _removeAttribute(node, key, oldAttrs[key]);
+    _setAttribute(node, key, value);
+  }
+  _detachEvents(node, oldVNode);
+  _attachEvents(node, vnode);
+
+  const oldChildren = _domChildVNodes(oldVNode.children);
+  const children = _domChildVNodes(vnode.children);
+  Array.from(node.childNodes).forEach((child, i) => {
+    if (i < children.length) _patchNode(child, oldChildren[i], children[i]);
+  });
+}
+
+/**
+ * The positions of a longest increasing run in xs, skipping negative
+ * numbers.
+ * @param {number[]} xs
+ * @returns {Set<number>}
+ */
+function _longestIncreasing(xs) {
+  // ends[k] is the position ending the increasing run of length k + 1
+  // with the smallest last value; prev links each position to the one
+  // before it in its run
+  const ends = [];
+  const prev = new Array(xs.length).fill(-1);
+  xs.forEach((x, i) => {
+    if (x < 0) return;
+    let lo = 0;
+    let hi = ends.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (xs[ends[mid]] < x) lo = mid + 1; else hi = mid;
+    }
+    if (lo > 0) prev[i] = ends[lo - 1];
+    ends[lo] = i;
+  });
+
+  const result = new Set();
+  for (let i = ends.length > 0 ? ends[ends.length - 1] : -1; i >= 0; i = prev[i]) {
+    result.add(i);
+  }
+  return result;
+}
+
+/**
+ * Make the children of a container match a list of VNodes.
+ *
+ * Children are matched by key, and unkeyed children by their order among
+ * the unkeyed ones. A matched child is kept if it can be patched to its
+ * new VNode (see _canPatch), so a change to its handlers or props doesn't
+ * replace it; otherwise it is created from its VNode. Children with no
+ * match in the new list are removed first, then the fewest children are
+ * moved to put the rest in order, so a focused child that stays in place
+ * keeps its focus.
+ * @param {Element} container - The bound element
+ * @param {Object[]} vnodes - The new children
+ */
+function _reconcileChildren(container, vnodes) {
+  const keyed = new Map();
+  const unkeyed = [];
+  for (const child of Array.from(container.childNodes)) {
+    const key = _nodeKey(child);
+    if (key === null) {
+      unkeyed.push(child);
+    } else if (!keyed.has(key)) {
+      keyed.set(key, child);
+    }
+  }
+
+  let unkeyedIdx = 0;
+  const nextNodes = [];
+  for (const vnode of vnodes) {
+    const key = _vnodeKey(vnode);
+    let node;
+    if (key === null) {
+      node = unkeyed[unkeyedIdx++];
+    } else {
+      node = keyed.get(key);
+      keyed.delete(key);
+    }
+    const oldVNode = node ? _renderedVNodes.get(node) : undefined;
+    if (node && oldVNode !== undefined && _canPatch(oldVNode, vnode)) {
+      _patchNode(node, oldVNode, vnode);
+    } else {
+      node = _createDOM(vnode);
+    }
+    if (node) nextNodes.push(node);
+  }
+
+  // Remove what is no longer rendered, so it doesn't get in the way
+  const kept = new Set(nextNodes);
+  for (const child of Array.from(container.childNodes)) {
+    if (!kept.has(child)) container.removeChild(child);
+  }
+
+  // The kept children in the longest run that is already in order stay
+  // where they are; the others, and new children, are inserted before
+  // their next sibling, working back from the end
+  const position = new Map();
+  Array.from(container.childNodes).forEach((child, i) => position.set(child, i));
+  const inPlace = _longestIncreasing(nextNodes.map((node) => (position.has(node) ? position.get(node) : -1)));
+  let anchor = null;
+  for (let i = nextNodes.length - 1; i >= 0; i--) {
+    const node = nextNodes[i];
+    // a fragment empties into the container, so its first child is next
+    const first = node.nodeType === 11 ? node.firstChild : node;
+    if (!inPlace.has(i)) container.insertBefore(node, anchor);
+    if (first) anchor = first;
+  }
+}
+
+// -----------------------------------------------------------------------------
+// Conditional Regions
+// -----------------------------------------------------------------------------
+
+/**
+ * The index of the branch each region element currently shows.
+ */
+const _regionBranches = new WeakMap();
+
+/**
+ * Whether a branch matcher accepts a state value: {} accepts anything,
+ * {tag: n} a Bool or enum value with that tag, and {equals: v} a literal.
+ * @param {Object} matcher
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+function _matchesBranch(matcher, value) {
+  if (!matcher) return true;
+  if ('tag' in matcher) {
+    if (typeof value === 'boolean') return (value ? 1 : 0) === matcher.tag;
+    return Array.isArray(value) && value[0] === matcher.tag;
+  }
+  if ('equals' in matcher) {
+    // Bosatsu Ints may be BigInts
+    return (typeof value === 'bigint')
+      ? value === BigInt(matcher.equals)
+      : value === matcher.equals;
+  }
+  return true;
+}
+
+/**
+ * The index of the first branch accepting a value, or -1.
+ * @param {Object[]} branches
+ * @param {unknown} value
+ * @returns {number}
+ */
+function _selectBranch(branches, value) {
+  return branches.findIndex((branch) => _matchesBranch(branch.match, value));
+}
+
+/**
+ * Show the branch a value selects in a region: the old branch's DOM is
+ * disposed, the new one is created from its VNode, and the bindings inside
+ * it are applied so it starts out current.
+ * @param {Object} app
+ * @param {Element} region - The region element
+ * @param {Object[]} branches - [{match, vnode}]
+ * @param {unknown} value
+ */
+function _updateRegion(app, region, branches, value) {
+  const index = _selectBranch(branches, value);
+  if (_regionBranches.get(region) === index) return;
+  _regionBranches.set(region, index);
+
+  _disposeChildren(app, region);
+  if (index >= 0) {
+    const dom = _createDOM(branches[index].vnode);
+    if (dom) region.appendChild(dom);
+  }
+  _refreshBindingsWithin(app, region);
+}
+
+/**
+ * Remove the children of an element, forgetting any cached lookups of them.
+ * @param {Object} app
+ * @param {Element} element
+ */
+function _disposeChildren(app, element) {
+  for (const [selector, cached] of app.elementCache) {
+    if (cached !== element && element.contains(cached)) {
+      app.elementCache.delete(selector);
+    }
+  }
+  element.textContent = '';
+}
+
+/**
+ * Apply every binding of an app whose element is inside root.
+ * @param {Object} app
+ * @param {Element} root
+ */
+function _refreshBindingsWithin(app, root) {
+  for (const [key, bindings] of Object.entries(app.bindings)) {
+    for (const binding of bindings) {
+      const element = _elementFor(app, binding);
+      if (element && element !== root && root.contains(element)) {
+        _applyBinding(app, binding, key.split('.'));
+      }
+    }
+  }
+}
+
+/**
+ * Record the branch each region shows in the mounted DOM, which was
+ * rendered from the initial state, so it is only rebuilt on a change.
+ * @param {Object} app
+ */
+function _initRegions(app) {
+  for (const [key, bindings] of Object.entries(app.bindings)) {
+    for (const binding of bindings) {
+      if (binding.property !== 'region') continue;
+      const element = _elementFor(app, binding);
+      if (!element) continue;
+      const value = _getAtPath(app.state, binding.statePath || key.split('.'));
+      _regionBranches.set(element, _selectBranch(binding.branches || [], value));
+    }
+  }
+}
+
+// -----------------------------------------------------------------------------
+// Form Inputs
+// -----------------------------------------------------------------------------
+
+/**
+ * A Bosatsu Int from its decimal digits: a number when it is a safe
+ * integer, a BigInt otherwise (the JS backend's invariant).
+ * @param {string} text
+ * @returns {number|bigint}
+ */
+function _parseInt(text) {
+  const n = BigInt(text);
+  return (n >= BigInt(Number.MIN_SAFE_INTEGER) && n <= BigInt(Number.MAX_SAFE_INTEGER)) ? Number(n) : n;
+}
+
+/**
+ * Parsers of an element's value for each input kind (see
+ * UIAnalyzer.InputKind). A parser returns undefined for text that isn't
+ * a value of its kind, which leaves the state unchanged.
+ */
+const _inputParsers = {
+  string: (text) => text,
+  int: (text) => (/^\s*[+-]?\d+\s*$/.test(text) ? _parseInt(text.trim()) : undefined),
+  double: (text) => {
+    const n = text.trim() === '' ? NaN : Number(text);
+    return Number.isNaN(n) ? undefined : n;
+  },
+  optional_int: (text) => {
+    if (text.trim() === '') return [0];
+    const n = _inputParsers.int(text);
+    return n === undefined ? undefined : [1, n];
+  },
+  optional_double: (text) => {
+    if (text.trim() === '') return [0];
+    const n = _inputParsers.double(text);
+    return n === undefined ? undefined : [1, n];
+  },
+};
+
+/**
+ * The value of a form element as an input kind: a Bool for 'bool', the
+ * selected options' values as a Bosatsu list for 'strings', and the parsed
+ * value otherwise. Undefined when the element has no value of the kind,
+ * including an unchecked radio.
+ * @param {Element} element
+ * @param {string} kind
+ * @returns {unknown}
+ */
+function _readInput(element, kind) {
+  if (element.type === 'radio' && !element.checked) return undefined;
+  switch (kind) {
+    case 'bool':
+      return element.checked ? [1] : [0];
+    case 'strings':
+      return Array.from(element.selectedOptions || [])
+        .reduceRight((tail, option) => [1, option.value, tail], [0]);
+    default: {
+      const parse = _inputParsers[kind];
+      return parse ? parse(String(element.value ?? '')) : undefined;
+    }
+  }
+}
+
+/**
+ * The event an element's edits are read on: 'change' for elements edited
+ * by choosing, 'input' for those edited by typing or dragging.
+ * @param {Element} element
+ * @returns {string}
+ */
+function _inputEvent(element) {
+  return (element.tagName === 'SELECT' || element.type === 'checkbox' || element.type === 'radio')
+    ? 'change'
+    : 'input';
+}
+
+/**
+ * Set the state of the two-way bindings of an edited element.
+ * @param {Object} app
+ * @param {Event} event
+ */
+function _onInputEvent(app, event) {
+  const element = event.target;
+  if (!element || event.type !== _inputEvent(element)) return;
+  for (const [key, bindings] of Object.entries(app.bindings)) {
+    for (const binding of bindings) {
+      if (!binding.input || _elementFor(app, binding) !== element) continue;
+      const value = _readInput(element, binding.input);
+      if (value !== undefined) {
+        _setState(app, binding.statePath || key.split('.'), value);
+      }
+    }
+  }
+}
+
+function _detachInputs(app) {
+  if (app.inputListener) {
+    const { root, listener } = app.inputListener;
+    root.removeEventListener('input', listener);
+    root.removeEventListener('change', listener);
+    app.inputListener = null;
+  }
+}
+
+/**
+ * Show the state in the elements of an app's two-way bindings, and listen
+ * for their edits on the root.
+ * @param {Object} app
+ */
+function _initInputs(app) {
+  _detachInputs(app);
+  for (const [key, bindings] of Object.entries(app.bindings)) {
+    for (const binding of bindings) {
+      if (binding.input) _applyBinding(app, binding, key.split('.'));
+    }
+  }
+  if (app.root) {
+    const listener = (event) => _onInputEvent(app, event);
+    app.root.addEventListener('input', listener);
+    app.root.addEventListener('change', listener);
+    app.inputListener = { root: app.root, listener };
+  }
+}
+
+/**
+ * Mount a VNode to an app's root element.
+ * @param {Object} app
  * @param {Object} vnode - Virtual node
  * @param {Object} bindings - Binding map
  * @param {Object} initialState - Initial state
  */
-function _mount(root, vnode, bindings, initialState) {
-  _initRuntime(bindings, initialState);
+function _mount(app, vnode, bindings, initialState) {
+  _initRuntime(app, bindings, initialState);
 
   const dom = _createDOM(vnode);
   if (dom) {
-    root.appendChild(dom);
+    app.root.appendChild(dom);
   }
+  _initRegions(app);
+  _initInputs(app);
 }
 
 /**
- * Unmount and cleanup.
- * @param {Element} root
+ * Attach an app to DOM already rendered from a VNode (e.g. on the server
+ * with renderToString) instead of creating it. If the DOM doesn't match
+ * the VNode it is rendered again from scratch.
+ * @param {Object} app
+ * @param {Object} vnode - Virtual node the DOM was rendered from
+ * @param {Object} bindings - Binding map
+ * @param {Object} initialState - State the DOM was rendered with
+ */
+function _hydrate(app, vnode, bindings, initialState) {
+  _initRuntime(app, bindings, initialState);
+
+  if (!_hydrateChildren(app, app.root, [vnode])) {
+    console.warn('BosatsuUI: server-rendered markup does not match the VNode, rendering it again');
+    app.elementCache.clear();
+    app.root.textContent = '';
+    const dom = _createDOM(vnode);
+    if (dom) {
+      app.root.appendChild(dom);
+    }
+  }
+  _initRegions(app);
+  _initInputs(app);
+}
+
+/**
+ * Unmount an app and clean up.
+ * @param {Object} app
+ */
+function _unmount(app) {
+  app.pendingPaths.clear();
+  app.stateBeforeUpdates = undefined;
+  app.flushScheduled = false;
+  _detachInputs(app);
+  if (app.root) {
+    app.root.innerHTML = '';
+  }
+  app.elementCache.clear();
+}
+
+/**
+ * The API of an app.
+ * @param {Object} app
+ * @returns {Object}
+ */
+function _appApi(app) {
+  return {
+    // Configuration
+    configure: (options) => _configure(app, options),
+    getConfig: () => _getConfig(app),
+
+    // State management
+    getState: () => app.state,
+    getStateAt: (path) => _getAtPath(app.state, path),
+    setState: (path, value) => _setState(app, path, value),
+    updateState: (path, fn) => _updateState(app, path, fn),
+    batch: (fn) => _batch(app, fn),
+    // Force immediate application of all pending updates
+    flush: () => _flushPendingUpdates(app),
+    subscribe: (path, listener) => _subscribe(app, path, listener),
+
+    // History
+    enableHistory: (options) => _enableHistory(app, options),
+    undo: () => _goto(app, (app.history ? app.history.index : 0) - 1),
+    redo: () => _goto(app, (app.history ? app.history.index : 0) + 1),
+    history: () => _getHistory(app),
+    goto: (index) => _goto(app, index),
+
+    unmount: () => _unmount(app),
+  };
+}
+
+/**
+ * Mount a VNode to a root element as a new app, independent of any other
+ * UI on the page.
+ * @param {Element} root - Root DOM element
+ * @param {Object} vnode - Virtual node
+ * @param {Object} bindings - Binding map
+ * @param {Object} initialState - Initial state
+ * @param {Object} [options] - Batching options, as for configure,
+ *   history: true or {limit} to record history, as for enableHistory, and
+ *   hydrate: true to attach to the root's existing markup, as for hydrate
+ * @returns {Object} The app's API
  */
-function _unmount(root) {
-  _pendingPaths.clear();
-  _flushScheduled = false;
-  if (root) {
-    root.innerHTML = '';
+function _createApp(root, vnode, bindings, initialState, options) {
+  const app = _newApp(root);
+  if (options) _configure(app, options);
+  if (options && options.history) {
+    _enableHistory(app, options.history === true ? {} : options.history);
+  }
+  if (options && options.hydrate) {
+    _hydrate(app, vnode, bindings, initialState);
+  } else {
+    _mount(app, vnode, bindings, initialState);
   }
-  _elementCache.clear();
+  return { root, ..._appApi(app) };
 }
 
 // -----------------------------------------------------------------------------
 // Exports (for browser global and module)
 // -----------------------------------------------------------------------------
 
+/**
+ * The app the BosatsuUI functions act on, for pages with a single UI.
+ */
+const _defaultApp = _newApp(null);
+
+const _api = {
+  ..._appApi(_defaultApp),
+
+  // DOM management
+  createApp: _createApp,
+  mount: (root, vnode, bindings, initialState) => {
+    _defaultApp.root = root;
+    _mount(_defaultApp, vnode, bindings, initialState);
+  },
+  hydrate: (root, vnode, bindings, initialState) => {
+    _defaultApp.root = root;
+    _hydrate(_defaultApp, vnode, bindings, initialState);
+  },
+  unmount: (root) => {
+    if (root) _defaultApp.root = root;
+    _unmount(_defaultApp);
+  },
+  createDOM: _createDOM,
+  registerFunctions: _registerFunctions,
+  renderToString: _renderToString,
+
+  // Internal (for generated code)
+  _initRuntime: (bindings, initialState) => _initRuntime(_defaultApp, bindings, initialState),
+  _elementCache: _defaultApp.elementCache,
+  get _bindings() { return _defaultApp.bindings; },
+  get _state() { return _defaultApp.state; },
+  _getAtPath,
+  _setAtPath,
+  _findElement: (selector) => _findElement(_defaultApp, selector),
+  _applyBindingUpdate,
+  _reconcileChildren,
+  _updateRegion: (region, branches, value) => _updateRegion(_defaultApp, region, branches, value),
+};
+
 // Make available globally for generated code
 if (typeof window !== 'undefined') {
-  window.BosatsuUI = {
-    // Configuration
-    configure: _configure,
-    getConfig: _getConfig,
-
-    // State management
-    getState: _getState,
-    getStateAt: _getStateAt,
-    setState: _setState,
-    updateState: _updateState,
-    batch: _batch,
-    flush: _flush,
-
-    // DOM management
-    mount: _mount,
-    unmount: _unmount,
-    createDOM: _createDOM,
-
-    // Internal (for generated code)
-    _initRuntime,
-    _elementCache,
-    _bindings,
-    _state,
-    _getAtPath,
-    _setAtPath,
-    _findElement,
-    _applyBindingUpdate,
-  };
+  window.BosatsuUI = _api;
 }
 
 // Module exports
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = {
-    configure: _configure,
-    getConfig: _getConfig,
-    getState: _getState,
-    getStateAt: _getStateAt,
-    setState: _setState,
-    updateState: _updateState,
-    batch: _batch,
-    flush: _flush,
-    mount: _mount,
-    unmount: _unmount,
-    createDOM: _createDOM,
-    _initRuntime,
-  };
+  module.exports = _api;
 }
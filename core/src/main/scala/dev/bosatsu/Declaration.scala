@@ -423,6 +423,71 @@ sealed abstract class Declaration derives CanEqual {
     loop(this, SortedSet.empty)
   }
 
+  /** The names bound inside this declaration by `name = ...` bindings and
+    * nested defs, with the region of the statement binding each, in source
+    * order
+    */
+  def localBindings: List[(Bindable, Region)] = {
+    def loop(decl: Declaration, acc: List[(Bindable, Region)]): List[(Bindable, Region)] =
+      decl match {
+        case Annotation(term, _) => loop(term, acc)
+        case Apply(fn, args, _)  =>
+          (fn :: args).foldLeft(acc)((acc0, d) => loop(d, acc0))
+        case ApplyOp(left, _, right) =>
+          loop(right, loop(left, acc))
+        case b @ Binding(BindingStatement(n, v, in)) =>
+          val acc0 = loop(v, n.names.map((_, b.region)) reverse_::: acc)
+          loop(in.padded, acc0)
+        case Comment(c)   => loop(c.on.padded, acc)
+        case CommentNB(c) => loop(c.on.padded, acc)
+        case d @ DefFn(deffn) =>
+          val (body, rest) = deffn.result
+          loop(rest.padded, loop(body.get, (deffn.name, d.region) :: acc))
+        case IfElse(ifCases, elseCase) =>
+          val acc1 = ifCases.foldLeft(acc) { case (acc0, (cond, v)) =>
+            loop(v.get, loop(cond, acc0))
+          }
+          loop(elseCase.get, acc1)
+        case la @ LeftApply(_, _, _, _) =>
+          loop(la.rewrite, acc)
+        case Ternary(t, c, f) =>
+          loop(f, loop(c, loop(t, acc)))
+        case Lambda(_, body) => loop(body, acc)
+        case Literal(_)      => acc
+        case Match(_, typeName, args) =>
+          args.get.foldLeft(loop(typeName, acc)) { case (acc0, (_, res)) =>
+            loop(res.get, acc0)
+          }
+        case Matches(a, _)    => loop(a, acc)
+        case Parens(p)        => loop(p, acc)
+        case TupleCons(items) =>
+          items.foldLeft(acc)((acc0, d) => loop(d, acc0))
+        case Var(_)          => acc
+        case StringDecl(nel) =>
+          nel.foldLeft(acc) {
+            case (acc0, StringDecl.StrExpr(decl))  => loop(decl, acc0)
+            case (acc0, StringDecl.CharExpr(decl)) => loop(decl, acc0)
+            case (acc0, _)                         => acc0
+          }
+        case ListDecl(ListLang.Cons(items)) =>
+          items.foldLeft(acc)((acc0, sori) => loop(sori.value, acc0))
+        case ListDecl(ListLang.Comprehension(ex, _, in, filter)) =>
+          val acc1 = loop(ex.value, loop(in, acc))
+          filter.fold(acc1)(loop(_, acc1))
+        case DictDecl(ListLang.Cons(items)) =>
+          items.foldLeft(acc)((acc0, kv) => loop(kv.value, loop(kv.key, acc0)))
+        case DictDecl(ListLang.Comprehension(ex, _, in, filter)) =>
+          val acc1 = loop(ex.value, loop(ex.key, loop(in, acc)))
+          filter.fold(acc1)(loop(_, acc1))
+        case RecordConstructor(_, args) =>
+          args.foldLeft(acc) {
+            case (acc0, RecordArg.Pair(_, v)) => loop(v, acc0)
+            case (acc0, RecordArg.Simple(_))  => acc0
+          }
+      }
+    loop(this, Nil).reverse
+  }
+
   def replaceRegions(r: Region): Declaration =
     this match {
       case Binding(BindingStatement(n, v, in)) =>
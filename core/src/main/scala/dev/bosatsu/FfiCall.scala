@@ -7,6 +7,10 @@ sealed abstract class FfiCall(val arity: Int) {
 }
 
 object FfiCall {
+  // an external value that isn't a function, e.g. a constant
+  final case class Const(value: Value) extends FfiCall(0) {
+    def call(t: rankn.Type): Value = value
+  }
   final case class Fn1(fn: Value => Value) extends FfiCall(1) {
     import Value.FnValue
 
@@ -37,6 +37,14 @@ object IO {
   case class Capture[A](name: String, value: A, formula: Option[String]) extends IOEffect[A]
   case class Trace() extends IOEffect[String]
   case class RandomInt(min: Int, max: Int) extends IOEffect[Int]
+  case class RandomDouble(low: Double, high: Double) extends IOEffect[Double]
+  case class RandomGaussian(mean: Double, stddev: Double) extends IOEffect[Double]
+  /** Run io drawing from a generator seeded with seed, then go back to the outer one */
+  case class WithSeed[A](seed: BigInteger, io: IOEffect[A]) extends IOEffect[A]
+  case class Sleep(millis: Long) extends IOEffect[Value]
+  case class Now() extends IOEffect[Value]
+  /** An operation the host provides, looked up by name when it runs */
+  case class HostEffect(name: String, arg: Value) extends IOEffect[Value]
 
   /** Provenance node - represents a captured value in the computation trace */
   case class ProvenanceNode(
@@ -53,11 +61,37 @@ object IO {
     root: Long
   )
 
-  /** Runtime interpreter that executes IO and captures provenance */
-  def runWithProvenance[A](io: IOEffect[A], rng: scala.util.Random = new scala.util.Random()): (A, ProvenanceTrace) = {
+  /** Runtime interpreter that executes IO and captures provenance.
+    *
+    * Random effects draw from a SeededRandom; rng only picks its seed, so
+    * outside of WithSeed a fixed rng gives a reproducible run too.
+    *
+    * The interpreter doesn't wait: Sleep moves a virtual clock forward from
+    * the time the run started, and Now reads it. HostEffect runs the function
+    * of that name in hostEffects.
+    */
+  def runWithProvenance[A](
+    io: IOEffect[A],
+    rng: scala.util.Random = new scala.util.Random(),
+    hostEffects: Map[String, Value => Value] = Map.empty
+  ): (A, ProvenanceTrace) = {
     var nodeId = 0L
     val nodes = scala.collection.mutable.Map[Long, ProvenanceNode]()
     var currentDeps: List[Long] = Nil
+    var random = new SeededRandom(rng.nextInt())
+    var clock = System.currentTimeMillis()
+
+    def addNode(name: String, valueStr: String, formula: String): Unit = {
+      val id = { nodeId += 1; nodeId }
+      nodes(id) = ProvenanceNode(
+        id = id,
+        name = name,
+        valueStr = valueStr,
+        dependencies = currentDeps,
+        formula = formula
+      )
+      currentDeps = List(id)  // This value is now a dependency for next
+    }
 
     def valueToString(v: Any): String = v match {
       case VInt(bi) => bi.toString
@@ -84,23 +118,36 @@ object IO {
         val nextIO = f(aVal)
         interpret(nextIO.asInstanceOf[IOEffect[B]])
       case Capture(name, value, formula) =>
-        val id = { nodeId += 1; nodeId }
-        nodes(id) = ProvenanceNode(
-          id = id,
-          name = name,
-          valueStr = valueToString(value),
-          dependencies = currentDeps,
-          formula = formula.getOrElse(name)
-        )
-        currentDeps = List(id)  // This value is now a dependency for next
+        addNode(name, valueToString(value), formula.getOrElse(name))
         value
       case Trace() =>
         // Return current trace as string
         val traceStr = nodes.values.map(n => s"${n.name}=${n.valueStr}").mkString(", ")
         traceStr.asInstanceOf[B]
       case RandomInt(min, max) =>
-        val result = rng.nextInt(max - min + 1) + min
+        val result = random.between(BigInteger.valueOf(min.toLong), BigInteger.valueOf(max.toLong)).intValue
         result.asInstanceOf[B]
+      case RandomDouble(low, high) =>
+        (low + (high - low) * random.nextDouble()).asInstanceOf[B]
+      case RandomGaussian(mean, stddev) =>
+        random.nextGaussian(mean, stddev).asInstanceOf[B]
+      case WithSeed(seed, inner) =>
+        // the seed is recorded so the trace says how to replay the draws
+        addNode("seed", seed.toString, "seed")
+        val outer = random
+        random = new SeededRandom(seed.intValue)
+        try interpret(inner.asInstanceOf[IOEffect[B]])
+        finally random = outer
+      case Sleep(millis) =>
+        clock += math.max(0L, millis)
+        UnitValue.asInstanceOf[B]
+      case Now() =>
+        VInt(BigInteger.valueOf(clock)).asInstanceOf[B]
+      case HostEffect(name, arg) =>
+        hostEffects.get(name) match {
+          case Some(fn) => fn(arg).asInstanceOf[B]
+          case None => throw new IllegalStateException(s"Bosatsu/IO: no host effect named $name")
+        }
     }
 
     val result = interpret(io)
@@ -161,4 +208,34 @@ object IO {
         val maxInt = max match { case VInt(bi) => bi.intValue; case _ => 100 }
         ExternalValue(RandomInt(minInt, maxInt))
       })
+      // random_Double :: Double -> Double -> IO Double
+      .add(packageName, "random_Double", FfiCall.Fn2 { (low, high) =>
+        ExternalValue(RandomDouble(toDouble(low), toDouble(high)))
+      })
+      // random_Gaussian :: Double -> Double -> IO Double
+      .add(packageName, "random_Gaussian", FfiCall.Fn2 { (mean, stddev) =>
+        ExternalValue(RandomGaussian(toDouble(mean), toDouble(stddev)))
+      })
+      // with_seed :: Int -> IO a -> IO a
+      .add(packageName, "with_seed", FfiCall.Fn2 { (seed, ioVal) =>
+        val seedInt = seed match { case VInt(bi) => bi; case _ => BigInteger.ZERO }
+        ExternalValue(WithSeed(seedInt, ioVal.asExternal.toAny.asInstanceOf[IOEffect[Any]]))
+      })
+      // sleep :: Int -> IO Unit
+      .add(packageName, "sleep", FfiCall.Fn1 { millis =>
+        val ms = millis match { case VInt(bi) => bi.longValue; case _ => 0L }
+        ExternalValue(Sleep(ms))
+      })
+      // now :: IO Int
+      .add(packageName, "now", FfiCall.Const(ExternalValue(Now())))
+      // host_effect :: String -> a -> IO b
+      .add(packageName, "host_effect", FfiCall.Fn2 { (name, arg) =>
+        val nameStr = name match { case Str(s) => s; case _ => "?" }
+        ExternalValue(HostEffect(nameStr, arg))
+      })
+
+  private def toDouble(v: Value): Double = v match {
+    case ExternalValue(d: java.lang.Double) => d.doubleValue
+    case _ => 0.0
+  }
 }
@@ -20,7 +20,8 @@ import dev.bosatsu.tool.{
 import dev.bosatsu.cruntime
 import org.typelevel.paiges.Document
 
-import codegen.Transpiler
+import codegen.{CompilationSource, Transpiler}
+import codegen.CompilationNamespace.SourceFile
 
 import Identifier.Bindable
 import LocationMap.Colorize
@@ -380,7 +381,15 @@ class MainModule[IO[_], Path](val platformIO: PlatformIO[IO, Path]) {
           for {
             pn <- inputs.packMap(this, Nil, errColor)
             (packs, names) = pn
-            data <- generator.renderAll(packs)
+            // keep the source text so transpilers can emit source maps
+            sources <- names.traverse { case (path, pack) =>
+              readUtf8(path).map { content =>
+                (pack, SourceFile(pathToString(path), content))
+              }
+            }
+            data <- generator.renderAll(
+              CompilationSource.WithSources(packs, sources.toMap)
+            )
           } yield Output.TranspileOut(data)
         }
     }
@@ -1,6 +1,6 @@
 package dev.bosatsu
 
-import java.math.BigInteger
+import java.math.{BigDecimal, BigInteger, MathContext, RoundingMode}
 
 /** Numeric module with Double type for floating-point arithmetic.
   *
@@ -35,6 +35,39 @@ object Numeric {
       .add(packageName, "eq_Double", FfiCall.Fn2(NumericImpl.eq(_, _)))
       .add(packageName, "neg_Double", FfiCall.Fn1(NumericImpl.neg(_)))
       .add(packageName, "abs_Double", FfiCall.Fn1(NumericImpl.abs(_)))
+      .add(packageName, "sqrt", FfiCall.Fn1(NumericImpl.sqrt(_)))
+      .add(packageName, "pow", FfiCall.Fn2(NumericImpl.pow(_, _)))
+      .add(packageName, "exp", FfiCall.Fn1(NumericImpl.exp(_)))
+      .add(packageName, "log", FfiCall.Fn1(NumericImpl.log(_)))
+      .add(packageName, "sin", FfiCall.Fn1(NumericImpl.sin(_)))
+      .add(packageName, "cos", FfiCall.Fn1(NumericImpl.cos(_)))
+      .add(packageName, "tan", FfiCall.Fn1(NumericImpl.tan(_)))
+      .add(packageName, "atan2", FfiCall.Fn2(NumericImpl.atan2(_, _)))
+      .add(packageName, "floor", FfiCall.Fn1(NumericImpl.floor(_)))
+      .add(packageName, "ceil", FfiCall.Fn1(NumericImpl.ceil(_)))
+      .add(packageName, "round", FfiCall.Fn1(NumericImpl.round(_)))
+      .add(packageName, "min_Double", FfiCall.Fn2(NumericImpl.min(_, _)))
+      .add(packageName, "max_Double", FfiCall.Fn2(NumericImpl.max(_, _)))
+      .add(packageName, "pi", FfiCall.Const(NumericImpl.pi))
+      .add(packageName, "e", FfiCall.Const(NumericImpl.e))
+      .add(packageName, "is_nan", FfiCall.Fn1(NumericImpl.isNaN(_)))
+      .add(packageName, "format_fixed", FfiCall.Fn2(NumericImpl.formatFixed(_, _)))
+      .add(
+        packageName,
+        "format_exponential",
+        FfiCall.Fn2(NumericImpl.formatExponential(_, _))
+      )
+      .add(
+        packageName,
+        "format_currency",
+        FfiCall.Fn3(NumericImpl.formatCurrency(_, _, _))
+      )
+      .add(
+        packageName,
+        "format_percent",
+        FfiCall.Fn3(NumericImpl.formatPercent(_, _, _))
+      )
+      .add(packageName, "string_to_Double", FfiCall.Fn1(NumericImpl.stringToDouble(_)))
 }
 
 object NumericImpl {
@@ -83,4 +116,117 @@ object NumericImpl {
 
   def neg(a: Value): Value = wrap(-d(a))
   def abs(a: Value): Value = wrap(math.abs(d(a)))
+
+  // sqrt, the rounding functions, min and max are exact so they match JS's
+  // Math.* bit for bit; exp, log, pow and the trig functions may differ from
+  // a JS engine's in the last bit
+  def sqrt(a: Value): Value = wrap(math.sqrt(d(a)))
+  def pow(a: Value, b: Value): Value = wrap(math.pow(d(a), d(b)))
+  def exp(a: Value): Value = wrap(math.exp(d(a)))
+  def log(a: Value): Value = wrap(math.log(d(a)))
+  def sin(a: Value): Value = wrap(math.sin(d(a)))
+  def cos(a: Value): Value = wrap(math.cos(d(a)))
+  def tan(a: Value): Value = wrap(math.tan(d(a)))
+  def atan2(y: Value, x: Value): Value = wrap(math.atan2(d(y), d(x)))
+
+  def floor(a: Value): Value = wrap(math.floor(d(a)))
+  def ceil(a: Value): Value = wrap(math.ceil(d(a)))
+
+  /** Halves round up, as JS Math.round: round(-2.5) == -2.0, round(-0.2) == -0.0 */
+  def round(a: Value): Value = {
+    val x = d(a)
+    // at 2^52 and above every Double is already whole
+    if (x.isNaN || math.abs(x) >= 4503599627370496.0) wrap(x)
+    else {
+      val r = math.floor(x)
+      val up = if (x - r >= 0.5) r + 1.0 else r
+      wrap(if (up == 0.0) java.lang.Math.copySign(0.0, x) else up)
+    }
+  }
+
+  def min(a: Value, b: Value): Value = wrap(math.min(d(a), d(b)))
+  def max(a: Value, b: Value): Value = wrap(math.max(d(a), d(b)))
+
+  val pi: Value = wrap(math.Pi)
+  val e: Value = wrap(math.E)
+
+  def isNaN(a: Value): Value = if (d(a).isNaN) True else False
+
+  private def str(v: Value): String = v match {
+    case Str(s) => s
+    case other =>
+      sys.error(s"expected String, got ${other.getClass.getSimpleName}")
+  }
+
+  /** Digits to format with, clamped to 0 to 100 as the JS runtime does */
+  private def digits(v: Value): Int = v match {
+    case VInt(bi) =>
+      bi.max(BigInteger.ZERO).min(BigInteger.valueOf(100)).intValue
+    case other =>
+      sys.error(s"expected Int, got ${other.getClass.getSimpleName}")
+  }
+
+  // NaN and the infinities as JS's String(d)
+  private def nonFinite(x: Double): Option[String] =
+    if (x.isNaN) Some("NaN")
+    else if (x.isInfinite) Some(if (x > 0) "Infinity" else "-Infinity")
+    else None
+
+  /**
+   * JS's toFixed: the exact binary value rounded half away from zero, with
+   * a "-" for negative numbers even when they round to zero (but not -0.0)
+   */
+  def formatFixed(a: Value, n: Value): Value = {
+    val x = d(a)
+    Str(nonFinite(x).getOrElse {
+      val plain = new BigDecimal(math.abs(x))
+        .setScale(digits(n), RoundingMode.HALF_UP)
+        .toPlainString
+      if (x < 0) "-" + plain else plain
+    })
+  }
+
+  /** JS's toExponential: e.g. 1.23e+4, 5.0e-7 and 0.00e+0 */
+  def formatExponential(a: Value, n: Value): Value = {
+    val x = d(a)
+    Str(nonFinite(x).getOrElse {
+      val f = digits(n)
+      val sign = if (x < 0) "-" else ""
+      val (mantissa, exp) =
+        if (x == 0.0) ("0" * (f + 1), 0)
+        else {
+          val rounded = new BigDecimal(math.abs(x))
+            .round(new MathContext(f + 1, RoundingMode.HALF_UP))
+          val ds = rounded.unscaledValue.toString
+          (ds.padTo(f + 1, '0').take(f + 1), rounded.precision - rounded.scale - 1)
+        }
+      val frac = if (f > 0) "." + mantissa.drop(1) else ""
+      val expSign = if (exp < 0) "-" else "+"
+      s"$sign${mantissa.take(1)}${frac}e$expSign${math.abs(exp)}"
+    })
+  }
+
+  def formatCurrency(a: Value, currency: Value, locale: Value): Value = {
+    val x = d(a)
+    val code = str(currency)
+    Str(nonFinite(x).getOrElse {
+      Platform
+        .formatCurrency(x, code, str(locale))
+        .getOrElse(str(formatFixed(a, VInt(2))) + " " + code)
+    })
+  }
+
+  def formatPercent(a: Value, n: Value, locale: Value): Value = {
+    val x = d(a)
+    Str(nonFinite(x).getOrElse(Platform.formatPercent(x, digits(n), str(locale))))
+  }
+
+  private val decimalRegex = "[+-]?(\\d+\\.?\\d*|\\.\\d+)([eE][+-]?\\d+)?".r
+
+  /** A decimal number with nothing around it (see _string_to_Double) */
+  def stringToDouble(s: Value): Value = {
+    val text = str(s)
+    if (decimalRegex.matches(text)) VOption.some(wrap(java.lang.Double.parseDouble(text)))
+    else VOption.none
+  }
 }
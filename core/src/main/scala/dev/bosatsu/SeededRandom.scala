@@ -0,0 +1,85 @@
+package dev.bosatsu
+
+import java.math.BigInteger
+
+/** A seedable xoshiro128** generator, with its four words of state filled in
+  * by splitmix32 from a 32 bit seed.
+  *
+  * This is the generator of the JS runtime's Bosatsu/IO actions (_rng_make
+  * and friends), draw for draw, so a seed replays the same run in the
+  * evaluator and in the browser. Only random_Gaussian can differ, in the last
+  * bit, since it goes through log and cos.
+  */
+final class SeededRandom(seed: Int) {
+  private var s0: Int = 0
+  private var s1: Int = 0
+  private var s2: Int = 0
+  private var s3: Int = 0
+
+  locally {
+    var x = seed
+    def splitmix(): Int = {
+      x += 0x9e3779b9L.toInt
+      var z = (x ^ (x >>> 16)) * 0x21f0aaad
+      z = (z ^ (z >>> 15)) * 0x735a2d97
+      z ^ (z >>> 15)
+    }
+    s0 = splitmix()
+    s1 = splitmix()
+    s2 = splitmix()
+    s3 = splitmix()
+  }
+
+  /** The next 32 random bits */
+  def nextBits(): Int = {
+    val result = Integer.rotateLeft(s1 * 5, 7) * 9
+    val t = s1 << 9
+    s2 ^= s0
+    s3 ^= s1
+    s1 ^= s2
+    s0 ^= s3
+    s2 ^= t
+    s3 = Integer.rotateLeft(s3, 11)
+    result
+  }
+
+  /** A Double in [0, 1) with 53 random bits */
+  def nextDouble(): Double = {
+    val hi = (nextBits() >>> 5).toLong
+    val lo = (nextBits() >>> 6).toLong
+    ((hi << 26) + lo).toDouble / (1L << 53).toDouble
+  }
+
+  /** An integer in [lo, hi], with the bounds in either order.
+    *
+    * It draws as many bits as hi - lo needs and retries when the draw is past
+    * the range, so there is no modulo bias.
+    */
+  def between(lo: BigInteger, hi: BigInteger): BigInteger = {
+    val low = lo.min(hi)
+    val span = lo.max(hi).subtract(low)
+    if (span.signum == 0) low
+    else {
+      val bits = span.bitLength
+      val words = (bits + 31) / 32
+      @annotation.tailrec
+      def draw(): BigInteger = {
+        var v = BigInteger.valueOf(Integer.toUnsignedLong(nextBits()) >>> (32 * words - bits))
+        var i = 1
+        while (i < words) {
+          v = v.shiftLeft(32).or(BigInteger.valueOf(Integer.toUnsignedLong(nextBits())))
+          i += 1
+        }
+        if (v.compareTo(span) <= 0) low.add(v) else draw()
+      }
+      draw()
+    }
+  }
+
+  /** A normal deviate by the Box-Muller transform */
+  def nextGaussian(mean: Double, stddev: Double): Double = {
+    val u1 = 1.0 - nextDouble()
+    val u2 = nextDouble()
+    mean + stddev * math.sqrt(-2.0 * math.log(u1)) * math.cos(2.0 * math.Pi * u2)
+  }
+}
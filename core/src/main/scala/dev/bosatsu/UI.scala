@@ -121,21 +121,65 @@ object UI {
         }
         UnitValue
       })
-      // on_click(handler) -> (String, String)
-      .add(packageName, "on_click", FfiCall.Fn1 { handler =>
-        // Return a tuple marking this as a click handler
-        // The handler ID is embedded in the value
-        val handlerId = s"handler_${System.identityHashCode(handler)}"
-        ProductValue(Array(Str("data-onclick"), Str(handlerId)))
+      // on_<event>(handler) -> (String, String), marking the prop as a
+      // handler of the event with the handler's ID as the value
+      .add(packageName, "on_click", handlerProp("click"))
+      .add(packageName, "on_input", handlerProp("input"))
+      .add(packageName, "on_change", handlerProp("change"))
+      .add(packageName, "on_keydown", handlerProp("keydown"))
+      .add(packageName, "on_keyup", handlerProp("keyup"))
+      .add(packageName, "on_submit", handlerProp("submit"))
+      .add(packageName, "on_focus", handlerProp("focus"))
+      .add(packageName, "on_blur", handlerProp("blur"))
+      .add(packageName, "on_pointerdown", handlerProp("pointerdown"))
+      .add(packageName, "on_pointerup", handlerProp("pointerup"))
+      .add(packageName, "on_pointermove", handlerProp("pointermove"))
+      .add(packageName, "on_wheel", handlerProp("wheel"))
+      // bind_*(state) -> (String, String), one per kind of two-way binding
+      .add(packageName, "bind_value", bindProp)
+      .add(packageName, "bind_int", bindProp)
+      .add(packageName, "bind_double", bindProp)
+      .add(packageName, "bind_optional_int", bindProp)
+      .add(packageName, "bind_optional_double", bindProp)
+      .add(packageName, "bind_checked", bindProp)
+      .add(packageName, "bind_selected", bindProp)
+      // attr(name, value) -> (String, String), left out of the props for None
+      .add(packageName, "attr", FfiCall.Fn2 { (name, value) =>
+        value match {
+          case VOption(Some(v)) => ProductValue(Array(name, v))
+          case _ => ProductValue(Array(name, UnitValue))
+        }
       })
-      // on_input(handler) -> (String, String)
-      .add(packageName, "on_input", FfiCall.Fn1 { handler =>
-        val handlerId = s"handler_${System.identityHashCode(handler)}"
-        ProductValue(Array(Str("data-oninput"), Str(handlerId)))
+      // toggle_attr(name, on) -> (String, String), left out for False
+      .add(packageName, "toggle_attr", FfiCall.Fn2 { (name, on) =>
+        ProductValue(Array(name, if (isTrue(on)) Str("") else UnitValue))
       })
-      // on_change(handler) -> (String, String)
-      .add(packageName, "on_change", FfiCall.Fn1 { handler =>
-        val handlerId = s"handler_${System.identityHashCode(handler)}"
-        ProductValue(Array(Str("data-onchange"), Str(handlerId)))
+      // toggle_class(name, on) -> (String, String), left out for False
+      .add(packageName, "toggle_class", FfiCall.Fn2 { (name, on) =>
+        val key = name match { case Str(s) => Str(s"class.$s"); case other => other }
+        ProductValue(Array(key, if (isTrue(on)) Str("") else UnitValue))
       })
+
+  private def isTrue(v: Value): Boolean =
+    v match {
+      case s: SumValue => s.variant == 1
+      case _ => false
+    }
+
+  /** An event handler prop: the handler ID is embedded in the value */
+  private def handlerProp(eventType: String): FfiCall =
+    FfiCall.Fn1 { handler =>
+      val handlerId = s"handler_${System.identityHashCode(handler)}"
+      ProductValue(Array(Str(s"data-on$eventType"), Str(handlerId)))
+    }
+
+  /** A two-way binding prop: the binding ID is embedded in the value */
+  private def bindProp: FfiCall =
+    FfiCall.Fn1 { state =>
+      val bindingId = state.asExternal.toAny match {
+        case UIState(id, _) => s"binding_$id"
+        case _ => s"binding_${System.identityHashCode(state)}"
+      }
+      ProductValue(Array(Str("data-bind"), Str(bindingId)))
+    }
 }
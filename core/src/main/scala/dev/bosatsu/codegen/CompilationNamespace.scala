@@ -1,7 +1,15 @@
 package dev.bosatsu.codegen
 
 import cats.data.NonEmptyList
-import dev.bosatsu.{PackageName, Identifier, MatchlessFromTypedExpr}
+import dev.bosatsu.{
+  BindingStatement,
+  PackageName,
+  Identifier,
+  LocationMap,
+  MatchlessFromTypedExpr,
+  Package,
+  Statement
+}
 import dev.bosatsu.rankn.Type
 import dev.bosatsu.graph.Toposort
 import scala.collection.immutable.{SortedMap, SortedSet}
@@ -29,4 +37,68 @@ trait CompilationNamespace[K] {
   def treeShake(roots: Set[(PackageName, Identifier)]): CompilationNamespace[K]
 
   def rootPackages: SortedSet[PackageName]
+
+  // the source text of packages compiled from source, when it is known.
+  // transpilers use this to emit source maps
+  def sourceFiles: Map[PackageName, CompilationNamespace.SourceFile] =
+    Map.empty
+
+  // the exported types and values of each package, when they are known.
+  // transpilers use this to emit type declarations
+  def interfaces: Map[PackageName, Package.Interface] = Map.empty
+}
+
+object CompilationNamespace {
+
+  /** A package's source file, as given to the compiler.
+    */
+  final case class SourceFile(path: String, content: String) {
+    lazy val locations: LocationMap = LocationMap(content)
+
+    private lazy val statements: List[Statement.ValueStatement] =
+      Package.parser(None).parseAll(content) match {
+        case Right(pack) => Statement.valuesOf(pack.program).toList
+        case Left(_)     => Nil
+      }
+
+    /** The 0-indexed (line, column) of the statement defining each top level
+      * value
+      */
+    lazy val bindingPositions: Map[Identifier.Bindable, (Int, Int)] =
+      statements.iterator
+        .flatMap { vs =>
+          locations.toLineCol(vs.region.start) match {
+            case Some(lc) => vs.names.map((_, lc))
+            case None     => Nil
+          }
+        }
+        .toMap
+
+    /** For each top level value, the 0-indexed (line, column) of the
+      * statement binding each local name in it: `name = ...` bindings and
+      * nested defs. Names bound more than once in a value are left out,
+      * since the generated code can't tell them apart.
+      */
+    lazy val localPositions
+        : Map[Identifier.Bindable, Map[Identifier.Bindable, (Int, Int)]] =
+      statements.iterator
+        .flatMap { vs =>
+          val body = vs match {
+            case Statement.Bind(BindingStatement(_, decl, _)) => Some(decl)
+            case Statement.Def(defstatement) => Some(defstatement.result.get)
+            case Statement.ExternalDef(_, _, _, _) => None
+          }
+          val locals = body.toList.flatMap(_.localBindings)
+          val once = locals
+            .groupBy(_._1)
+            .iterator
+            .collect { case (name, (_, region) :: Nil) =>
+              locations.toLineCol(region.start).map((name, _))
+            }
+            .flatten
+            .toMap
+          vs.names.map((_, once))
+        }
+        .toMap
+  }
 }
@@ -4,6 +4,7 @@ import cats.data.NonEmptyList
 import dev.bosatsu.{
   Identifier,
   MatchlessFromTypedExpr,
+  Package,
   PackageName,
   PackageMap,
   Par
@@ -32,52 +33,81 @@ object CompilationSource {
   implicit def packageMapSrc[A](implicit
       ec: Par.EC
   ): CompilationSource[PackageMap.Typed[A]] { type ScopeKey = Unit } =
-    new CompilationSource[PackageMap.Typed[A]] { self =>
+    new CompilationSource[PackageMap.Typed[A]] {
       type ScopeKey = Unit
 
       def namespace(pm: PackageMap.Typed[A]): CompilationNamespace[Unit] =
-        new CompilationNamespace[Unit] {
-          implicit val keyOrder: Ordering[ScopeKey] = new Ordering[Unit] {
-            def compare(x: Unit, y: Unit): Int = 0
+        packageMapNamespace(pm, Map.empty)
+    }
+
+  /** A typed PackageMap along with the source files of the packages that were
+    * compiled from source
+    */
+  final case class WithSources[A](
+      packages: PackageMap.Typed[A],
+      sources: Map[PackageName, CompilationNamespace.SourceFile]
+  )
+
+  implicit def withSourcesSrc[A](implicit
+      ec: Par.EC
+  ): CompilationSource[WithSources[A]] { type ScopeKey = Unit } =
+    new CompilationSource[WithSources[A]] {
+      type ScopeKey = Unit
+
+      def namespace(ws: WithSources[A]): CompilationNamespace[Unit] =
+        packageMapNamespace(ws.packages, ws.sources)
+    }
+
+  private def packageMapNamespace[A](
+      pm: PackageMap.Typed[A],
+      sources: Map[PackageName, CompilationNamespace.SourceFile]
+  )(implicit ec: Par.EC): CompilationNamespace[Unit] =
+    new CompilationNamespace[Unit] {
+      implicit val keyOrder: Ordering[Unit] = new Ordering[Unit] {
+        def compare(x: Unit, y: Unit): Int = 0
+      }
+
+      def identOf(k: Unit, pn: PackageName): NonEmptyList[String] = pn.parts
+      def depFor(src: Unit, pn: PackageName): Unit = ()
+      def rootKey: Unit = ()
+
+      lazy val compiled = SortedMap(
+        () -> MatchlessFromTypedExpr.compile((), pm)
+      )
+
+      lazy val topoSort = pm.topoSort.map(p => ((), p))
+
+      lazy val testValues = pm.testValues
+
+      def mainValues(
+          mainTypeFn: Type => Boolean
+      ): Map[PackageName, (Identifier.Bindable, Type)] =
+        pm.toMap.iterator.flatMap { case (n, p) =>
+          val optEval = p.lets.findLast { case (_, _, te) =>
+            // TODO this should really e checking that te.getType <:< a key
+            // in the map.
+            mainTypeFn(te.getType)
+          }
+          optEval.map { case (b, _, te) =>
+            (n, (b, te.getType))
           }
+        }.toMap
+
+      lazy val externals
+          : SortedMap[Unit, Map[PackageName, List[(Identifier.Bindable, Type)]]] =
+        SortedMap(() -> pm.allExternals)
+
+      def treeShake(
+          roots: Set[(PackageName, Identifier)]
+      ): CompilationNamespace[Unit] =
+        packageMapNamespace(PackageMap.treeShake(pm, roots), sources)
+
+      def rootPackages: SortedSet[PackageName] = pm.toMap.keySet
+
+      override def sourceFiles: Map[PackageName, CompilationNamespace.SourceFile] =
+        sources
 
-          def identOf(k: Unit, pn: PackageName): NonEmptyList[String] = pn.parts
-          def depFor(src: Unit, pn: PackageName): Unit = ()
-          def rootKey: Unit = ()
-
-          lazy val compiled = SortedMap(
-            () -> MatchlessFromTypedExpr.compile((), pm)
-          )
-
-          lazy val topoSort = pm.topoSort.map(p => ((), p))
-
-          lazy val testValues = pm.testValues
-
-          def mainValues(
-              mainTypeFn: Type => Boolean
-          ): Map[PackageName, (Identifier.Bindable, Type)] =
-            pm.toMap.iterator.flatMap { case (n, p) =>
-              val optEval = p.lets.findLast { case (_, _, te) =>
-                // TODO this should really e checking that te.getType <:< a key
-                // in the map.
-                mainTypeFn(te.getType)
-              }
-              optEval.map { case (b, _, te) =>
-                (n, (b, te.getType))
-              }
-            }.toMap
-
-          lazy val externals: SortedMap[ScopeKey, Map[PackageName, List[
-            (Identifier.Bindable, Type)
-          ]]] =
-            SortedMap(() -> pm.allExternals)
-
-          def treeShake(
-              roots: Set[(PackageName, Identifier)]
-          ): CompilationNamespace[Unit] =
-            self.namespace(PackageMap.treeShake(pm, roots))
-
-          def rootPackages: SortedSet[PackageName] = pm.toMap.keySet
-        }
+      override lazy val interfaces: Map[PackageName, Package.Interface] =
+        pm.toMap.transform((_, p) => Package.interfaceOf(p))
     }
 }
@@ -49,6 +49,8 @@ object Code {
 
   sealed trait Literal extends Expression derives CanEqual
   case class IntLiteral(value: BigInt) extends Literal
+  // Rendered with the `n` suffix: a JS BigInt, used for Ints outside the safe number range
+  case class BigIntLiteral(value: BigInt) extends Literal
   case class DoubleLiteral(value: Double) extends Literal
   case class StringLiteral(value: String) extends Literal
   case class BoolLiteral(value: Boolean) extends Literal
@@ -74,6 +76,10 @@ object Code {
   }
 
   case class Function(name: Option[String], params: List[String], body: Block) extends Expression
+  // function* name(params) { body }
+  case class GeneratorFunction(name: Option[String], params: List[String], body: Block) extends Expression
+  // yield value, or yield* value when delegating to another generator
+  case class Yield(value: Expression, delegate: Boolean) extends Expression
   case class Call(fn: Expression, args: List[Expression]) extends Expression
   case class PropertyAccess(obj: Expression, prop: String) extends Expression
   case class IndexAccess(obj: Expression, index: Expression) extends Expression
@@ -83,6 +89,10 @@ object Code {
   case class PrefixExpr(op: PrefixOp, expr: Expression) extends Expression
   case class Ternary(cond: Expression, whenTrue: Expression, whenFalse: Expression) extends Expression
   case class NewExpr(constructor: Expression, args: List[Expression]) extends Expression
+  // target = value, as an expression
+  case class AssignExpr(target: Expression, value: Expression) extends Expression
+  // (a, b, c): evaluates each in order, the value is the last
+  case class Comma(items: NonEmptyList[Expression]) extends Expression
 
   sealed abstract class BinOp(val repr: String) {
     val toDoc: Doc = Doc.text(repr)
@@ -165,6 +175,238 @@ object Code {
   def ifThenElse(cond: Expression, thenStmt: Statement, elseStmt: Statement): IfStatement =
     IfStatement(cond, block(thenStmt), Some(Right(block(elseStmt))))
 
+  // Statement lowering
+  //
+  // JsGen builds expressions, so each let, mutable variable, loop and
+  // side effect becomes an immediately invoked arrow function (IIFE).
+  // In a function body the IIFEs in tail position (the returned value,
+  // a const's value, an expression statement and the branches of a
+  // conditional there) can run as statements of the body instead.
+
+  /** An IIFE `(() => { stmts; return result; })()` with no other return */
+  object SimpleIife {
+    def unapply(e: Expression): Option[(List[Statement], Expression)] =
+      e match {
+        case Call(ArrowFunction(Nil, Left(result)), Nil) => Some((Nil, result))
+        case Call(ArrowFunction(Nil, Right(Block(stmts))), Nil) =>
+          stmts.last match {
+            case Return(Some(result)) if !stmts.init.exists(hasReturn) =>
+              Some((stmts.init, result))
+            case _ => None
+          }
+        case _ => None
+      }
+  }
+
+  // does s return from the function it is in
+  private def hasReturn(s: Statement): Boolean =
+    s match {
+      case Return(_) => true
+      case Block(stmts) => stmts.exists(hasReturn)
+      case Statements(items) => items.exists(hasReturn)
+      case IfStatement(_, thenBlock, elseBlock) =>
+        hasReturn(thenBlock) || elseBlock.exists {
+          case Left(elseIf) => hasReturn(elseIf)
+          case Right(elseBlk) => hasReturn(elseBlk)
+        }
+      case WhileLoop(_, body) => hasReturn(body)
+      case ForLoop(_, _, _, body) => hasReturn(body)
+      case TryCatch(t, _, c, f) => hasReturn(t) || hasReturn(c) || f.exists(hasReturn)
+      case _ => false
+    }
+
+  // the names stmts declare in the scope they are in
+  private def declared(stmts: List[Statement]): Set[String] =
+    stmts.iterator.flatMap {
+      case Const(n, _) => n :: Nil
+      case Let(n, _) => n :: Nil
+      case Var(n, _) => n :: Nil
+      case Statements(items) => declared(items).toList
+      case _ => Nil
+    }.toSet
+
+  /**
+   * The names of the identifiers some code refers to. Property names,
+   * object keys and string literals are not references.
+   */
+  def referencedNames(c: Code): Set[String] = {
+    val names = Set.newBuilder[String]
+    def stmt(s: Statement): Unit =
+      s match {
+        case Const(_, v) => expr(v)
+        case Let(_, v) => v.foreach(expr)
+        case Var(_, v) => v.foreach(expr)
+        case Assignment(t, v) => expr(t); expr(v)
+        case IfStatement(cond, thenBlock, elseBlock) =>
+          expr(cond)
+          stmt(thenBlock)
+          elseBlock.foreach {
+            case Left(elseIf) => stmt(elseIf)
+            case Right(elseBlk) => stmt(elseBlk)
+          }
+        case Return(v) => v.foreach(expr)
+        case Block(stmts) => stmts.toList.foreach(stmt)
+        case Statements(items) => items.foreach(stmt)
+        case ExprStatement(e) => expr(e)
+        case Export(n) => names += n
+        case ExportDefault(e) => expr(e)
+        case Import(_, _) => ()
+        case WhileLoop(cond, body) => expr(cond); stmt(body)
+        case ForLoop(init, cond, update, body) =>
+          init.foreach(stmt)
+          cond.foreach(expr)
+          update.foreach(expr)
+          stmt(body)
+        case Throw(v) => expr(v)
+        case TryCatch(t, _, c, f) => stmt(t); stmt(c); f.foreach(stmt)
+      }
+    def expr(e: Expression): Unit =
+      e match {
+        case Ident(n) => names += n
+        case _: Literal => ()
+        case ArrowFunction(_, body) => body.fold(expr, stmt)
+        case Function(_, _, body) => stmt(body)
+        case GeneratorFunction(_, _, body) => stmt(body)
+        case Yield(v, _) => expr(v)
+        case Call(fn, args) => expr(fn); args.foreach(expr)
+        case PropertyAccess(obj, _) => expr(obj)
+        case IndexAccess(obj, index) => expr(obj); expr(index)
+        case ArrayLiteral(items) => items.foreach(expr)
+        case ObjectLiteral(props) => props.foreach { case (_, v) => expr(v) }
+        case BinExpr(l, _, r) => expr(l); expr(r)
+        case PrefixExpr(_, v) => expr(v)
+        case Ternary(c, t, f) => expr(c); expr(t); expr(f)
+        case NewExpr(ctor, args) => expr(ctor); args.foreach(expr)
+        case AssignExpr(t, v) => expr(t); expr(v)
+        case Comma(items) => items.toList.foreach(expr)
+      }
+    c match {
+      case s: Statement => stmt(s)
+      case e: Expression => expr(e)
+    }
+    names.result()
+  }
+
+  // expressions that can be dropped when their value is unused
+  private def isPure(e: Expression): Boolean =
+    e match {
+      case _: Ident | _: Literal => true
+      case ArrayLiteral(items) => items.forall(isPure)
+      case _ => false
+    }
+
+  private def needsLowering(e: Expression): Boolean =
+    e match {
+      case SimpleIife(_, _) | Comma(_) => true
+      case Ternary(SimpleIife(_, _), _, _) => true
+      case Ternary(_, t, f) => needsLowering(t) || needsLowering(f)
+      case _ => false
+    }
+
+  private def toBlock(stmts: List[Statement]): Block =
+    Block(NonEmptyList.fromListUnsafe(stmts))
+
+  /**
+   * The body of a function with the given params returning e, with the
+   * IIFEs in tail position lowered to statements. The params are already
+   * declared in the body, so an IIFE declaring one keeps its own block.
+   */
+  def returnBlock(params: List[String], e: Expression): Block =
+    toBlock(lowerTo(e, params.toSet, r => Return(Some(r)) :: Nil))
+
+  /** A function body that is a single return is an arrow function expression */
+  def functionBody(b: Block): Either[Expression, Block] =
+    b match {
+      case Block(NonEmptyList(Return(Some(result)), Nil)) => Left(result)
+      case _ => Right(b)
+    }
+
+  /**
+   * Lower e in a block that already declares scope, then pass the value
+   * to finish. An IIFE declaring a name in scope keeps its own block.
+   * JsGen gives each binding its own name, so that is only a safeguard.
+   */
+  private def lowerTo(
+      e: Expression,
+      scope: Set[String],
+      finish: Expression => List[Statement]
+  ): List[Statement] =
+    e match {
+      case SimpleIife(stmts, result) =>
+        if ((declared(stmts) & scope).isEmpty) {
+          val lowered = lowerAll(stmts, scope)
+          lowered ::: lowerTo(result, scope ++ declared(lowered), finish)
+        } else {
+          toBlock(lowerAll(stmts, Set.empty) ::: lowerTo(result, Set.empty, finish)) :: Nil
+        }
+      case Comma(items) =>
+        val effects = items.init.filterNot(isPure).map(ExprStatement(_))
+        val lowered = lowerAll(effects, scope)
+        lowered ::: lowerTo(items.last, scope ++ declared(lowered), finish)
+      case Ternary(cond @ SimpleIife(_, _), whenTrue, whenFalse) =>
+        // the condition runs first, so its statements can too
+        lowerTo(cond, scope, c => lowerTo(Ternary(c, whenTrue, whenFalse), scope, finish))
+      case Ternary(cond, whenTrue, whenFalse) if needsLowering(e) =>
+        val elseBranch: Either[IfStatement, Block] =
+          lowerTo(whenFalse, scope, finish) match {
+            case (elseIf: IfStatement) :: Nil => Left(elseIf)
+            case stmts => Right(toBlock(stmts))
+          }
+        IfStatement(cond, toBlock(lowerTo(whenTrue, scope, finish)), Some(elseBranch)) :: Nil
+      case _ => finish(e)
+    }
+
+  // lower the statements of a block that already declares scope
+  private def lowerAll(stmts: List[Statement], scope: Set[String]): List[Statement] = {
+    val allScope = scope ++ declared(stmts)
+    stmts.flatMap(lowerStmt(_, allScope))
+  }
+
+  private def lowerBlock(b: Block): Block =
+    toBlock(lowerAll(b.statements.toList, Set.empty))
+
+  private def lowerIf(i: IfStatement): IfStatement =
+    IfStatement(
+      i.cond,
+      lowerBlock(i.thenBlock),
+      i.elseBlock.map {
+        case Left(elseIf) => Left(lowerIf(elseIf))
+        case Right(elseBlk) => Right(lowerBlock(elseBlk))
+      }
+    )
+
+  private def lowerStmt(s: Statement, scope: Set[String]): List[Statement] =
+    s match {
+      case Const(name, SimpleIife(stmts, result)) if (declared(stmts) & scope).isEmpty =>
+        val lowered = lowerAll(stmts, scope)
+        lowered ::: lowerStmt(Const(name, result), scope ++ declared(lowered))
+      case Const(name, value) if needsLowering(value) =>
+        Let(name, None) :: lowerTo(value, scope, v => Assignment(Ident(name), v) :: Nil)
+      case Let(name, Some(value)) if needsLowering(value) =>
+        Let(name, None) :: lowerTo(value, scope, v => Assignment(Ident(name), v) :: Nil)
+      case Assignment(target, value) if needsLowering(value) =>
+        lowerTo(value, scope, v => Assignment(target, v) :: Nil)
+      case Return(Some(value)) =>
+        lowerTo(value, scope, v => Return(Some(v)) :: Nil)
+      case ExprStatement(value) =>
+        val lowered = lowerTo(value, scope, v => ExprStatement(v) :: Nil)
+        // the values of effects are unused
+        lowered.filterNot {
+          case ExprStatement(v) => isPure(v)
+          case _ => false
+        } match {
+          case Nil => lowered
+          case nonEmpty => nonEmpty
+        }
+      case Statements(items) => lowerAll(items, scope)
+      case b: Block => lowerBlock(b) :: Nil
+      case i: IfStatement => lowerIf(i) :: Nil
+      case WhileLoop(cond, body) => WhileLoop(cond, lowerBlock(body)) :: Nil
+      case ForLoop(init, cond, update, body) => ForLoop(init, cond, update, lowerBlock(body)) :: Nil
+      case TryCatch(t, v, c, f) => TryCatch(lowerBlock(t), v, lowerBlock(c), f.map(lowerBlock)) :: Nil
+      case _ => s :: Nil
+    }
+
   // Rendering
   private val leftParen = Doc.char('(')
   private val rightParen = Doc.char(')')
@@ -196,6 +438,9 @@ object Code {
   private val finallyDoc = Doc.text("finally ")
   private val newDoc = Doc.text("new ")
   private val functionDoc = Doc.text("function")
+  private val generatorDoc = Doc.text("function*")
+  private val yieldDoc = Doc.text("yield ")
+  private val yieldStarDoc = Doc.text("yield* ")
   private val nullDoc = Doc.text("null")
   private val undefinedDoc = Doc.text("undefined")
   private val trueDoc = Doc.text("true")
@@ -220,7 +465,7 @@ object Code {
     def unapply(e: Expression): Option[Expression] =
       e match {
         case _: Ident | _: Literal | _: Call | _: PropertyAccess |
-             _: IndexAccess | _: ArrayLiteral | _: ObjectLiteral => Some(e)
+             _: IndexAccess | _: ArrayLiteral | _: ObjectLiteral | _: Comma => Some(e)
         case _ => None
       }
   }
@@ -248,6 +493,9 @@ object Code {
     case IntLiteral(v) =>
       if (v < 0) par(Doc.text(v.toString))
       else Doc.text(v.toString)
+    case BigIntLiteral(v) =>
+      if (v < 0) par(Doc.text(v.toString + "n"))
+      else Doc.text(v.toString + "n")
     case DoubleLiteral(v) =>
       // Ensure double always has decimal point (JS toString may omit it for whole numbers)
       val str = v.toString
@@ -279,11 +527,21 @@ object Code {
       val paramsDoc = par(Doc.intercalate(commaSpace, params.map(Doc.text)))
       functionDoc + nameDoc + paramsDoc + Doc.space + toDoc(body)
 
+    case GeneratorFunction(name, params, body) =>
+      val nameDoc = name.map(n => Doc.text(" " + n)).getOrElse(Doc.empty)
+      val paramsDoc = par(Doc.intercalate(commaSpace, params.map(Doc.text)))
+      generatorDoc + nameDoc + paramsDoc + Doc.space + toDoc(body)
+
+    case Yield(value, delegate) =>
+      // yield binds looser than every operator, so always parenthesize it
+      par((if (delegate) yieldStarDoc else yieldDoc) + toDoc(value))
+
     case Call(fn, args) =>
       val fnDoc = fn match {
         case Tight(e) => toDoc(e)
         case ArrowFunction(_, _) => par(toDoc(fn))
         case Function(_, _, _) => par(toDoc(fn))
+        case GeneratorFunction(_, _, _) => par(toDoc(fn))
         case _ => toDoc(fn)
       }
       fnDoc + par(Doc.intercalate(commaSpace, args.map(toDoc)).grouped.nested(2))
@@ -350,6 +608,18 @@ object Code {
       val ctorDoc = toDoc(constructor)
       newDoc + ctorDoc + par(Doc.intercalate(commaSpace, args.map(toDoc)))
 
+    case AssignExpr(target, value) =>
+      toDoc(target) + assign + toDoc(value)
+
+    case Comma(items) =>
+      val itemDocs = items.toList.map {
+        case c @ Comma(_) => toDoc(c)
+        case a @ AssignExpr(_, _) => toDoc(a)
+        case Tight(e) => toDoc(e)
+        case e => par(toDoc(e))
+      }
+      par(Doc.intercalate(commaSpace, itemDocs))
+
     // Statements
     case Const(name, value) =>
       constDoc + Doc.text(name) + assign + toDoc(value) + semicolon
@@ -0,0 +1,197 @@
+package dev.bosatsu.codegen.js
+
+import dev.bosatsu.{ExportedName, Identifier, Kind, Package, PackageName, Referant, TypeName}
+import dev.bosatsu.rankn.{ConstructorFn, DataFamily, DefinedType, Type}
+
+/**
+ * TypeScript declarations (index.d.ts) for the package modules the js
+ * transpiler writes.
+ *
+ * The declared types follow the runtime representation JsGen uses: a struct
+ * is an array of its fields, an enum is an array whose first element is the
+ * variant index, Nat-like types are numbers, Int is a number or a bigint and
+ * String and Char are strings. Types whose representation isn't visible
+ * (external types, or types exported without their constructors) are
+ * declared as opaque brands.
+ */
+object DtsGen {
+
+  // external types of the standard library with a known JS representation
+  private val builtinTypes: Map[Type.Const.Defined, String] =
+    Map(
+      Type.IntType.tpe.toDefined -> "number | bigint",
+      Type.StrType.tpe.toDefined -> "string",
+      Type.CharType.tpe.toDefined -> "string",
+      Type.DoubleType.tpe.toDefined -> "number"
+    )
+
+  /**
+   * The name a type from another package is imported as,
+   * e.g. Bosatsu/Predef::List becomes Bosatsu_Predef$List
+   */
+  def importedName(pack: PackageName, name: TypeName): String =
+    s"${JsGen.escapePackage(pack)}$$${name.asString}"
+
+  private def exportedTypes(
+      iface: Package.Interface
+  ): Map[TypeName, DefinedType[Kind.Arg]] =
+    iface.exports.iterator.collect {
+      case ExportedName.TypeName(n, Referant.DefinedT(dt)) => (TypeName(n), dt)
+    }.toMap
+
+  /**
+   * Render the index.d.ts of pack.
+   *
+   * @param values the values the package's JS module exports; only those
+   *   that are also in the package's interface are declared
+   * @param interfaces the interfaces of every package, used to resolve
+   *   the types pack refers to
+   */
+  def render(
+      pack: PackageName,
+      values: Set[Identifier.Bindable],
+      interfaces: Map[PackageName, Package.Interface]
+  ): String = {
+    val iface = interfaces.get(pack)
+    val localTypes = iface.fold(Map.empty[TypeName, DefinedType[Kind.Arg]])(exportedTypes)
+
+    // types whose constructors are exported get a structural declaration
+    val withConstructors: Set[TypeName] =
+      iface.toList.flatMap(_.exports).collect {
+        case ExportedName.Constructor(_, Referant.Constructor(dt, _)) => dt.name
+      }.toSet
+
+    val declaredValues: List[(Identifier.Bindable, Type)] =
+      iface.toList.flatMap(_.exports).collect {
+        case ExportedName.Binding(n, Referant.Value(t)) if values(n) => (n, t)
+      }
+
+    val declaredTypes: List[(TypeName, DefinedType[Kind.Arg])] =
+      localTypes.toList.sortBy(_._1)
+
+    def isStructural(name: TypeName, dt: DefinedType[Kind.Arg]): Boolean =
+      dt.packageName == pack && !dt.isOpaque && withConstructors(name) &&
+        !builtinTypes.contains(dt.toTypeConst)
+
+    // the DefinedType a reference resolves to, if pack can see it
+    def visible(c: Type.Const.Defined): Option[DefinedType[Kind.Arg]] =
+      if (c.packageName == pack) localTypes.get(c.name)
+      else interfaces.get(c.packageName).flatMap(exportedTypes(_).get(c.name))
+
+    def typeRef(c: Type.Const.Defined, args: List[Type], scope: Set[String]): String =
+      builtinTypes.get(c) match {
+        case Some(ts) => ts
+        case None =>
+          visible(c) match {
+            case Some(dt) if dt.typeParams.length == args.length =>
+              val name =
+                if (c.packageName == pack) c.name.asString
+                else importedName(c.packageName, c.name)
+              if (args.isEmpty) name
+              else args.map(tsType(_, scope)).mkString(s"$name<", ", ", ">")
+            case _ => "unknown"
+          }
+      }
+
+    def function(
+        vars: List[Type.Var.Bound],
+        args: List[Type],
+        res: Type,
+        scope: Set[String]
+    ): String = {
+      val scope1 = scope ++ vars.map(_.name)
+      val generics = if (vars.isEmpty) "" else vars.map(_.name).mkString("<", ", ", ">")
+      val params = args.zipWithIndex.map { case (t, i) => s"arg$i: ${tsType(t, scope1)}" }
+      s"$generics(${params.mkString(", ")}) => ${tsType(res, scope1)}"
+    }
+
+    def tsType(t: Type, scope: Set[String]): String =
+      t match {
+        case Type.ForAll(vars, Type.Fun(args, res)) =>
+          function(vars.toList.map(_._1), args.toList, res, scope)
+        case Type.Fun(args, res) => function(Nil, args.toList, res, scope)
+        case _: Type.Quantified =>
+          // TypeScript can only quantify functions
+          "unknown"
+        case Type.TyVar(Type.Var.Bound(n)) if scope(n) => n
+        case Type.TyVar(_) | Type.TyMeta(_) => "unknown"
+        case rho =>
+          Type.unapplyAll(rho) match {
+            case (Type.TyConst(c), args) => typeRef(c.toDefined, args, scope)
+            case _                       => "unknown"
+          }
+      }
+
+    def typeDecl(name: TypeName, dt: DefinedType[Kind.Arg]): String = {
+      val params = dt.typeParams.map(_.name)
+      val scope = params.toSet
+      val lhs =
+        if (params.isEmpty) name.asString
+        else params.mkString(s"${name.asString}<", ", ", ">")
+
+      def fields(cf: ConstructorFn): List[String] =
+        cf.args.map { case (n, t) => s"${JsGen.escape(n).name}: ${tsType(t, scope)}" }
+
+      val rhs =
+        builtinTypes.get(dt.toTypeConst) match {
+          case Some(ts) => ts
+          case None if dt.packageName != pack =>
+            // re-exported from another package
+            typeRef(dt.toTypeConst, params.map(p => Type.TyVar(Type.Var.Bound(p))), scope)
+          case None if !isStructural(name, dt) =>
+            s"""{ readonly __opaque: "${pack.asString}::${name.asString}" }"""
+          case None =>
+            dt.dataFamily match {
+              case DataFamily.Nat => "number"
+              case DataFamily.Struct | DataFamily.NewType =>
+                fields(dt.constructors.head).mkString("[", ", ", "]")
+              case DataFamily.Enum =>
+                dt.constructors.zipWithIndex
+                  .map { case (cf, idx) =>
+                    val fs = fields(cf)
+                    val tag = if (cf.args.exists(_._1 == Identifier.Name("tag"))) "$tag" else "tag"
+                    (s"$tag: $idx" :: fs).mkString("[", ", ", "]")
+                  }
+                  .mkString(" | ")
+            }
+        }
+
+      s"export type $lhs = $rhs;"
+    }
+
+    // other packages' types that the declarations refer to
+    val referencedTypes: List[Type] =
+      declaredValues.map(_._2) ++ declaredTypes.flatMap { case (name, dt) =>
+        if (isStructural(name, dt)) dt.constructors.flatMap(_.args.map(_._2))
+        else if (dt.packageName != pack) dt.toTypeTyConst :: Nil
+        else Nil
+      }
+    val imports: List[String] =
+      Type
+        .allConsts(referencedTypes)
+        .map(_.tpe.toDefined)
+        .distinct
+        .filter { c =>
+          c.packageName != pack && !builtinTypes.contains(c) && visible(c).isDefined
+        }
+        .groupBy(_.packageName)
+        .toList
+        .sortBy(_._1)
+        .map { case (dep, consts) =>
+          val names = consts.map(_.name).sorted.map { n =>
+            s"${n.asString} as ${importedName(dep, n)}"
+          }
+          val path = "../" * pack.parts.length + dep.parts.toList.mkString("/") + "/index.js"
+          s"""import type { ${names.mkString(", ")} } from "$path";"""
+        }
+
+    val typeLines = declaredTypes.map { case (n, dt) => typeDecl(n, dt) }
+    val valueLines = declaredValues.map { case (n, t) =>
+      s"export declare const ${JsGen.escape(n).name}: ${tsType(t, Set.empty)};"
+    }
+
+    val sections = List(imports, typeLines, valueLines).filter(_.nonEmpty)
+    if (sections.isEmpty) "export {};\n"
+    else sections.map(_.mkString("\n")).mkString("", "\n\n", "\n")
+  }
+}
@@ -0,0 +1,139 @@
+package dev.bosatsu.codegen.js
+
+import dev.bosatsu.{ExportedName, Identifier, Kind, Package, PackageName, Referant, TypeName}
+import dev.bosatsu.rankn.{DataFamily, DefinedType, Type}
+
+/**
+ * Converters for the *.interop.js facades, which let JS call a package's
+ * exported values with plain JS data: arrays for List, booleans for Bool,
+ * null or the value for Option, objects keyed by field name for structs and
+ * strings for String. Values of other types (enums, opaque types, type
+ * variables) pass through in the Bosatsu representation.
+ */
+object InteropGen {
+
+  sealed abstract class Direction derives CanEqual {
+    def flip: Direction =
+      this match {
+        case Direction.ToJs   => Direction.FromJs
+        case Direction.FromJs => Direction.ToJs
+      }
+  }
+  object Direction {
+    // a Bosatsu value passed out to JS
+    case object ToJs extends Direction
+    // a JS value passed in to Bosatsu
+    case object FromJs extends Direction
+  }
+
+  private def exportedWithConstructors(
+      iface: Package.Interface
+  ): Map[TypeName, DefinedType[Kind.Arg]] = {
+    val withCons = iface.exports.iterator.collect {
+      case ExportedName.Constructor(_, Referant.Constructor(dt, _)) => dt.name
+    }.toSet
+    iface.exports.iterator.collect {
+      case ExportedName.TypeName(n, Referant.DefinedT(dt)) if withCons(dt.name) =>
+        (TypeName(n), dt)
+    }.toMap
+  }
+
+  /**
+   * The JS expression of a converter for values of type t, or None when
+   * the values need no conversion.
+   *
+   * @param interfaces used to find the fields of structs; structs whose
+   *   constructors aren't exported are left as they are
+   */
+  def converter(
+      t: Type,
+      dir: Direction,
+      interfaces: Map[PackageName, Package.Interface]
+  ): Option[Code.Expression] = {
+    def struct(c: Type.Const.Defined): Option[DefinedType[Kind.Arg]] =
+      interfaces
+        .get(c.packageName)
+        .flatMap(exportedWithConstructors(_).get(c.name))
+        .filter { dt =>
+          (dt.dataFamily == DataFamily.Struct) || (dt.dataFamily == DataFamily.NewType)
+        }
+
+    def orId(c: Option[Code.Expression]): Code.Expression =
+      c.getOrElse(Code.Ident("_interop_id"))
+
+    def fn(args: List[Type], res: Type, visiting: Set[Type.Const.Defined]): Option[Code.Expression] = {
+      val argConvs = args.map(loop(_, dir.flip, visiting))
+      val resConv = loop(res, dir, visiting)
+      if (argConvs.forall(_.isEmpty) && resConv.isEmpty) None
+      else Some(Code.Ident("_interop_fn")(Code.ArrayLiteral(argConvs.map(orId)), orId(resConv)))
+    }
+
+    def loop(t: Type, dir: Direction, visiting: Set[Type.Const.Defined]): Option[Code.Expression] = {
+      def withDir(toJs: String, fromJs: String): Code.Ident =
+        dir match {
+          case Direction.ToJs   => Code.Ident(toJs)
+          case Direction.FromJs => Code.Ident(fromJs)
+        }
+
+      t match {
+        case Type.ForAll(_, Type.Fun(args, res)) => fn(args.toList, res, visiting)
+        case Type.Fun(args, res)                 => fn(args.toList, res, visiting)
+        case _: Type.Quantified | Type.TyVar(_) | Type.TyMeta(_) => None
+        case rho =>
+          Type.unapplyAll(rho) match {
+            case (Type.TyConst(Type.BoolType.tpe), Nil) =>
+              Some(withDir("_interop_bool_to_js", "_interop_bool_from_js"))
+            case (Type.TyConst(Type.IntType.tpe), Nil) =>
+              // JS numbers outside the safe range become BigInts
+              if (dir == Direction.FromJs) Some(Code.Ident("_interop_int_from_js")) else None
+            case (Type.TyConst(Type.ListType.tpe), item :: Nil) =>
+              val conv = orId(loop(item, dir, visiting))
+              Some(withDir("_interop_list_to_js", "_interop_list_from_js")(conv))
+            case (Type.TyConst(Type.OptionType.tpe), item :: Nil) =>
+              val conv = orId(loop(item, dir, visiting))
+              Some(withDir("_interop_option_to_js", "_interop_option_from_js")(conv))
+            case (Type.TyConst(c), args) if !visiting(c.toDefined) =>
+              val cd = c.toDefined
+              struct(cd).filter(_.typeParams.length == args.length).map { dt =>
+                val cf = dt.constructors.head
+                val fieldTypes = cf.args.map(_._2)
+                val substituted =
+                  if (args.isEmpty) fieldTypes
+                  else {
+                    val env: Map[Type.Var, Type] = dt.typeParams.zip(args).toMap
+                    fieldTypes.map(Type.substituteVar(_, env))
+                  }
+                val names = cf.args.map { case (n, _) => Code.StringLiteral(n.asString) }
+                // a struct that contains itself is left as it is below the first level
+                val convs = substituted.map(ft => orId(loop(ft, dir, visiting + cd)))
+                withDir("_interop_struct_to_js", "_interop_struct_from_js")(
+                  Code.ArrayLiteral(names),
+                  Code.ArrayLiteral(convs)
+                )
+              }
+            case _ =>
+              // String and Char are native strings; everything else keeps
+              // its Bosatsu representation
+              None
+          }
+      }
+    }
+
+    loop(t, dir, Set.empty)
+  }
+
+  /**
+   * The exported values of pack that its JS module defines, each with the
+   * converter that turns it into its plain JS form (None when it needs
+   * none).
+   */
+  def exports(
+      pack: PackageName,
+      values: Set[Identifier.Bindable],
+      interfaces: Map[PackageName, Package.Interface]
+  ): List[(Identifier.Bindable, Option[Code.Expression])] =
+    interfaces.get(pack).toList.flatMap(_.exports).collect {
+      case ExportedName.Binding(n, Referant.Value(t)) if values(n) =>
+        (n, converter(t, Direction.ToJs, interfaces))
+    }
+}
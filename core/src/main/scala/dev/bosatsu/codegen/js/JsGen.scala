@@ -54,7 +54,9 @@ object JsGen {
       bindings: Map[Bindable, List[Code.Ident]],
       nextTmp: Long,
       anonNames: Map[Long, Code.Ident],
-      usedNames: Set[String] = Set.empty  // Track all names ever used to prevent shadowing
+      usedNames: Set[String] = Set.empty,  // Track all names ever used to prevent shadowing
+      // Top level values of packages referenced so far, so modules can import them
+      globals: Set[(PackageName, Bindable)] = Set.empty
     ) {
       def bind(b: Bindable): (EnvState, Code.Ident) = {
         val baseIdent = escape(b)
@@ -95,6 +97,9 @@ object JsGen {
         }
       }
 
+      def useGlobal(pack: PackageName, name: Bindable): (EnvState, Code.Ident) =
+        (copy(globals = globals + ((pack, name))), qualifiedName(pack, name))
+
       def getNextTmp: (EnvState, Long) = {
         val id = nextTmp
         (copy(nextTmp = nextTmp + 1), id)
@@ -126,6 +131,7 @@ object JsGen {
     def bindWithIdent(b: Bindable, ident: Code.Ident): Env[Unit] = env(_.bindWithIdent(b, ident))
     def deref(b: Bindable): Env[Code.Ident] = read(_.deref(b))
     def unbind(b: Bindable): Env[Unit] = env(s => (s.unbind(b), ()))
+    def useGlobal(pack: PackageName, name: Bindable): Env[Code.Ident] = env(_.useGlobal(pack, name))
     def newTmp: Env[Code.Ident] = env { s =>
       val (s1, id) = s.getNextTmp
       (s1, Code.Ident(s"_tmp$id"))
@@ -228,19 +234,23 @@ object JsGen {
     /** Map of intrinsic function names to (implementation, arity) */
     val results: Map[Bindable, (IntrinsicFn, Int)] = Map(
       // Arithmetic
-      Identifier.unsafeBindable("add") -> ((args: List[Code.Expression]) => args.head + args(1), 2),
-      Identifier.unsafeBindable("sub") -> ((args: List[Code.Expression]) => args.head - args(1), 2),
-      Identifier.unsafeBindable("times") -> ((args: List[Code.Expression]) => args.head * args(1), 2),
+      // Int is unbounded: the runtime keeps safe integers as JS numbers and
+      // promotes to BigInt on overflow, so these go through _int_* helpers
+      Identifier.unsafeBindable("add") -> ((args: List[Code.Expression]) =>
+        Code.Call(Code.Ident("_int_add"), args), 2),
+      Identifier.unsafeBindable("sub") -> ((args: List[Code.Expression]) =>
+        Code.Call(Code.Ident("_int_sub"), args), 2),
+      Identifier.unsafeBindable("times") -> ((args: List[Code.Expression]) =>
+        Code.Call(Code.Ident("_int_times"), args), 2),
       Identifier.unsafeBindable("div") -> ((args: List[Code.Expression]) =>
-        // Division by zero returns 0, use Math.trunc for integer division
-        Code.Ternary(args(1),
-          Code.Call(Code.Ident("Math").dot("trunc"), List(Code.BinExpr(args.head, Code.BinOp.Div, args(1)))),
-          Code.IntLiteral(0)), 2),
+        // Floor division, division by zero returns 0
+        Code.Call(Code.Ident("_int_div"), args), 2),
       Identifier.unsafeBindable("mod_Int") -> ((args: List[Code.Expression]) =>
-        // Mod by zero returns the original value
-        Code.Ternary(args(1), Code.BinExpr(args.head, Code.BinOp.Mod, args(1)), args.head), 2),
+        // Floor modulus (sign of the divisor), mod by zero returns the original value
+        Code.Call(Code.Ident("_int_mod"), args), 2),
 
       // Comparison
+      // Ints are canonical (numbers when safe, BigInt otherwise) so === and < work directly
       Identifier.unsafeBindable("cmp_Int") -> (cmpFn, 2),
       Identifier.unsafeBindable("eq_Int") -> ((args: List[Code.Expression]) =>
         // Return [1] for true (Some), [0] for false (None) to match Bosatsu Bool
@@ -248,23 +258,22 @@ object JsGen {
           Code.ArrayLiteral(List(Code.IntLiteral(0)))), 2),
 
       // Bitwise
+      // JS number bitwise ops wrap at 32 bits, the helpers fall back to BigInt
       Identifier.unsafeBindable("shift_left_Int") -> ((args: List[Code.Expression]) =>
-        Code.BinExpr(args.head, Code.BinOp.BitShiftLeft, args(1)), 2),
+        Code.Call(Code.Ident("_int_shift_left"), args), 2),
       Identifier.unsafeBindable("shift_right_Int") -> ((args: List[Code.Expression]) =>
-        Code.BinExpr(args.head, Code.BinOp.BitShiftRight, args(1)), 2),
+        Code.Call(Code.Ident("_int_shift_right"), args), 2),
       Identifier.unsafeBindable("and_Int") -> ((args: List[Code.Expression]) =>
-        Code.BinExpr(args.head, Code.BinOp.BitAnd, args(1)), 2),
+        Code.Call(Code.Ident("_int_and"), args), 2),
       Identifier.unsafeBindable("or_Int") -> ((args: List[Code.Expression]) =>
-        Code.BinExpr(args.head, Code.BinOp.BitOr, args(1)), 2),
+        Code.Call(Code.Ident("_int_or"), args), 2),
       Identifier.unsafeBindable("xor_Int") -> ((args: List[Code.Expression]) =>
-        Code.BinExpr(args.head, Code.BinOp.BitXor, args(1)), 2),
+        Code.Call(Code.Ident("_int_xor"), args), 2),
       Identifier.unsafeBindable("not_Int") -> ((args: List[Code.Expression]) =>
-        Code.PrefixExpr(Code.PrefixOp.BitNot, args.head), 1),
+        Code.Call(Code.Ident("_int_not"), args), 1),
 
       // GCD using Euclidean algorithm
       Identifier.unsafeBindable("gcd_Int") -> ((args: List[Code.Expression]) =>
-        // Inline a simple GCD: we'll use a helper function
-        // For now, just use a simple IIFE with while loop
         Code.Call(Code.Ident("_gcd"), args), 2),
 
       // int_loop(i, state, fn) - countdown loop with accumulator
@@ -272,11 +281,10 @@ object JsGen {
         Code.Call(Code.Ident("_int_loop"), args), 3),
 
       // String operations
+      // Bosatsu strings are native JS strings
       Identifier.unsafeBindable("concat_String") -> ((args: List[Code.Expression]) =>
-        // Bosatsu strings are linked lists, need to convert and concat
         Code.Call(Code.Ident("_concat_String"), args), 1),
       Identifier.unsafeBindable("int_to_String") -> ((args: List[Code.Expression]) =>
-        // Convert int to string, then to Bosatsu string list
         Code.Call(Code.Ident("_int_to_String"), args), 1),
       Identifier.unsafeBindable("string_to_Int") -> ((args: List[Code.Expression]) =>
         Code.Call(Code.Ident("_string_to_Int"), args), 1),
@@ -360,11 +368,11 @@ object JsGen {
 
       // Conversion (use Name for regular identifiers)
       Identifier.Name("from_Int") -> ((args: List[Code.Expression]) =>
-        // JS numbers are already floats, no conversion needed
-        args.head, 1),
+        // Ints may be BigInt above 2^53, Number handles both representations
+        Code.Call(Code.Ident("Number"), List(args.head)), 1),
       Identifier.Name("to_Int") -> ((args: List[Code.Expression]) =>
-        // Truncate to integer
-        Code.Call(Code.Ident("Math").dot("trunc"), List(args.head)), 1),
+        // Truncate to integer, NaN and infinities follow the JVM's Double.toLong
+        Code.Call(Code.Ident("_double_to_Int"), List(args.head)), 1),
 
       // Comparison
       Identifier.Name("cmp_Double") -> (cmpDoubleFn, 2),
@@ -376,9 +384,46 @@ object JsGen {
       Identifier.Name("neg_Double") -> ((args: List[Code.Expression]) =>
         Code.PrefixExpr(Code.PrefixOp.Neg, args.head), 1),
       Identifier.Name("abs_Double") -> ((args: List[Code.Expression]) =>
-        Code.Call(Code.Ident("Math").dot("abs"), List(args.head)), 1)
+        Code.Call(Code.Ident("Math").dot("abs"), List(args.head)), 1),
+
+      // Math functions, each Math.* with the same arguments
+      Identifier.Name("sqrt") -> mathFn("sqrt", 1),
+      Identifier.Name("pow") -> mathFn("pow", 2),
+      Identifier.Name("exp") -> mathFn("exp", 1),
+      Identifier.Name("log") -> mathFn("log", 1),
+      Identifier.Name("sin") -> mathFn("sin", 1),
+      Identifier.Name("cos") -> mathFn("cos", 1),
+      Identifier.Name("tan") -> mathFn("tan", 1),
+      Identifier.Name("atan2") -> mathFn("atan2", 2),
+      Identifier.Name("floor") -> mathFn("floor", 1),
+      Identifier.Name("ceil") -> mathFn("ceil", 1),
+      Identifier.Name("round") -> mathFn("round", 1),
+      Identifier.Name("min_Double") -> mathFn("min", 2),
+      Identifier.Name("max_Double") -> mathFn("max", 2),
+
+      // Constants (arity 0, see makeLambda)
+      Identifier.Name("pi") -> ((_: List[Code.Expression]) => Code.Ident("Math").dot("PI"), 0),
+      Identifier.Name("e") -> ((_: List[Code.Expression]) => Code.Ident("Math").dot("E"), 0),
+
+      Identifier.Name("is_nan") -> ((args: List[Code.Expression]) =>
+        Code.Ternary(Code.Call(Code.Ident("Number").dot("isNaN"), List(args.head)),
+          Code.ArrayLiteral(List(Code.IntLiteral(1))),
+          Code.ArrayLiteral(List(Code.IntLiteral(0)))), 1),
+
+      // Formatting and parsing, runtime helpers matching NumericImpl
+      Identifier.Name("format_fixed") -> runtimeFn("_format_fixed", 2),
+      Identifier.Name("format_exponential") -> runtimeFn("_format_exponential", 2),
+      Identifier.Name("format_currency") -> runtimeFn("_format_currency", 3),
+      Identifier.Name("format_percent") -> runtimeFn("_format_percent", 3),
+      Identifier.Name("string_to_Double") -> runtimeFn("_string_to_Double", 1)
     )
 
+    private def runtimeFn(name: String, arity: Int): (IntrinsicFn, Int) =
+      ((args: List[Code.Expression]) => Code.Call(Code.Ident(name), args), arity)
+
+    private def mathFn(name: String, arity: Int): (IntrinsicFn, Int) =
+      ((args: List[Code.Expression]) => Code.Call(Code.Ident("Math").dot(name), args), arity)
+
     /** Check if an expression is a numeric external and extract its function */
     def unapply[A](expr: Expr[A]): Option[(IntrinsicFn, Int)] =
       expr match {
@@ -386,140 +431,92 @@ object JsGen {
         case _ => None
       }
 
-    /** Create a lambda wrapper for a standalone intrinsic reference */
+    /**
+     * Create a lambda wrapper for a standalone intrinsic reference; a constant
+     * such as pi (arity 0) is its value
+     */
     def makeLambda(arity: Int)(fn: IntrinsicFn): Code.Expression =
-      PredefExternal.makeLambda(arity)(fn)
+      if (arity == 0) fn(Nil)
+      else PredefExternal.makeLambda(arity)(fn)
   }
 
   /** IO module intrinsics - deferred execution with provenance tracking.
     *
-    * In JavaScript, IO is represented as a thunk: () => { value, trace }
-    * - pure(x) returns a thunk that yields { value: x, trace: [] }
-    * - flatMap(io, f) returns a thunk that runs io, applies f to result, runs that IO
-    * - capture(name, x) returns a thunk that yields { value: x, trace: [{name, value: x}] }
-    * - random_Int(min, max) returns a thunk that generates a random int
+    * In JavaScript, IO is data that the runtime's _io_run (a Promise) or
+    * _io_run_sync interprets into { value, trace }, laid out as:
+    * - [0, a] pure, [1, io, fn] flatMap, [2, name, formula, a] capture
+    *   (formula is null for capture), [3, ios] sequence, [4] trace
+    * - [5, fn] a synchronous effect, fn(rng) is its value
+    * - [6, seed, io] with_seed
+    * - [7, fn] an async effect, fn(signal) is its value or a Promise of it
     */
   object IOExternal {
     import PredefExternal.IntrinsicFn
-    import cats.data.NonEmptyList
 
     val IOPackage: PackageName = PackageName.parse("Bosatsu/IO").get
 
     /** Map of intrinsic function names to (implementation, arity) */
     val results: Map[Bindable, (IntrinsicFn, Int)] = Map(
       // pure :: a -> IO a
-      // () => ({ value: x, trace: [] })
-      Identifier.Name("pure") -> ((args: List[Code.Expression]) =>
-        Code.ArrowFunction(Nil, Code.ObjectLiteral(List(
-          "value" -> args.head,
-          "trace" -> Code.ArrayLiteral(Nil)
-        ))), 1),
+      Identifier.Name("pure") -> node(0, 1),
 
       // flatMap :: IO a -> (a -> IO b) -> IO b
-      // () => { const _a = io(); const _b = f(_a.value)(); return { value: _b.value, trace: _a.trace.concat(_b.trace) }; }
-      Identifier.Name("flatMap") -> ((args: List[Code.Expression]) =>
-        Code.ArrowFunction(Nil, Code.Block(NonEmptyList.of(
-          Code.Const("_a", Code.Call(args(0), Nil)),
-          Code.Const("_b", Code.Call(Code.Call(args(1), List(Code.Ident("_a").dot("value"))), Nil)),
-          Code.Return(Some(Code.ObjectLiteral(List(
-            "value" -> Code.Ident("_b").dot("value"),
-            "trace" -> Code.Call(Code.Ident("_a").dot("trace").dot("concat"), List(Code.Ident("_b").dot("trace")))
-          ))))
-        ))), 2),
+      Identifier.Name("flatMap") -> node(1, 2),
 
       // sequence :: List[IO a] -> IO[List a]
-      // Simplified: just return thunk that evaluates all IOs and collects results
-      // Note: This is a simplified implementation - real sequence would need recursive handling
-      Identifier.Name("sequence") -> ((args: List[Code.Expression]) =>
-        Code.ArrowFunction(Nil, Code.Block(NonEmptyList.of(
-          // Start with the Bosatsu list
-          Code.Let("_cur", Some(args.head)),
-          Code.Let("_results", Some(Code.ArrayLiteral(Nil))),
-          Code.Let("_traces", Some(Code.ArrayLiteral(Nil))),
-          // While loop: while _cur[0] !== 0 (0 = EmptyList, 1 = NonEmptyList)
-          Code.WhileLoop(
-            Code.BinExpr(Code.Ident("_cur").bracket(Code.IntLiteral(0)), Code.BinOp.NotEq, Code.IntLiteral(0)),
-            Code.Block(NonEmptyList.of(
-              // _cur = [1, head, tail] where head is an IO thunk
-              Code.Const("_r", Code.Call(Code.Ident("_cur").bracket(Code.IntLiteral(1)), Nil)),
-              Code.ExprStatement(Code.Call(Code.Ident("_results").dot("push"), List(Code.Ident("_r").dot("value")))),
-              Code.ExprStatement(Code.Call(Code.Ident("_traces").dot("push"), List(Code.Ident("_r").dot("trace")))),
-              Code.Assignment(Code.Ident("_cur"), Code.Ident("_cur").bracket(Code.IntLiteral(2)))
-            ))
-          ),
-          // Convert JS array back to Bosatsu list: arr.reduceRight((acc, item) => [1, item, acc], [0])
-          // Bosatsu list format: [0] = empty, [1, head, tail] = non-empty
-          Code.Return(Some(Code.ObjectLiteral(List(
-            "value" -> Code.Call(
-              Code.Ident("_results").dot("reduceRight"),
-              List(
-                Code.ArrowFunction(
-                  List("_acc", "_item"),
-                  Left(Code.ArrayLiteral(List(
-                    Code.IntLiteral(1),
-                    Code.Ident("_item"),
-                    Code.Ident("_acc")
-                  )))
-                ),
-                Code.ArrayLiteral(List(Code.IntLiteral(0)))  // Initial value: empty list
-              )
-            ),
-            "trace" -> Code.Call(Code.Ident("_traces").dot("flat"), Nil)
-          ))))
-        ))), 1),
+      Identifier.Name("sequence") -> node(3, 1),
 
       // capture :: String -> a -> IO a
-      // () => ({ value: x, trace: [{ name: n, value: x }] })
+      // [2, name, null, x]
       Identifier.Name("capture") -> ((args: List[Code.Expression]) =>
-        Code.ArrowFunction(Nil, Code.ObjectLiteral(List(
-          "value" -> args(1),
-          "trace" -> Code.ArrayLiteral(List(Code.ObjectLiteral(List(
-            "name" -> args(0),
-            "value" -> args(1)
-          ))))
-        ))), 2),
+        Code.ArrayLiteral(List(Code.IntLiteral(2), args(0), Code.NullLiteral, args(1))), 2),
 
       // captureFormula :: String -> String -> a -> IO a
-      // () => ({ value: x, trace: [{ name: n, formula: f, value: x }] })
-      Identifier.Name("captureFormula") -> ((args: List[Code.Expression]) =>
-        Code.ArrowFunction(Nil, Code.ObjectLiteral(List(
-          "value" -> args(2),
-          "trace" -> Code.ArrayLiteral(List(Code.ObjectLiteral(List(
-            "name" -> args(0),
-            "formula" -> args(1),
-            "value" -> args(2)
-          ))))
-        ))), 3),
+      Identifier.Name("captureFormula") -> node(2, 3),
 
       // trace :: () -> IO String
-      // Returns current trace as string (placeholder - full impl would need runtime context)
-      Identifier.Name("trace") -> ((args: List[Code.Expression]) =>
-        Code.ArrowFunction(Nil, Code.ObjectLiteral(List(
-          "value" -> Code.StringLiteral("[trace]"),
-          "trace" -> Code.ArrayLiteral(Nil)
-        ))), 1),
+      // [4], its argument is ignored
+      Identifier.Name("trace") -> ((_: List[Code.Expression]) =>
+        Code.ArrayLiteral(List(Code.IntLiteral(4))), 1),
 
       // random_Int :: Int -> Int -> IO Int
-      // () => ({ value: Math.floor(Math.random() * (max - min + 1)) + min, trace: [] })
-      Identifier.Name("random_Int") -> ((args: List[Code.Expression]) =>
-        Code.ArrowFunction(Nil, Code.ObjectLiteral(List(
-          "value" -> (
-            Code.Call(Code.Ident("Math").dot("floor"), List(
-              Code.BinExpr(
-                Code.Call(Code.Ident("Math").dot("random"), Nil),
-                Code.BinOp.Times,
-                Code.BinExpr(
-                  Code.BinExpr(args(1), Code.BinOp.Minus, args(0)),
-                  Code.BinOp.Plus,
-                  Code.IntLiteral(1)
-                )
-              )
-            )) + args(0)
-          ),
-          "trace" -> Code.ArrayLiteral(Nil)
-        ))), 2)
+      // [5, (_rng) => _rng_int(_rng, min, max)]
+      Identifier.Name("random_Int") -> randomFn("_rng_int", 2),
+
+      // random_Double :: Double -> Double -> IO Double
+      Identifier.Name("random_Double") -> randomFn("_rng_uniform", 2),
+
+      // random_Gaussian :: Double -> Double -> IO Double
+      Identifier.Name("random_Gaussian") -> randomFn("_rng_gaussian", 2),
+
+      // with_seed :: Int -> IO a -> IO a
+      Identifier.Name("with_seed") -> node(6, 2),
+
+      // sleep :: Int -> IO Unit
+      Identifier.Name("sleep") -> runtimeFn("_io_sleep", 1),
+
+      // now :: IO Int, a constant
+      Identifier.Name("now") -> ((_: List[Code.Expression]) => Code.Ident("_io_now"), 0),
+
+      // host_effect :: String -> a -> IO b
+      Identifier.Name("host_effect") -> runtimeFn("_io_host_effect", 2)
     )
 
+    // An IO node: the tag followed by the arguments
+    private def node(tag: Int, arity: Int): (IntrinsicFn, Int) =
+      ((args: List[Code.Expression]) => Code.ArrayLiteral(Code.IntLiteral(tag) :: args), arity)
+
+    // An IO drawing from the run's generator with a runtime helper
+    private def randomFn(helper: String, arity: Int): (IntrinsicFn, Int) =
+      ((args: List[Code.Expression]) =>
+        Code.ArrayLiteral(List(
+          Code.IntLiteral(5),
+          Code.ArrowFunction(List("_rng"), Left(Code.Call(Code.Ident(helper), Code.Ident("_rng") :: args)))
+        )), arity)
+
+    private def runtimeFn(name: String, arity: Int): (IntrinsicFn, Int) =
+      ((args: List[Code.Expression]) => Code.Call(Code.Ident(name), args), arity)
+
     /** Check if an expression is an IO external and extract its function */
     def unapply[A](expr: Expr[A]): Option[(IntrinsicFn, Int)] =
       expr match {
@@ -529,7 +526,8 @@ object JsGen {
 
     /** Create a lambda wrapper for a standalone intrinsic reference */
     def makeLambda(arity: Int)(fn: IntrinsicFn): Code.Expression =
-      PredefExternal.makeLambda(arity)(fn)
+      if (arity == 0) fn(Nil)
+      else PredefExternal.makeLambda(arity)(fn)
   }
 
   // =============
@@ -566,11 +564,11 @@ object JsGen {
         )), 3),
 
       // text(content) -> creates VText object
-      // Content is a Bosatsu string (linked list), convert to JS string for DOM
+      // Bosatsu strings are native JS strings, so content goes to the DOM as is
       Identifier.Name("text") -> ((args: List[Code.Expression]) =>
         Code.ObjectLiteral(List(
           "type" -> Code.StringLiteral("text"),
-          "text" -> Code.Call(Code.Ident("_bosatsu_to_js_string"), List(args.head))
+          "text" -> args.head
         )), 1),
 
       // fragment(children) -> creates VFragment object
@@ -593,30 +591,60 @@ object JsGen {
           List(args.head, args(1))
         ), 2),
 
-      // on_click(handler) -> returns prop tuple for h()
-      // Handler receives Unit, returns Unit
-      Identifier.Name("on_click") -> ((args: List[Code.Expression]) =>
-        Code.ArrayLiteral(List(
-          Code.StringLiteral("data-onclick"),
-          Code.Call(Code.Ident("_ui_register_handler"), List(Code.StringLiteral("click"), args.head))
-        )), 1),
+      // on_<event>(handler) -> returns prop tuple for h()
+      // The runtime delegates each event type from the mount root and calls
+      // the handler with the event's payload: Unit for click, focus and blur,
+      // the element's value for input and change, the form's fields for
+      // submit and a KeyEvent, PointerEvent or WheelEvent struct otherwise
+      Identifier.Name("on_click") -> handlerProp("click"),
+      Identifier.Name("on_input") -> handlerProp("input"),
+      Identifier.Name("on_change") -> handlerProp("change"),
+      Identifier.Name("on_keydown") -> handlerProp("keydown"),
+      Identifier.Name("on_keyup") -> handlerProp("keyup"),
+      Identifier.Name("on_submit") -> handlerProp("submit"),
+      Identifier.Name("on_focus") -> handlerProp("focus"),
+      Identifier.Name("on_blur") -> handlerProp("blur"),
+      Identifier.Name("on_pointerdown") -> handlerProp("pointerdown"),
+      Identifier.Name("on_pointerup") -> handlerProp("pointerup"),
+      Identifier.Name("on_pointermove") -> handlerProp("pointermove"),
+      Identifier.Name("on_wheel") -> handlerProp("wheel"),
+
+      // bind_*(state) -> returns prop tuple for h()
+      // The runtime keeps the element and the state in sync, parsing edits
+      // to the element into the state's type (see UIAnalyzer.InputKind)
+      Identifier.Name("bind_value") -> bindProp("string"),
+      Identifier.Name("bind_int") -> bindProp("int"),
+      Identifier.Name("bind_double") -> bindProp("double"),
+      Identifier.Name("bind_optional_int") -> bindProp("optional_int"),
+      Identifier.Name("bind_optional_double") -> bindProp("optional_double"),
+      Identifier.Name("bind_checked") -> bindProp("bool"),
+      Identifier.Name("bind_selected") -> bindProp("strings"),
+
+      // attr(name, value) -> [name, value], or [name, null] for None
+      // toggle_attr(name, on) -> [name, ""] or [name, null]
+      // toggle_class(name, on) -> ["class." + name, ""] or [..., null]
+      // A null value is left out when the prop is rendered
+      Identifier.Name("attr") -> ((args: List[Code.Expression]) =>
+        Code.Call(Code.Ident("_ui_attr"), args), 2),
+      Identifier.Name("toggle_attr") -> ((args: List[Code.Expression]) =>
+        Code.Call(Code.Ident("_ui_toggle_attr"), args), 2),
+      Identifier.Name("toggle_class") -> ((args: List[Code.Expression]) =>
+        Code.Call(Code.Ident("_ui_toggle_class"), args), 2)
+    )
 
-      // on_input(handler) -> returns prop tuple for h()
-      // Handler receives String (input value), returns Unit
-      Identifier.Name("on_input") -> ((args: List[Code.Expression]) =>
+    private def handlerProp(eventType: String): (IntrinsicFn, Int) =
+      ((args: List[Code.Expression]) =>
         Code.ArrayLiteral(List(
-          Code.StringLiteral("data-oninput"),
-          Code.Call(Code.Ident("_ui_register_handler"), List(Code.StringLiteral("input"), args.head))
-        )), 1),
+          Code.StringLiteral("data-on" + eventType),
+          Code.Call(Code.Ident("_ui_register_handler"), List(Code.StringLiteral(eventType), args.head))
+        )), 1)
 
-      // on_change(handler) -> returns prop tuple for h()
-      // Handler receives String (input value), returns Unit
-      Identifier.Name("on_change") -> ((args: List[Code.Expression]) =>
+    private def bindProp(kind: String): (IntrinsicFn, Int) =
+      ((args: List[Code.Expression]) =>
         Code.ArrayLiteral(List(
-          Code.StringLiteral("data-onchange"),
-          Code.Call(Code.Ident("_ui_register_handler"), List(Code.StringLiteral("change"), args.head))
+          Code.StringLiteral("data-bind"),
+          Code.Call(Code.Ident("_ui_register_binding"), List(Code.StringLiteral(kind), args.head))
         )), 1)
-    )
 
     /** Check if an expression is a UI external and extract its function */
     def unapply[A](expr: Expr[A]): Option[(IntrinsicFn, Int)] =
@@ -643,23 +671,28 @@ object JsGen {
   // Code Generation
   // ==================
 
+  /** Largest magnitude Int that is kept as a JS number (Number.MAX_SAFE_INTEGER) */
+  val MaxSafeInt: BigInt = BigInt("9007199254740991")
+
+  /**
+   * Render a Bosatsu Int in its canonical runtime form: a JS number when it is
+   * a safe integer, a BigInt otherwise. The runtime's _int_* helpers keep the
+   * same invariant so that === on Ints is value equality.
+   */
+  def intLiteral(i: BigInt): Code.Literal =
+    if (i.abs <= MaxSafeInt) Code.IntLiteral(i)
+    else Code.BigIntLiteral(i)
+
   /** Convert a Matchless literal to a JS literal */
   def literal(lit: Lit): Code.Expression = lit match {
-    case Lit.Integer(i) => Code.IntLiteral(i)
-    case Lit.Str(s) =>
-      // Convert JS string to Bosatsu string (linked list)
-      Code.Call(Code.Ident("_js_to_bosatsu_string"), List(Code.StringLiteral(s)))
-    case Lit.Chr(c) =>
-      // Char as a single-character Bosatsu string: [1, char, [0]]
-      Code.ArrayLiteral(List(Code.IntLiteral(1), Code.StringLiteral(c.toString), Code.ArrayLiteral(List(Code.IntLiteral(0)))))
+    case Lit.Integer(i) => intLiteral(BigInt(i))
+    // Strings are native JS strings, a Char is a string holding one code point
+    case Lit.Str(s) => Code.StringLiteral(s)
+    case Lit.Chr(c) => Code.StringLiteral(c)
   }
 
   /** Convert a Matchless literal to a raw JS literal (for comparisons) */
-  def literalRaw(lit: Lit): Code.Expression = lit match {
-    case Lit.Integer(i) => Code.IntLiteral(i)
-    case Lit.Str(s) => Code.StringLiteral(s)
-    case Lit.Chr(c) => Code.StringLiteral(c.toString)
-  }
+  def literalRaw(lit: Lit): Code.Expression = literal(lit)
 
   /**
    * Generate JavaScript for a Matchless expression with a pre-bound top-level name.
@@ -714,12 +747,11 @@ object JsGen {
           case Identifier.Backticked(n) => n
           case op: Identifier.Operator => op.asString
         }
-        val ident = if (pack == PackageName.PredefName && runtimeProvided.contains(nameStr)) {
-          escape(name)  // Use unqualified name for runtime functions
+        if (pack == PackageName.PredefName && runtimeProvided.contains(nameStr)) {
+          Env.pure(escape(name))  // Use unqualified name for runtime functions
         } else {
-          qualifiedName(pack, name)  // Use qualified name for all others
+          Env.useGlobal(pack, name)  // Use qualified name for all others
         }
-        Env.pure(ident)
 
       case LocalAnon(id) =>
         Env.anonName(id)
@@ -752,15 +784,64 @@ object JsGen {
         } yield {
           val argNames = argIdents.map(_.name)
 
+          // Let bindings, loops and effects in tail position run as
+          // statements of the function body rather than as IIFEs
+          val bodyBlock = Code.returnBlock(argNames, bodyJs)
+
           // If we have a recName, use a named function expression
           val innerFn = recIdent match {
             case Some(ident) =>
-              // Use named function expression: (function name(args) { return body; })
-              val returnStmt = Code.Return(Some(bodyJs))
-              val block = Code.Block(cats.data.NonEmptyList.one(returnStmt))
-              Code.Function(Some(ident.name), argNames, block)
+              // Use named function expression: (function name(args) { ... })
+              // Self calls first run as plain recursion; if that overflows
+              // the JS call stack the call is rerun (Bosatsu is pure) with
+              // the recursion on an explicit stack. Both versions are made
+              // once, with the function, rather than on every call:
+              // (() => {
+              //   const name$direct = function(args) { ... };
+              //   const name$rec = function*(args) { ... };
+              //   const name = function name(args) {
+              //     return _stack_safe(name$direct, name$rec, [args]);
+              //   };
+              //   return name;
+              // })()
+              val directName = ident.name + "$direct"
+              val genName = ident.name + "$rec"
+              val direct = rewriteSelfCalls(bodyBlock, ident.name)(
+                args => Code.Call(Code.Ident(directName), args),
+                blk => Code.Call(Code.ArrowFunction(Nil, blk), Nil)
+              )
+              val generator = rewriteSelfCalls(bodyBlock, ident.name)(
+                args => Code.Yield(Code.Call(Code.Ident(genName), args), delegate = false),
+                blk => Code.Yield(Code.Call(Code.GeneratorFunction(None, Nil, blk), Nil), delegate = true)
+              )
+              (direct, generator) match {
+                case (Some(directBody), Some(genBody)) =>
+                  val wrapper = Code.Function(
+                    Some(ident.name),
+                    argNames,
+                    Code.block(Code.Return(Some(Code.Ident("_stack_safe")(
+                      Code.Ident(directName),
+                      Code.Ident(genName),
+                      Code.ArrayLiteral(argNames.map(Code.Ident(_)))
+                    ))))
+                  )
+                  Code.Call(
+                    Code.ArrowFunction(
+                      Nil,
+                      Right(Code.block(
+                        Code.Const(directName, Code.Function(None, argNames, directBody)),
+                        Code.Const(genName, Code.GeneratorFunction(None, argNames, genBody)),
+                        Code.Const(ident.name, wrapper),
+                        Code.Return(Some(Code.Ident(ident.name)))
+                      ))
+                    ),
+                    Nil
+                  )
+                case _ =>
+                  Code.Function(Some(ident.name), argNames, bodyBlock)
+              }
             case None =>
-              Code.ArrowFunction(argNames, Left(bodyJs))
+              Code.ArrowFunction(argNames, Code.functionBody(bodyBlock))
           }
 
           if (captures.isEmpty) {
@@ -856,17 +937,7 @@ object JsGen {
         for {
           condJs <- boolExprToJs(cond)
           resultJs <- exprToJs(result)
-        } yield {
-          // Use comma operator: (cond, result)
-          // Or IIFE if cond has side effects
-          Code.Call(
-            Code.ArrowFunction(Nil, Right(Code.Block(NonEmptyList.of(
-              Code.ExprStatement(condJs),
-              Code.Return(Some(resultJs))
-            )))),
-            Nil
-          )
-        }
+        } yield Code.Comma(NonEmptyList.of(condJs, resultJs))
 
       case MakeEnum(variant, arity, _) =>
         // Create an array [variant, arg0, arg1, ...]
@@ -931,6 +1002,85 @@ object JsGen {
     }
   }
 
+  /**
+   * Rewrite the calls to self in the body of the self-recursive function
+   * self, with onCall given the rewritten arguments. IIFEs that contain a
+   * self call are replaced by onIife of their rewritten body. Calls inside
+   * any other nested function are left alone: they go through self again.
+   * Returns None if no call was rewritten.
+   */
+  private def rewriteSelfCalls(body: Code.Block, self: String)(
+      onCall: List[Code.Expression] => Code.Expression,
+      onIife: Code.Block => Code.Expression
+  ): Option[Code.Block] = {
+    var rewritten = false
+
+    def expr(e: Code.Expression): Code.Expression =
+      e match {
+        case Code.Call(Code.Ident(name), args) if name == self =>
+          rewritten = true
+          onCall(args.map(expr))
+        case Code.Call(iife @ Code.ArrowFunction(Nil, fnBody), Nil) =>
+          val before = rewritten
+          rewritten = false
+          val blk = fnBody match {
+            case Left(result) => Code.block(Code.Return(Some(expr(result))))
+            case Right(b)     => block(b)
+          }
+          val inner = rewritten
+          rewritten = before || inner
+          if (inner) onIife(blk)
+          else Code.Call(iife, Nil)
+        case Code.ArrowFunction(_, _) | Code.Function(_, _, _) | Code.GeneratorFunction(_, _, _) => e
+        case Code.Call(fn, args) => Code.Call(expr(fn), args.map(expr))
+        case Code.PropertyAccess(obj, prop) => Code.PropertyAccess(expr(obj), prop)
+        case Code.IndexAccess(obj, idx) => Code.IndexAccess(expr(obj), expr(idx))
+        case Code.ArrayLiteral(items) => Code.ArrayLiteral(items.map(expr))
+        case Code.ObjectLiteral(props) => Code.ObjectLiteral(props.map { case (k, v) => (k, expr(v)) })
+        case Code.BinExpr(l, op, r) => Code.BinExpr(expr(l), op, expr(r))
+        case Code.PrefixExpr(op, x) => Code.PrefixExpr(op, expr(x))
+        case Code.Ternary(c, t, f) => Code.Ternary(expr(c), expr(t), expr(f))
+        case Code.NewExpr(ctor, args) => Code.NewExpr(expr(ctor), args.map(expr))
+        case Code.Yield(v, d) => Code.Yield(expr(v), d)
+        case Code.AssignExpr(t, v) => Code.AssignExpr(expr(t), expr(v))
+        case Code.Comma(items) => Code.Comma(items.map(expr))
+        case _: Code.Ident | _: Code.Literal => e
+      }
+
+    def block(b: Code.Block): Code.Block = Code.Block(b.statements.map(stmt))
+
+    def stmt(s: Code.Statement): Code.Statement =
+      s match {
+        case Code.Const(n, v) => Code.Const(n, expr(v))
+        case Code.Let(n, v) => Code.Let(n, v.map(expr))
+        case Code.Var(n, v) => Code.Var(n, v.map(expr))
+        case Code.Assignment(t, v) => Code.Assignment(expr(t), expr(v))
+        case i: Code.IfStatement => ifStmt(i)
+        case Code.Return(v) => Code.Return(v.map(expr))
+        case b: Code.Block => block(b)
+        case Code.Statements(items) => Code.Statements(items.map(stmt))
+        case Code.ExprStatement(x) => Code.ExprStatement(expr(x))
+        case Code.WhileLoop(c, b) => Code.WhileLoop(expr(c), block(b))
+        case Code.ForLoop(init, c, u, b) => Code.ForLoop(init.map(stmt), c.map(expr), u.map(expr), block(b))
+        case Code.Throw(x) => Code.Throw(expr(x))
+        case Code.TryCatch(t, v, c, f) => Code.TryCatch(block(t), v, block(c), f.map(block))
+        case Code.Export(_) | Code.ExportDefault(_) | Code.Import(_, _) => s
+      }
+
+    def ifStmt(i: Code.IfStatement): Code.IfStatement =
+      Code.IfStatement(
+        expr(i.cond),
+        block(i.thenBlock),
+        i.elseBlock.map {
+          case Left(elseIf) => Left(ifStmt(elseIf))
+          case Right(b)     => Right(block(b))
+        }
+      )
+
+    val result = block(body)
+    if (rewritten) Some(result) else None
+  }
+
   /** Generate JavaScript for a Matchless boolean expression */
   def boolExprToJs[A](bexpr: Matchless.BoolExpr[A]): Env[Code.Expression] = {
     import Matchless._
@@ -943,11 +1093,8 @@ object JsGen {
         for {
           exprJs <- exprToJs(expr)
         } yield lit match {
-          case Lit.Str(_) | Lit.Chr(_) =>
-            // Bosatsu strings are linked lists, need to convert to JS string for comparison
-            Code.Call(Code.Ident("_bosatsu_to_js_string"), List(exprJs)) === literalRaw(lit)
-          case _ =>
-            exprJs === literalRaw(lit)
+          // Ints are canonical and strings are native, so === is value equality
+          exprJs === literalRaw(lit)
         }
 
       case EqualsNat(expr, nat) =>
@@ -976,21 +1123,16 @@ object JsGen {
           ident <- Env.anonMutName(id)
           valueJs <- exprToJs(value)
         } yield {
-          // Assignment expression returns the value, but we need to return true
-          // Use comma operator in parens
-          Code.Call(
-            Code.ArrowFunction(Nil, Right(Code.Block(NonEmptyList.of(
-              Code.Assignment(ident, valueJs),
-              Code.Return(Some(Code.TrueLit))
-            )))),
-            Nil
-          )
+          // the assignment's value is the assigned one, the match needs true
+          Code.Comma(NonEmptyList.of(Code.AssignExpr(ident, valueJs), Code.TrueLit))
         }
 
       case MatchString(arg, parts, binds, mustMatch) =>
-        // String pattern matching
-        // Bosatsu strings are linked lists: [0] for empty, [1, char, tail] for cons
-        // We need to convert to JS string for matching, then convert captures back
+        // String pattern matching on native JS strings.
+        // Literal prefixes and a trailing glob are checked inline at static
+        // offsets. Once a char or an inner glob is reached the offset is no
+        // longer static (chars are code points, globs search), so the rest of
+        // the pattern is handed to the runtime's _match_string.
         import dev.bosatsu.pattern.StrPart
         import dev.bosatsu.pattern.StrPart._
 
@@ -1000,23 +1142,67 @@ object JsGen {
         } yield {
           val bindArray = bindIdents.toArray
 
-          // We'll use _str as the converted JS string inside an IIFE
-          val strIdent = Code.Ident("_str")
+          // Locals can be matched directly, anything else is evaluated once into _str
+          val strIdent = argJs match {
+            case ident: Code.Ident => ident
+            case _ => Code.Ident("_str")
+          }
 
-          // Convert Bosatsu string to JS string
-          val convertToJs = Code.Call(Code.Ident("_bosatsu_to_js_string"), List(argJs))
+          def addOffset(offset: Code.Expression, n: Int): Code.Expression =
+            offset match {
+              case Code.IntLiteral(i) => Code.IntLiteral(i + n)
+              case _ => offset + Code.IntLiteral(n)
+            }
 
-          // Convert JS char to Bosatsu single-char string: [1, char, [0]]
-          def charToBosatsu(charExpr: Code.Expression): Code.Expression = {
-            Code.ArrayLiteral(List(Code.IntLiteral(1), charExpr, Code.ArrayLiteral(List(Code.IntLiteral(0)))))
-          }
+          def assignThen(assigns: List[Code.Statement], result: Code.Expression): Code.Expression =
+            Code.Call(
+              Code.ArrowFunction(Nil, Right(Code.Block(
+                NonEmptyList.fromListUnsafe(assigns :+ Code.Return(Some(result)))
+              ))),
+              Nil
+            )
+
+          // Runtime encoding of a pattern part: literals are strings,
+          // 0 = WildStr, 1 = IndexStr, 2 = WildChar, 3 = IndexChar
+          def encodePart(part: StrPart): Code.Expression =
+            part match {
+              case LitStr(s) => Code.StringLiteral(s)
+              case WildStr => Code.IntLiteral(0)
+              case IndexStr => Code.IntLiteral(1)
+              case WildChar => Code.IntLiteral(2)
+              case IndexChar => Code.IntLiteral(3)
+            }
 
-          // Convert JS substring to Bosatsu string
-          def substringToBosatsu(substrExpr: Code.Expression): Code.Expression = {
-            Code.Call(Code.Ident("_js_to_bosatsu_string"), List(substrExpr))
+          def searchRest(
+              parts: List[StrPart],
+              offset: Code.Expression,
+              bindIdx: Int
+          ): Code.Expression = {
+            val captures = parts.count {
+              case g: Glob => g.capture
+              case c: CharPart => c.capture
+              case LitStr(_) => false
+            }
+            val call = Code.Call(
+              Code.Ident("_match_string"),
+              List(strIdent, offset, Code.ArrayLiteral(parts.map(encodePart)), Code.IntLiteral(captures))
+            )
+            if (captures == 0) call !== Code.NullLiteral
+            else {
+              val m = Code.Ident("_m")
+              val assigns = (0 until captures).toList.collect {
+                case i if bindIdx + i < bindArray.length =>
+                  Code.Assignment(bindArray(bindIdx + i), m.bracket(Code.IntLiteral(i)))
+              }
+              assignThen(
+                Code.Const(m.name, call) ::
+                  Code.IfStatement(m === Code.NullLiteral, Code.block(Code.Return(Some(Code.FalseLit))), None) ::
+                  assigns,
+                Code.TrueLit
+              )
+            }
           }
 
-          // Generate matching code based on pattern (using strIdent for the JS string)
           def matchParts(
               parts: List[StrPart],
               offset: Code.Expression,
@@ -1040,92 +1226,39 @@ object JsGen {
               case LitStr(expect) :: tail =>
                 // Literal followed by more - check startsWith and continue
                 // Use .length (UTF-16 code units) to match JavaScript's string indexing
-                val expectLen = expect.length
                 val startsCheck = if (offset == Code.IntLiteral(0)) {
                   strIdent.dot("startsWith")(Code.StringLiteral(expect))
                 } else {
                   strIdent.dot("startsWith")(Code.StringLiteral(expect), offset)
                 }
-                val newOffset = offset + Code.IntLiteral(expectLen)
-                startsCheck.bin(Code.BinOp.And, matchParts(tail, newOffset, bindIdx))
-
-              case (c: CharPart) :: Nil =>
-                // Last character capture/check
-                val lenCheck =
-                  if (mustMatch) Code.TrueLit
-                  else strIdent.dot("length") === (offset + Code.IntLiteral(1))
-                if (c.capture && bindIdx < bindArray.length) {
-                  // Capture char as Bosatsu string and return true
-                  val jsChar = Code.IndexAccess(strIdent, offset)
-                  val assign = Code.Assignment(bindArray(bindIdx), charToBosatsu(jsChar))
-                  Code.Call(
-                    Code.ArrowFunction(Nil, Right(Code.Block(cats.data.NonEmptyList.of(
-                      assign,
-                      Code.Return(Some(lenCheck))
-                    )))),
-                    Nil
-                  )
-                } else lenCheck
-
-              case (c: CharPart) :: tail =>
-                // Character followed by more
-                val hasCharCheck =
-                  if (mustMatch) Code.TrueLit
-                  else offset < strIdent.dot("length")
-                val newIdx = if (c.capture) bindIdx + 1 else bindIdx
-                val newOffset = offset + Code.IntLiteral(1)
-                if (c.capture && bindIdx < bindArray.length) {
-                  // Capture char as Bosatsu string, then check rest
-                  val jsChar = Code.IndexAccess(strIdent, offset)
-                  val assign = Code.Assignment(bindArray(bindIdx), charToBosatsu(jsChar))
-                  val rest = matchParts(tail, newOffset, newIdx)
-                  Code.Call(
-                    Code.ArrowFunction(Nil, Right(Code.Block(cats.data.NonEmptyList.of(
-                      assign,
-                      Code.Return(Some(hasCharCheck.bin(Code.BinOp.And, rest)))
-                    )))),
-                    Nil
-                  )
-                } else {
-                  hasCharCheck.bin(Code.BinOp.And, matchParts(tail, newOffset, newIdx))
-                }
+                startsCheck.bin(Code.BinOp.And, matchParts(tail, addOffset(offset, expect.length), bindIdx))
 
               case WildStr :: Nil =>
                 // Wildcard at end - always matches remaining
                 Code.TrueLit
 
               case IndexStr :: Nil =>
-                // Capture remaining string - convert back to Bosatsu string
+                // Capture the remaining string
                 if (bindIdx < bindArray.length) {
-                  val jsSubstr = if (offset == Code.IntLiteral(0)) strIdent
+                  val rest = if (offset == Code.IntLiteral(0)) strIdent
                     else strIdent.dot("substring")(offset)
-                  val assign = Code.Assignment(bindArray(bindIdx), substringToBosatsu(jsSubstr))
-                  Code.Call(
-                    Code.ArrowFunction(Nil, Right(Code.Block(cats.data.NonEmptyList.of(
-                      assign,
-                      Code.Return(Some(Code.TrueLit))
-                    )))),
-                    Nil
-                  )
+                  assignThen(List(Code.Assignment(bindArray(bindIdx), rest)), Code.TrueLit)
                 } else Code.TrueLit
 
               case _ =>
-                // Other complex patterns - not implemented yet
-                // Fall back to false (pattern doesn't match)
-                Code.FalseLit
+                // Chars and globs followed by more parts need a search
+                searchRest(parts, offset, bindIdx)
             }
           }
 
           val matchExpr = matchParts(parts, Code.IntLiteral(0), 0)
 
-          // Wrap in IIFE that converts the string first
-          Code.Call(
-            Code.ArrowFunction(Nil, Right(Code.Block(cats.data.NonEmptyList.of(
-              Code.Const(strIdent.name, convertToJs),
-              Code.Return(Some(matchExpr))
-            )))),
-            Nil
-          )
+          argJs match {
+            case _: Code.Ident => matchExpr
+            case _ =>
+              // Evaluate the argument once before matching
+              assignThen(List(Code.Const(strIdent.name, argJs)), matchExpr)
+          }
         }
 
       case LetBool(Right(name), value, in) =>
@@ -1186,28 +1319,57 @@ object JsGen {
     Code.render(Code.Const(ident.name, jsExpr))
   }
 
+  /** A top level binding of a package as `const Pack$name = ...;`.
+    * Also returns the top level values of packages the code refers to, which
+    * a module has to import (this includes the binding's own package).
+    */
+  def topLevelStatement[A](
+      pack: PackageName,
+      name: Bindable,
+      expr: Matchless.Expr[A]
+  ): (Code.Statement, Set[(PackageName, Bindable)]) = {
+    val qualified = qualifiedName(pack, name)
+    val (state, jsExpr) = Env.run(exprToJsWithTopLevel(expr, name, qualified))
+    (Code.Const(qualified.name, jsExpr), state.globals)
+  }
+
   /** Render multiple bindings as an ES module (with exports) */
-  def renderModule[A](bindings: List[(Bindable, Matchless.Expr[A])]): String = {
+  def renderModule[A](bindings: List[(Bindable, Matchless.Expr[A])]): String =
+    renderModuleWithLines(bindings)._1
+
+  /** Render a module as renderModule does, also returning where each
+    * binding's declaration landed: (name, first line, line count), with
+    * lines 0-indexed. Used to build source maps.
+    */
+  def renderModuleWithLines[A](
+      bindings: List[(Bindable, Matchless.Expr[A])]
+  ): (String, List[(Bindable, Int, Int)]) = {
     val statements = bindings.map { case (name, expr) =>
       val (_, jsExpr) = Env.run(exprToJs(expr))
       val ident = escape(name)
-      Code.Const(ident.name, jsExpr)
+      (name, Code.render(Code.Const(ident.name, jsExpr)))
     }
 
     val exports = bindings.map { case (name, _) =>
-      escape(name).name
+      Code.render(Code.Export(escape(name).name))
     }
 
-    val allCode = if (statements.isEmpty) {
-      Code.Statements(Nil)
-    } else {
-      val exportStmts = exports.map(Code.Export(_))
-      Code.Statements(statements ++ exportStmts)
-    }
+    val spans = statements
+      .foldLeft((0, List.empty[(Bindable, Int, Int)])) {
+        case ((line, acc), (name, code)) =>
+          val lines = lineCount(code)
+          (line + lines, (name, line, lines) :: acc)
+      }
+      ._2
+      .reverse
 
-    Code.render(allCode)
+    ((statements.map(_._2) ++ exports).mkString("\n"), spans)
   }
 
+  // the number of lines in some rendered code
+  def lineCount(code: String): Int =
+    code.count(_ == '\n') + 1
+
   /** Render bindings as statements only (no ES module exports).
     * Use this for embedding in HTML where exports would cause errors.
     *
@@ -1244,28 +1406,195 @@ object JsGen {
    * This should be included at the top of generated modules or in a separate runtime file.
    *
    * Bosatsu data representations:
+   * - Int is a JS number when it is a safe integer, a BigInt otherwise
    * - Lists are represented as: [0] for empty, [1, head, tail] for cons
    * - Bool/Option: [0] for False/None, [1] or [1, value] for True/Some
-   * - Strings in Bosatsu are linked lists of characters
+   * - String is a native JS string, Char a string holding one code point
    */
   val runtimeCode: String =
     """// Bosatsu JS Runtime
 // Note: Using 'var' for all declarations to create true globals accessible from generated code
-// GCD using Euclidean algorithm
+// Bosatsu Int is unbounded. An Int is a JS number when it is a safe integer
+// and a BigInt otherwise; every helper returns this canonical form so that
+// === and < on Ints behave like value comparisons.
+var _int_norm = (n) =>
+  (n >= -9007199254740991n && n <= 9007199254740991n) ? Number(n) : n;
+var _int_big = (n) => (typeof n === 'bigint') ? n : BigInt(n);
+
+var _int_add = (a, b) => {
+  if (typeof a === 'number' && typeof b === 'number') {
+    const r = a + b;
+    if (Number.isSafeInteger(r)) return r;
+  }
+  return _int_norm(_int_big(a) + _int_big(b));
+};
+
+var _int_sub = (a, b) => {
+  if (typeof a === 'number' && typeof b === 'number') {
+    const r = a - b;
+    if (Number.isSafeInteger(r)) return r;
+  }
+  return _int_norm(_int_big(a) - _int_big(b));
+};
+
+var _int_times = (a, b) => {
+  if (typeof a === 'number' && typeof b === 'number') {
+    const r = a * b;
+    if (Number.isSafeInteger(r)) return r + 0; // + 0 turns -0 into 0
+  }
+  return _int_norm(_int_big(a) * _int_big(b));
+};
+
+var _int_neg = (a) => (typeof a === 'number') ? 0 - a : _int_norm(-a);
+var _int_abs = (a) => (a < 0) ? _int_neg(a) : a;
+
+// mod_Int - floor modulus: the result has the sign of b, mod by zero returns a
+var _int_mod = (a, b) => {
+  if (b == 0) return a;
+  if (typeof a === 'number' && typeof b === 'number') {
+    const r = a % b;
+    return (r !== 0 && ((r < 0) !== (b < 0))) ? r + b : r + 0;
+  }
+  const bb = _int_big(b);
+  const r = _int_big(a) % bb;
+  return _int_norm((r !== 0n && ((r < 0n) !== (bb < 0n))) ? r + bb : r);
+};
+
+// div - floor division, division by zero returns 0
+var _int_div = (a, b) => {
+  if (b == 0) return 0;
+  if (typeof a === 'number' && typeof b === 'number') {
+    // a - mod(a, b) is an exact multiple of b, so the division is exact
+    const num = a - _int_mod(a, b);
+    if (Number.isSafeInteger(num)) return (num / b) + 0;
+  }
+  const ab = _int_big(a);
+  const bb = _int_big(b);
+  const q = ab / bb;
+  const r = ab % bb;
+  return _int_norm((r !== 0n && ((r < 0n) !== (bb < 0n))) ? q - 1n : q);
+};
+
+// Bitwise ops on JS numbers truncate to 32 bits, so only int32 values take the
+// number path. BigInt bitwise ops use infinite two's complement like the JVM.
+var _int_is32 = (n) => (typeof n === 'number') && ((n | 0) === n);
+var _int_and = (a, b) =>
+  (_int_is32(a) && _int_is32(b)) ? (a & b) : _int_norm(_int_big(a) & _int_big(b));
+var _int_or = (a, b) =>
+  (_int_is32(a) && _int_is32(b)) ? (a | b) : _int_norm(_int_big(a) | _int_big(b));
+var _int_xor = (a, b) =>
+  (_int_is32(a) && _int_is32(b)) ? (a ^ b) : _int_norm(_int_big(a) ^ _int_big(b));
+var _int_not = (a) => _int_is32(a) ? ~a : _int_norm(~_int_big(a));
+
+// shift_left_Int - a negative shift shifts right
+var _int_shift_left = (a, b) => {
+  if (typeof a === 'number' && typeof b === 'number' && b >= 0 && b < 64) {
+    // multiplying by a power of two is exact until it leaves the safe range
+    const r = a * Math.pow(2, b);
+    if (Number.isSafeInteger(r)) return r + 0;
+  }
+  return _int_norm(_int_big(a) << _int_big(b));
+};
+
+// shift_right_Int - arithmetic shift (rounds toward negative infinity)
+var _int_shift_right = (a, b) => {
+  if (typeof a === 'number' && typeof b === 'number' && b >= 0 && b < 64) {
+    return Math.floor(a / Math.pow(2, b)) + 0;
+  }
+  return _int_norm(_int_big(a) >> _int_big(b));
+};
+
+// GCD using Euclidean algorithm with floor modulus, matching the JVM evaluator:
+// for b > 0 the result is non-negative, otherwise it takes the sign that
+// falls out of the Euclidean steps.
 var _gcd = (a, b) => {
-  a = Math.abs(a);
-  b = Math.abs(b);
-  while (b !== 0) {
+  if (b > 0) {
+    a = _int_abs(a);
+  }
+  while (b != 0) {
     const t = b;
-    b = a % b;
+    b = _int_mod(a, b);
     a = t;
   }
   return a;
 };
 
+// Double to Int, truncating like the JVM's Double.toLong:
+// NaN is 0 and values beyond the Long range are clamped
+var _double_to_Int = (d) => {
+  if (Number.isNaN(d)) return 0;
+  const t = Math.trunc(d);
+  if (Number.isSafeInteger(t)) return t + 0;
+  if (t >= 9223372036854775807) return 9223372036854775807n;
+  if (t <= -9223372036854775808) return -9223372036854775808n;
+  return BigInt(t);
+};
+
+// Fraction or significant digits for formatting, an Int clamped to 0..100
+var _format_digits = (digits) => Math.min(100, Math.max(0, Number(digits)));
+
+// format_fixed - toFixed, but in plain notation above 1e21 too, where every
+// Double is whole
+var _format_fixed = (d, digits) => {
+  const n = _format_digits(digits);
+  if (!Number.isFinite(d) || Math.abs(d) < 1e21) return d.toFixed(n);
+  return BigInt(d).toString() + (n > 0 ? "." + "0".repeat(n) : "");
+};
+
+var _format_exponential = (d, digits) => d.toExponential(_format_digits(digits));
+
+// An Intl.NumberFormat, falling back to en-US for a malformed locale tag
+var _number_format = (locale, options) => {
+  try {
+    return new Intl.NumberFormat(locale, options);
+  } catch (e) {
+    return new Intl.NumberFormat("en-US", options);
+  }
+};
+
+// NaN and the infinities as String(d), else null
+var _format_non_finite = (d) => Number.isFinite(d) ? null : String(d);
+
+// The magnitude of d rounded half up to digits fraction digits, as an exact
+// decimal string with the sign of d, -0 included, like the JVM's NumberFormat.
+// Intl rounds the shortest decimal of a Double instead: 1.005 would be 1.01.
+var _format_rounded = (d, digits) =>
+  (d < 0 || Object.is(d, -0) ? "-" : "") + _format_fixed(Math.abs(d), digits);
+
+// An ISO 4217 code as the JVM's Currency.getInstance takes it: three
+// uppercase letters that Intl knows
+var _currency_known = (code) =>
+  /^[A-Z]{3}$/.test(code) &&
+  (typeof Intl.supportedValuesOf !== "function" || Intl.supportedValuesOf("currency").includes(code));
+
+// format_currency - an unknown currency code formats as the fixed number
+// followed by the code
+var _format_currency = (d, currency, locale) => {
+  const nonFinite = _format_non_finite(d);
+  if (nonFinite !== null) return nonFinite;
+  if (!_currency_known(currency)) return _format_fixed(d, 2) + " " + currency;
+  const fmt = _number_format(locale, { style: "currency", currency: currency });
+  return fmt.format(_format_rounded(d, fmt.resolvedOptions().maximumFractionDigits));
+};
+
+// format_percent - 0.25 is 25%
+var _format_percent = (d, digits, locale) => {
+  const nonFinite = _format_non_finite(d);
+  if (nonFinite !== null) return nonFinite;
+  const n = _format_digits(digits);
+  const fmt = _number_format(locale, { style: "percent", minimumFractionDigits: n, maximumFractionDigits: n });
+  return fmt.format(_format_rounded(d * 100, n) + "e-2");
+};
+
+// string_to_Double - a decimal number with nothing around it, else None.
+// parseFloat alone would accept a prefix such as "12px".
+var _string_to_Double = (s) =>
+  /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/.test(s) ? [1, Number.parseFloat(s)] : [0];
+
 // int_loop(i, state, fn) - countdown loop with accumulator
 // fn(i, state) returns [newI, newState]
 // continues while newI > 0 AND newI < i (ensures progress)
+// Comparisons between numbers and BigInts are exact, so i may be either
 var _int_loop = (i, state, fn) => {
   let _i = i;
   let _state = state;
@@ -1285,102 +1614,144 @@ var _int_loop = (i, state, fn) => {
   return _state;
 };
 
-// Convert Bosatsu string list to JS string
+// Bosatsu strings are native JS strings. These two converters are only for
+// FFI boundaries: host values going into Bosatsu and results coming out.
+// _bosatsu_to_js_string also accepts the older [1, char, tail] list encoding.
 var _bosatsu_to_js_string = (bstr) => {
+  if (typeof bstr === 'string') return bstr;
   let result = '';
   let current = bstr;
-  while (current[0] === 1) {
+  while (current && current[0] === 1) {
     result += current[1];
     current = current[2];
   }
   return result;
 };
 
-// Convert JS string to Bosatsu string list
-var _js_to_bosatsu_string = (str) => {
-  let result = [0]; // Empty list
-  for (let i = str.length - 1; i >= 0; i--) {
-    result = [1, str[i], result];
-  }
-  return result;
-};
+var _js_to_bosatsu_string = (str) => String(str);
 
 // concat_String - takes a Bosatsu list of strings and concatenates
 var _concat_String = (strList) => {
   let result = '';
   let current = strList;
   while (current[0] === 1) {
-    result += _bosatsu_to_js_string(current[1]);
+    result += current[1];
     current = current[2];
   }
-  return _js_to_bosatsu_string(result);
+  return result;
 };
 
-// int_to_String
-var _int_to_String = (n) => _js_to_bosatsu_string(String(n));
+// int_to_String - String() prints both numbers and BigInts without a suffix
+var _int_to_String = (n) => String(n);
 
 // string_to_Int - returns Option: [0] for None, [1, value] for Some
-var _string_to_Int = (bstr) => {
-  const str = _bosatsu_to_js_string(bstr);
-  const n = parseInt(str, 10);
-  return isNaN(n) ? [0] : [1, n];
+// Accepts the same syntax as java.math.BigInteger: an optional sign and digits
+var _string_to_Int = (str) => {
+  if (!/^[+-]?[0-9]+$/.test(str)) return [0];
+  return [1, _int_norm(BigInt(str))];
 };
 
-// char_to_String - char is already a single-char string (identity function)
+// char_to_String - a char is already a single code point string (identity function)
 var _char_to_String = (c) => c;
 
 // trace - log message and return value
 var _trace = (msg, value) => {
-  console.log(_bosatsu_to_js_string(msg));
+  console.log(msg);
   return value;
 };
 
-// cmp_String - compare two Bosatsu strings, return [0] (LT), [1] (EQ), or [2] (GT)
-// Returns boxed values for pattern matching consistency with cmp_Int
-var _cmp_String = (a, b) => {
-  const sa = _bosatsu_to_js_string(a);
-  const sb = _bosatsu_to_js_string(b);
-  return sa < sb ? [0] : (sa === sb ? [1] : [2]);
-};
+// cmp_String - compare two strings, return [0] (LT), [1] (EQ), or [2] (GT)
+// Returns boxed values for pattern matching consistency with cmp_Int.
+// Like java.lang.String, JS compares UTF-16 code units.
+var _cmp_String = (a, b) => a < b ? [0] : (a === b ? [1] : [2]);
 
-// partition_String - split string on first occurrence of separator
-// Returns tuple of (before, sep, after) or (original, empty, empty) if not found
 // partition_String - returns Option[(String, String)]
 // None if sep is empty or not found, Some((before, after)) otherwise
-var _partition_String = (str, sep) => {
-  const s = _bosatsu_to_js_string(str);
-  const sp = _bosatsu_to_js_string(sep);
+var _partition_String = (s, sep) => {
   // Empty separator returns None
-  if (sp.length === 0) return [0];
-  const idx = s.indexOf(sp);
+  if (sep.length === 0) return [0];
+  const idx = s.indexOf(sep);
   if (idx === -1) return [0]; // Not found: None
   // Found: Some((before, after))
-  return [1, [
-    _js_to_bosatsu_string(s.substring(0, idx)),
-    _js_to_bosatsu_string(s.substring(idx + sp.length))
-  ]];
+  return [1, [s.substring(0, idx), s.substring(idx + sep.length)]];
 };
 
 // rpartition_String - returns Option[(String, String)]
 // None if sep is empty or not found, Some((before, after)) otherwise
-var _rpartition_String = (str, sep) => {
-  const s = _bosatsu_to_js_string(str);
-  const sp = _bosatsu_to_js_string(sep);
+var _rpartition_String = (s, sep) => {
   // Empty separator returns None
-  if (sp.length === 0) return [0];
-  const idx = s.lastIndexOf(sp);
+  if (sep.length === 0) return [0];
+  const idx = s.lastIndexOf(sep);
   if (idx === -1) return [0]; // Not found: None
   // Found: Some((before, after))
-  return [1, [
-    _js_to_bosatsu_string(s.substring(0, idx)),
-    _js_to_bosatsu_string(s.substring(idx + sp.length))
-  ]];
+  return [1, [s.substring(0, idx), s.substring(idx + sep.length)]];
+};
+
+// Width in UTF-16 code units of the code point at off
+var _cp_width = (str, off) => (str.codePointAt(off) > 0xFFFF) ? 2 : 1;
+
+// match_string(str, offset, pat, binds) - the string pattern search used by
+// generated code once a pattern has chars or inner globs. It follows
+// StrPart.matchString in the evaluator. pat holds literal strings and part
+// codes: 0 = wild string, 1 = captured string, 2 = wild char, 3 = captured char.
+// Returns the array of captures, or null if there is no match.
+var _match_string = (str, offset, pat, binds) => {
+  const results = new Array(binds);
+  const loop = (off, pi, next) => {
+    if (pi === pat.length) return off === str.length;
+    const p = pat[pi];
+    if (typeof p === 'string') {
+      return str.startsWith(p, off) && loop(off + p.length, pi + 1, next);
+    }
+    if (p === 2 || p === 3) {
+      if (off >= str.length) return false;
+      const nextOff = off + _cp_width(str, off);
+      if (p === 3) {
+        results[next] = str.substring(off, nextOff);
+        return loop(nextOff, pi + 1, next + 1);
+      }
+      return loop(nextOff, pi + 1, next);
+    }
+    // a glob: capture everything when last, otherwise search
+    const capture = (p === 1);
+    if (pi + 1 === pat.length) {
+      if (capture) results[next] = str.substring(off);
+      return true;
+    }
+    const next1 = capture ? next + 1 : next;
+    const lit = pat[pi + 1];
+    if (typeof lit === 'string') {
+      let start = off;
+      while (true) {
+        const candidate = str.indexOf(lit, start);
+        if (candidate < 0) return false;
+        if (loop(candidate + lit.length, pi + 2, next1)) {
+          if (capture) results[next] = str.substring(off, candidate);
+          return true;
+        }
+        // try just after this candidate
+        start = candidate + _cp_width(str, candidate);
+      }
+    }
+    // followed by a char: try each later code point boundary
+    let off1 = off;
+    while (off1 < str.length) {
+      if (loop(off1, pi + 1, next1)) {
+        if (capture) results[next] = str.substring(off, off1);
+        return true;
+      }
+      off1 += _cp_width(str, off1);
+    }
+    return false;
+  };
+  return loop(offset, 0, 0) ? results : null;
 };
 
 // range(n) - generate list [0, 1, 2, ..., n-1]
+// Any list we can allocate has a length within the safe number range
 var range = (n) => {
   let result = [0];
-  for (let i = n - 1; i >= 0; i--) {
+  for (let i = Number(n) - 1; i >= 0; i--) {
     result = [1, i, result];
   }
   return result;
@@ -1422,36 +1793,496 @@ var flat_map_List = (list, fn) => {
   return result;
 };
 
+// Self-recursive functions run as plain recursion first (direct). If that
+// overflows the JS call stack, the call is made again with gen, a generator
+// version that yields the generator of each recursive call instead of
+// calling it; _run_rec runs those on an explicit stack, so the depth is
+// bounded by the heap. Rerunning is safe because Bosatsu functions are pure.
+// Only the outermost call catches: calls made while it runs go straight to
+// direct and let an overflow unwind to it, so nothing is rerun twice.
+// While gen runs the calls it makes are outermost again.
+var _stack_safe_active = false;
+var _stack_safe = (direct, gen, args) => {
+  if (_stack_safe_active) return direct(...args);
+  _stack_safe_active = true;
+  try {
+    return direct(...args);
+  } catch (e) {
+    if (!_is_stack_overflow(e)) throw e;
+    _stack_safe_active = false;
+    return _run_rec(gen(...args));
+  } finally {
+    _stack_safe_active = false;
+  }
+};
+// V8 and JavaScriptCore throw a RangeError, SpiderMonkey an InternalError
+var _is_stack_overflow = (e) =>
+  (e instanceof RangeError && /call stack/i.test(e.message)) ||
+  (e instanceof Error && e.name === "InternalError" && /recursion/i.test(e.message));
+var _run_rec = (gen) => {
+  const stack = [gen];
+  let value = undefined;
+  while (true) {
+    const step = stack[stack.length - 1].next(value);
+    if (step.done) {
+      stack.pop();
+      if (stack.length === 0) return step.value;
+      value = step.value;
+    } else {
+      stack.push(step.value);
+      value = undefined;
+    }
+  }
+};
+
+// Conversions between Bosatsu values and plain JS values, used by the
+// *.interop.js facades. Each takes a value in one representation and
+// returns it in the other; the combinators take the converters of the
+// values they contain.
+var _interop_id = x => x;
+var _interop_int_from_js = n => _int_norm(_int_big(n));
+var _interop_bool_to_js = b => b[0] === 1;
+var _interop_bool_from_js = b => b ? [1] : [0];
+var _interop_option_to_js = conv => o => (o[0] === 1) ? conv(o[1]) : null;
+var _interop_option_from_js = conv => v => (v === null || v === undefined) ? [0] : [1, conv(v)];
+var _interop_list_to_js = conv => lst => {
+  const out = [];
+  while (lst[0] === 1) {
+    out.push(conv(lst[1]));
+    lst = lst[2];
+  }
+  return out;
+};
+var _interop_list_from_js = conv => arr => {
+  let lst = [0];
+  for (let i = arr.length - 1; i >= 0; i--) lst = [1, conv(arr[i]), lst];
+  return lst;
+};
+var _interop_struct_to_js = (names, convs) => s => {
+  const obj = {};
+  names.forEach((name, i) => { obj[name] = convs[i](s[i]); });
+  return obj;
+};
+var _interop_struct_from_js = (names, convs) => obj => names.map((name, i) => convs[i](obj[name]));
+// wrap a function: convert each argument, call, then convert the result
+var _interop_fn = (argConvs, resConv) => fn => (...args) =>
+  resConv(fn(...args.map((a, i) => argConvs[i](a))));
+
+// Bosatsu/IO random numbers come from a seedable xoshiro128** generator
+// whose four words of state splitmix32 fills in from a 32 bit seed (the low
+// 32 bits of the Bosatsu Int). SeededRandom in the evaluator is the same
+// generator, so a seed replays a run exactly on both.
+var _rng_rotl = (x, k) => (x << k) | (x >>> (32 - k));
+var _rng_make = (seed) => {
+  let x = Number(BigInt.asUintN(32, BigInt(seed))) | 0;
+  const s = [0, 0, 0, 0];
+  for (let i = 0; i < 4; i++) {
+    x = (x + 0x9e3779b9) | 0;
+    let z = Math.imul(x ^ (x >>> 16), 0x21f0aaad);
+    z = Math.imul(z ^ (z >>> 15), 0x735a2d97);
+    s[i] = z ^ (z >>> 15);
+  }
+  return s;
+};
+// the next 32 bits, as an unsigned number
+var _rng_next = (s) => {
+  const r = Math.imul(_rng_rotl(Math.imul(s[1], 5), 7), 9);
+  const t = s[1] << 9;
+  s[2] ^= s[0];
+  s[3] ^= s[1];
+  s[1] ^= s[2];
+  s[0] ^= s[3];
+  s[2] ^= t;
+  s[3] = _rng_rotl(s[3], 11);
+  return r >>> 0;
+};
+// a Double in [0, 1) with 53 random bits
+var _rng_double = (s) => {
+  const hi = _rng_next(s) >>> 5;
+  const lo = _rng_next(s) >>> 6;
+  return (hi * 67108864 + lo) / 9007199254740992;
+};
+var _rng_uniform = (s, low, high) => low + (high - low) * _rng_double(s);
+// an Int in [lo, hi], in either order, without modulo bias: draw as many
+// bits as hi - lo needs and retry when the draw is past the range
+var _rng_int = (s, lo, hi) => {
+  const a = _int_big(lo);
+  const b = _int_big(hi);
+  const low = (a <= b) ? a : b;
+  const span = ((a <= b) ? b - a : a - b);
+  if (span === 0n) return _int_norm(low);
+  if (span < 4294967296n) {
+    const shift = Math.clz32(Number(span));
+    while (true) {
+      const v = _rng_next(s) >>> shift;
+      if (v <= Number(span)) return _int_norm(low + BigInt(v));
+    }
+  }
+  const bits = span.toString(2).length;
+  const words = Math.ceil(bits / 32);
+  while (true) {
+    let v = BigInt(_rng_next(s) >>> (32 * words - bits));
+    for (let i = 1; i < words; i++) v = (v << 32n) | BigInt(_rng_next(s));
+    if (v <= span) return _int_norm(low + v);
+  }
+};
+// a normal deviate by the Box-Muller transform
+var _rng_gaussian = (s, mean, stddev) => {
+  const u1 = 1 - _rng_double(s);
+  const u2 = _rng_double(s);
+  return mean + stddev * Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+};
+// The generator that seeds IO runs. Pages set its seed with _io_seed;
+// until then it is random, and _io_seed_value says which.
+var _io_seed_value = null;
+var _io_rng = null;
+var _io_seed = (seed) => {
+  _io_seed_value = seed;
+  _io_rng = _rng_make(seed);
+  return seed;
+};
+_io_seed(Math.floor(Math.random() * 4294967296));
+
+// Bosatsu/IO is data that _io_run and _io_run_sync interpret, see
+// JsGen.IOExternal for the layout.
+var _io_now = [5, () => Date.now()];
+// sleep(ms) - a timer, cleared if the run is cancelled
+var _io_sleep = (ms) => [7, (signal) => new Promise((resolve) => {
+  const timer = setTimeout(() => resolve([]), Math.min(2147483647, Math.max(0, Number(ms))));
+  if (signal !== null) signal.addEventListener("abort", () => clearTimeout(timer), { once: true });
+})];
+// Host effects: embedders register async operations by name, as
+// (arg, signal) => value or Promise. The name is looked up when the
+// effect runs, so an IO can be built before its effects are registered.
+var _io_host_effects = new Map();
+var _io_register_effect = (name, fn) => { _io_host_effects.set(name, fn); };
+var _io_host_effect = (name, arg) => [7, (signal) => {
+  const fn = _io_host_effects.get(name);
+  if (fn === undefined) throw new Error("Bosatsu/IO: no host effect named " + name);
+  return fn(arg, signal);
+}];
+
+// Each run has its own generator, seeded from _io_rng, so async runs that
+// interleave don't change each other's draws. Its trace starts with that
+// seed: with_seed at the seed replays the run's draws.
+var _io_state = (io) => {
+  const seed = _rng_next(_io_rng) | 0;
+  return { io, stack: [], trace: [{ name: "seed", value: seed }], rng: _rng_make(seed) };
+};
+// A captured value as the evaluator's trace shows it: strings in quotes,
+// a Bool as True or False and other structs as a tuple. A whole Double
+// looks like an Int here, 1 where the JVM shows 1.0.
+var _io_trace_value = (v) => {
+  if (typeof v === "string") return "\"" + v + "\"";
+  if (Array.isArray(v)) {
+    if (v.length === 1 && (v[0] === 0 || v[0] === 1)) return (v[0] === 1) ? "True" : "False";
+    return "(" + v.map(_io_trace_value).join(", ") + ")";
+  }
+  return String(v);
+};
+// Bosatsu/IO::trace - name=value for each entry, as the evaluator gives it.
+// The evaluator's trace has no run seed, so the first entry is left out.
+var _io_trace_string = (trace) =>
+  trace.slice(1).map((t) => t.name + "=" + _io_trace_value(t.value)).join(", ");
+// Step st until its IO is pure with nothing left to do, returning null, or
+// until it reaches an async effect, which is returned. The continuations are
+// on an explicit stack, so long flatMap chains don't grow the JS stack.
+var _io_advance = (st) => {
+  // frames: [0, fn] flatMap, [1, rng] a generator to restore,
+  // [2, rest, values] the rest of a sequence and the values so far
+  while (true) {
+    const io = st.io;
+    switch (io[0]) {
+      case 0: {
+        if (st.stack.length === 0) return null;
+        const frame = st.stack.pop();
+        if (frame[0] === 0) {
+          st.io = frame[1](io[1]);
+        } else if (frame[0] === 1) {
+          st.rng = frame[1];
+        } else {
+          frame[2].push(io[1]);
+          if (frame[1][0] === 1) {
+            st.stack.push([2, frame[1][2], frame[2]]);
+            st.io = frame[1][1];
+          } else {
+            st.io = [0, _interop_list_from_js(_interop_id)(frame[2])];
+          }
+        }
+        break;
+      }
+      case 1:
+        st.stack.push([0, io[2]]);
+        st.io = io[1];
+        break;
+      case 2:
+        st.trace.push((io[2] === null)
+          ? { name: io[1], value: io[3] }
+          : { name: io[1], formula: io[2], value: io[3] });
+        st.io = [0, io[3]];
+        break;
+      case 3:
+        if (io[1][0] === 1) {
+          st.stack.push([2, io[1][2], []]);
+          st.io = io[1][1];
+        } else {
+          st.io = [0, [0]];
+        }
+        break;
+      case 4:
+        st.io = [0, _io_trace_string(st.trace)];
+        break;
+      case 5:
+        st.io = [0, io[1](st.rng)];
+        break;
+      case 6:
+        // the seed is recorded so the trace says how to replay the draws
+        st.trace.push({ name: "seed", value: io[1] });
+        st.stack.push([1, st.rng]);
+        st.rng = _rng_make(io[1]);
+        st.io = io[2];
+        break;
+      case 7:
+        return io;
+    }
+  }
+};
+// Run an IO without async effects, returns { value, trace }
+var _io_run_sync = (io) => {
+  const st = _io_state(io);
+  if (_io_advance(st) !== null) throw new Error("Bosatsu/IO: an async effect needs _io_run");
+  return { value: st.io[1], trace: st.trace };
+};
+var _io_abort_reason = (signal) =>
+  (signal.reason !== undefined) ? signal.reason : new Error("Bosatsu/IO: run cancelled");
+// the value of an async effect, or a rejection as soon as signal aborts
+var _io_await = (effect, signal) => {
+  if (signal === null) return Promise.resolve().then(() => effect[1](null));
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(_io_abort_reason(signal));
+    signal.addEventListener("abort", onAbort, { once: true });
+    Promise.resolve().then(() => effect[1](signal)).then(
+      (v) => { signal.removeEventListener("abort", onAbort); resolve(v); },
+      (e) => { signal.removeEventListener("abort", onAbort); reject(e); });
+  });
+};
+// Run an IO, returns a Promise of { value, trace }. options.signal, an
+// AbortSignal, cancels the run: it rejects with the signal's reason, and
+// async effects get the signal to stop their work early.
+var _io_run = async (io, options) => {
+  const signal = (options && options.signal) || null;
+  const st = _io_state(io);
+  while (true) {
+    if (signal !== null && signal.aborted) throw _io_abort_reason(signal);
+    const effect = _io_advance(st);
+    if (effect === null) return { value: st.io[1], trace: st.trace };
+    st.io = [0, await _io_await(effect, signal)];
+  }
+};
+// Start a run that can be cancelled: { result, cancel(reason) }
+var _io_start = (io) => {
+  const controller = new AbortController();
+  return {
+    result: _io_run(io, { signal: controller.signal }),
+    cancel: (reason) => controller.abort(reason)
+  };
+};
+
 // Bosatsu/Prog external functions
-// Prog is represented as a thunk that takes an environment and returns [result_type, value_or_error]
-// result_type: 0 = success, 1 = error
-var Bosatsu_Prog$pure = a => _env => [0, a];
-var Bosatsu_Prog$raise_error = e => _env => [1, e];
-var Bosatsu_Prog$read_env = env => [0, env];
-var Bosatsu_Prog$flat_map = (prog, fn) => env => {
-  const result = prog(env);
-  if (result[0] === 0) {
-    return fn(result[1])(env);
+// Prog is data that _prog_run interprets, laid out as in the C runtime:
+// [0, a] pure, [1, e] raise_error, [2, prog, fn] flat_map,
+// [3, prog, fn] recover, [4, a, fn] apply_fix, [5] read_env,
+// [6, prog, fn] remap_env, [7, arg, fn] an effect: running it runs fn(arg),
+// which returns the Prog to continue with
+var Bosatsu_Prog$pure = a => [0, a];
+var Bosatsu_Prog$raise_error = e => [1, e];
+var Bosatsu_Prog$read_env = [5];
+var Bosatsu_Prog$flat_map = (prog, fn) => [2, prog, fn];
+var Bosatsu_Prog$recover = (prog, fn) => [3, prog, fn];
+var Bosatsu_Prog$apply_fix = (a, fn) => [4, a, fn];
+var Bosatsu_Prog$remap_env = (prog, fn) => [6, prog, fn];
+var Bosatsu_Prog$println = str => [7, str, s => { _prog_io.stdout(s + "\n"); return [0, []]; }];
+var Bosatsu_Prog$print = str => [7, str, s => { _prog_io.stdout(s); return [0, []]; }];
+var Bosatsu_Prog$read_stdin_utf8_bytes = n => [7, n, _prog_read_stdin];
+// What Prog effects read and write. Without a terminal to use (in a
+// browser) output goes to the console and stdin is empty; main.js uses
+// _prog_node_io.
+var _prog_io = {
+  stdout: s => { if (s.length > 0) console.log(s.replace(/\n$/, "")); },
+  stderr: s => { if (s.length > 0) console.error(s.replace(/\n$/, "")); },
+  // up to n bytes of stdin, fewer only at the end of the input
+  readStdin: _n => new Uint8Array(0)
+};
+var _prog_node_io = (proc, readSync) => {
+  // Atomics.wait on a cell nobody notifies is a blocking sleep
+  const sleepCell = new Int32Array(new SharedArrayBuffer(4));
+  return {
+    stdout: s => { proc.stdout.write(s); },
+    stderr: s => { proc.stderr.write(s); },
+    readStdin: n => {
+      const buf = new Uint8Array(n);
+      let len = 0;
+      let backoffMs = 1;
+      while (len < n) {
+        let got;
+        try {
+          got = readSync(0, buf, len, n - len, null);
+        } catch (err) {
+          // stdin may be non-blocking: sleep until input arrives, waiting
+          // twice as long each time up to 100ms. EOF is how Windows
+          // reports a closed pipe
+          if (err.code === "EAGAIN") {
+            Atomics.wait(sleepCell, 0, 0, backoffMs);
+            backoffMs = Math.min(backoffMs * 2, 100);
+            continue;
+          }
+          if (err.code === "EOF") break;
+          throw err;
+        }
+        if (got === 0) break;
+        len += got;
+        backoffMs = 1;
+      }
+      return buf.subarray(0, len);
+    }
+  };
+};
+// up to n bytes of stdin, fewer only at the end of the input. It is read
+// in chunks of at most _prog_stdin_chunk bytes, so a large n only
+// allocates as much as the input holds
+var _prog_stdin_chunk = 65536;
+var _prog_read_bytes = n => {
+  const chunks = [];
+  let len = 0;
+  while (len < n) {
+    const size = Math.min(n - len, _prog_stdin_chunk);
+    const chunk = _prog_io.readStdin(size);
+    chunks.push(chunk);
+    len += chunk.length;
+    if (chunk.length < size) break;
   }
-  return result; // propagate error
+  if (chunks.length === 1) return chunks[0];
+  const bytes = new Uint8Array(len);
+  let offset = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return bytes;
 };
-var Bosatsu_Prog$recover = (prog, fn) => env => {
-  const result = prog(env);
-  if (result[0] === 1) {
-    return fn(result[1])(env);
+// decode bytes that must be whole UTF-8 code points, null if they aren't
+var _prog_decode_utf8 = bytes => {
+  try {
+    return new TextDecoder("utf-8", { fatal: true }).decode(bytes);
+  } catch (_err) {
+    return null;
+  }
+};
+// read about n bytes of stdin, as the C runtime does: at least n bytes
+// unless the input ends, and at most 4 more to finish the last code point.
+// Invalid UTF-8, a failed read or n <= 0 raise ()
+var _prog_read_stdin = n => {
+  const requested = (typeof n === "bigint") ? Number(BigInt.asIntN(32, n)) : n;
+  if (requested <= 0) return [1, []];
+  try {
+    let bytes = _prog_read_bytes(requested);
+    let str = _prog_decode_utf8(bytes);
+    let extra = 0;
+    while (str === null && bytes.length === requested + extra && extra < 4) {
+      const more = _prog_io.readStdin(1);
+      if (more.length === 0) break;
+      const next = new Uint8Array(bytes.length + 1);
+      next.set(bytes);
+      next[bytes.length] = more[0];
+      bytes = next;
+      extra++;
+      str = _prog_decode_utf8(bytes);
+    }
+    return (str === null) ? [1, []] : [0, str];
+  } catch (_err) {
+    return [1, []];
   }
-  return result;
 };
-var Bosatsu_Prog$apply_fix = (a, fn) => {
-  const fixed = x => fn(fixed)(x);
-  return fixed(a);
+// Run prog in env, returns [0, result] or [1, error]. The continuations
+// are on an explicit stack, so a long running Prog doesn't grow the JS stack.
+var _prog_run = (prog, env) => {
+  // frames: [0, fn] flat_map, [1, fn] recover, [2, env] an env to restore
+  const stack = [];
+  let arg = prog;
+  while (true) {
+    switch (arg[0]) {
+      case 0:
+      case 1: {
+        // find the continuation for the value (0) or the error (1)
+        const handler = arg[0];
+        let next = null;
+        while (next === null && stack.length > 0) {
+          const frame = stack.pop();
+          if (frame[0] === 2) env = frame[1];
+          else if (frame[0] === handler) next = frame[1](arg[1]);
+        }
+        if (next === null) return arg;
+        arg = next;
+        break;
+      }
+      case 2:
+        stack.push([0, arg[2]]);
+        arg = arg[1];
+        break;
+      case 3:
+        stack.push([1, arg[2]]);
+        arg = arg[1];
+        break;
+      case 4: {
+        const fn = arg[2];
+        const fixed = a => [4, a, fn];
+        arg = fn(fixed)(arg[1]);
+        break;
+      }
+      case 5:
+        arg = [0, env];
+        break;
+      case 6:
+        stack.push([2, env]);
+        env = arg[2](env);
+        arg = arg[1];
+        break;
+      case 7:
+        arg = arg[2](arg[1]);
+        break;
+    }
+  }
+};
+// Run a Bosatsu/Prog::Main with the command line args (the first is the
+// program) and io, returns the exit code
+var _prog_run_main = (main, args, io) => {
+  if (io !== undefined) _prog_io = io;
+  let argList = [0];
+  for (let i = args.length - 1; i >= 0; i--) argList = [1, args[i], argList];
+  const result = _prog_run(main[0], argList);
+  if (result[0] === 0) return Number(BigInt.asIntN(32, BigInt(result[1])));
+  _prog_io.stderr("unexpected top error\n");
+  return 1;
 };
-var Bosatsu_Prog$remap_env = (p, f) => env => p(f(env));
-var Bosatsu_Prog$println = str => _env => { console.log(_bosatsu_to_js_string(str)); return [0, []]; };
-var Bosatsu_Prog$print = str => _env => { process.stdout.write(_bosatsu_to_js_string(str)); return [0, []]; };
-var Bosatsu_Prog$read_stdin_utf8_bytes = n => _env => [0, [0]]; // Return empty string for now
 """
 
   /** Render the runtime library code */
   def renderRuntime: String = runtimeCode
+
+  /** Names declared at the top level of the runtime. Modules import the ones
+    * they use from _runtime.js.
+    */
+  lazy val runtimeExports: List[String] = {
+    val decl = """^(?:var|const|let|function|class) ([A-Za-z_$][A-Za-z0-9_$]*)""".r
+    runtimeCode.linesIterator
+      .flatMap(line => decl.findPrefixMatchOf(line).map(_.group(1)))
+      .toList
+      .distinct
+  }
+
+  /** The runtime names that some generated code refers to */
+  def runtimeReferences(code: Code): List[String] = {
+    val referenced = Code.referencedNames(code)
+    runtimeExports.filter(referenced)
+  }
 }
@@ -0,0 +1,310 @@
+package dev.bosatsu.codegen.js
+
+/**
+ * bosatsu-js-test.cjs, the script the js transpiler writes next to
+ * _bundle.js to run the packages' tests with node.
+ *
+ * It reads _tests.json, which gives the lines of the runtime and of each top
+ * level value in the bundle and the values each one refers to. Every package
+ * runs in a fresh vm context with only the code its test value needs, so one
+ * package can't change what another sees, and the Test value is decoded from
+ * its representation rather than by calling into the bundle. It is a
+ * CommonJS script so it runs whichever module format the packages use.
+ */
+object JsTestRunner {
+  val code: String =
+    """#!/usr/bin/env node
+// bosatsu-js-test: run the tests of the packages in _bundle.js, using the
+// _tests.json manifest the js transpiler writes next to it.
+//
+// Usage: node bosatsu-js-test.cjs [--reporter spec|tap|junit|json] [--dir DIR] [PATTERN ...]
+//
+// A PATTERN selects packages by name: * matches within one part of the name
+// and ** across parts, e.g. Euler/* or Bosatsu/**. Without patterns every
+// package with tests runs.
+//
+// Each package runs in its own vm context holding the runtime and only the
+// values its test value refers to. The test value is a Bosatsu/Predef::Test:
+// Assertion(value, message) is [0, bool, message] and TestSuite(name, tests)
+// is [1, name, tests]. Times are for evaluating top level values: an
+// assertion or suite that isn't a top level value itself is reported with
+// the time of the suite or value it is part of.
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const usage = "usage: bosatsu-js-test [--reporter spec|tap|junit|json] [--dir DIR] [PATTERN ...]";
+const timesNote = "Times are for evaluating top level values. An assertion or suite that isn't a\n" +
+  "top level value itself has the time of the suite or value it is part of: tap and\n" +
+  "junit report that time for it, and spec shows it only on that suite.";
+
+// a package name glob as a RegExp
+const globToRegExp = (glob) => {
+  let re = "";
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (c === "*" && glob[i + 1] === "*") {
+      re += ".*";
+      i++;
+    } else if (c === "*") {
+      re += "[^/]*";
+    } else if (c === "?") {
+      re += "[^/]";
+    } else {
+      re += c.replace(/[\\^$.|+()[\]{}]/g, "\\$&");
+    }
+  }
+  return new RegExp("^" + re + "$");
+};
+
+const listToArray = (list) => {
+  const items = [];
+  while (list[0] === 1) {
+    items.push(list[1]);
+    list = list[2];
+  }
+  return items;
+};
+
+// decode a Bosatsu/Predef::Test value, with the times of the top level
+// values it is made of. A test that isn't one of them has the time of the
+// value it is part of, enclosing, and timed false.
+const decodeTest = (value, times, enclosing) => {
+  const timed = times.has(value);
+  const time = timed ? times.get(value) : enclosing;
+  if (Array.isArray(value) && value.length === 3 && value[0] === 0) {
+    return { type: "assertion", name: value[2], passed: value[1][0] === 1, time, timed };
+  }
+  if (Array.isArray(value) && value.length === 3 && value[0] === 1) {
+    const tests = listToArray(value[2]).map((t) => decodeTest(t, times, time));
+    return { type: "suite", name: value[1], tests, time, timed };
+  }
+  throw new Error("not a Bosatsu/Predef::Test value");
+};
+
+// the assertions of a decoded test, each with the names of its suites
+const assertionsOf = (test, suites = []) =>
+  (test.type === "assertion")
+    ? [{ suites, assertion: test }]
+    : test.tests.flatMap((t) => assertionsOf(t, suites.concat([test.name])));
+
+const loadBundle = (dir) => {
+  const manifest = JSON.parse(fs.readFileSync(path.join(dir, "_tests.json"), "utf8"));
+  const bundlePath = path.join(dir, manifest.bundle);
+  const lines = fs.readFileSync(bundlePath, "utf8").split("\n");
+  const prelude = new vm.Script(lines.slice(0, manifest.prelude).join("\n"), { filename: bundlePath });
+  const scripts = new Map();
+  // the compiled code of a binding, kept since packages share dependencies
+  const scriptOf = (idx) => {
+    if (!scripts.has(idx)) {
+      const b = manifest.bindings[idx];
+      const code = lines.slice(b.line, b.line + b.lines).join("\n");
+      scripts.set(idx, new vm.Script(code, { filename: bundlePath, lineOffset: b.line }));
+    }
+    return scripts.get(idx);
+  };
+  return { manifest, prelude, scriptOf };
+};
+
+const elapsedMs = (start) => Number(process.hrtime.bigint() - start) / 1e6;
+
+// run the test value of one package in a fresh context
+const runPackage = (bundle, test) => {
+  const bindings = bundle.manifest.bindings;
+  const testBinding = bindings[test.binding];
+  const result = { package: test.package, name: testBinding.name, time: 0 };
+  const needed = new Set();
+  const toVisit = [test.binding];
+  while (toVisit.length > 0) {
+    const idx = toVisit.pop();
+    if (!needed.has(idx)) {
+      needed.add(idx);
+      toVisit.push(...bindings[idx].deps);
+    }
+  }
+  const start = process.hrtime.bigint();
+  try {
+    const context = vm.createContext({ console, TextEncoder, TextDecoder });
+    bundle.prelude.runInContext(context);
+    const times = new Map();
+    for (const idx of Array.from(needed).sort((a, b) => a - b)) {
+      const valueStart = process.hrtime.bigint();
+      bundle.scriptOf(idx).runInContext(context);
+      const b = bindings[idx];
+      const value = context[b.global];
+      if (b.package === test.package && value !== null && typeof value === "object" && !times.has(value)) {
+        times.set(value, elapsedMs(valueStart));
+      }
+    }
+    result.test = decodeTest(context[testBinding.global], times, undefined);
+  } catch (err) {
+    // errors thrown in the context aren't instances of this realm's Error
+    const isError = err !== null && typeof err === "object" && typeof err.message === "string";
+    result.error = isError ? err.message : String(err);
+    if (isError && typeof err.stack === "string") result.stack = err.stack;
+  }
+  result.time = elapsedMs(start);
+  return result;
+};
+
+const summarize = (results) => {
+  const totals = { passed: 0, failed: 0, errors: 0, time: 0 };
+  for (const r of results) {
+    totals.time += r.time;
+    if (r.error !== undefined) {
+      totals.errors++;
+    } else {
+      for (const { assertion } of assertionsOf(r.test)) {
+        if (assertion.passed) totals.passed++;
+        else totals.failed++;
+      }
+    }
+  }
+  return totals;
+};
+
+const fmtMs = (ms) => ms.toFixed(1) + " ms";
+// a test's own time; one it shares with its suite is shown on the suite
+const timeSuffix = (test) => test.timed ? " (" + fmtMs(test.time) + ")" : "";
+
+const xmlEscape = (s) => String(s).replace(/[<>&"']/g, (c) => ({
+  "<": "&lt;", ">": "&gt;", "&": "&amp;", "\"": "&quot;", "'": "&apos;"
+})[c]);
+
+const seconds = (ms) => ((ms || 0) / 1000).toFixed(3);
+
+const reporters = {
+  spec: (results, totals) => {
+    const out = [];
+    const show = (test, indent) => {
+      if (test.type === "assertion") {
+        out.push(indent + (test.passed ? "✓ " : "✗ ") + test.name + timeSuffix(test));
+      } else {
+        out.push(indent + test.name + timeSuffix(test));
+        test.tests.forEach((t) => show(t, indent + "  "));
+      }
+    };
+    for (const r of results) {
+      out.push(r.package + " (" + fmtMs(r.time) + ")");
+      if (r.error !== undefined) {
+        out.push("  error: " + (r.stack || r.error).split("\n").join("\n    "));
+      } else {
+        show(r.test, "  ");
+      }
+    }
+    out.push("");
+    out.push("Results: " + totals.passed + " passed, " + totals.failed + " failed, " +
+      totals.errors + " errors (" + fmtMs(totals.time) + ")");
+    return out.join("\n");
+  },
+
+  tap: (results) => {
+    const out = ["TAP version 13"];
+    let n = 0;
+    for (const r of results) {
+      if (r.error !== undefined) {
+        n++;
+        out.push("not ok " + n + " - " + r.package + " # time=" + r.time.toFixed(3) + "ms");
+        out.push("  ---");
+        out.push("  message: " + JSON.stringify(r.error));
+        if (r.stack !== undefined) out.push("  stack: " + JSON.stringify(r.stack));
+        out.push("  ...");
+        continue;
+      }
+      for (const { suites, assertion } of assertionsOf(r.test)) {
+        n++;
+        const name = [r.package].concat(suites, [assertion.name]).join(" > ");
+        const time = (assertion.time === undefined) ? "" : " # time=" + assertion.time.toFixed(3) + "ms";
+        out.push((assertion.passed ? "ok " : "not ok ") + n + " - " + name + time);
+      }
+    }
+    out.push("1.." + n);
+    return out.join("\n");
+  },
+
+  junit: (results, totals) => {
+    const out = ['<?xml version="1.0" encoding="UTF-8"?>'];
+    const all = totals.passed + totals.failed + totals.errors;
+    out.push('<testsuites tests="' + all + '" failures="' + totals.failed + '" errors="' +
+      totals.errors + '" time="' + seconds(totals.time) + '">');
+    for (const r of results) {
+      const pkg = xmlEscape(r.package);
+      if (r.error !== undefined) {
+        out.push('  <testsuite name="' + pkg + '" tests="1" failures="0" errors="1" time="' + seconds(r.time) + '">');
+        out.push('    <testcase classname="' + pkg + '" name="' + xmlEscape(r.name) + '" time="' + seconds(r.time) + '">');
+        out.push('      <error message="' + xmlEscape(r.error) + '">' + xmlEscape(r.stack || r.error) + '</error>');
+        out.push("    </testcase>");
+        out.push("  </testsuite>");
+        continue;
+      }
+      const cases = assertionsOf(r.test);
+      const failures = cases.filter((c) => !c.assertion.passed).length;
+      out.push('  <testsuite name="' + pkg + '" tests="' + cases.length + '" failures="' + failures +
+        '" errors="0" time="' + seconds(r.time) + '">');
+      for (const { suites, assertion } of cases) {
+        const classname = xmlEscape([r.package].concat(suites).join(" > "));
+        const open = '    <testcase classname="' + classname + '" name="' + xmlEscape(assertion.name) +
+          '" time="' + seconds(assertion.time) + '"';
+        if (assertion.passed) {
+          out.push(open + "/>");
+        } else {
+          out.push(open + ">");
+          out.push('      <failure message="' + xmlEscape(assertion.name) + '"/>');
+          out.push("    </testcase>");
+        }
+      }
+      out.push("  </testsuite>");
+    }
+    out.push("</testsuites>");
+    return out.join("\n");
+  },
+
+  json: (results, totals) => JSON.stringify({ ...totals, packages: results }, null, 2)
+};
+
+const main = (argv) => {
+  const opts = { reporter: "spec", dir: __dirname, patterns: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--reporter" || arg === "--dir") {
+      if (i + 1 >= argv.length) throw new Error(arg + " expects a value\n" + usage);
+      opts[arg.slice(2)] = argv[++i];
+    } else if (arg === "--help" || arg === "-h") {
+      console.log(usage + "\n\n" + timesNote);
+      return 0;
+    } else if (arg.startsWith("--")) {
+      throw new Error("unknown option " + arg + "\n" + usage);
+    } else {
+      opts.patterns.push(arg);
+    }
+  }
+  const reporter = reporters[opts.reporter];
+  if (reporter === undefined) {
+    throw new Error("unknown reporter " + opts.reporter + ", expected one of " + Object.keys(reporters).join(", "));
+  }
+
+  const bundle = loadBundle(opts.dir);
+  const filters = opts.patterns.map(globToRegExp);
+  const tests = bundle.manifest.tests.filter((t) =>
+    filters.length === 0 || filters.some((re) => re.test(t.package)));
+  if (tests.length === 0) {
+    console.error("no tests found" + (opts.patterns.length > 0 ? " matching " + opts.patterns.join(" ") : ""));
+    return 1;
+  }
+
+  const results = tests.map((t) => runPackage(bundle, t));
+  const totals = summarize(results);
+  console.log(reporter(results, totals));
+  return (totals.failed > 0 || totals.errors > 0) ? 1 : 0;
+};
+
+try {
+  process.exitCode = main(process.argv.slice(2));
+} catch (err) {
+  console.error(err.message);
+  process.exitCode = 2;
+}
+"""
+}
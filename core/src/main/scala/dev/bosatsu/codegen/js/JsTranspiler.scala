@@ -3,7 +3,8 @@ package dev.bosatsu.codegen.js
 import cats.data.{NonEmptyList, Validated}
 import com.monovore.decline.{Argument, Opts}
 import dev.bosatsu.codegen.{CompilationNamespace, Transpiler}
-import dev.bosatsu.{Identifier, PackageName, Par, PlatformIO}
+import dev.bosatsu.{ExportedName, Identifier, Json, PackageName, Par, PlatformIO, TypeName}
+import dev.bosatsu.rankn.Type
 import dev.bosatsu.tool.{CliException, ExitCode}
 import org.typelevel.paiges.Doc
 
@@ -74,15 +75,72 @@ case object JsTranspiler extends Transpiler {
         .withDefault(Library)
   }
 
+  /**
+   * Source map output: off, or a .js.map file next to each generated
+   * module and the bundle, optionally embedding the original sources.
+   */
+  sealed abstract class SourceMaps derives CanEqual
+  object SourceMaps {
+    case object Off extends SourceMaps
+    case class On(includeSources: Boolean) extends SourceMaps
+
+    val opts: Opts[SourceMaps] =
+      (
+        Opts
+          .flag(
+            "sourcemap",
+            help = "write a .js.map source map next to each generated file"
+          )
+          .orFalse,
+        Opts
+          .flag(
+            "sources-content",
+            help = "embed the .bosatsu sources in the source maps (implies --sourcemap)"
+          )
+          .orFalse
+      ).mapN {
+        case (false, false) => Off
+        case (_, content)   => On(content)
+      }
+  }
+
+  val dtsOpts: Opts[Boolean] =
+    Opts
+      .flag(
+        "dts",
+        help = "write an index.d.ts TypeScript declaration file for each package"
+      )
+      .orFalse
+
+  val interopOpts: Opts[Boolean] =
+    Opts
+      .flag(
+        "interop",
+        help = "write an index.interop.js facade for each package that converts to and from plain JS values"
+      )
+      .orFalse
+
   case class Arguments[F[_], P](
       mode: Mode,
       outputMode: OutputMode,
+      sourceMaps: SourceMaps,
+      dts: Boolean,
+      interop: Boolean,
       outDir: P,
       platformIO: PlatformIO[F, P]
   )
 
   type Args[F[_], P] = Arguments[F, P]
 
+  // a top level value in _bundle.js, with the values its code refers to
+  private case class BundleBinding(
+      pack: PackageName,
+      name: Identifier.Bindable,
+      code: String,
+      testReg: String,
+      refs: Set[(PackageName, Identifier.Bindable)]
+  )
+
   def opts[F[_], P](
       platformIO: PlatformIO[F, P]
   ): Opts[Transpiler.Optioned[F, P]] =
@@ -92,10 +150,13 @@ case object JsTranspiler extends Transpiler {
       (
         Mode.opts,
         OutputMode.opts,
+        SourceMaps.opts,
+        dtsOpts,
+        interopOpts,
         Transpiler.outDir
-      ).mapN { (mode, outputMode, outDir) =>
+      ).mapN { (mode, outputMode, sourceMaps, dts, interop, outDir) =>
         Transpiler.optioned(this)(
-          Arguments(mode, outputMode, outDir, platformIO)
+          Arguments(mode, outputMode, sourceMaps, dts, interop, outDir, platformIO)
         )
       }
     }
@@ -140,47 +201,259 @@ case object JsTranspiler extends Transpiler {
         val topoOrderedPackages: List[PackageName] =
           ns.topoSort.layers.flatMap(_.toList).map(_._2).filter(allPackages.contains).toList
 
-        // First, write the runtime library
+        // Functions provided by the JS runtime - skip generating these from Bosatsu source
+        val runtimeProvidedFunctions: Set[String] = Set(
+          "foldl_List", "range", "flat_map_List"
+        )
+
+        def isRuntimeProvided(pack: PackageName, name: Identifier.Bindable): Boolean =
+          pack == PackageName.PredefName && runtimeProvidedFunctions.contains(JsGen.escape(name).name)
+
+        def bindingsOf(pack: PackageName): List[(Identifier.Bindable, dev.bosatsu.Matchless.Expr[S])] =
+          ns.compiled.values.flatMap(_.get(pack).toList.flatten).toList
+
+        // The top level declarations of each package module, with the
+        // values of packages each one refers to
+        val declarationsOf: Map[
+          PackageName,
+          List[(Identifier.Bindable, Code.Statement, Set[(PackageName, Identifier.Bindable)])]
+        ] =
+          topoOrderedPackages.iterator.map { pack =>
+            val decls = bindingsOf(pack).collect {
+              case (name, expr) if !isRuntimeProvided(pack, name) =>
+                val (stmt, globals) = JsGen.topLevelStatement(pack, name, expr)
+                (name, stmt, globals)
+            }
+            (pack, decls)
+          }.toMap
+
+        // The entry point of a program: its package, its value, and the
+        // package's Bosatsu/Prog::Main value if it has one. Without --entry
+        // that value is the entry point as it is for c, otherwise main
+        val entry: Option[(PackageName, Identifier.Bindable, Option[Identifier.Bindable])] =
+          args.mode match {
+            case Mode.Main(mainPack, entryOpt) =>
+              val progMain = ns.mainValues(isProgMain).get(mainPack).map(_._1)
+              val entryBindable: Identifier.Bindable =
+                entryOpt match {
+                  case Some(e) => Identifier.Name(e)
+                  case None    => progMain.getOrElse(Identifier.Name("main"))
+                }
+              Some((mainPack, entryBindable, progMain))
+            case Mode.Library => None
+          }
+
+        // The values each package module exports: the package's declared
+        // exports, plus the entry point and any value another module
+        // imports. Without an interface every value is exported.
+        val moduleExports: Map[PackageName, Set[Identifier.Bindable]] = {
+          val interfaces = ns.interfaces
+          val required: Set[(PackageName, Identifier.Bindable)] =
+            declarationsOf.iterator.flatMap { case (pack, decls) =>
+              decls.iterator.flatMap(_._3).filter(_._1 != pack)
+            }.toSet ++ entry.map { case (p, n, _) => (p, n) }
+          topoOrderedPackages.iterator.map { p =>
+            val names = bindingsOf(p).map(_._1).toSet
+            val declared: Set[Identifier.Bindable] = interfaces.get(p) match {
+              case Some(iface) =>
+                iface.exports.iterator.collect { case ExportedName.Binding(n, _) => n }.toSet
+              case None => names
+            }
+            (p, names.filter(n => declared(n) || required((p, n))))
+          }.toMap
+        }
+
+        // First, write the runtime library, exporting every helper
         val runtimePath = resolve(args.outDir, List("_runtime.js"))
-        val runtimeDoc = Doc.text(JsGen.renderRuntime)
+        val runtimeDoc = Doc.text(
+          JsGen.renderRuntime + "\n" + renderExports(
+            JsGen.runtimeExports.map(n => (n, n)),
+            args.outputMode
+          ) + "\n"
+        )
+
+        // Tell node which module system the .js files use
+        val packageJsonPath = resolve(args.outDir, List("package.json"))
+        val moduleType = args.outputMode match {
+          case OutputMode.ESModule => "module"
+          case OutputMode.CommonJS => "commonjs"
+        }
+        val packageJsonDoc = Doc.text(s"""{ "type": "$moduleType" }""" + "\n")
+
+        val outDirString = pathToString(args.outDir)
+        val sourceFiles = ns.sourceFiles
+
+        // Start a source map for a file written to dir (given as parts
+        // under outDir); None when source maps are off
+        def newSourceMap(dir: List[String], file: String): Option[SourceMapBuilder] =
+          args.sourceMaps match {
+            case SourceMaps.Off => None
+            case SourceMaps.On(includeSources) =>
+              Some(
+                new SourceMapBuilder(
+                  new SourceMapGenerator.Builder(file),
+                  (outDirString :: dir).mkString("/"),
+                  includeSources
+                )
+              )
+          }
+
+        // Attach a source map: the code gets a sourceMappingURL footer and
+        // the map is written next to it
+        def withSourceMap(
+            path: P,
+            dir: List[String],
+            file: String,
+            code: String,
+            sourceMap: Option[SourceMapBuilder]
+        ): List[(P, Doc)] =
+          sourceMap match {
+            case None => List((path, Doc.text(code)))
+            case Some(sm) =>
+              val mapFile = file + ".map"
+              val mapPath = resolve(args.outDir, dir :+ mapFile)
+              val footer = SourceMapGenerator.sourceMappingURL(mapFile)
+              List(
+                (path, Doc.text(code + "\n" + footer + "\n")),
+                (mapPath, Doc.text(sm.builder.build().toJSON))
+              )
+          }
 
-        // Render each package to a JS file
+        // Render each package to a JS module that imports what it uses
+        // from _runtime.js and the modules of the packages it depends on.
+        // Inside a module values keep their package-qualified names, so
+        // they can't collide with locals or runtime helpers.
         val packageDocs: List[(P, Doc)] = topoOrderedPackages.flatMap { pack =>
           // Collect all bindings for this package from all compiled sources
-          val bindings: List[(Identifier.Bindable, dev.bosatsu.Matchless.Expr[S])] =
-            ns.compiled.values.flatMap(_.get(pack).toList.flatten).toList
+          val bindings = bindingsOf(pack)
 
           if (bindings.isEmpty) Nil
           else {
             // Convert to path: PackageName -> directory structure + index.js
-            val pathParts = pack.parts.toList :+ "index.js"
-            NonEmptyList.fromList(pathParts) match {
-              case None => Nil
-              case Some(_) =>
-                val outPath = resolve(args.outDir, pathParts)
-                val jsCode = JsGen.renderModule(bindings)
-                // Prepend runtime import
-                val depth = pack.parts.length
-                val runtimeImport = "../" * depth + "_runtime.js"
-                // Use CommonJS require - for ESM, use: import "./$runtimeImport"
-                val importLine = s"""// Runtime import (for standalone module use)\nif (typeof require !== 'undefined') { require("./$runtimeImport"); }\n\n"""
-                val doc = Doc.text(importLine + jsCode)
-                List((outPath, doc))
+            val dir = pack.parts.toList
+            val outPath = resolve(args.outDir, dir :+ "index.js")
+            val toRoot = "../" * pack.parts.length
+
+            val statements = declarationsOf.getOrElse(pack, Nil)
+            val declarations = statements.map { case (name, stmt, globals) =>
+              (name, Code.render(stmt), globals)
+            }
+            val body = declarations.map(_._2).mkString("\n")
+
+            // values of other packages, as (exported name, local name)
+            val referenced = declarations.iterator.flatMap(_._3).toSet
+            val packageImports: List[(PackageName, List[(String, String)])] =
+              topoOrderedPackages.flatMap { dep =>
+                val names = referenced.iterator
+                  .collect {
+                    case (p, n) if p == dep && p != pack && moduleExports.get(p).exists(_(n)) =>
+                      (JsGen.escape(n).name, JsGen.qualifiedName(p, n).name)
+                  }
+                  .toList
+                  .sorted
+                if (names.isEmpty) Nil else List((dep, names))
+              }
+
+            // runtime helpers, skipping names this module already defines
+            val defined =
+              declarations.map { case (name, _, _) => JsGen.qualifiedName(pack, name).name }.toSet ++
+                packageImports.flatMap(_._2.map(_._2))
+            val runtimeNames =
+              (bindings.collect { case (name, _) if isRuntimeProvided(pack, name) => JsGen.escape(name).name } ++
+                statements.flatMap(d => JsGen.runtimeReferences(d._2)).filterNot(defined)).distinct
+
+            val imports =
+              (if (runtimeNames.isEmpty) Nil
+               else List(renderImport(runtimeNames.map(n => (n, n)), toRoot + "_runtime.js", args.outputMode))) :::
+                packageImports.map { case (dep, names) =>
+                  renderImport(names, toRoot + dep.parts.toList.mkString("/") + "/index.js", args.outputMode)
+                }
+            val header = if (imports.isEmpty) "" else imports.mkString("", "\n", "\n\n")
+
+            val exports = moduleExports.getOrElse(pack, Set.empty)
+            val exported = bindings.collect { case (name, _) if exports(name) =>
+              val local =
+                if (isRuntimeProvided(pack, name)) JsGen.escape(name).name
+                else JsGen.qualifiedName(pack, name).name
+              (local, JsGen.escape(name).name)
             }
+            val code = header + body + "\n\n" + renderExports(exported, args.outputMode)
+
+            val sourceMap = newSourceMap(dir, "index.js")
+            sourceMap.foreach { sm =>
+              declarations.foldLeft(header.count(_ == '\n')) { case (line, (name, decl, _)) =>
+                sm.addBinding(sourceFiles.get(pack), name, line, decl)
+                line + JsGen.lineCount(decl)
+              }
+            }
+            withSourceMap(outPath, dir, "index.js", code, sourceMap)
           }
         }
 
+        // TypeScript declarations for each package module
+        val dtsDocs: List[(P, Doc)] =
+          if (!args.dts) Nil
+          else {
+            val interfaces = ns.interfaces
+            topoOrderedPackages.filter(interfaces.contains).map { pack =>
+              val dtsPath = resolve(args.outDir, pack.parts.toList :+ "index.d.ts")
+              (dtsPath, Doc.text(DtsGen.render(pack, moduleExports(pack), interfaces)))
+            }
+          }
+
+        // Facades over each package module that take and return plain JS
+        // values, wrapping the exported values that need converting
+        val interopDocs: List[(P, Doc)] =
+          if (!args.interop) Nil
+          else {
+            val interfaces = ns.interfaces
+            topoOrderedPackages.flatMap { pack =>
+              val wrapped = InteropGen.exports(pack, moduleExports.getOrElse(pack, Set.empty), interfaces)
+              if (wrapped.isEmpty) Nil
+              else {
+                val locals = wrapped.map { case (name, conv) =>
+                  val raw = JsGen.qualifiedName(pack, name).name
+                  (name, raw, conv)
+                }
+                val statements = locals.collect { case (name, raw, Some(conv)) =>
+                  Code.Const(JsGen.escape(name).name, conv(Code.Ident(raw)))
+                }
+                // one line per wrapped value
+                val body = statements.map(Code.render(_, Int.MaxValue)).mkString("\n")
+                val runtimeNames = statements.flatMap(JsGen.runtimeReferences).distinct
+                val imports =
+                  (if (runtimeNames.isEmpty) Nil
+                   else List(renderImport(
+                     runtimeNames.map(n => (n, n)),
+                     "../" * pack.parts.length + "_runtime.js",
+                     args.outputMode
+                   ))) :+
+                    renderImport(
+                      locals.map { case (name, raw, _) => (JsGen.escape(name).name, raw) },
+                      "./index.js",
+                      args.outputMode
+                    )
+                val exported = locals.map {
+                  case (name, _, Some(_)) => (JsGen.escape(name).name, JsGen.escape(name).name)
+                  case (name, raw, None)  => (raw, JsGen.escape(name).name)
+                }
+                val code =
+                  imports.mkString("\n") + "\n\n" +
+                    (if (body.isEmpty) "" else body + "\n\n") +
+                    renderExports(exported, args.outputMode) + "\n"
+                List((resolve(args.outDir, pack.parts.toList :+ "index.interop.js"), Doc.text(code)))
+              }
+            }
+          }
+
         // Add runtime to the output
-        val allDocs = (runtimePath -> runtimeDoc) :: packageDocs
+        val allDocs =
+          (runtimePath -> runtimeDoc) :: (packageJsonPath -> packageJsonDoc) ::
+            packageDocs ::: dtsDocs ::: interopDocs
 
         // Also generate a bundled file with all code for testing
         val bundlePath = resolve(args.outDir, List("_bundle.js"))
 
-        // Functions provided by the JS runtime - skip generating these from Bosatsu source
-        val runtimeProvidedFunctions: Set[String] = Set(
-          "foldl_List", "range", "flat_map_List"
-        )
-
         // Use 'var' for all bindings - allows redefinition and creates true globals
         // This is necessary because:
         // 1. Multiple packages may define the same name (e.g., 'not' in BinInt and Bool)
@@ -190,61 +463,105 @@ case object JsTranspiler extends Transpiler {
         // Later definitions shadow earlier ones, which is acceptable since:
         // - Same-named functions in different packages are usually unrelated
         // - Tests use qualified names in _tests registry
-        val packageBlocks: List[String] = topoOrderedPackages.flatMap { pack =>
-          val bindings: List[(Identifier.Bindable, dev.bosatsu.Matchless.Expr[S])] =
-            ns.compiled.values.flatMap(_.get(pack).toList.flatten).toList
+        val testValues = ns.testValues
+        val packageBlocks: List[BundleBinding] = topoOrderedPackages.flatMap { pack =>
+          val bindings = bindingsOf(pack)
 
           if (bindings.isEmpty) Nil
           else {
             bindings.flatMap { case (name, expr) =>
-              val escapedBase = JsGen.escape(name).name
               // Use package-qualified name to avoid collisions
               val qualifiedName = JsGen.qualifiedName(pack, name).name
 
               // Skip Predef functions that are provided by the runtime
-              val isRuntimeProvided = pack == PackageName.PredefName && runtimeProvidedFunctions.contains(escapedBase)
-              if (isRuntimeProvided) None
+              if (isRuntimeProvided(pack, name)) None
               else {
                 // Use exprToJsWithTopLevel to pre-bind the qualified name for recursive references
                 val qualifiedIdent = JsGen.qualifiedName(pack, name)
-                val (_, jsExpr) = JsGen.Env.run(JsGen.exprToJsWithTopLevel(expr, name, qualifiedIdent))
+                val (state, jsExpr) = JsGen.Env.run(JsGen.exprToJsWithTopLevel(expr, name, qualifiedIdent))
                 val rendered = Code.render(jsExpr)
 
                 // Use globalThis to ensure variables are accessible when loaded via ES module import()
                 // (var declarations become module-scoped in ES modules)
                 val varDef = s"globalThis.$qualifiedName = $rendered;"
 
-                // Check if this is a test binding and register it
-                val n = name match {
-                  case Identifier.Name(s) => s
-                  case Identifier.Backticked(s) => s
-                  case op: Identifier.Operator => op.asString
-                }
-                val isTest = n == "test" || n == "tests" || n.startsWith("test_") || n.endsWith("_test")
-                val testReg = if (isTest) {
-                  // Register test immediately after definition so we capture the right value
-                  // even if a later package redefines the same name
-                  s"""\nglobalThis._tests["${pack.asString}::$n"] = globalThis.$qualifiedName;"""
+                // Register the package's test value (the one typed
+                // Bosatsu/Predef::Test) right after its definition
+                val testReg = if (testValues.get(pack).contains(name)) {
+                  s"""\nglobalThis._tests["${pack.asString}::${name.asString}"] = globalThis.$qualifiedName;"""
                 } else ""
 
-                Some(varDef + testReg)
+                Some(BundleBinding(pack, name, varDef, testReg, state.globals))
               }
             }
           }
         }
 
         val testsHeader = "// Test registry\nglobalThis._tests = {};\n\n"
-        val bundledCode = JsGen.renderRuntime + "\n\n" + testsHeader + "// Generated code\n" + packageBlocks.mkString("\n")
-        val bundleDoc = Doc.text(bundledCode)
+        val bundlePrefix = JsGen.renderRuntime + "\n\n" + testsHeader + "// Generated code\n"
+        val bundledCode = bundlePrefix + packageBlocks
+          .map(b => b.code + b.testReg)
+          .mkString("\n")
+
+        // the 0-indexed line of the bundle each binding starts on
+        val bundleLines: List[Int] =
+          packageBlocks.scanLeft(bundlePrefix.count(_ == '\n')) { (line, b) =>
+            line + JsGen.lineCount(b.code + b.testReg)
+          }
+
+        val bundleSourceMap = newSourceMap(Nil, "_bundle.js")
+        bundleSourceMap.foreach { sm =>
+          packageBlocks.zip(bundleLines).foreach { case (b, line) =>
+            sm.addBinding(sourceFiles.get(b.pack), b.name, line, b.code)
+          }
+        }
+
+        // Where bosatsu-js-test finds each binding of the bundle and what
+        // it refers to, so it can run a package's tests on their own
+        val testManifest: (P, Doc) = {
+          val indexOf: Map[(PackageName, Identifier.Bindable), Int] =
+            packageBlocks.iterator.zipWithIndex.map { case (b, idx) => ((b.pack, b.name), idx) }.toMap
+          def num(i: Int): Json = Json.JNumberStr(i.toString)
+          val bindingsJson = packageBlocks.zip(bundleLines).map { case (b, line) =>
+            Json.JObject(
+              List(
+                "package" -> Json.JString(b.pack.asString),
+                "name" -> Json.JString(b.name.asString),
+                "global" -> Json.JString(JsGen.qualifiedName(b.pack, b.name).name),
+                "line" -> num(line),
+                "lines" -> num(JsGen.lineCount(b.code + b.testReg)),
+                "deps" -> Json.JArray(b.refs.iterator.flatMap(indexOf.get).toVector.sorted.map(num))
+              )
+            )
+          }
+          val testsJson = topoOrderedPackages.flatMap { pack =>
+            testValues.get(pack).flatMap(n => indexOf.get((pack, n))).map { idx =>
+              Json.JObject(List("package" -> Json.JString(pack.asString), "binding" -> num(idx)))
+            }
+          }
+          val manifest = Json.JObject(
+            List(
+              "bundle" -> Json.JString("_bundle.js"),
+              "prelude" -> num(bundlePrefix.count(_ == '\n')),
+              "bindings" -> Json.JArray(bindingsJson.toVector),
+              "tests" -> Json.JArray(testsJson.toVector)
+            )
+          )
+          (resolve(args.outDir, List("_tests.json")), Doc.text(manifest.render + "\n"))
+        }
+
+        val testRunner: (P, Doc) =
+          (resolve(args.outDir, List("bosatsu-js-test.cjs")), Doc.text(JsTestRunner.code))
 
         // Add bundle to docs
-        val withBundle = allDocs :+ (bundlePath -> bundleDoc)
+        val withBundle = allDocs ++
+          withSourceMap(bundlePath, Nil, "_bundle.js", bundledCode, bundleSourceMap) ++
+          List(testManifest, testRunner)
 
         // Add entry point if in main mode
-        val withEntry: F[List[(P, Doc)]] = args.mode match {
-          case Mode.Main(mainPack, entryOpt) =>
-            val entryName = entryOpt.getOrElse("main")
-            val entryBindable = Identifier.Name(entryName)
+        val withEntry: F[List[(P, Doc)]] = entry match {
+          case Some((mainPack, entryBindable, progMain)) =>
+            val entryName = entryBindable.sourceCodeRepr
 
             // Check if the package exists
             val packageBindings: List[(Identifier.Bindable, dev.bosatsu.Matchless.Expr[S])] =
@@ -272,13 +589,14 @@ case object JsTranspiler extends Transpiler {
                   "./" + mainPack.parts.toList.mkString("/") + "/index.js"
                 val mainDoc = renderEntryPoint(
                   modulePath,
-                  entryName,
+                  entryBindable,
+                  progMain.contains(entryBindable),
                   args.outputMode
                 )
                 moduleIOMonad.pure(withBundle :+ (mainPath -> mainDoc))
               }
             }
-          case Mode.Library =>
+          case None =>
             moduleIOMonad.pure(withBundle)
         }
 
@@ -286,24 +604,177 @@ case object JsTranspiler extends Transpiler {
     }
   }
 
-  private def renderEntryPoint(
-      modulePath: String,
-      entryName: String,
+  // import { exported as local, ... } from "path"; or the require equivalent
+  private def renderImport(
+      names: List[(String, String)],
+      path: String,
       outputMode: OutputMode
-  ): Doc = {
-    // Escape the entry name to match how it's exported from the module
-    val escapedName = JsGen.escape(Identifier.unsafeBindable(entryName)).name
+  ): String =
     outputMode match {
       case OutputMode.ESModule =>
-        Doc.text(s"""import { $escapedName } from "$modulePath";""") +
-          Doc.hardLine +
-          Doc.hardLine +
-          Doc.text(s"$escapedName();")
+        val items = names.map { case (exported, local) =>
+          if (exported == local) exported else s"$exported as $local"
+        }
+        s"""import { ${items.mkString(", ")} } from "$path";"""
       case OutputMode.CommonJS =>
-        Doc.text(s"""const { $escapedName } = require("$modulePath");""") +
-          Doc.hardLine +
-          Doc.hardLine +
-          Doc.text(s"$escapedName();")
+        val items = names.map { case (exported, local) =>
+          if (exported == local) exported else s"$exported: $local"
+        }
+        s"""const { ${items.mkString(", ")} } = require("$path");"""
     }
+
+  // export { local as exported, ... }; or the module.exports equivalent
+  private def renderExports(
+      names: List[(String, String)],
+      outputMode: OutputMode
+  ): String =
+    outputMode match {
+      case OutputMode.ESModule =>
+        val items = names.map { case (local, exported) =>
+          if (exported == local) exported else s"$local as $exported"
+        }
+        s"export { ${items.mkString(", ")} };"
+      case OutputMode.CommonJS =>
+        val items = names.map { case (local, exported) =>
+          if (exported == local) exported else s"$exported: $local"
+        }
+        s"module.exports = { ${items.mkString(", ")} };"
+    }
+
+  /**
+   * Collects the mappings for one generated file. A line declaring a local
+   * of a binding (a `name = ...` binding or a nested def in the source) maps
+   * to the statement binding that name, and every other line maps to the
+   * start of the statement that defines the binding, since Matchless does
+   * not carry positions for the expressions inside it.
+   *
+   * @param mapDir the directory the map is written to, used to make the
+   *   source paths relative
+   */
+  private class SourceMapBuilder(
+      val builder: SourceMapGenerator.Builder,
+      mapDir: String,
+      includeSources: Boolean
+  ) {
+    def addBinding(
+        source: Option[CompilationNamespace.SourceFile],
+        name: Identifier.Bindable,
+        firstLine: Int,
+        code: String
+    ): Unit =
+      source.foreach { src =>
+        src.bindingPositions.get(name).foreach { case (origLine, origCol) =>
+          val sourceIdx = builder.addSource(
+            relativePath(mapDir, src.path),
+            if (includeSources) Some(src.content) else None
+          )
+          val locals = src.localPositions.getOrElse(name, Map.empty).map { case (local, pos) =>
+            (JsGen.escape(local).name, (local, pos))
+          }
+          code.split("\n", -1).iterator.zipWithIndex.foreach { case (text, i) =>
+            declaredLocal(text, locals) match {
+              case Some((local, (line, col))) =>
+                builder.addMapping(
+                  genLine = firstLine + i,
+                  genCol = 0,
+                  sourceIdx = sourceIdx,
+                  origLine = line,
+                  origCol = col,
+                  name = Some(local.sourceCodeRepr)
+                )
+              case None =>
+                builder.addMapping(
+                  genLine = firstLine + i,
+                  genCol = 0,
+                  sourceIdx = sourceIdx,
+                  origLine = origLine,
+                  origCol = origCol,
+                  name = if (i == 0) Some(name.sourceCodeRepr) else None
+                )
+            }
+          }
+        }
+      }
+  }
+
+  private val LocalDeclaration = """^\s*(?:const|let|function)\s+([A-Za-z_$][\w$]*)""".r
+
+  // the local a line of generated code declares, if it is one of locals.
+  // JsGen adds _1, _2, ... to a name that is already in use
+  private def declaredLocal[A](text: String, locals: Map[String, A]): Option[A] =
+    LocalDeclaration.findFirstMatchIn(text).flatMap { m =>
+      val ident = m.group(1)
+      locals.get(ident).orElse(locals.get(ident.replaceAll("_[0-9]+$", "")))
+    }
+
+  /**
+   * The path of target as seen from the directory fromDir, where both are
+   * /-separated and relative to the same working directory (or both
+   * absolute). When that can't be worked out target is returned unchanged.
+   */
+  private[js] def relativePath(fromDir: String, target: String): String = {
+    def segments(p: String): List[String] =
+      p.replace('\\', '/')
+        .split('/')
+        .toList
+        .filterNot(s => s.isEmpty || s == ".")
+        .foldLeft(List.empty[String]) {
+          case (h :: tail, "..") if h != ".." => tail
+          case (acc, seg)                    => seg :: acc
+        }
+        .reverse
+
+    val from = segments(fromDir)
+    val to = segments(target)
+    if (fromDir.startsWith("/") != target.startsWith("/") || from.contains("..")) target
+    else {
+      val common = from.zip(to).takeWhile { case (a, b) => a == b }.length
+      (List.fill(from.length - common)("..") ++ to.drop(common)).mkString("/")
+    }
+  }
+
+  private val ProgMain: Type.Const.Defined =
+    Type.Const.Defined(PackageName.parts("Bosatsu", "Prog"), TypeName("Main"))
+
+  def isProgMain(tpe: Type): Boolean =
+    tpe match {
+      case Type.TyConst(ProgMain) => true
+      case _                      => false
+    }
+
+  /**
+   * main.js: a Bosatsu/Prog::Main runs against node's argv, stdin, stdout
+   * and stderr and sets the exit code, anything else is called with no
+   * arguments
+   */
+  private def renderEntryPoint(
+      modulePath: String,
+      entry: Identifier.Bindable,
+      runsProg: Boolean,
+      outputMode: OutputMode
+  ): Doc = {
+    // Escape the entry name to match how it's exported from the module
+    val escapedName = JsGen.escape(entry).name
+    val lines =
+      if (runsProg) {
+        List(
+          renderImport(List(("readSync", "readSync")), "fs", outputMode),
+          renderImport(
+            List("_prog_node_io", "_prog_run_main").map(n => (n, n)),
+            "./_runtime.js",
+            outputMode
+          ),
+          renderImport(List((escapedName, escapedName)), modulePath, outputMode),
+          "",
+          s"process.exitCode = _prog_run_main($escapedName, process.argv.slice(1), _prog_node_io(process, readSync));"
+        )
+      } else {
+        List(
+          renderImport(List((escapedName, escapedName)), modulePath, outputMode),
+          "",
+          s"$escapedName();"
+        )
+      }
+    Doc.intercalate(Doc.hardLine, lines.map(Doc.text(_)))
   }
 }
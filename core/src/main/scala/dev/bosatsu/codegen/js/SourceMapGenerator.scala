@@ -12,6 +12,14 @@ import scala.collection.mutable.{ArrayBuffer, ListBuffer}
  */
 object SourceMapGenerator {
 
+  /**
+   * The comment that links generated JS to a source map file.
+   *
+   * @param url Location of the map, relative to the JS file
+   */
+  def sourceMappingURL(url: String): String =
+    s"//# sourceMappingURL=$url"
+
   /**
    * A single mapping from generated JS position to original Bosatsu position.
    *
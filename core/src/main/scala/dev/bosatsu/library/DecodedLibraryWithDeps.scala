@@ -7,6 +7,7 @@ import cats.syntax.all._
 import dev.bosatsu.{
   Identifier,
   MatchlessFromTypedExpr,
+  Package,
   PackageName,
   PackageMap,
   Par
@@ -295,6 +296,12 @@ object DecodedLibraryWithDeps {
 
           def rootPackages: SortedSet[PackageName] =
             a.lib.implementations.toMap.keySet
+
+          // packages of the root library shadow same-named dependency packages
+          override lazy val interfaces: Map[PackageName, Package.Interface] =
+            (allDeps.flatMap(_.lib.implementations.toMap.iterator).toMap ++
+              a.lib.implementations.toMap)
+              .transform((_, p) => Package.interfaceOf(p))
         }
     }
 }
@@ -34,8 +34,8 @@ object DOMCodegen {
    */
   def generate(vnode: VNode, varName: String): List[Statement] =
     vnode match {
-      case VNode.Element(tag, attrs, handlers, children, _) =>
-        generateElement(tag, attrs, handlers, children, varName)
+      case VNode.Element(tag, attrs, handlers, children, key) =>
+        generateElement(tag, withKey(attrs, key), handlers, children, varName)
       case VNode.Text(content) =>
         generateText(content, varName)
       case VNode.Component(name, props, render, _) =>
@@ -43,6 +43,16 @@ object DOMCodegen {
         generate(render(), varName)
     }
 
+  /**
+   * Keys of keyed elements (VNode.keyedEl) are written as data-bosatsu-key,
+   * which the UI runtime reconciles list children by.
+   */
+  private def withKey(
+      attrs: Map[String, AttributeValue],
+      key: Option[String]
+  ): Map[String, AttributeValue] =
+    key.fold(attrs)(k => attrs.updated("data-bosatsu-key", AttributeValue.StringValue(k)))
+
   /**
    * Generate code for an HTML element.
    */
@@ -183,8 +193,8 @@ object DOMCodegen {
    * @return HTML string representation
    */
   def renderToString(vnode: VNode): String = vnode match {
-    case VNode.Element(tag, attrs, _, children, _) =>
-      val attrStr = attrs.toList.flatMap { case (name, value) =>
+    case VNode.Element(tag, attrs, _, children, key) =>
+      val attrStr = withKey(attrs, key).toList.flatMap { case (name, value) =>
         AttributeValue.render(value).map(v => s"""$name="${escapeAttr(v)}"""")
       }.mkString(" ")
 
@@ -38,24 +38,47 @@ object Events {
     case object KeyUp extends EventType { val name = "keyup" }
     case object MouseEnter extends EventType { val name = "mouseenter" }
     case object MouseLeave extends EventType { val name = "mouseleave" }
+    case object PointerDown extends EventType { val name = "pointerdown" }
+    case object PointerUp extends EventType { val name = "pointerup" }
+    case object PointerMove extends EventType { val name = "pointermove" }
+    case object Wheel extends EventType { val name = "wheel" }
 
     def fromString(s: String): Option[EventType] = s.toLowerCase match {
-      case "click"      => Some(Click)
-      case "input"      => Some(Input)
-      case "change"     => Some(Change)
-      case "submit"     => Some(Submit)
-      case "focus"      => Some(Focus)
-      case "blur"       => Some(Blur)
-      case "keydown"    => Some(KeyDown)
-      case "keyup"      => Some(KeyUp)
-      case "mouseenter" => Some(MouseEnter)
-      case "mouseleave" => Some(MouseLeave)
-      case _            => None
+      case "click"       => Some(Click)
+      case "input"       => Some(Input)
+      case "change"      => Some(Change)
+      case "submit"      => Some(Submit)
+      case "focus"       => Some(Focus)
+      case "blur"        => Some(Blur)
+      case "keydown"     => Some(KeyDown)
+      case "keyup"       => Some(KeyUp)
+      case "mouseenter"  => Some(MouseEnter)
+      case "mouseleave"  => Some(MouseLeave)
+      case "pointerdown" => Some(PointerDown)
+      case "pointerup"   => Some(PointerUp)
+      case "pointermove" => Some(PointerMove)
+      case "wheel"       => Some(Wheel)
+      case _             => None
     }
 
     val all: List[EventType] = List(
-      Click, Input, Change, Submit, Focus, Blur, KeyDown, KeyUp, MouseEnter, MouseLeave
+      Click, Input, Change, Submit, Focus, Blur, KeyDown, KeyUp, MouseEnter, MouseLeave,
+      PointerDown, PointerUp, PointerMove, Wheel
     )
+
+    /**
+     * The event types Bosatsu/UI has an on_<name> handler prop for.
+     */
+    val handled: List[EventType] = List(
+      Click, Input, Change, Submit, Focus, Blur, KeyDown, KeyUp,
+      PointerDown, PointerUp, PointerMove, Wheel
+    )
+
+    /**
+     * The event type of a Bosatsu/UI handler prop, e.g. keydown for on_keydown.
+     */
+    def fromHandler(external: String): Option[EventType] =
+      handled.find(t => s"on_${t.name}" == external)
   }
 
   // ---------------------------------------------------------------------------
@@ -26,6 +26,8 @@ object StateBinding {
 
   /**
    * A binding that updates a DOM element's attribute when state changes.
+   * The attribute is removed while the value is null, undefined or false,
+   * and present but empty while it is true (e.g. hidden).
    */
   case class AttributeBinding(
       stateVar: String,
@@ -34,6 +36,16 @@ object StateBinding {
       transform: Option[String] = None
   )
 
+  /**
+   * A binding that adds a class to a DOM element while state is truthy
+   * and removes it otherwise, leaving the element's other classes alone.
+   */
+  case class ClassBinding(
+      stateVar: String,
+      elementId: String,
+      className: String
+  )
+
   /**
    * A binding that reads input value and updates state.
    */
@@ -138,19 +150,49 @@ object StateBinding {
       case None => Ident("v")
     }
 
+    val element = Ident("el")
+    val value = Ident("a")
+    val name = StringLiteral(binding.attributeName)
+    val absent = List[Expression](NullLiteral, UndefinedLiteral, BoolLiteral(false))
+      .map(BinExpr(value, BinOp.Eq, _))
+      .reduceLeft(BinExpr(_, BinOp.Or, _))
+
+    ExprStatement(Call(Ident("_subscribe"), List(
+      StringLiteral(binding.stateVar),
+      ArrowFunction(List("v"), Right(block(
+        Const("el", Call(PropertyAccess(Ident("document"), "getElementById"), List(StringLiteral(binding.elementId)))),
+        Const("a", updateExpr),
+        IfStatement(
+          absent,
+          block(ExprStatement(Call(PropertyAccess(element, "removeAttribute"), List(name)))),
+          Some(Right(block(ExprStatement(Call(
+            PropertyAccess(element, "setAttribute"),
+            List(name, Ternary(BinExpr(value, BinOp.Eq, BoolLiteral(true)), StringLiteral(""), value))
+          )))))
+        )
+      )))
+    )))
+  }
+
+  /**
+   * Generate JS code for a class binding.
+   */
+  def generateClassBinding(binding: ClassBinding): Statement =
     ExprStatement(Call(Ident("_subscribe"), List(
       StringLiteral(binding.stateVar),
       ArrowFunction(List("v"), Right(block(
         ExprStatement(Call(
           PropertyAccess(
-            Call(PropertyAccess(Ident("document"), "getElementById"), List(StringLiteral(binding.elementId))),
-            "setAttribute"
+            PropertyAccess(
+              Call(PropertyAccess(Ident("document"), "getElementById"), List(StringLiteral(binding.elementId))),
+              "classList"
+            ),
+            "toggle"
           ),
-          List(StringLiteral(binding.attributeName), updateExpr)
+          List(StringLiteral(binding.className), Call(Ident("Boolean"), List(Ident("v"))))
         ))
       )))
     )))
-  }
 
   /**
    * Generate JS code for an input binding.
@@ -182,11 +224,17 @@ object StateBinding {
       moduleName: String,
       stateVars: Map[String, String],
       textBindings: List[TextBinding],
-      inputBindings: List[InputBinding]
+      inputBindings: List[InputBinding],
+      attributeBindings: List[AttributeBinding] = Nil,
+      classBindings: List[ClassBinding] = Nil
   ): Doc = {
     val storeCode = generateStateStore(stateVars)
 
-    val bindingStatements: List[Statement] = textBindings.map(generateTextBinding) ++ inputBindings.map(generateInputBinding)
+    val bindingStatements: List[Statement] =
+      textBindings.map(generateTextBinding) ++
+        attributeBindings.map(generateAttributeBinding) ++
+        classBindings.map(generateClassBinding) ++
+        inputBindings.map(generateInputBinding)
 
     val initFn = Const("init", Function(
       None,
@@ -1,7 +1,9 @@
 package dev.bosatsu.ui
 
-import dev.bosatsu.{TypedExpr, Identifier, PackageName, Lit}
+import dev.bosatsu.{TypedExpr, Identifier, Json, PackageName, Pattern, Lit}
 import dev.bosatsu.Identifier.Bindable
+import dev.bosatsu.codegen.js.JsGen
+import cats.syntax.all._
 import scala.collection.immutable.SortedSet
 
 /**
@@ -37,18 +39,35 @@ object UIAnalyzer {
     case object TextContent extends DOMProperty
     case object ClassName extends DOMProperty
     final case class Style(cssProperty: String) extends DOMProperty
-    case object Value extends DOMProperty // for inputs
+    // any attribute (href, src, title, hidden, aria-*, data-*, ...), removed
+    // when the value is None or False and present but empty for True
+    final case class Attribute(name: String) extends DOMProperty
+    // one class of the element, present while the value is True
+    final case class ClassToggle(className: String) extends DOMProperty
+    case object Value extends DOMProperty // for inputs, textareas, selects and radio groups
     case object Checked extends DOMProperty // for checkboxes
+    case object Selected extends DOMProperty // the selected options of a multiple select
     case object Disabled extends DOMProperty
+    // the element's children, reconciled by VNode key
+    case object Children extends DOMProperty
+    // a region whose content is the first branch matching the state value
+    final case class Region(branches: List[RegionBranch]) extends DOMProperty
 
     def fromString(s: String): Option[DOMProperty] = s match {
       case "textContent" => Some(TextContent)
       case "className"   => Some(ClassName)
       case "value"       => Some(Value)
       case "checked"     => Some(Checked)
+      case "selected"    => Some(Selected)
       case "disabled"    => Some(Disabled)
+      case "children"    => Some(Children)
+      case "region"      => Some(Region(Nil))
       case s if s.startsWith("style.") =>
         Some(Style(s.stripPrefix("style.")))
+      case s if s.startsWith("attr.") =>
+        Some(Attribute(s.stripPrefix("attr.")))
+      case s if s.startsWith("class.") =>
+        Some(ClassToggle(s.stripPrefix("class.")))
       case _ => None
     }
 
@@ -56,25 +75,133 @@ object UIAnalyzer {
       case TextContent  => "textContent"
       case ClassName    => "className"
       case Style(css)   => s"style.$css"
+      case Attribute(n) => s"attr.$n"
+      case ClassToggle(c) => s"class.$c"
       case Value        => "value"
       case Checked      => "checked"
+      case Selected     => "selected"
       case Disabled     => "disabled"
+      case Children     => "children"
+      case Region(_)    => "region"
     }
   }
 
+  /**
+   * What a two-way binding (bind_value, bind_int, ...) parses its element
+   * into when the element is edited, and the property that shows the state.
+   * Ints, Doubles and Options are parsed from the element's value, Bool from
+   * a checkbox's checked and Strings from a multiple select's options.
+   */
+  sealed abstract class InputKind(val name: String, val property: DOMProperty) derives CanEqual
+  object InputKind {
+    case object Text extends InputKind("string", DOMProperty.Value)
+    case object IntValue extends InputKind("int", DOMProperty.Value)
+    case object DoubleValue extends InputKind("double", DOMProperty.Value)
+    case object OptionalInt extends InputKind("optional_int", DOMProperty.Value)
+    case object OptionalDouble extends InputKind("optional_double", DOMProperty.Value)
+    case object BoolValue extends InputKind("bool", DOMProperty.Checked)
+    case object Strings extends InputKind("strings", DOMProperty.Selected)
+
+    // the Bosatsu/UI external for each kind
+    val byExternal: Map[String, InputKind] = Map(
+      "bind_value" -> Text,
+      "bind_int" -> IntValue,
+      "bind_double" -> DoubleValue,
+      "bind_optional_int" -> OptionalInt,
+      "bind_optional_double" -> OptionalDouble,
+      "bind_checked" -> BoolValue,
+      "bind_selected" -> Strings
+    )
+  }
+
+  /**
+   * One branch of a Region binding: the runtime shows vnode, in its VNode
+   * object format, when matcher accepts the state value. A matcher is {}
+   * for any value, {"tag": n} for a Bool or Option variant and
+   * {"equals": lit} for a literal.
+   */
+  final case class RegionBranch(matcher: Json, vnode: Json) derives CanEqual
+
+  /**
+   * How a binding turns the state value into what it shows. Transforms are
+   * data the runtime interprets, so pages don't need to evaluate code from
+   * the binding map (and can run under a Content-Security-Policy without
+   * 'unsafe-eval').
+   */
+  sealed trait Transform derives CanEqual {
+    def toJson: Json
+  }
+
+  object Transform {
+    // a function of the generated bundle or the JS runtime, by its global name
+    final case class Call(name: String) extends Transform {
+      def toJson = op("call", "name" -> Json.JString(name))
+    }
+    // a number with a fixed number of decimals
+    final case class FormatNumber(decimals: Int) extends Transform {
+      def toJson = op("number", "decimals" -> int(decimals))
+    }
+    // an amount of an ISO 4217 currency, e.g. "USD"
+    final case class Currency(currency: String, decimals: Int) extends Transform {
+      def toJson = op("currency", "currency" -> Json.JString(currency), "decimals" -> int(decimals))
+    }
+    // a value that is already in percent: 6.5 shows as 6.5%
+    final case class Percent(decimals: Int) extends Transform {
+      def toJson = op("percent", "decimals" -> int(decimals))
+    }
+    // the value between a prefix and a suffix
+    final case class Concat(prefix: String, suffix: String) extends Transform {
+      def toJson = op("concat", "prefix" -> Json.JString(prefix), "suffix" -> Json.JString(suffix))
+    }
+    // the entry for the value's string form, or default when there is none
+    final case class Table(entries: List[(String, String)], default: Option[String]) extends Transform {
+      def toJson = {
+        val table = "table" -> Json.JObject(entries.map { case (k, v) => k -> Json.JString(v) })
+        Json.JObject(("op" -> Json.JString("table")) :: table :: default.map("default" -> Json.JString(_)).toList)
+      }
+    }
+    // each step applied to the result of the one before
+    final case class Chain(steps: List[Transform]) extends Transform {
+      def toJson = Json.JArray(steps.toVector.map(_.toJson))
+    }
+
+    // first, then second, without nesting chains
+    def andThen(first: Transform, second: Transform): Transform = {
+      def steps(t: Transform): List[Transform] = t match {
+        case Chain(ts) => ts
+        case other     => other :: Nil
+      }
+      Chain(steps(first) ::: steps(second))
+    }
+
+    private def op(name: String, fields: (String, Json)*): Json =
+      Json.JObject(("op" -> Json.JString(name)) :: fields.toList)
+
+    private def int(i: Int): Json = Json.JNumberStr(i.toString)
+  }
+
   /**
    * A binding from a state path to a DOM property.
    *
    * Following documented learning: Store reference to TypedExpr, not copies of fields.
    * The expr field allows extracting additional info via pattern matching.
+   *
+   * For a Children binding, render names the global JS function that turns
+   * each item of the state list into a VNode; without it the state must
+   * already hold the VNodes.
+   *
+   * A binding with an input is two-way: edits to the element are parsed as
+   * that kind and written to the state path.
    */
   final case class DOMBinding[A](
       elementId: String,        // data-bosatsu-id attribute value
       property: DOMProperty,    // Which DOM property to update
       statePath: List[String],  // Path into state: ["user", "name"]
       conditional: Boolean,     // Is this inside a conditional?
-      transform: Option[String], // Optional JS transform expression
-      sourceExpr: TypedExpr[A]  // Reference to source expression (immutable)
+      transform: Option[Transform], // Optional value transform
+      sourceExpr: TypedExpr[A],  // Reference to source expression (immutable)
+      render: Option[String] = None, // Item → VNode function for Children
+      input: Option[InputKind] = None // Set for two-way bindings
   )
 
   /**
@@ -311,6 +438,8 @@ object UIAnalyzer {
                 if (args.length >= 2) extractPropsBindings(args(1), elementId, ctx)
                 // Process children WITH parent context set
                 if (args.length >= 3) {
+                  extractChildrenBinding(args(2), elementId, ctx)
+                  extractRegionBinding(args(2), elementId, ctx)
                   ctx.withParentElementId(elementId) {
                     analyzeExpr(args(2), ctx)
                   }
@@ -479,21 +608,12 @@ object UIAnalyzer {
             // text(content) - text node, parent will handle binding
             extractTextBinding(app, ctx)
 
-          case "on_click" =>
-            // on_click(handler) - extract event handler
-            extractEventHandler(app, "click", ctx)
-
-          case "on_input" =>
-            // on_input(handler) - extract event handler
-            extractEventHandler(app, "input", ctx)
-
-          case "on_change" =>
-            // on_change(handler) - extract event handler
-            extractEventHandler(app, "change", ctx)
-
-          case _ =>
-            // Other UI functions
-            ()
+          case other =>
+            // on_click(handler), on_keydown(handler), ... - extract event handler;
+            // other UI functions are ignored
+            Events.EventType.fromHandler(other).foreach { eventType =>
+              extractEventHandler(app, eventType.name, ctx)
+            }
         }
 
       case _ =>
@@ -664,14 +784,18 @@ object UIAnalyzer {
         if (fnName == "NonEmptyList" || fnName == "Cons") {
           val argsList = args.toList
           if (argsList.length >= 2) {
-            // Check head for on_click
+            // Check head for on_click or a two-way binding
             extractSingleEventHandler(argsList.head, elementId, ctx)
+            extractInputBinding(argsList.head, elementId, ctx)
+            extractAttributeBinding(argsList.head, elementId, ctx)
             // Recurse on tail
             extractEventHandlersFromProps(argsList(1), elementId, ctx)
           }
         } else {
           // Could be on_click directly or other App
           extractSingleEventHandler(propsExpr, elementId, ctx)
+          extractInputBinding(propsExpr, elementId, ctx)
+          extractAttributeBinding(propsExpr, elementId, ctx)
           // Also check nested args
           args.toList.foreach { arg =>
             extractEventHandlersFromProps(arg, elementId, ctx)
@@ -689,8 +813,9 @@ object UIAnalyzer {
   }
 
   /**
-   * Check if an expression is an on_click/on_input/on_change call
-   * and extract the handler with the element ID.
+   * Check if an expression is an event handler prop (on_click, on_keydown,
+   * ... see Events.EventType.handled) and extract the handler with the
+   * element ID.
    */
   private def extractSingleEventHandler[A](
       expr: TypedExpr[A],
@@ -701,15 +826,9 @@ object UIAnalyzer {
       case TypedExpr.App(fn, args, _, _) =>
         fn match {
           case TypedExpr.Global(pack, name, _, _) if isUIPackage(pack) =>
-            val eventType = name.asString match {
-              case "on_click" => Some("click")
-              case "on_input" => Some("input")
-              case "on_change" => Some("change")
-              case _ => None
-            }
-            eventType.foreach { evtType =>
+            Events.EventType.fromHandler(name.asString).foreach { eventType =>
               val handler = args.head
-              extractEventHandlerWithElement(handler, evtType, elementId, ctx)
+              extractEventHandlerWithElement(handler, eventType.name, elementId, ctx)
             }
           case _ => ()
         }
@@ -717,6 +836,97 @@ object UIAnalyzer {
     }
   }
 
+  /**
+   * Check if an expression is a two-way binding prop, e.g. bind_int(count),
+   * and record a binding from the state to the element that also writes
+   * the element's edits back to the state.
+   */
+  private def extractInputBinding[A](
+      expr: TypedExpr[A],
+      elementId: String,
+      ctx: AnalysisContext[A]
+  ): Unit =
+    expr match {
+      case TypedExpr.App(fn, args, _, _) =>
+        unwrapFunction(fn) match {
+          case TypedExpr.Global(pack, name, _, _) if isUIPackage(pack) =>
+            for {
+              kind <- InputKind.byExternal.get(name.asString)
+              stateName <- unwrapFunction(args.head) match {
+                case TypedExpr.Local(n, _, _)     => Some(n.asString)
+                case TypedExpr.Global(_, n, _, _) => Some(n.asString)
+                case _                            => None
+              }
+            } {
+              val path = List(stateName)
+              ctx.recordStateRead(path)
+              ctx.recordBinding(DOMBinding(
+                elementId = elementId,
+                property = kind.property,
+                statePath = path,
+                conditional = ctx.inConditional,
+                transform = None,
+                sourceExpr = expr,
+                input = Some(kind)
+              ))
+            }
+          case _ => ()
+        }
+      case _ => ()
+    }
+
+  /**
+   * Check if a prop's value depends on state and record a binding for the
+   * attribute it sets:
+   *   ("title", read(label))       -> Attribute("title")
+   *   attr("href", read(link))     -> Attribute("href"), removed for None
+   *   toggle_attr("hidden", read(collapsed)) -> Attribute("hidden")
+   *   toggle_class("active", read(selected)) -> ClassToggle("active")
+   * A "class" prop binds the whole className and a "value" prop the value.
+   */
+  private def extractAttributeBinding[A](
+      expr: TypedExpr[A],
+      elementId: String,
+      ctx: AnalysisContext[A]
+  ): Unit =
+    expr match {
+      case TypedExpr.App(fn, args, _, _) if args.length == 2 =>
+        val argsList = args.toList
+        val property: Option[DOMProperty] = unwrapFunction(fn) match {
+          case TypedExpr.Global(pack, name, _, _) if isUIPackage(pack) =>
+            (name.asString, extractStringLiteralDeep(argsList.head)) match {
+              case ("attr" | "toggle_attr", Some(attr)) => Some(DOMProperty.Attribute(attr))
+              case ("toggle_class", Some(cls))          => Some(DOMProperty.ClassToggle(cls))
+              case _                                    => None
+            }
+          case TypedExpr.Global(_, name, _, _) if name.asString == "Tuple2" =>
+            (extractStringLiteralDeep(argsList.head), extractStringLiteralDeep(argsList(1))) match {
+              case (Some("class"), None) => Some(DOMProperty.ClassName)
+              case (Some("value"), None) => Some(DOMProperty.Value)
+              case (Some(key), None) if key != "id" && !key.startsWith("data-on") =>
+                Some(DOMProperty.Attribute(key))
+              case _ => None
+            }
+          case _ => None
+        }
+        for {
+          prop <- property
+          valueExpr = argsList(1)
+          path <- traceStateDependency(valueExpr, ctx)
+        } {
+          ctx.recordStateRead(path)
+          ctx.recordBinding(DOMBinding(
+            elementId = elementId,
+            property = prop,
+            statePath = path,
+            conditional = ctx.inConditional,
+            transform = extractTransform(valueExpr, ctx),
+            sourceExpr = valueExpr
+          ))
+        }
+      case _ => ()
+    }
+
   /**
    * Extract text binding from a text() call.
    * Creates a DOM binding if the text content depends on state.
@@ -728,8 +938,12 @@ object UIAnalyzer {
   ): Unit = {
     val contentExpr = app.args.head
 
-    // Trace the content expression to see if it reads from state
-    val statePath = traceStateDependency(contentExpr, ctx)
+    // Trace the content expression to see if it reads from state, either
+    // through a table lookup or through transforms
+    val (statePath, transform) = extractTable(contentExpr, ctx) match {
+      case Some((path, table)) => (Some(path), Some(table))
+      case None => (traceStateDependency(contentExpr, ctx), extractTransform(contentExpr, ctx))
+    }
 
     statePath.foreach { path =>
       ctx.recordStateRead(path)
@@ -738,9 +952,6 @@ object UIAnalyzer {
       // Text nodes should use their parent element's ID for binding updates
       val elementId = ctx.currentParentElementId.getOrElse(ctx.freshId())
 
-      // Extract transform function if content goes through a transformation
-      val transform = extractTransform(contentExpr)
-
       ctx.recordBinding(DOMBinding(
         elementId = elementId,
         property = DOMProperty.TextContent,
@@ -752,6 +963,202 @@ object UIAnalyzer {
     }
   }
 
+  /**
+   * Extract a Children binding when an element's children are computed from
+   * state rather than written as a list literal, e.g.
+   *   h("ul", [], read(items))
+   *   h("ul", [], map_List(read(todos), render_todo))
+   * In the second form render_todo becomes the binding's render function, so
+   * the runtime can rebuild the keyed children from the new list.
+   */
+  private def extractChildrenBinding[A](
+      childrenExpr: TypedExpr[A],
+      elementId: String,
+      ctx: AnalysisContext[A]
+  ): Unit =
+    if (!isListLiteral(childrenExpr)) {
+      val render = extractItemRender(childrenExpr)
+      val directRead = unwrapFunction(childrenExpr) match {
+        case app: TypedExpr.App[A @unchecked] => extractStateRead(app)
+        case TypedExpr.Local(name, _, _)      => ctx.getPath(name)
+        case _                                => None
+      }
+      val statePath =
+        if (render.isDefined) traceStateDependency(childrenExpr, ctx)
+        else directRead
+
+      statePath.foreach { path =>
+        ctx.recordStateRead(path)
+        ctx.recordBinding(DOMBinding(
+          elementId = elementId,
+          property = DOMProperty.Children,
+          statePath = path,
+          conditional = ctx.inConditional,
+          transform = None,
+          sourceExpr = childrenExpr,
+          render = render
+        ))
+      }
+    }
+
+  private def isListLiteral[A](expr: TypedExpr[A]): Boolean =
+    unwrapFunction(expr) match {
+      case TypedExpr.App(fn, _, _, _) =>
+        val fnName = getFunctionName(fn)
+        fnName == "NonEmptyList" || fnName == "Cons"
+      case TypedExpr.Global(_, name, _, _) => name.asString == "EmptyList"
+      case _ => false
+    }
+
+  /**
+   * The JS name of the function in map_List(list, fn) when fn is a top
+   * level function, which is how the compiled bundle names it.
+   */
+  private def extractItemRender[A](expr: TypedExpr[A]): Option[String] =
+    unwrapFunction(expr) match {
+      case TypedExpr.App(fn, args, _, _) if getFunctionName(fn) == "map_List" && args.length == 2 =>
+        unwrapFunction(args.toList(1)) match {
+          case TypedExpr.Global(pack, name, _, _) =>
+            name.toBindable.map(b => JsGen.qualifiedName(pack, b).name)
+          case _ => None
+        }
+      case _ => None
+    }
+
+  // ---------------------------------------------------------------------------
+  // Conditional Regions
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Extract a Region binding when an element's only child is a match on
+   * state whose branches are all VNodes, e.g.
+   *   h("div", [], [match read(logged_in):
+   *     case True: h("span", [], [text("Welcome back")])
+   *     case False: h("button", [], [text("Log in")])])
+   * The runtime keeps the branches and swaps the element's content when the
+   * state selects another one. Only matches the runtime can decide (see
+   * RegionBranch) on branches it can build (see staticVNode) are regions;
+   * other matches keep their plain conditional bindings.
+   */
+  private def extractRegionBinding[A](
+      childrenExpr: TypedExpr[A],
+      elementId: String,
+      ctx: AnalysisContext[A]
+  ): Unit =
+    listLiteralItems(childrenExpr) match {
+      case Some((m @ TypedExpr.Match(arg, matchBranches, _)) :: Nil) =>
+        val statePath = unwrapFunction(arg) match {
+          case TypedExpr.Local(name, _, _) => ctx.getPath(name)
+          case _                           => traceStateDependency(arg, ctx)
+        }
+        val branches = matchBranches.toList.traverse { case (pat, branchExpr) =>
+          (regionMatcher(pat), staticVNode(branchExpr, None, ctx)).mapN(RegionBranch(_, _))
+        }
+        (statePath, branches).tupled.foreach { case (path, bs) =>
+          ctx.recordStateRead(path)
+          ctx.recordBinding(DOMBinding(
+            elementId = elementId,
+            property = DOMProperty.Region(bs),
+            statePath = path,
+            conditional = ctx.inConditional,
+            transform = None,
+            sourceExpr = m
+          ))
+        }
+      case _ => ()
+    }
+
+  // the tags of the Predef variants a region can match on
+  private val predefVariantTags: Map[String, Int] =
+    Map("False" -> 0, "True" -> 1, "None" -> 0, "Some" -> 1)
+
+  private def regionMatcher(pat: Pattern[(PackageName, Identifier.Constructor), ?]): Option[Json] =
+    pat match {
+      case Pattern.WildCard | Pattern.Var(_) => Some(Json.JObject(Nil))
+      case Pattern.Named(_, inner)           => regionMatcher(inner)
+      case Pattern.Annotation(inner, _)      => regionMatcher(inner)
+      case Pattern.Literal(Lit.Str(str))     => Some(Json.JObject(List("equals" -> Json.JString(str))))
+      case Pattern.Literal(Lit.Integer(i)) if i.bitLength < 53 =>
+        Some(Json.JObject(List("equals" -> Json.JNumberStr(i.toString))))
+      case Pattern.PositionalStruct((pack, cons), params)
+          if pack == PackageName.PredefName && params.forall(isIrrefutable) =>
+        predefVariantTags.get(cons.asString).map { tag =>
+          Json.JObject(List("tag" -> Json.JNumberStr(tag.toString)))
+        }
+      case _ => None
+    }
+
+  private def isIrrefutable(pat: Pattern[?, ?]): Boolean =
+    pat match {
+      case Pattern.WildCard | Pattern.Var(_) => true
+      case Pattern.Named(_, inner)           => isIrrefutable(inner)
+      case Pattern.Annotation(inner, _)      => isIrrefutable(inner)
+      case _                                 => false
+    }
+
+  /**
+   * The items of a list literal: [a, b] is NonEmptyList(a, NonEmptyList(b, EmptyList)).
+   */
+  private def listLiteralItems[A](expr: TypedExpr[A]): Option[List[TypedExpr[A]]] =
+    unwrapFunction(expr) match {
+      case TypedExpr.Global(_, name, _, _) if name.asString == "EmptyList" => Some(Nil)
+      case TypedExpr.App(fn, args, _, _) if isListLiteral(expr) && args.length == 2 =>
+        listLiteralItems(args.toList(1)).map(args.head :: _)
+      case _ => None
+    }
+
+  /**
+   * A VNode expression as a runtime VNode object, when it is built from
+   * h/text/fragment with literal tags and props. State-derived text is only
+   * allowed inside an element with an explicit "id", which is kept as its
+   * binding id so the text binding fills it in once the branch is shown.
+   * Event handlers and other computed content aren't supported.
+   */
+  private def staticVNode[A](
+      expr: TypedExpr[A],
+      parentId: Option[String],
+      ctx: AnalysisContext[A]
+  ): Option[Json] =
+    unwrapFunction(expr) match {
+      case TypedExpr.App(fn, args, _, _) =>
+        unwrapFunction(fn) match {
+          case TypedExpr.Global(pack, name, _, _) if isUIPackage(pack) =>
+            (name.asString, args.toList) match {
+              case ("text", content :: Nil) =>
+                extractStringLiteralDeep(content) match {
+                  case Some(str) => Some(Json.JString(str))
+                  case None if parentId.isDefined && traceStateDependency(content, ctx).isDefined =>
+                    Some(Json.JString(""))
+                  case None => None
+                }
+              case ("h", tag :: props :: children :: Nil) =>
+                for {
+                  tagStr <- extractStringLiteralDeep(tag)
+                  propItems <- listLiteralItems(props)
+                  attrs <- propItems.traverse(extractPropTuple(_))
+                  id = attrs.collectFirst { case ("id", v) => v }
+                  childItems <- listLiteralItems(children)
+                  childNodes <- childItems.traverse(staticVNode(_, id, ctx))
+                } yield Json.JObject(
+                  List(
+                    "tag" -> Json.JString(tagStr),
+                    "attributes" -> Json.JObject(attrs.map { case (k, v) => k -> Json.JString(v) })
+                  ) ++ id.map("id" -> Json.JString(_)).toList :+
+                    ("children" -> Json.JArray(childNodes.toVector))
+                )
+              case ("fragment", children :: Nil) =>
+                listLiteralItems(children)
+                  .flatMap(_.traverse(staticVNode(_, parentId, ctx)))
+                  .map { nodes =>
+                    Json.JObject(List("type" -> Json.JString("fragment"), "children" -> Json.JArray(nodes.toVector)))
+                  }
+              case _ => None
+            }
+          case _ => None
+        }
+      case _ => None
+    }
+
   /**
    * Trace an expression to find if it depends on state.
    * Returns the state path if found.
@@ -792,35 +1199,124 @@ object UIAnalyzer {
   }
 
   /**
-   * Extract transform function name from an expression.
-   * e.g., int_to_String(x) -> Some("_int_to_String")
+   * Extract the transform text content goes through, e.g.
+   *   int_to_String(x)            -> Call("_int_to_String")
+   *   Demo/Fmt::money_to_String(x) -> Call("Demo_Fmt$money_to_String")
+   *   "$${int_to_String(x)}"      -> int_to_String, then Concat("$", "")
+   * Predef conversions are JS runtime functions; others are functions of
+   * the generated bundle.
    */
-  private def extractTransform[A](expr: TypedExpr[A]): Option[String] = {
-    expr match {
-      case TypedExpr.App(fn, _, _, _) =>
-        fn match {
+  private def extractTransform[A](expr: TypedExpr[A], ctx: AnalysisContext[A]): Option[Transform] =
+    unwrapFunction(expr) match {
+      case TypedExpr.App(fn, args, _, _) =>
+        unwrapFunction(fn) match {
+          case TypedExpr.Global(_, name, _, _) if name.asString == "concat_String" && args.length == 1 =>
+            extractConcat(args.head, ctx)
           case TypedExpr.Global(pack, name, _, _) =>
             // Check if this is a known transform function
             val nameStr = name.asString
-            if (nameStr == "int_to_String" || nameStr == "int_to_string") {
-              Some("_int_to_String")
-            } else if (nameStr.endsWith("_to_String") || nameStr.endsWith("_to_string")) {
-              Some(s"_$nameStr")
-            } else {
-              None // Not a transform, it might be read() itself
+            val call =
+              if (nameStr == "int_to_String" || nameStr == "int_to_string") {
+                Some(Transform.Call("_int_to_String"))
+              } else if (nameStr.endsWith("_to_String") || nameStr.endsWith("_to_string")) {
+                if (pack == PackageName.PredefName) Some(Transform.Call(s"_$nameStr"))
+                else name.toBindable.map(b => Transform.Call(JsGen.qualifiedName(pack, b).name))
+              } else {
+                None // Not a transform, it might be read() itself
+              }
+            // Include what the argument went through first
+            call.map { c =>
+              args.toList match {
+                case arg :: Nil => extractTransform(arg, ctx).fold(c)(Transform.andThen(_, c))
+                case _          => c
+              }
             }
           case _ => None
         }
       case _ => None
     }
-  }
+
+  /**
+   * The transform of concat_String([...]) when exactly one item depends on
+   * state, through a read or a transform, and the rest are literals.
+   */
+  private def extractConcat[A](listExpr: TypedExpr[A], ctx: AnalysisContext[A]): Option[Transform] =
+    listLiteralItems(listExpr).flatMap { items =>
+      items.indexWhere(traceStateDependency(_, ctx).isDefined) match {
+        case -1 => None
+        case idx =>
+          val (before, rest) = items.splitAt(idx)
+          val valueItem = rest.head
+          val after = rest.tail
+          for {
+            prefix <- before.traverse(extractStringLiteralDeep(_)).map(_.mkString)
+            suffix <- after.traverse(extractStringLiteralDeep(_)).map(_.mkString)
+            inner <-
+              if (isDirectRead(valueItem, ctx)) Some(None)
+              else extractTransform(valueItem, ctx).map(Some(_))
+          } yield {
+            val concat = Transform.Concat(prefix, suffix)
+            inner.fold[Transform](concat)(Transform.andThen(_, concat))
+          }
+      }
+    }
+
+  /**
+   * A match on state whose branches are string literals, keyed by String
+   * or Int literals, as a Table transform on the state path, e.g.
+   *   match read(status):
+   *     case 0: "Off"
+   *     case 1: "On"
+   *     case _: "Unknown"
+   */
+  private def extractTable[A](
+      expr: TypedExpr[A],
+      ctx: AnalysisContext[A]
+  ): Option[(List[String], Transform)] =
+    unwrapFunction(expr) match {
+      case TypedExpr.Match(arg, branches, _) if isDirectRead(arg, ctx) =>
+        val entries = branches.toList.traverse[Option, (Option[String], String)] { case (pat, branchExpr) =>
+          extractStringLiteralDeep(branchExpr).flatMap { text =>
+            pat match {
+              case Pattern.Literal(Lit.Str(str))     => Some((Some(str), text))
+              case Pattern.Literal(Lit.Integer(i))   => Some((Some(i.toString), text))
+              case Pattern.WildCard | Pattern.Var(_) => Some((None, text))
+              case _                                 => None
+            }
+          }
+        }
+        for {
+          es <- entries
+          path <- traceStateDependency(arg, ctx)
+        } yield {
+          // entries after a catch-all can't match
+          val (keyed, rest) = es.span(_._1.isDefined)
+          (path, Transform.Table(keyed.collect { case (Some(k), v) => (k, v) }, rest.headOption.map(_._2)))
+        }
+      case _ => None
+    }
+
+  // a read of state, directly or through a local bound to one
+  private def isDirectRead[A](expr: TypedExpr[A], ctx: AnalysisContext[A]): Boolean =
+    unwrapFunction(expr) match {
+      case app: TypedExpr.App[A @unchecked] => extractStateRead(app).isDefined
+      case TypedExpr.Local(name, _, _)      => ctx.getPath(name).isDefined
+      case _                                => false
+    }
 
   // ---------------------------------------------------------------------------
   // Event Handler Detection
   // ---------------------------------------------------------------------------
 
   /**
-   * Extract event handler from on_click/on_input/on_change calls.
+   * Clicks and submits prevent the default action: a submit handler
+   * replaces sending the form and reloading the page.
+   */
+  private def preventsDefault(eventType: String): Boolean =
+    eventType == "click" || eventType == "submit"
+
+  /**
+   * Extract event handler from on_click, on_keydown, ... calls.
    */
   private def extractEventHandler[A](
       app: TypedExpr.App[A],
@@ -835,7 +1331,7 @@ object UIAnalyzer {
       elementId = elementId,
       eventType = eventType,
       handler = handler,
-      preventDefault = eventType == "click", // Prevent default for clicks
+      preventDefault = preventsDefault(eventType),
       stopPropagation = false
     ))
   }
@@ -858,7 +1354,7 @@ object UIAnalyzer {
       elementId = elementId,
       eventType = eventType,
       handler = handler,
-      preventDefault = eventType == "click",
+      preventDefault = preventsDefault(eventType),
       stopPropagation = false
     ))
 
@@ -975,6 +1471,10 @@ object UIAnalyzer {
     analysis.stateReads.distinct
   }
 
+  // JSON on one line, for the entries of a binding map
+  private def compactJson(json: Json): String =
+    json.toDoc.renderWideStream.mkString
+
   /**
    * Generate JavaScript object representation of bindings.
    * Used for embedding in generated code.
@@ -986,11 +1486,44 @@ object UIAnalyzer {
           s""""elementId": "${b.elementId}"""",
           s""""property": "${DOMProperty.toJsProperty(b.property)}"""",
           s""""conditional": ${b.conditional}"""
-        ) ++ b.transform.map(t => s""""transform": "$t"""")
+        ) ++ b.transform.map(t => s""""transform": ${compactJson(t.toJson)}""") ++
+          b.render.map(r => s""""render": "$r"""") ++
+          b.input.map(k => s""""input": "${k.name}"""") ++
+          (b.property match {
+            case DOMProperty.Region(branches) =>
+              val branchesJson = Json.JArray(branches.toVector.map { br =>
+                Json.JObject(List("match" -> br.matcher, "vnode" -> br.vnode))
+              })
+              List(s""""branches": ${compactJson(branchesJson)}""")
+            case _ => Nil
+          })
         s"{${props.mkString(", ")}}"
       }
       s""""$pathKey": [${bindingArrays.mkString(", ")}]"""
     }
     s"{${entries.mkString(",\n  ")}}"
   }
+
+  /**
+   * The functions the bindings name, in Call transforms and as list item
+   * renderers, as a JS object from each name to that function of the
+   * generated code (undefined if the code doesn't define it). The runtimes
+   * only call functions from this object, never a global by name. Must be
+   * evaluated after the generated code.
+   */
+  def functionsToJs[A](bindings: List[DOMBinding[A]]): String = {
+    def calls(t: Transform): List[String] = t match {
+      case Transform.Call(name)   => name :: Nil
+      case Transform.Chain(steps) => steps.flatMap(calls)
+      case _                      => Nil
+    }
+    val names = bindings
+      .flatMap(b => b.transform.toList.flatMap(calls) ::: b.render.toList)
+      .distinct
+      .filter(jsIdentifier.matches(_))
+    val entries = names.map(n => s""""$n": typeof $n === "function" ? $n : undefined""")
+    s"{${entries.mkString(",\n  ")}}"
+  }
+
+  private val jsIdentifier = "[A-Za-z_$][A-Za-z0-9_$]*".r
 }
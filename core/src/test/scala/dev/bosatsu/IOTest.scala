@@ -212,6 +212,103 @@ class IOTest extends FunSuite {
     }
   }
 
+  test("runWithProvenance with RandomDouble stays in [low, high)") {
+    val draws = IO.FlatMap[Double, Value](IO.RandomDouble(2.0, 3.0), { d =>
+      IO.Pure(d)
+    })
+    val (result, _) = IO.runWithProvenance(draws, new scala.util.Random(1))
+    result match {
+      case ExternalValue(d: java.lang.Double) =>
+        assert(d >= 2.0 && d < 3.0, s"Expected value in [2, 3), got $d")
+      case _ => fail(s"Expected Double, got: $result")
+    }
+  }
+
+  // =========================================================================
+  // runWithProvenance - WithSeed
+  // =========================================================================
+
+  // three draws, as a list
+  private val threeDraws: IO.IOEffect[Value] =
+    IO.FlatMap[Int, Value](IO.RandomInt(1, 1000), { a =>
+      IO.FlatMap[Double, Value](IO.RandomDouble(0.0, 1.0), { b =>
+        IO.FlatMap[Double, Value](IO.RandomGaussian(0.0, 1.0), { c =>
+          IO.Pure(VList(List(a, b, c)))
+        })
+      })
+    })
+
+  test("runWithProvenance with WithSeed replays the same values") {
+    val seeded = IO.WithSeed(BigInteger.valueOf(2024), threeDraws)
+    val (first, _) = IO.runWithProvenance(seeded, new scala.util.Random(1))
+    val (second, _) = IO.runWithProvenance(seeded, new scala.util.Random(2))
+    assertEquals(first, second)
+
+    val (other, _) = IO.runWithProvenance(IO.WithSeed(BigInteger.valueOf(2025), threeDraws))
+    assertNotEquals(first, other)
+  }
+
+  test("runWithProvenance with WithSeed draws like SeededRandom") {
+    val (result, _) = IO.runWithProvenance(IO.WithSeed(BigInteger.valueOf(2024), IO.RandomInt(1, 6)))
+    assertEquals(result, new SeededRandom(2024).between(BigInteger.ONE, BigInteger.valueOf(6)).intValue)
+  }
+
+  test("runWithProvenance with WithSeed records the seed in the trace") {
+    val seeded = IO.WithSeed(BigInteger.valueOf(99), IO.FlatMap[Int, Value](IO.RandomInt(1, 6), { v =>
+      IO.Capture("roll", v, None)
+    }))
+    val (_, trace) = IO.runWithProvenance(seeded)
+    val seedNode = trace.nodes.values.find(_.name == "seed").getOrElse(fail("no seed node"))
+    assertEquals(seedNode.valueStr, "99")
+    // values drawn under the seed depend on it
+    assertEquals(trace.nodes(trace.root).name, "roll")
+    assertEquals(trace.nodes(trace.root).dependencies, List(seedNode.id))
+  }
+
+  test("runWithProvenance with WithSeed leaves the outer draws alone") {
+    val outer = IO.FlatMap[Int, Value](IO.RandomInt(0, 1000000), { a =>
+      IO.FlatMap[Int, Value](IO.RandomInt(0, 1000000), { b => IO.Pure(VList(List(a, b))) })
+    })
+    val withInner = IO.FlatMap[Int, Value](IO.RandomInt(0, 1000000), { a =>
+      IO.FlatMap[Value, Value](IO.WithSeed(BigInteger.ONE, threeDraws), { _ =>
+        IO.FlatMap[Int, Value](IO.RandomInt(0, 1000000), { b => IO.Pure(VList(List(a, b))) })
+      })
+    })
+    val (expected, _) = IO.runWithProvenance(outer, new scala.util.Random(5))
+    val (got, _) = IO.runWithProvenance(withInner, new scala.util.Random(5))
+    assertEquals(got, expected)
+  }
+
+  // =========================================================================
+  // runWithProvenance - Sleep, Now and HostEffect
+  // =========================================================================
+
+  test("runWithProvenance with Sleep moves the clock Now reads") {
+    val timed = IO.FlatMap[Value, Value](IO.Now(), { start =>
+      IO.FlatMap[Value, Value](IO.Sleep(5000L), { _ =>
+        IO.FlatMap[Value, Value](IO.Now(), { end => IO.Pure(VList(List(start, end))) })
+      })
+    })
+    val (result, _) = IO.runWithProvenance(timed)
+    result match {
+      case VList(List(VInt(start), VInt(end))) =>
+        assertEquals(end.subtract(start).longValue, 5000L)
+      case _ => fail(s"Expected two times, got: $result")
+    }
+  }
+
+  test("runWithProvenance with HostEffect calls the named host function") {
+    val doubled = IO.HostEffect("double", VInt(BigInteger.valueOf(21)))
+    val host: Map[String, Value => Value] = Map("double" -> {
+      case VInt(bi) => VInt(bi.shiftLeft(1))
+      case other => other
+    })
+    val (result, _) = IO.runWithProvenance(doubled, new scala.util.Random(), host)
+    assertEquals(result, VInt(BigInteger.valueOf(42)))
+
+    intercept[IllegalStateException](IO.runWithProvenance(IO.HostEffect("missing", UnitValue)))
+  }
+
   // =========================================================================
   // runWithProvenance - Trace
   // =========================================================================
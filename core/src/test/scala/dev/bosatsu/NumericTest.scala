@@ -209,6 +209,169 @@ class NumericTest extends FunSuite {
     }
   }
 
+  // =========================================================================
+  // Math functions
+  // =========================================================================
+
+  private def dbl(v: Value): Double = v match {
+    case ExternalValue(d: java.lang.Double) => d.doubleValue
+    case other => fail(s"Expected ExternalValue with Double, got $other")
+  }
+
+  test("NumericImpl math functions") {
+    assertEquals(dbl(NumericImpl.sqrt(wrap(16.0))), 4.0)
+    assert(dbl(NumericImpl.sqrt(wrap(-1.0))).isNaN)
+    assertEquals(dbl(NumericImpl.pow(wrap(2.0), wrap(10.0))), 1024.0)
+    assertEquals(dbl(NumericImpl.exp(wrap(0.0))), 1.0)
+    assertEquals(dbl(NumericImpl.log(wrap(1.0))), 0.0)
+    assertEquals(dbl(NumericImpl.log(wrap(0.0))), Double.NegativeInfinity)
+    assertEquals(dbl(NumericImpl.sin(wrap(0.0))), 0.0)
+    assertEquals(dbl(NumericImpl.cos(wrap(0.0))), 1.0)
+    assertEquals(dbl(NumericImpl.tan(wrap(0.0))), 0.0)
+    // atan2 takes y first
+    assertEquals(dbl(NumericImpl.atan2(wrap(1.0), wrap(0.0))), math.Pi / 2)
+    assertEquals(dbl(NumericImpl.atan2(wrap(0.0), wrap(-1.0))), math.Pi)
+  }
+
+  test("NumericImpl.floor and ceil") {
+    assertEquals(dbl(NumericImpl.floor(wrap(-1.5))), -2.0)
+    assertEquals(dbl(NumericImpl.ceil(wrap(-1.5))), -1.0)
+    assertEquals(dbl(NumericImpl.ceil(wrap(1.2))), 2.0)
+  }
+
+  test("NumericImpl.round rounds halves up like JS Math.round") {
+    val cases = List(
+      2.5 -> 3.0,
+      -2.5 -> -2.0,
+      1.4 -> 1.0,
+      -1.6 -> -2.0,
+      0.49999999999999994 -> 0.0,
+      1e300 -> 1e300
+    )
+    cases.foreach { case (in, out) =>
+      assertEquals(dbl(NumericImpl.round(wrap(in))), out, s"round($in)")
+    }
+    // negative numbers that round to zero keep the sign, as in JS
+    assert(1.0 / dbl(NumericImpl.round(wrap(-0.2))) < 0)
+    assert(1.0 / dbl(NumericImpl.round(wrap(0.2))) > 0)
+    assert(dbl(NumericImpl.round(wrap(Double.NaN))).isNaN)
+    assertEquals(dbl(NumericImpl.round(wrap(Double.PositiveInfinity))), Double.PositiveInfinity)
+  }
+
+  test("NumericImpl.min and max propagate NaN") {
+    assertEquals(dbl(NumericImpl.min(wrap(1.0), wrap(2.0))), 1.0)
+    assertEquals(dbl(NumericImpl.max(wrap(1.0), wrap(2.0))), 2.0)
+    assert(dbl(NumericImpl.min(wrap(Double.NaN), wrap(2.0))).isNaN)
+    assert(dbl(NumericImpl.max(wrap(1.0), wrap(Double.NaN))).isNaN)
+  }
+
+  test("NumericImpl constants and is_nan") {
+    assertEquals(dbl(NumericImpl.pi), math.Pi)
+    assertEquals(dbl(NumericImpl.e), math.E)
+    assertEquals(NumericImpl.isNaN(wrap(Double.NaN)), True)
+    assertEquals(NumericImpl.isNaN(wrap(1.0)), False)
+  }
+
+  // =========================================================================
+  // Formatting and parsing
+  // =========================================================================
+
+  private def string(v: Value): String = v match {
+    case Str(s) => s
+    case other => fail(s"Expected a String, got $other")
+  }
+
+  test("NumericImpl.formatFixed follows JS toFixed") {
+    def fixed(x: Double, n: Int) = string(NumericImpl.formatFixed(wrap(x), VInt(n)))
+    assertEquals(fixed(3.14159, 2), "3.14")
+    // 1.005 is a little below 1.005, so it rounds down
+    assertEquals(fixed(1.005, 2), "1.00")
+    assertEquals(fixed(-2.5, 0), "-3")
+    assertEquals(fixed(-0.001, 2), "-0.00")
+    assertEquals(fixed(-0.0, 2), "0.00")
+    assertEquals(fixed(1e21, 1), "1000000000000000000000.0")
+    assertEquals(fixed(1.5, -1), "2")
+    assertEquals(fixed(Double.NaN, 2), "NaN")
+    assertEquals(fixed(Double.NegativeInfinity, 2), "-Infinity")
+  }
+
+  test("NumericImpl.formatExponential follows JS toExponential") {
+    def exp(x: Double, n: Int) = string(NumericImpl.formatExponential(wrap(x), VInt(n)))
+    assertEquals(exp(12345.0, 2), "1.23e+4")
+    assertEquals(exp(5e-7, 1), "5.0e-7")
+    assertEquals(exp(0.0, 2), "0.00e+0")
+    assertEquals(exp(9.99, 1), "1.0e+1")
+    assertEquals(exp(-1.5, 3), "-1.500e+0")
+    assertEquals(exp(100.0, 0), "1e+2")
+  }
+
+  test("NumericImpl.formatCurrency and formatPercent are locale aware") {
+    def currency(x: Double, c: String, l: String) =
+      string(NumericImpl.formatCurrency(wrap(x), Str(c), Str(l)))
+    assertEquals(currency(1234.5, "USD", "en-US"), "$1,234.50")
+    assertEquals(currency(-1234.5, "USD", "en-US"), "-$1,234.50")
+    assertEquals(currency(1234.5, "EUR", "de-DE"), "1.234,50\u00a0€")
+    // an unknown currency code
+    assertEquals(currency(1.5, "US", "en-US"), "1.50 US")
+    assertEquals(string(NumericImpl.formatPercent(wrap(0.125), VInt(1), Str("en-US"))), "12.5%")
+    assertEquals(string(NumericImpl.formatPercent(wrap(12.3456), VInt(0), Str("en-US"))), "1,235%")
+  }
+
+  test("NumericImpl.formatCurrency and formatPercent agree across platforms") {
+    def currency(x: Double, c: String) =
+      string(NumericImpl.formatCurrency(wrap(x), Str(c), Str("en-US")))
+    def percent(x: Double, n: Int) =
+      string(NumericImpl.formatPercent(wrap(x), VInt(n), Str("en-US")))
+    // the exact binary value of 1.005 is below 1.005
+    assertEquals(currency(1.005, "USD"), "$1.00")
+    assertEquals(currency(Double.NaN, "USD"), "NaN")
+    assertEquals(currency(Double.NegativeInfinity, "USD"), "-Infinity")
+    // codes are three uppercase letters the platform knows
+    assertEquals(currency(1.0, "XYZ"), "1.00 XYZ")
+    assertEquals(currency(1.0, "usd"), "1.00 usd")
+    assertEquals(percent(Double.NaN, 1), "NaN")
+    assertEquals(percent(Double.PositiveInfinity, 1), "Infinity")
+    assertEquals(percent(0.00005, 2), "0.01%")
+  }
+
+  test("NumericImpl.stringToDouble only accepts a whole decimal number") {
+    def parse(s: String): Option[Double] = NumericImpl.stringToDouble(Str(s)) match {
+      case VOption(Some(d)) => Some(dbl(d))
+      case VOption(None) => None
+      case other => fail(s"Expected an Option, got $other")
+    }
+    assertEquals(parse("12"), Some(12.0))
+    assertEquals(parse("-0.5"), Some(-0.5))
+    assertEquals(parse(".5"), Some(0.5))
+    assertEquals(parse("1e-3"), Some(0.001))
+    List("12px", " 1", "1 ", ".", "", "NaN", "Infinity", "0x10", "1d").foreach { s =>
+      assertEquals(parse(s), None, s)
+    }
+  }
+
+  test("math externals evaluate in Bosatsu code") {
+    TestUtils.evalTest(
+      List("""
+package Test/Math
+
+from Bosatsu/Numeric import (Double, `+.`, `*.`, `/.`, from_Int, to_Int,
+  sqrt, pow, round, pi, is_nan)
+
+def d(i: Int) -> Double: from_Int(i)
+
+hyp = sqrt(pow(d(3), d(2)) +. pow(d(4), d(2)))
+milli_pi = round(pi *. d(1000))
+nan_seen = match is_nan(d(0) /. d(0)):
+  case True: 1
+  case False: 0
+
+main = to_Int(hyp).add(to_Int(milli_pi)).add(nan_seen)
+"""),
+      "Test/Math",
+      VInt(5 + 3142 + 1)
+    )
+  }
+
   // =========================================================================
   // Numeric module constants
   // =========================================================================
@@ -0,0 +1,66 @@
+package dev.bosatsu
+
+import munit.FunSuite
+import java.math.BigInteger
+
+class SeededRandomTest extends FunSuite {
+
+  private def big(i: Long): BigInteger = BigInteger.valueOf(i)
+
+  // The expected values come from the JS runtime (_rng_make and friends):
+  // a seed has to replay the same run in the browser and in the evaluator.
+
+  test("nextBits matches the JS runtime's xoshiro128**") {
+    val rng = new SeededRandom(42)
+    val bits = List.fill(5)(Integer.toUnsignedLong(rng.nextBits()))
+    assertEquals(bits, List(660444221L, 3652823732L, 77672526L, 910233633L, 2297337756L))
+  }
+
+  test("only the low 32 bits of a seed matter") {
+    val a = new SeededRandom(-7)
+    val b = new SeededRandom(BigInteger.valueOf(4294967289L).intValue)
+    val expected = List(38332731L, 2143513836L, 14003729L)
+    assertEquals(List.fill(3)(Integer.toUnsignedLong(a.nextBits())), expected)
+    assertEquals(List.fill(3)(Integer.toUnsignedLong(b.nextBits())), expected)
+  }
+
+  test("nextDouble matches the JS runtime") {
+    val rng = new SeededRandom(2024)
+    assertEquals(rng.nextDouble(), 0.7393079800168905)
+    assertEquals(rng.nextDouble(), 0.6741397096802112)
+  }
+
+  test("between matches the JS runtime, for small and big ranges") {
+    val dice = new SeededRandom(2024)
+    assertEquals(List.fill(8)(dice.between(big(1), big(6)).intValue), List(6, 3, 6, 2, 1, 5, 1, 6))
+
+    val rng = new SeededRandom(2024)
+    assertEquals(
+      rng.between(BigInteger.ZERO, BigInteger.ONE.shiftLeft(100)),
+      new BigInteger("198565805680590683979758393051")
+    )
+    // bounds in either order
+    assertEquals(rng.between(big(10), big(-10)), big(-3))
+  }
+
+  test("between stays in range and covers it evenly") {
+    val rng = new SeededRandom(7)
+    val counts = new Array[Int](6)
+    (1 to 60000).foreach { _ =>
+      val v = rng.between(big(1), big(6)).intValue
+      assert(v >= 1 && v <= 6, s"out of range: $v")
+      counts(v - 1) += 1
+    }
+    counts.foreach(c => assert(math.abs(c - 10000) < 500, counts.toList.toString))
+    assertEquals(rng.between(big(5), big(5)), big(5))
+  }
+
+  test("nextGaussian has the requested mean and deviation") {
+    val rng = new SeededRandom(7)
+    val xs = Vector.fill(50000)(rng.nextGaussian(5.0, 2.0))
+    val mean = xs.sum / xs.size
+    val sd = math.sqrt(xs.map(x => (x - mean) * (x - mean)).sum / xs.size)
+    assert(math.abs(mean - 5.0) < 0.05, s"mean $mean")
+    assert(math.abs(sd - 2.0) < 0.05, s"sd $sd")
+  }
+}
@@ -585,12 +585,89 @@ class UITest extends FunSuite {
     }
   }
 
+  test("each event handler external names its event in the attribute") {
+    List("keydown", "keyup", "submit", "focus", "blur", "pointerdown", "pointerup", "pointermove", "wheel")
+      .foreach { eventType =>
+        val fn = getExternal(s"on_$eventType") match {
+          case FfiCall.Fn1(f) => f
+          case _ => fail("Expected Fn1"); null
+        }
+        ProductValue.unapplySeq(fn(UnitValue)) match {
+          case Some(seq) if seq.length == 2 =>
+            assertEquals(seq(0), Value.Str(s"data-on$eventType"))
+          case _ => fail("Expected ProductValue")
+        }
+      }
+  }
+
+  // ==========================================================================
+  // jvmExternals tests - two-way bindings
+  // ==========================================================================
+
+  test("bind_int external creates a data-bind tuple naming the state") {
+    val stateFn = getExternal("state") match {
+      case FfiCall.Fn1(f) => f
+      case _ => fail("Expected Fn1"); null
+    }
+    val bindIntFn = getExternal("bind_int") match {
+      case FfiCall.Fn1(f) => f
+      case _ => fail("Expected Fn1"); null
+    }
+
+    val state = stateFn(VInt(3))
+    val id = state.asExternal.toAny match {
+      case UI.UIState(id, _) => id
+      case _ => fail("Expected UIState"); ""
+    }
+
+    ProductValue.unapplySeq(bindIntFn(state)) match {
+      case Some(seq) if seq.length == 2 =>
+        assertEquals(seq(0), Value.Str("data-bind"))
+        assertEquals(seq(1), Value.Str(s"binding_$id"))
+      case _ => fail("Expected ProductValue")
+    }
+  }
+
+  // ==========================================================================
+  // jvmExternals tests - optional attributes and classes
+  // ==========================================================================
+
+  test("attr, toggle_attr and toggle_class props are left out for None and False") {
+    def fn2(name: String) = getExternal(name) match {
+      case FfiCall.Fn2(f) => f
+      case _ => fail("Expected Fn2"); null
+    }
+    val props = VList(List(
+      fn2("attr")(Value.Str("href"), VOption.some(Value.Str("/docs"))),
+      fn2("attr")(Value.Str("title"), VOption.none),
+      fn2("toggle_attr")(Value.Str("hidden"), True),
+      fn2("toggle_attr")(Value.Str("aria-busy"), False),
+      fn2("toggle_class")(Value.Str("active"), True),
+      fn2("toggle_class")(Value.Str("open"), False)
+    ))
+    val hFn = getExternal("h") match {
+      case FfiCall.Fn3(f) => f
+      case _ => fail("Expected Fn3"); null
+    }
+    hFn(Value.Str("a"), props, VList.VNil).asExternal.toAny match {
+      case UI.VElement(_, elementProps, _) =>
+        assertEquals(elementProps, List("href" -> "/docs", "hidden" -> "", "class.active" -> ""))
+      case other => fail(s"Expected VElement, got $other")
+    }
+  }
+
   // ==========================================================================
   // jvmExternals - all externals present
   // ==========================================================================
 
   test("jvmExternals contains all expected functions") {
-    val expected = List("state", "h", "text", "fragment", "read", "write", "on_click", "on_input", "on_change")
+    val expected = List(
+      "state", "h", "text", "fragment", "read", "write", "on_click", "on_input", "on_change",
+      "bind_value", "bind_int", "bind_double", "bind_optional_int", "bind_optional_double",
+      "bind_checked", "bind_selected", "attr", "toggle_attr", "toggle_class",
+      "on_keydown", "on_keyup", "on_submit", "on_focus", "on_blur",
+      "on_pointerdown", "on_pointerup", "on_pointermove", "on_wheel"
+    )
     expected.foreach { name =>
       assert(UI.jvmExternals.toMap.contains((UI.packageName, name)), s"Missing external: $name")
     }
@@ -1,5 +1,6 @@
 package dev.bosatsu.codegen.js
 
+import cats.data.NonEmptyList
 import munit.ScalaCheckSuite
 import org.scalacheck.{Gen, Prop}
 import org.scalacheck.Prop.forAll
@@ -38,6 +39,11 @@ class CodeTest extends ScalaCheckSuite {
     assertRenders(IntLiteral(-42), "(-42)")
   }
 
+  test("BigIntLiteral renders with n suffix") {
+    assertRenders(BigIntLiteral(BigInt("9007199254740993")), "9007199254740993n")
+    assertRenders(BigIntLiteral(BigInt("-9007199254740993")), "(-9007199254740993n)")
+  }
+
   test("DoubleLiteral renders correctly") {
     assertRenders(DoubleLiteral(3.14), "3.14")
     assertRenders(DoubleLiteral(0.0), "0.0")
@@ -120,6 +126,100 @@ class CodeTest extends ScalaCheckSuite {
 }""")
   }
 
+  test("Generator function renders with yield") {
+    val fn = GeneratorFunction(
+      Some("go"),
+      List("n"),
+      block(Return(Some(Ident("n") + Yield(Call(Ident("go"), List(Ident("n"))), delegate = false))))
+    )
+    assertRenders(fn, """function* go(n) {
+  return n + (yield go(n));
+}""")
+  }
+
+  test("Delegating yield renders as yield*") {
+    val iife = Call(GeneratorFunction(None, Nil, block(Return(Some(IntLiteral(1))))), Nil)
+    assertRenders(Yield(iife, delegate = true), """(yield* (function*() {
+  return 1;
+})())""")
+  }
+
+  test("Comma renders assignments and values in parens") {
+    val c = Comma(NonEmptyList.of(AssignExpr(Ident("x"), IntLiteral(1)), TrueLit))
+    assertRenders(c, "(x = 1, true)")
+    assertRenders(Comma(NonEmptyList.of(Ident("a") && Ident("b"), Ident("c"))), "((a && b), c)")
+  }
+
+  // ==================
+  // Statement Lowering Tests
+  // ==================
+
+  def iife(stmts: Statement*)(result: Expression): Expression =
+    Call(ArrowFunction(Nil, Right(Block(NonEmptyList(stmts.head, stmts.tail.toList :+ Return(Some(result)))))), Nil)
+
+  test("returnBlock lowers nested IIFEs to statements") {
+    val inner = iife(Const("b", Call(Ident("g"), List(Ident("a")))))(Ident("b"))
+    val outer = iife(Const("a", Call(Ident("f"), Nil)))(Ternary(Ident("c"), inner, Ident("a")))
+    assertRenders(returnBlock(Nil, outer), """{
+  const a = f();
+  if (c) {
+    const b = g(a);
+    return b;
+  } else {
+    return a;
+  }
+}""")
+  }
+
+  test("returnBlock lowers IIFEs bound to a const and comma effects") {
+    val value = iife(Let("m", None), ExprStatement(Comma(NonEmptyList.of(AssignExpr(Ident("m"), IntLiteral(1)), TrueLit))))(Ident("m"))
+    val outer = iife(Const("x", value))(Ident("x"))
+    assertRenders(returnBlock(Nil, outer), """{
+  let m;
+  m = 1;
+  const x = m;
+  return x;
+}""")
+  }
+
+  test("returnBlock keeps a block for an IIFE that would shadow a name") {
+    val outer = iife(Const("a", IntLiteral(1)))(iife(Const("a", IntLiteral(2)))(Ident("a")))
+    assertRenders(returnBlock(Nil, outer), """{
+  const a = 1;
+  {
+    const a = 2;
+    return a;
+  }
+}""")
+  }
+
+  test("returnBlock keeps a block for an IIFE that would shadow a param") {
+    val body = iife(Const("x", Call(Ident("f"), Nil)))(Ident("x"))
+    assertRenders(returnBlock(List("x"), body), """{
+  {
+    const x = f();
+    return x;
+  }
+}""")
+    assertRenders(returnBlock(List("y"), body), """{
+  const x = f();
+  return x;
+}""")
+  }
+
+  test("returnBlock leaves IIFEs with early returns alone") {
+    val early = Call(ArrowFunction(Nil, Right(block(
+      IfStatement(Ident("c"), block(Return(Some(IntLiteral(1)))), None),
+      Return(Some(IntLiteral(2)))
+    ))), Nil)
+    assertEquals(returnBlock(Nil, early), block(Return(Some(early))))
+  }
+
+  test("functionBody of a single return is an expression") {
+    assertEquals(functionBody(block(Return(Some(Ident("x"))))), Left(Ident("x")))
+    assert(functionBody(block(Const("y", Ident("x")), Return(Some(Ident("y"))))).isRight)
+  }
+
   // ==================
   // Call Tests
   // ==================
@@ -37,25 +37,35 @@ class JsGenTest extends ScalaCheckSuite {
     assertRenders(Literal(Lit.Integer(0)), "0")
   }
 
-  test("Literal string renders as Bosatsu string") {
-    // Strings are converted to Bosatsu's internal string representation
-    val helloResult = JsGen.renderExpr(Literal(Lit.Str("hello")))
-    assert(helloResult.contains("_js_to_bosatsu_string"), s"Expected Bosatsu string conversion, got: $helloResult")
-    assert(helloResult.contains("\"hello\""), s"Expected hello in string, got: $helloResult")
+  test("Literal integer outside the safe range renders as BigInt") {
+    assertRenders(Literal(Lit.Integer(9007199254740991L)), "9007199254740991")
+    assertRenders(Literal(Lit.Integer(9007199254740992L)), "9007199254740992n")
+    assertRenders(Literal(Lit.Integer(-9007199254740992L)), "(-9007199254740992n)")
+  }
+
+  test("Int arithmetic intrinsics go through the overflow-safe runtime helpers") {
+    val predef = PackageName.PredefName
+    def call(fn: String, args: Long*): Expr[Unit] =
+      App(
+        Global((), predef, bindable(fn)),
+        NonEmptyList.fromListUnsafe(args.toList.map(i => Literal(Lit.Integer(i))))
+      )
 
-    val emptyResult = JsGen.renderExpr(Literal(Lit.Str("")))
-    assert(emptyResult.contains("_js_to_bosatsu_string"), s"Expected Bosatsu string conversion, got: $emptyResult")
+    assertRenders(call("add", 1L, 2L), "_int_add(1, 2)")
+    assertRenders(call("times", 3L, 4L), "_int_times(3, 4)")
+    assertRenders(call("div", 7L, 2L), "_int_div(7, 2)")
+    assertRenders(call("shift_left_Int", 1L, 60L), "_int_shift_left(1, 60)")
+    assertRenders(call("not_Int", 5L), "_int_not(5)")
   }
 
-  test("Literal char renders as Bosatsu char (single-element string)") {
-    // Chars are represented as [1, char, [0]] (single-element linked list)
-    val aResult = JsGen.renderExpr(Literal(Lit.Chr("a")))
-    assert(aResult.contains("[1,"), s"Expected array with cons tag, got: $aResult")
-    assert(aResult.contains("\"a\""), s"Expected char 'a' in array, got: $aResult")
-    assert(aResult.contains("[0]"), s"Expected nil terminator, got: $aResult")
+  test("Literal string renders as a native JS string") {
+    assertRenders(Literal(Lit.Str("hello")), "\"hello\"")
+    assertRenders(Literal(Lit.Str("")), "\"\"")
+  }
 
-    val newlineResult = JsGen.renderExpr(Literal(Lit.Chr("\n")))
-    assert(newlineResult.contains("[1,"), s"Expected array with cons tag, got: $newlineResult")
+  test("Literal char renders as a single code point string") {
+    assertRenders(Literal(Lit.Chr("a")), "\"a\"")
+    assertRenders(Literal(Lit.Chr("\n")), "\"\\n\"")
   }
 
   // ==================
@@ -166,6 +176,71 @@ class JsGenTest extends ScalaCheckSuite {
     assert(result.contains("add(x, y)"), s"Expected application in body, got: $result")
   }
 
+  test("Non-tail self recursion falls back to an explicit stack") {
+    // len(xs) = xs is empty ? 0 : len(tail(xs)) + 1
+    val xs = bindable("xs")
+    val len = bindable("len")
+    val lam = Lambda(
+      Nil,
+      Some(len),
+      NonEmptyList.of(xs),
+      If(
+        CheckVariant(Local(xs), 0, 0, List(0, 2)),
+        Literal(Lit.Integer(0)),
+        App(
+          Local(bindable("add")),
+          NonEmptyList.of(
+            App(Local(len), NonEmptyList.of(GetEnumElement(Local(xs), 1, 1, 2))),
+            Literal(Lit.Integer(1))
+          )
+        )
+      )
+    )
+    val result = JsGen.renderExpr(lam)
+    assert(result.contains("const len = function len(xs)"), result)
+    assert(result.contains("return _stack_safe(len$direct, len$rec, [xs]);"), result)
+    assert(result.contains("const len$direct = function(xs)"), result)
+    assert(result.contains("add(len$direct(xs[2]), 1)"), result)
+    assert(result.contains("const len$rec = function*(xs)"), result)
+    assert(result.contains("add((yield len$rec(xs[2])), 1)"), result)
+  }
+
+  test("Lambdas without self calls are not wrapped") {
+    val lam = Lambda(
+      Nil,
+      Some(bindable("f")),
+      NonEmptyList.of(bindable("x")),
+      Local(bindable("x"))
+    )
+    val result = JsGen.renderExpr(lam)
+    assert(!result.contains("_stack_safe"), result)
+  }
+
+  test("Lambda bodies run lets as statements instead of IIFEs") {
+    // x -> (let y = f(x) in if y then y else x)
+    val x = bindable("x")
+    val y = bindable("y")
+    val lam = Lambda(
+      Nil,
+      None,
+      NonEmptyList.of(x),
+      Let(
+        Right(y),
+        App(Local(bindable("f")), NonEmptyList.of(Local(x))),
+        If(
+          EqualsLit(Local(y), Lit.Integer(0)),
+          Local(x),
+          Let(Right(bindable("z")), Local(y), Local(bindable("z")))
+        )
+      )
+    )
+    val result = JsGen.renderExpr(lam)
+    assert(!result.contains("(() =>"), result)
+    assert(result.contains("const y = f(x);"), result)
+    assert(result.contains("if (y === 0) {"), result)
+    assert(result.contains("const z = y;"), result)
+  }
+
   // ==================
   // If Tests
   // ==================
@@ -247,8 +322,8 @@ class JsGenTest extends ScalaCheckSuite {
     )
     val result = JsGen.renderModule(bindings)
     assert(result.contains("const x = 42"), s"Expected x binding, got: $result")
-    // Strings are converted to Bosatsu string representation
-    assert(result.contains("const y = _js_to_bosatsu_string(\"hello\")"), s"Expected y binding with Bosatsu string, got: $result")
+    // Strings are native JS string literals
+    assert(result.contains("const y = \"hello\""), s"Expected y binding with string, got: $result")
   }
 
   // ==================
@@ -431,6 +506,35 @@ class JsGenTest extends ScalaCheckSuite {
     assert(result.contains("===") || result.contains("=="), s"Expected equality operator, got: $result")
   }
 
+  // ==================
+  // MatchString Tests
+  // ==================
+
+  test("MatchString checks literal prefixes inline") {
+    import dev.bosatsu.pattern.StrPart
+    val m = MatchString(
+      Local(bindable("s")),
+      List(StrPart.LitStr("foo"), StrPart.WildStr),
+      Nil,
+      false
+    )
+    val result = JsGen.renderExpr(If(m, Literal(Lit.Integer(1)), Literal(Lit.Integer(2))))
+    assert(result.contains("s.startsWith(\"foo\")"), s"Expected inline startsWith, got: $result")
+    assert(!result.contains("_match_string"), s"Expected no runtime search, got: $result")
+  }
+
+  test("MatchString hands chars and inner globs to _match_string") {
+    import dev.bosatsu.pattern.StrPart
+    val m = MatchString(
+      Local(bindable("s")),
+      List(StrPart.LitStr("a"), StrPart.WildChar, StrPart.WildStr, StrPart.LitStr("z")),
+      Nil,
+      false
+    )
+    val result = JsGen.renderExpr(If(m, Literal(Lit.Integer(1)), Literal(Lit.Integer(2))))
+    assert(result.contains("_match_string(s, 1, [2, 0, \"z\"], 0)"), s"Expected runtime search, got: $result")
+  }
+
   // ==================
   // Additional Reserved Word Tests
   // ==================
@@ -1,9 +1,10 @@
 package dev.bosatsu.codegen.js
 
 import munit.FunSuite
-import dev.bosatsu.{Identifier, Lit, Matchless, PackageName}
+import dev.bosatsu.{Identifier, Json, Lit, Matchless, MemoryMain, PackageName}
 import dev.bosatsu.Identifier.Name
-import cats.data.NonEmptyList
+import dev.bosatsu.tool.Output
+import cats.data.{Chain, NonEmptyList}
 
 /**
  * Integration tests for JS transpilation.
@@ -35,8 +36,8 @@ class JsTranspilerTest extends FunSuite {
 
     // Should produce valid const declarations
     assert(result.contains("const x = 42"), s"Expected x binding, got: $result")
-    // Strings are converted to Bosatsu string representation
-    assert(result.contains("const y = _js_to_bosatsu_string(\"hello\")"), s"Expected y binding with Bosatsu string, got: $result")
+    // Strings are native JS string literals
+    assert(result.contains("const y = \"hello\""), s"Expected y binding with string, got: $result")
     assert(result.contains("const add ="), s"Expected add binding, got: $result")
     assert(result.contains("=>"), s"Expected arrow function, got: $result")
   }
@@ -225,4 +226,463 @@ class JsTranspilerTest extends FunSuite {
     assert(result.contains("const _function") || result.contains("const $function"),
       s"Expected escaped 'function', got: $result")
   }
+
+  // ==================
+  // Module Graph Tests
+  // ==================
+
+  private val moduleGraphFiles = List(
+    Chain("src", "A.bosatsu") -> """package Foo/A
+
+export x, unused
+
+x = 41
+unused = 0
+hidden = "_int_add"
+""",
+    Chain("src", "B.bosatsu") -> """package Foo/B
+
+from Foo/A import x
+
+export y
+
+y = x.add(1)
+"""
+  )
+
+  private def transpileModules(format: String): Map[String, String] = {
+    type ErrorOr[A] = Either[Throwable, A]
+    val module = MemoryMain[ErrorOr]
+    val cmd = List(
+      "transpile",
+      "--package_root", "",
+      "--input", "src/A.bosatsu",
+      "--input", "src/B.bosatsu",
+      "js", "--outdir", "out", "--format", format
+    )
+    module.runWith(moduleGraphFiles)(cmd) match {
+      case Right(Output.TranspileOut(outs)) =>
+        outs.map { case (p, d) => (p.toList.mkString("/"), d.render(80)) }.toMap
+      case Right(other) => fail(s"expected transpile output: $other")
+      case Left(err)    => fail(s"got an exception: $err")
+    }
+  }
+
+  test("esm modules import what they use and export their declared values") {
+    val out = transpileModules("esm")
+    val b = out("out/Foo/B/index.js")
+    assert(b.contains("import { _int_add } from \"../../_runtime.js\";"), b)
+    assert(b.contains("import { x as Foo_A$x } from \"../../Foo/A/index.js\";"), b)
+    assert(!b.contains("unused"), b)
+    assert(b.contains("const Foo_B$y = _int_add(Foo_A$x, 1);"), b)
+    assert(b.contains("export { Foo_B$y as y };"), b)
+    assert(!b.contains("require("), b)
+
+    val a = out("out/Foo/A/index.js")
+    assert(a.contains("export { Foo_A$x as x, Foo_A$unused as unused };"), a)
+    // values the package doesn't export stay private to the module
+    assert(a.contains("const Foo_A$hidden = \"_int_add\";"), a)
+    assert(!a.contains("as hidden"), a)
+    // a runtime name inside a string isn't a reference to the runtime
+    assert(!a.contains("_runtime.js"), a)
+    assert(out("out/_runtime.js").contains("export { _int_norm, "))
+    assertEquals(out("out/package.json").trim, """{ "type": "module" }""")
+  }
+
+  test("cjs modules require what they use and set module.exports") {
+    val out = transpileModules("cjs")
+    val b = out("out/Foo/B/index.js")
+    assert(b.contains("const { _int_add } = require(\"../../_runtime.js\");"), b)
+    assert(b.contains("const { x: Foo_A$x } = require(\"../../Foo/A/index.js\");"), b)
+    assert(b.contains("module.exports = { y: Foo_B$y };"), b)
+    assert(!b.contains("import "), b)
+    assert(out("out/_runtime.js").contains("module.exports = { _int_norm, "))
+    assertEquals(out("out/package.json").trim, """{ "type": "commonjs" }""")
+  }
+
+  // ==================
+  // Source Map Tests
+  // ==================
+
+  test("relativePath walks from the map directory to the source") {
+    assertEquals(JsTranspiler.relativePath("out/Foo", "src/Foo.bosatsu"), "../../src/Foo.bosatsu")
+    assertEquals(JsTranspiler.relativePath("./out", "./out/../Foo.bosatsu"), "../Foo.bosatsu")
+    assertEquals(JsTranspiler.relativePath("/tmp/out", "/tmp/src/A.bosatsu"), "../src/A.bosatsu")
+    // mixing absolute and relative paths leaves the source as given
+    assertEquals(JsTranspiler.relativePath("out", "/src/A.bosatsu"), "/src/A.bosatsu")
+    assertEquals(JsTranspiler.relativePath("../out", "src/A.bosatsu"), "src/A.bosatsu")
+  }
+
+  test("--sourcemap writes a .js.map next to each module and the bundle") {
+    type ErrorOr[A] = Either[Throwable, A]
+    val module = MemoryMain[ErrorOr]
+    val src = """package Foo/Bar
+
+x = 1
+
+def add1(y):
+  y.add(1)
+"""
+    val cmd = List(
+      "transpile",
+      "--package_root", "",
+      "--input", "src/Foo/Bar.bosatsu",
+      "js", "--outdir", "out", "--sources-content"
+    )
+
+    module.runWith(List(Chain("src", "Foo", "Bar.bosatsu") -> src))(cmd) match {
+      case Right(Output.TranspileOut(outs)) =>
+        val byPath = outs.map { case (p, d) => (p.toList.mkString("/"), d.render(80)) }.toMap
+
+        val js = byPath("out/Foo/Bar/index.js")
+        assert(js.endsWith("//# sourceMappingURL=index.js.map\n"), js)
+        val map = byPath("out/Foo/Bar/index.js.map")
+        assert(map.contains("\"file\": \"index.js\""), map)
+        assert(map.contains("\"sources\": [\"../../../src/Foo/Bar.bosatsu\"]"), map)
+        assert(map.contains("\"names\": [\"x\",\"add1\"]"), map)
+        assert(map.contains("\"sourcesContent\""), map)
+
+        val bundle = byPath("out/_bundle.js")
+        assert(bundle.endsWith("//# sourceMappingURL=_bundle.js.map\n"))
+        val bundleMap = byPath("out/_bundle.js.map")
+        assert(bundleMap.contains("\"sources\": [\"../src/Foo/Bar.bosatsu\"]"), bundleMap)
+      case Right(other) => fail(s"expected transpile output: $other")
+      case Left(err)    => fail(s"got an exception: $err")
+    }
+  }
+
+  // the 0-indexed source line of the first segment of each generated line
+  private def decodeLines(mappings: String): List[Option[Int]] = {
+    val alphabet = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/"
+    def vlqs(segment: String): List[Int] = {
+      val (values, _, _) = segment.foldLeft((List.empty[Int], 0, 0)) { case ((acc, value, shift), c) =>
+        val digit = alphabet.indexOf(c.toInt)
+        val v = value + ((digit & 31) << shift)
+        if ((digit & 32) != 0) (acc, v, shift + 5)
+        else ((if ((v & 1) == 1) -(v >> 1) else v >> 1) :: acc, 0, 0)
+      }
+      values.reverse
+    }
+    var origLine = 0
+    mappings.split(";", -1).toList.map { line =>
+      val segments = line.split(",").toList.filter(_.nonEmpty).map(vlqs)
+      val firsts = segments.map { seg =>
+        origLine += seg(2)
+        origLine
+      }
+      firsts.headOption
+    }
+  }
+
+  test("source maps point locals at their own statements and the rest at the def") {
+    type ErrorOr[A] = Either[Throwable, A]
+    val module = MemoryMain[ErrorOr]
+    val src = """package Foo/Bar
+
+def f(y):
+  z = y.add(1)
+  w = z.times(z)
+  w.add(w).add(z)
+"""
+    val cmd = List(
+      "transpile",
+      "--package_root", "",
+      "--input", "src/Foo/Bar.bosatsu",
+      "js", "--outdir", "out", "--sourcemap"
+    )
+
+    module.runWith(List(Chain("src", "Foo", "Bar.bosatsu") -> src))(cmd) match {
+      case Right(Output.TranspileOut(outs)) =>
+        val byPath = outs.map { case (p, d) => (p.toList.mkString("/"), d.render(80)) }.toMap
+        val js = byPath("out/Foo/Bar/index.js")
+        val map = byPath("out/Foo/Bar/index.js.map")
+        val mappings = "\"mappings\": \"([^\"]*)\"".r.findFirstMatchIn(map).map(_.group(1)).getOrElse(fail(map))
+        val sources = decodeLines(mappings)
+        val jsLines = js.split("\n", -1).toList
+        def sourceOf(prefix: String): Option[Int] =
+          jsLines.indexWhere(_.trim.startsWith(prefix)) match {
+            case -1  => fail(s"no line starting with $prefix in:\n$js")
+            case idx => sources.lift(idx).flatten
+          }
+        // 0-indexed source lines: def f is on 2, z on 3 and w on 4
+        assertEquals(sourceOf("const Foo_Bar$f"), Some(2))
+        assertEquals(sourceOf("const z"), Some(3))
+        assertEquals(sourceOf("const w"), Some(4))
+        assertEquals(sourceOf("return"), Some(2))
+        assert(map.contains("\"names\": [\"f\",\"z\",\"w\"]"), map)
+      case Right(other) => fail(s"expected transpile output: $other")
+      case Left(err)    => fail(s"got an exception: $err")
+    }
+  }
+
+  test("source maps are off by default") {
+    type ErrorOr[A] = Either[Throwable, A]
+    val module = MemoryMain[ErrorOr]
+    val cmd = List(
+      "transpile",
+      "--package_root", "",
+      "--input", "src/Foo.bosatsu",
+      "js", "--outdir", "out"
+    )
+
+    module.runWith(List(Chain("src", "Foo.bosatsu") -> "package Foo\n\nx = 1\n"))(cmd) match {
+      case Right(Output.TranspileOut(outs)) =>
+        val paths = outs.map(_._1.toList.mkString("/"))
+        assert(!paths.exists(_.endsWith(".map")), paths.toString)
+      case Right(other) => fail(s"expected transpile output: $other")
+      case Left(err)    => fail(s"got an exception: $err")
+    }
+  }
+
+  // ==================
+  // TypeScript Declaration Tests
+  // ==================
+
+  private val shapesSrc = """package Foo/Shapes
+
+export Shape(), Point(), Box(), Hidden, area, first, is_circle, origin
+
+struct Point(x: Int, y: Int)
+struct Box[a](value: a)
+enum Shape:
+  Circle(radius: Int)
+  Rect(corner: Point, size: Point)
+  Empty
+struct Hidden(secret: String)
+
+origin = Point(0, 0)
+
+def area(s: Shape) -> Int:
+  match s:
+    case Circle(r): r.times(r)
+    case Rect(_, Point(w, h)): w.times(h)
+    case Empty: 0
+
+def is_circle(s: Shape) -> Bool:
+  s matches Circle(_)
+
+def first(items: List[a]) -> Option[a]:
+  match items:
+    case [h, *_]: Some(h)
+    case []: None
+"""
+
+  private def transpileShapes(flags: String*): Map[String, String] =
+    transpileSources(List(List("Foo", "Shapes") -> shapesSrc), flags*)
+
+  // sources are keyed by package path, e.g. List("Foo", "Shapes")
+  private def transpileSources(
+      sources: List[(List[String], String)],
+      flags: String*
+  ): Map[String, String] = {
+    type ErrorOr[A] = Either[Throwable, A]
+    val module = MemoryMain[ErrorOr]
+    val inputs = sources.flatMap { case (parts, _) =>
+      List("--input", ("src" :: parts).mkString("/") + ".bosatsu")
+    }
+    val cmd = List("transpile", "--package_root", "") ++ inputs ++
+      List("js", "--outdir", "out") ++ flags
+    val files = sources.map { case (parts, src) =>
+      Chain.fromSeq(("src" :: parts.init) :+ (parts.last + ".bosatsu")) -> src
+    }
+
+    module.runWith(files)(cmd) match {
+      case Right(Output.TranspileOut(outs)) =>
+        outs.map { case (p, d) => (p.toList.mkString("/"), d.render(80)) }.toMap
+      case Right(other) => fail(s"expected transpile output: $other")
+      case Left(err)    => fail(s"got an exception: $err")
+    }
+  }
+
+  test("--dts writes declarations that follow the runtime representation") {
+    val byPath = transpileShapes("--dts")
+    val dts = byPath("out/Foo/Shapes/index.d.ts")
+
+    assert(
+      dts.contains(
+        "import type { Bool as Bosatsu_Predef$Bool, List as Bosatsu_Predef$List, Option as Bosatsu_Predef$Option } from \"../../Bosatsu/Predef/index.js\";"
+      ),
+      dts
+    )
+    assert(dts.contains("export type Box<a> = [value: a];"), dts)
+    assert(dts.contains("export type Hidden = { readonly __opaque: \"Foo/Shapes::Hidden\" };"), dts)
+    assert(dts.contains("export type Point = [x: number | bigint, y: number | bigint];"), dts)
+    assert(
+      dts.contains(
+        "export type Shape = [tag: 0, radius: number | bigint] | [tag: 1, corner: Point, size: Point] | [tag: 2];"
+      ),
+      dts
+    )
+    assert(dts.contains("export declare const area: (arg0: Shape) => number | bigint;"), dts)
+    assert(
+      dts.contains(
+        "export declare const first: <a>(arg0: Bosatsu_Predef$List<a>) => Bosatsu_Predef$Option<a>;"
+      ),
+      dts
+    )
+    assert(dts.contains("export declare const is_circle: (arg0: Shape) => Bosatsu_Predef$Bool;"), dts)
+    assert(dts.contains("export declare const origin: Point;"), dts)
+
+    val predef = byPath("out/Bosatsu/Predef/index.d.ts")
+    assert(predef.contains("export type List<a> = [tag: 0] | [tag: 1, head: a, tail: List<a>];"), predef)
+    assert(predef.contains("export type Int = number | bigint;"), predef)
+  }
+
+  test("declarations are only written with --dts") {
+    val out = transpileModules("esm")
+    assert(!out.keys.exists(_.endsWith(".d.ts")), out.keys.toString)
+  }
+
+  // ==================
+  // Interop Facade Tests
+  // ==================
+
+  test("--interop writes facades that convert at the boundary") {
+    val byPath = transpileShapes("--interop")
+    val interop = byPath("out/Foo/Shapes/index.interop.js")
+
+    assert(interop.contains("import { _interop_"), interop)
+    assert(interop.contains("from \"../../_runtime.js\";"), interop)
+    assert(interop.contains("first as Foo_Shapes$first"), interop)
+    assert(interop.contains("} from \"./index.js\";"), interop)
+    assert(
+      interop.contains(
+        "const first = _interop_fn([_interop_list_from_js(_interop_id)], _interop_option_to_js(_interop_id))(Foo_Shapes$first);"
+      ),
+      interop
+    )
+    assert(
+      interop.contains("const is_circle = _interop_fn([_interop_id], _interop_bool_to_js)(Foo_Shapes$is_circle);"),
+      interop
+    )
+    assert(
+      interop.contains(
+        "const origin = _interop_struct_to_js([\"x\", \"y\"], [_interop_id, _interop_id])(Foo_Shapes$origin);"
+      ),
+      interop
+    )
+    // area takes an enum and returns an Int, so it is passed through
+    assert(!interop.contains("const area"), interop)
+    assert(interop.contains("Foo_Shapes$area as area"), interop)
+    assert(!byPath.contains("out/Foo/Shapes/index.d.ts"))
+  }
+
+  test("interop facades use require in cjs mode") {
+    val interop = transpileShapes("--interop", "--format", "cjs")("out/Foo/Shapes/index.interop.js")
+    assert(interop.contains("} = require(\"./index.js\");"), interop)
+    assert(interop.contains("module.exports = {"), interop)
+  }
+
+  // ==================
+  // Main Entry Point Tests
+  // ==================
+
+  private val progSrc = """package Bosatsu/Prog
+
+export (Prog, Main(), pure)
+
+external struct Prog[env: -*, err: +*, res: +*]
+
+external def pure[env, res](a: res) -> Prog[env, forall e. e, res]
+
+struct Main(prog: Prog[List[String], forall e. e, Int])
+"""
+
+  private val appSrc = """package Foo/App
+
+from Bosatsu/Prog import Main, pure
+
+answer = 42
+
+def main(x): x.add(answer)
+
+run = Main(pure(0))
+"""
+
+  private def transpileApp(flags: String*): Map[String, String] =
+    transpileSources(
+      List(List("Bosatsu", "Prog") -> progSrc, List("Foo", "App") -> appSrc),
+      (List("--main", "Foo/App") ++ flags)*
+    )
+
+  test("--main runs the package's Bosatsu/Prog::Main value against node") {
+    val main = transpileApp()("out/main.js")
+    assert(main.contains("import { readSync } from \"fs\";"), main)
+    assert(main.contains("import { _prog_node_io, _prog_run_main } from \"./_runtime.js\";"), main)
+    assert(main.contains("import { run } from \"./Foo/App/index.js\";"), main)
+    assert(
+      main.contains(
+        "process.exitCode = _prog_run_main(run, process.argv.slice(1), _prog_node_io(process, readSync));"
+      ),
+      main
+    )
+  }
+
+  test("--main with an --entry that isn't a Main calls it") {
+    val main = transpileApp("--entry", "main", "--format", "cjs")("out/main.js")
+    assert(main.contains("const { main } = require(\"./Foo/App/index.js\");"), main)
+    assert(main.contains("main();"), main)
+    assert(!main.contains("_prog_run_main"), main)
+  }
+
+  // ==================
+  // Test Runner Tests
+  // ==================
+
+  private val testsSrc = """package Foo/T
+
+one = Assertion(True, "one")
+
+tests = TestSuite("t", [one, Assertion(True, "two")])
+"""
+
+  test("_tests.json locates each package's test value and what it needs in the bundle") {
+    val byPath = transpileSources(List(List("Foo", "T") -> testsSrc))
+    assertEquals(byPath("out/bosatsu-js-test.cjs"), JsTestRunner.code)
+
+    val manifest = Json.parserFile.parseAll(byPath("out/_tests.json")) match {
+      case Right(obj: Json.JObject) => obj.toMap
+      case other                    => fail(s"expected a json object: $other")
+    }
+    assertEquals(manifest.get("bundle"), Some(Json.JString("_bundle.js")))
+
+    def int(j: Json): Int = j match {
+      case Json.JBigInteger(i) => i.intValue
+      case other               => fail(s"expected an int: $other")
+    }
+    val bindings = manifest("bindings") match {
+      case Json.JArray(items) => items.map {
+          case obj: Json.JObject => obj.toMap
+          case other             => fail(s"expected a binding: $other")
+        }
+      case other => fail(s"expected bindings: $other")
+    }
+    val testIdx = manifest("tests") match {
+      case Json.JArray(Vector(t: Json.JObject)) =>
+        assertEquals(t.toMap.get("package"), Some(Json.JString("Foo/T")))
+        int(t.toMap("binding"))
+      case other => fail(s"expected one test: $other")
+    }
+    val testBinding = bindings(testIdx)
+    assertEquals(testBinding.get("name"), Some(Json.JString("tests")))
+    val oneIdx = bindings.indexWhere(b =>
+      b.get("package") == Some(Json.JString("Foo/T")) && b.get("name") == Some(Json.JString("one"))
+    )
+    assert(oneIdx >= 0, bindings.toString)
+    testBinding("deps") match {
+      case Json.JArray(deps) => assert(deps.map(int).contains(oneIdx), deps.toString)
+      case other             => fail(s"expected deps: $other")
+    }
+
+    val bundleLines = byPath("out/_bundle.js").split("\n", -1)
+    val global = testBinding("global") match {
+      case Json.JString(g) => g
+      case other           => fail(s"expected a global name: $other")
+    }
+    assert(
+      bundleLines(int(testBinding("line"))).startsWith(s"globalThis.$global = "),
+      bundleLines(int(testBinding("line")))
+    )
+    assert(bundleLines(int(manifest("prelude")) - 1).startsWith("// Generated code"))
+  }
 }
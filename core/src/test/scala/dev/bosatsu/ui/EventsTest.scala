@@ -20,6 +20,10 @@ class EventsTest extends FunSuite {
     assertEquals(fromString("keyup"), Some(KeyUp))
     assertEquals(fromString("mouseenter"), Some(MouseEnter))
     assertEquals(fromString("mouseleave"), Some(MouseLeave))
+    assertEquals(fromString("pointerdown"), Some(PointerDown))
+    assertEquals(fromString("pointerup"), Some(PointerUp))
+    assertEquals(fromString("pointermove"), Some(PointerMove))
+    assertEquals(fromString("wheel"), Some(Wheel))
   }
 
   test("EventType.fromString is case-insensitive") {
@@ -37,7 +41,7 @@ class EventsTest extends FunSuite {
 
   test("EventType.all contains all event types") {
     import Events.EventType._
-    assertEquals(all.length, 10)
+    assertEquals(all.length, 14)
     assert(all.contains(Click))
     assert(all.contains(Input))
     assert(all.contains(Change))
@@ -48,6 +52,23 @@ class EventsTest extends FunSuite {
     assert(all.contains(KeyUp))
     assert(all.contains(MouseEnter))
     assert(all.contains(MouseLeave))
+    assert(all.contains(PointerDown))
+    assert(all.contains(PointerUp))
+    assert(all.contains(PointerMove))
+    assert(all.contains(Wheel))
+  }
+
+  test("EventType.fromHandler maps Bosatsu/UI handler props") {
+    import Events.EventType._
+    assertEquals(fromHandler("on_click"), Some(Click))
+    assertEquals(fromHandler("on_keydown"), Some(KeyDown))
+    assertEquals(fromHandler("on_submit"), Some(Submit))
+    assertEquals(fromHandler("on_pointermove"), Some(PointerMove))
+    assertEquals(fromHandler("on_wheel"), Some(Wheel))
+    // no handler prop for these
+    assertEquals(fromHandler("on_mouseenter"), None)
+    assertEquals(fromHandler("keydown"), None)
+    assert(handled.forall(all.contains))
   }
 
   test("EventType.name returns correct event names") {
@@ -62,6 +83,8 @@ class EventsTest extends FunSuite {
     assertEquals(KeyUp.name, "keyup")
     assertEquals(MouseEnter.name, "mouseenter")
     assertEquals(MouseLeave.name, "mouseleave")
+    assertEquals(PointerDown.name, "pointerdown")
+    assertEquals(Wheel.name, "wheel")
   }
 
   // ==========================================================================
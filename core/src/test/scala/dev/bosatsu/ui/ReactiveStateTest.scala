@@ -1,5 +1,6 @@
 package dev.bosatsu.ui
 
+import dev.bosatsu.codegen.js.Code
 import munit.ScalaCheckSuite
 import org.scalacheck.Prop._
 
@@ -187,6 +188,23 @@ class ReactiveStateTest extends ScalaCheckSuite {
     }
   }
 
+  test("StateBinding attribute binding removes the attribute for null, undefined and false") {
+    val code = Code.toDoc(StateBinding.generateAttributeBinding(
+      StateBinding.AttributeBinding("link", "docs-link", "href")
+    )).render(1000)
+    assert(code.contains("removeAttribute(\"href\")"), code)
+    assert(code.contains("setAttribute(\"href\""), code)
+    assert(code.contains("a === null"), code)
+    assert(code.contains("a === false"), code)
+  }
+
+  test("StateBinding class binding toggles one class") {
+    val code = Code.toDoc(StateBinding.generateClassBinding(
+      StateBinding.ClassBinding("selected", "row-1", "active")
+    )).render(1000)
+    assert(code.contains("classList.toggle(\"active\", Boolean(v))"), code)
+  }
+
   test("StateBinding generates complete module") {
     val module = StateBinding.generateModule(
       "TestApp",
@@ -97,6 +97,28 @@ class UIAnalyzerTest extends FunSuite {
     assertEquals(toJsProperty(Disabled), "disabled")
     assertEquals(toJsProperty(Style("color")), "style.color")
     assertEquals(toJsProperty(Style("fontSize")), "style.fontSize")
+    assertEquals(toJsProperty(Children), "children")
+    assertEquals(toJsProperty(Region(Nil)), "region")
+    assertEquals(toJsProperty(Selected), "selected")
+    assertEquals(toJsProperty(Attribute("href")), "attr.href")
+    assertEquals(toJsProperty(ClassToggle("active")), "class.active")
+  }
+
+  test("DOMProperty.fromString parses children") {
+    assertEquals(UIAnalyzer.DOMProperty.fromString("children"), Some(UIAnalyzer.DOMProperty.Children))
+  }
+
+  test("DOMProperty.fromString parses selected") {
+    assertEquals(UIAnalyzer.DOMProperty.fromString("selected"), Some(UIAnalyzer.DOMProperty.Selected))
+  }
+
+  test("DOMProperty.fromString parses attr.* and class.* properties") {
+    assertEquals(UIAnalyzer.DOMProperty.fromString("attr.aria-label"), Some(UIAnalyzer.DOMProperty.Attribute("aria-label")))
+    assertEquals(UIAnalyzer.DOMProperty.fromString("class.active"), Some(UIAnalyzer.DOMProperty.ClassToggle("active")))
+  }
+
+  test("DOMProperty.fromString parses region") {
+    assertEquals(UIAnalyzer.DOMProperty.fromString("region"), Some(UIAnalyzer.DOMProperty.Region(Nil)))
   }
 
   // ==========================================================================
@@ -370,6 +392,41 @@ class UIAnalyzerTest extends FunSuite {
     assertEquals(analysis.eventHandlers.head.eventType, "change")
   }
 
+  test("analyze detects keyboard, focus, pointer and wheel handlers") {
+    List("keydown", "keyup", "focus", "blur", "pointerdown", "pointerup", "pointermove", "wheel")
+      .foreach { eventType =>
+        val handler = makeLambda(List("e"), makeLiteral(42))
+        val analysis = UIAnalyzer.analyze(makeApp(makeGlobal("Bosatsu/UI", s"on_$eventType"), handler))
+        assertEquals(analysis.eventHandlers.map(_.eventType), List(eventType))
+        assert(!analysis.eventHandlers.head.preventDefault, eventType)
+      }
+  }
+
+  test("on_submit prevents the default submit in a form's props") {
+    val handler = makeLambda(List("fields"), makeLiteral(1))
+    val onSubmitApp = makeApp(makeGlobal("Bosatsu/UI", "on_submit"), handler)
+    val propsList = makeApp(
+      makeGlobal("Bosatsu/List", "NonEmptyList"),
+      onSubmitApp,
+      makeGlobal("Bosatsu/List", "EmptyList")
+    )
+    val hApp = makeApp(makeGlobal("Bosatsu/UI", "h"), makeStrLiteral("form"), propsList, makeLiteral(0))
+
+    val analysis = UIAnalyzer.analyze(hApp)
+    assertEquals(analysis.eventHandlers.map(_.eventType), List("submit"))
+    assert(analysis.eventHandlers.head.preventDefault)
+  }
+
+  test("every handler prop of JsGen.UIExternal is analyzed as its event") {
+    import dev.bosatsu.codegen.js.JsGen
+    Events.EventType.handled.foreach { eventType =>
+      assert(
+        JsGen.UIExternal.results.contains(Identifier.Name(s"on_${eventType.name}")),
+        eventType.name
+      )
+    }
+  }
+
   // ==========================================================================
   // createBindingMap tests
   // ==========================================================================
@@ -447,13 +504,12 @@ class UIAnalyzerTest extends FunSuite {
       property = DOMProperty.Value,
       statePath = List("input"),
       conditional = true,
-      transform = Some("(x) => x.toUpperCase()"),
+      transform = Some(Transform.andThen(Transform.Call("_int_to_String"), Transform.Concat("$", ""))),
       sourceExpr = expr
     )
 
     val js = bindingsToJs(List(binding))
-    assert(js.contains("transform"))
-    assert(js.contains("toUpperCase"))
+    assert(js.contains(""""transform": [ { "op": "call", "name": "_int_to_String" }, { "op": "concat", "prefix": "$", "suffix": "" } ]"""), js)
     assert(js.contains("\"conditional\": true"))
   }
 
@@ -531,7 +587,7 @@ class UIAnalyzerTest extends FunSuite {
     val analysis = UIAnalyzer.analyzeWithStateBindings(textApp, List(count))
     assert(analysis.stateReads.contains(List("count")))
     // Check for transform in binding
-    assert(analysis.bindings.exists(b => b.transform.contains("_int_to_String")))
+    assert(analysis.bindings.exists(b => b.transform.contains(UIAnalyzer.Transform.Call("_int_to_String"))))
   }
 
   // ==========================================================================
@@ -630,6 +686,33 @@ class UIAnalyzerTest extends FunSuite {
     assertEquals(analysis.stateReads, Nil)
   }
 
+  test("functionsToJs registers only the functions bindings name") {
+    import UIAnalyzer._
+
+    def binding(transform: Option[Transform], render: Option[String]) =
+      DOMBinding[Unit](
+        elementId = "elem1",
+        property = DOMProperty.TextContent,
+        statePath = List("count"),
+        conditional = false,
+        transform = transform,
+        sourceExpr = makeLiteral(42),
+        render = render
+      )
+
+    val js = functionsToJs(List(
+      binding(Some(Transform.andThen(Transform.Call("_int_to_String"), Transform.Concat("$", ""))), None),
+      binding(Some(Transform.Call("_int_to_String")), Some("Demo_Todo$render_item")),
+      binding(Some(Transform.Call("window.alert")), None)
+    ))
+    assertEquals(
+      js,
+      """{"_int_to_String": typeof _int_to_String === "function" ? _int_to_String : undefined,
+  "Demo_Todo$render_item": typeof Demo_Todo$render_item === "function" ? Demo_Todo$render_item : undefined}"""
+    )
+    assertEquals(functionsToJs(Nil), "{}")
+  }
+
   test("bindingsToJs handles empty bindings list") {
     val js = UIAnalyzer.bindingsToJs(Nil)
     assertEquals(js, "{}")
@@ -998,7 +1081,8 @@ class UIAnalyzerTest extends FunSuite {
     val textApp = makeApp(textFn, transformApp)
 
     val analysis = UIAnalyzer.analyzeWithStateBindings(textApp, List(count))
-    assert(analysis.bindings.exists(b => b.transform.contains("_custom_to_String")))
+    // a function of the generated bundle, by its JS name
+    assert(analysis.bindings.exists(b => b.transform.contains(UIAnalyzer.Transform.Call("Demo_Utils$custom_to_String"))))
   }
 
   test("analyze transform function ending with _to_string (lowercase)") {
@@ -1015,7 +1099,53 @@ class UIAnalyzerTest extends FunSuite {
     val textApp = makeApp(textFn, transformApp)
 
     val analysis = UIAnalyzer.analyzeWithStateBindings(textApp, List(count))
-    assert(analysis.bindings.exists(b => b.transform.contains("_int_to_String")))
+    assert(analysis.bindings.exists(b => b.transform.contains(UIAnalyzer.Transform.Call("_int_to_String"))))
+  }
+
+  test("analyze interpolated text becomes a Concat after the value's transform") {
+    import UIAnalyzer.Transform
+    val count = Identifier.unsafeBindable("count")
+    val readApp = makeApp(makeGlobal("Bosatsu/UI", "read"), makeLocal("count"))
+    val toStringApp = makeApp(makeGlobal("Bosatsu/Predef", "int_to_String"), readApp)
+    // "Count: ${int_to_String(read(count))}!"
+    val items = List(makeStrLiteral("Count: "), toStringApp, makeStrLiteral("!"))
+    val list = items.foldRight(makeGlobal("Bosatsu/Predef", "EmptyList")) { (item, tail) =>
+      makeApp(makeGlobal("Bosatsu/Predef", "NonEmptyList"), item, tail)
+    }
+    val textApp = makeApp(makeGlobal("Bosatsu/UI", "text"), makeApp(makeGlobal("Bosatsu/Predef", "concat_String"), list))
+
+    val analysis = UIAnalyzer.analyzeWithStateBindings(textApp, List(count))
+    assertEquals(analysis.bindings.map(_.transform),
+      List(Some(Transform.Chain(List(Transform.Call("_int_to_String"), Transform.Concat("Count: ", "!"))))))
+  }
+
+  test("analyze a match on state with literal text branches becomes a Table") {
+    import UIAnalyzer.Transform
+    val status = Identifier.unsafeBindable("status")
+    val readApp = makeApp(makeGlobal("Bosatsu/UI", "read"), makeLocal("status"))
+    val matchExpr = TypedExpr.Match(
+      readApp,
+      cats.data.NonEmptyList.of(
+        (dev.bosatsu.Pattern.Literal(Lit.Integer(0)), makeStrLiteral("Off")),
+        (dev.bosatsu.Pattern.Literal(Lit.Integer(1)), makeStrLiteral("On")),
+        (dev.bosatsu.Pattern.WildCard, makeStrLiteral("Unknown"))
+      ),
+      ()
+    )
+    val textApp = makeApp(makeGlobal("Bosatsu/UI", "text"), matchExpr)
+
+    val analysis = UIAnalyzer.analyzeWithStateBindings(textApp, List(status))
+    assertEquals(analysis.bindings.map(b => (b.statePath, b.transform)),
+      List((List("status"), Some(Transform.Table(List("0" -> "Off", "1" -> "On"), Some("Unknown"))))))
+    val js = UIAnalyzer.bindingsToJs(analysis.bindings)
+    assert(js.contains("""{ "op": "table", "table": { "0": "Off", "1": "On" }, "default": "Unknown" }"""), js)
+  }
+
+  test("Transform.toJson covers the number formats") {
+    import UIAnalyzer.Transform
+    assertEquals(Transform.FormatNumber(2).toJson.render, """{ "op": "number", "decimals": 2 }""")
+    assertEquals(Transform.Currency("EUR", 0).toJson.render, """{ "op": "currency", "currency": "EUR", "decimals": 0 }""")
+    assertEquals(Transform.Percent(1).toJson.render, """{ "op": "percent", "decimals": 1 }""")
   }
 
   test("extractTransform returns None for non-Global function") {
@@ -1912,4 +2042,271 @@ class UIAnalyzerTest extends FunSuite {
     // Should still create event handler, just won't extract state name
     assert(analysis.eventHandlers.nonEmpty)
   }
+
+  // ==========================================================================
+  // Children (keyed list) binding tests
+  // ==========================================================================
+
+  test("children mapped from a state list become a Children binding with a render function") {
+    val todos = Identifier.unsafeBindable("todos")
+    val readApp = makeApp(makeGlobal("Bosatsu/UI", "read"), makeLocal("todos"))
+    val mapApp = makeApp(makeGlobal("Bosatsu/List", "map_List"), readApp, makeGlobal("Demo/Todo", "render_todo"))
+
+    val idTuple = makeApp(makeGlobal("Bosatsu/Core", "Tuple2"), makeStrLiteral("id"), makeStrLiteral("todo-list"))
+    val props = makeApp(makeGlobal("Bosatsu/List", "NonEmptyList"), idTuple, makeGlobal("Bosatsu/List", "EmptyList"))
+    val hApp = makeApp(makeGlobal("Bosatsu/UI", "h"), makeStrLiteral("ul"), props, mapApp)
+
+    val analysis = UIAnalyzer.analyzeWithStateBindings(hApp, List(todos))
+    val children = analysis.bindings.filter(_.property == UIAnalyzer.DOMProperty.Children)
+    assertEquals(children.map(b => (b.elementId, b.statePath, b.render)),
+      List(("todo-list", List("todos"), Some("Demo_Todo$render_todo"))))
+
+    val js = UIAnalyzer.bindingsToJs(analysis.bindings)
+    assert(js.contains("\"property\": \"children\""), js)
+    assert(js.contains("\"render\": \"Demo_Todo$render_todo\""), js)
+  }
+
+  test("children read directly from state become a Children binding without render") {
+    val items = Identifier.unsafeBindable("items")
+    val readApp = makeApp(makeGlobal("Bosatsu/UI", "read"), makeLocal("items"))
+    val hApp = makeApp(makeGlobal("Bosatsu/UI", "h"), makeStrLiteral("ul"), makeGlobal("Bosatsu/List", "EmptyList"), readApp)
+
+    val analysis = UIAnalyzer.analyzeWithStateBindings(hApp, List(items))
+    val children = analysis.bindings.filter(_.property == UIAnalyzer.DOMProperty.Children)
+    assertEquals(children.map(b => (b.statePath, b.render)), List((List("items"), None)))
+    assert(!UIAnalyzer.bindingsToJs(analysis.bindings).contains("render"))
+  }
+
+  test("literal children lists don't produce a Children binding") {
+    val count = Identifier.unsafeBindable("count")
+    val readApp = makeApp(makeGlobal("Bosatsu/UI", "read"), makeLocal("count"))
+    val textApp = makeApp(makeGlobal("Bosatsu/UI", "text"), readApp)
+    val children = makeApp(makeGlobal("Bosatsu/List", "NonEmptyList"), textApp, makeGlobal("Bosatsu/List", "EmptyList"))
+    val hApp = makeApp(makeGlobal("Bosatsu/UI", "h"), makeStrLiteral("ul"), makeGlobal("Bosatsu/List", "EmptyList"), children)
+
+    val analysis = UIAnalyzer.analyzeWithStateBindings(hApp, List(count))
+    assert(!analysis.bindings.exists(_.property == UIAnalyzer.DOMProperty.Children), analysis.bindings.toString)
+    assert(analysis.bindings.exists(_.property == UIAnalyzer.DOMProperty.TextContent))
+  }
+
+  // ==========================================================================
+  // Conditional region binding tests
+  // ==========================================================================
+
+  private def makePredefPattern(cons: String): dev.bosatsu.Pattern[(PackageName, Identifier.Constructor), Type] =
+    dev.bosatsu.Pattern.PositionalStruct((PackageName.PredefName, Identifier.Constructor(cons)), Nil)
+
+  private def makeList(items: TypedExpr[Unit]*): TypedExpr[Unit] =
+    items.foldRight(makeGlobal("Bosatsu/List", "EmptyList")) { (item, tail) =>
+      makeApp(makeGlobal("Bosatsu/List", "NonEmptyList"), item, tail)
+    }
+
+  private def makeH(tag: String, props: List[(String, String)], children: TypedExpr[Unit]*): TypedExpr[Unit] = {
+    val propItems = props.map { case (k, v) =>
+      makeApp(makeGlobal("Bosatsu/Core", "Tuple2"), makeStrLiteral(k), makeStrLiteral(v))
+    }
+    makeApp(makeGlobal("Bosatsu/UI", "h"), makeStrLiteral(tag), makeList(propItems*), makeList(children*))
+  }
+
+  private def makeText(content: TypedExpr[Unit]): TypedExpr[Unit] =
+    makeApp(makeGlobal("Bosatsu/UI", "text"), content)
+
+  private def readState(name: String): TypedExpr[Unit] =
+    makeApp(makeGlobal("Bosatsu/UI", "read"), makeLocal(name))
+
+  test("a match on state selecting between VNodes becomes a Region binding on its parent") {
+    val loggedIn = Identifier.unsafeBindable("logged_in")
+    val matchExpr = TypedExpr.Match(
+      readState("logged_in"),
+      cats.data.NonEmptyList.of(
+        (makePredefPattern("True"), makeH("span", Nil, makeText(makeStrLiteral("Welcome back")))),
+        (makePredefPattern("False"), makeH("button", List("id" -> "login"), makeText(makeStrLiteral("Log in"))))
+      ),
+      ()
+    )
+    val hApp = makeH("div", List("id" -> "auth"), matchExpr)
+
+    val analysis = UIAnalyzer.analyzeWithStateBindings(hApp, List(loggedIn))
+    val regions = analysis.bindings.map(b => (b, b.property)).collect {
+      case (b, UIAnalyzer.DOMProperty.Region(branches)) => (b.elementId, b.statePath, branches.map(_.matcher.render))
+    }
+    assertEquals(regions, List(("auth", List("logged_in"), List("""{ "tag": 1 }""", """{ "tag": 0 }"""))))
+
+    val js = UIAnalyzer.bindingsToJs(analysis.bindings)
+    assert(js.contains("\"property\": \"region\""), js)
+    assert(js.contains("\"branches\": [ { \"match\": { \"tag\": 1 }"), js)
+    assert(js.contains("\"id\": \"login\""), js)
+    assert(js.contains("\"Log in\""), js)
+  }
+
+  test("string literal and wildcard branches become equals and catch-all matchers") {
+    val mode = Identifier.unsafeBindable("mode")
+    val matchExpr = TypedExpr.Match(
+      readState("mode"),
+      cats.data.NonEmptyList.of(
+        (dev.bosatsu.Pattern.Literal(Lit.Str("edit")), makeH("input", List("type" -> "text"))),
+        (dev.bosatsu.Pattern.WildCard, makeText(makeStrLiteral("viewing")))
+      ),
+      ()
+    )
+    val analysis = UIAnalyzer.analyzeWithStateBindings(makeH("div", Nil, matchExpr), List(mode))
+    val matchers = analysis.bindings.map(_.property).collect {
+      case UIAnalyzer.DOMProperty.Region(branches) => branches.map(br => (br.matcher.render, br.vnode.render))
+    }
+    assertEquals(matchers, List(List(
+      ("""{ "equals": "edit" }""", """{ "tag": "input", "attributes": { "type": "text" }, "children": [] }"""),
+      ("{}", "\"viewing\"")
+    )))
+  }
+
+  test("state-derived text in a branch needs an element id to become a Region") {
+    val user = Identifier.unsafeBindable("user")
+    def regionFor(props: List[(String, String)]) = {
+      val matchExpr = TypedExpr.Match(
+        readState("user"),
+        cats.data.NonEmptyList.of(
+          (makePredefPattern("None"), makeText(makeStrLiteral("Guest"))),
+          (makePredefPattern("Some"), makeH("b", props, makeText(readState("user"))))
+        ),
+        ()
+      )
+      val analysis = UIAnalyzer.analyzeWithStateBindings(makeH("div", Nil, matchExpr), List(user))
+      analysis.bindings.exists(_.property.isInstanceOf[UIAnalyzer.DOMProperty.Region])
+    }
+    assert(regionFor(List("id" -> "user-name")))
+    assert(!regionFor(Nil))
+  }
+
+  test("matches with event handlers or on non-Predef constructors don't produce a Region") {
+    val flag = Identifier.unsafeBindable("flag")
+    val onClick = makeApp(makeGlobal("Bosatsu/UI", "on_click"), makeLambda(List("e"), makeLiteral(0)))
+    val withHandler = TypedExpr.Match(
+      readState("flag"),
+      cats.data.NonEmptyList.of(
+        (makePredefPattern("True"), makeApp(makeGlobal("Bosatsu/UI", "h"), makeStrLiteral("button"), makeList(onClick), makeList())),
+        (makePredefPattern("False"), makeText(makeStrLiteral("off")))
+      ),
+      ()
+    )
+    val customCons = TypedExpr.Match(
+      readState("flag"),
+      cats.data.NonEmptyList.of(
+        (dev.bosatsu.Pattern.PositionalStruct((PackageName.parse("Demo/Mode").get, Identifier.Constructor("On")), Nil),
+          makeText(makeStrLiteral("on"))),
+        (dev.bosatsu.Pattern.WildCard, makeText(makeStrLiteral("off")))
+      ),
+      ()
+    )
+    for (m <- List(withHandler, customCons)) {
+      val analysis = UIAnalyzer.analyzeWithStateBindings(makeH("div", Nil, m), List(flag))
+      assert(!analysis.bindings.exists(_.property.isInstanceOf[UIAnalyzer.DOMProperty.Region]), analysis.bindings.toString)
+    }
+  }
+
+  // ==========================================================================
+  // Two-way form binding tests
+  // ==========================================================================
+
+  private def makeBoundInput(tag: String, id: String, bind: String, state: String): TypedExpr[Unit] = {
+    val idProp = makeApp(makeGlobal("Bosatsu/Core", "Tuple2"), makeStrLiteral("id"), makeStrLiteral(id))
+    val bindProp = makeApp(makeGlobal("Bosatsu/UI", bind), makeLocal(state))
+    makeApp(makeGlobal("Bosatsu/UI", "h"), makeStrLiteral(tag), makeList(idProp, bindProp), makeList())
+  }
+
+  test("bind_* props become two-way bindings on the element") {
+    import UIAnalyzer.{DOMProperty, InputKind}
+    val form = makeH("form", Nil,
+      makeBoundInput("input", "age", "bind_int", "age"),
+      makeBoundInput("input", "rate", "bind_optional_double", "rate"),
+      makeBoundInput("input", "agree", "bind_checked", "agree"),
+      makeBoundInput("select", "tags", "bind_selected", "tags"),
+      makeBoundInput("textarea", "notes", "bind_value", "notes")
+    )
+    val states = List("age", "rate", "agree", "tags", "notes").map(Identifier.unsafeBindable(_))
+    val analysis = UIAnalyzer.analyzeWithStateBindings(form, states)
+    val inputs = analysis.bindings.collect {
+      case b if b.input.isDefined => (b.elementId, b.property, b.statePath, b.input)
+    }
+    assertEquals(inputs, List(
+      ("age", DOMProperty.Value, List("age"), Some(InputKind.IntValue)),
+      ("rate", DOMProperty.Value, List("rate"), Some(InputKind.OptionalDouble)),
+      ("agree", DOMProperty.Checked, List("agree"), Some(InputKind.BoolValue)),
+      ("tags", DOMProperty.Selected, List("tags"), Some(InputKind.Strings)),
+      ("notes", DOMProperty.Value, List("notes"), Some(InputKind.Text))
+    ))
+
+    val js = UIAnalyzer.bindingsToJs(analysis.bindings)
+    assert(js.contains("\"property\": \"selected\", \"conditional\": false, \"input\": \"strings\""), js)
+    assert(js.contains("\"input\": \"optional_double\""), js)
+  }
+
+  test("each radio of a group bound with bind_value gets its own binding to the group's state") {
+    val group = makeH("fieldset", Nil,
+      makeBoundInput("input", "size-s", "bind_value", "size"),
+      makeBoundInput("input", "size-m", "bind_value", "size")
+    )
+    val analysis = UIAnalyzer.analyzeWithStateBindings(group, List(Identifier.unsafeBindable("size")))
+    assertEquals(
+      analysis.bindings.map(b => (b.elementId, b.statePath, b.input.map(_.name))),
+      List(("size-s", List("size"), Some("string")), ("size-m", List("size"), Some("string")))
+    )
+  }
+
+  test("every InputKind has a bind_* external in Bosatsu/UI and JsGen") {
+    import dev.bosatsu.codegen.js.{Code, JsGen}
+    UIAnalyzer.InputKind.byExternal.foreach { case (name, kind) =>
+      assert(dev.bosatsu.UI.uiString.contains(s"external def $name("), name)
+      assert(JsGen.UIExternal.results.contains(Identifier.Name(name)), name)
+      assertEquals(JsGen.UIExternal.results(Identifier.Name(name))._1(List(Code.Ident("s"))),
+        Code.ArrayLiteral(List(
+          Code.StringLiteral("data-bind"),
+          Code.Call(Code.Ident("_ui_register_binding"), List(Code.StringLiteral(kind.name), Code.Ident("s")))
+        )))
+    }
+  }
+
+  // ==========================================================================
+  // Attribute and class binding tests
+  // ==========================================================================
+
+  test("props whose value reads state become attribute and class bindings") {
+    import UIAnalyzer.DOMProperty
+    val tuple2 = makeGlobal("Bosatsu/Core", "Tuple2")
+    val props = makeList(
+      makeApp(tuple2, makeStrLiteral("id"), makeStrLiteral("chart")),
+      makeApp(tuple2, makeStrLiteral("role"), makeStrLiteral("img")),
+      makeApp(tuple2, makeStrLiteral("aria-label"), readState("summary")),
+      makeApp(makeGlobal("Bosatsu/UI", "attr"), makeStrLiteral("href"), readState("link")),
+      makeApp(makeGlobal("Bosatsu/UI", "toggle_attr"), makeStrLiteral("hidden"), readState("collapsed")),
+      makeApp(makeGlobal("Bosatsu/UI", "toggle_class"), makeStrLiteral("active"), readState("selected"))
+    )
+    val hApp = makeApp(makeGlobal("Bosatsu/UI", "h"), makeStrLiteral("a"), props, makeList())
+    val states = List("summary", "link", "collapsed", "selected").map(Identifier.unsafeBindable(_))
+    val analysis = UIAnalyzer.analyzeWithStateBindings(hApp, states)
+
+    assertEquals(
+      analysis.bindings.map(b => (b.elementId, b.property, b.statePath)),
+      List(
+        ("chart", DOMProperty.Attribute("aria-label"), List("summary")),
+        ("chart", DOMProperty.Attribute("href"), List("link")),
+        ("chart", DOMProperty.Attribute("hidden"), List("collapsed")),
+        ("chart", DOMProperty.ClassToggle("active"), List("selected"))
+      )
+    )
+    val js = UIAnalyzer.bindingsToJs(analysis.bindings)
+    assert(js.contains("\"property\": \"attr.aria-label\""), js)
+    assert(js.contains("\"property\": \"class.active\""), js)
+  }
+
+  test("a class prop that reads state binds className and keeps its transform") {
+    val tuple2 = makeGlobal("Bosatsu/Core", "Tuple2")
+    val classExpr = makeApp(makeGlobal("Bosatsu/Predef", "int_to_String"), readState("level"))
+    val hApp = makeApp(makeGlobal("Bosatsu/UI", "h"), makeStrLiteral("div"),
+      makeList(makeApp(tuple2, makeStrLiteral("class"), classExpr)), makeList())
+    val analysis = UIAnalyzer.analyzeWithStateBindings(hApp, List(Identifier.unsafeBindable("level")))
+    assertEquals(
+      analysis.bindings.map(b => (b.property, b.transform)),
+      List((UIAnalyzer.DOMProperty.ClassName, Some(UIAnalyzer.Transform.Call("_int_to_String"))))
+    )
+  }
 }
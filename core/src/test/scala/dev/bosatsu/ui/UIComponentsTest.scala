@@ -468,6 +468,13 @@ class UIComponentsTest extends ScalaCheckSuite {
     assert(html.contains("</div>"), s"html should contain </div>: $html")
   }
 
+  test("DOMCodegen writes the key of keyed elements as data-bosatsu-key") {
+    val li = VNode.keyedEl("li", "todo-1", VNode.text("Buy milk"))
+    assertEquals(DOMCodegen.renderToString(li), "<li data-bosatsu-key=\"todo-1\">Buy milk</li>")
+    val code = DOMCodegen.generate(li, "item").map(s => dev.bosatsu.codegen.js.Code.toDoc(s).render(80)).mkString("\n")
+    assert(code.contains("setAttribute(\"data-bosatsu-key\", \"todo-1\")"), code)
+  }
+
   test("DOMCodegen.renderToString escapes HTML in text") {
     val el = VNode.text("<script>alert('xss')</script>")
     val html = DOMCodegen.renderToString(el)
@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+// Compare the size and speed of JS bundles from the js transpiler.
+//
+// Usage: node scripts/bench_js_bundle.js [--runs N] [--timeout SECONDS] [bundle.js ...]
+//
+// With no bundles, jsout/_bundle.js is measured. To compare the output of two
+// versions of the transpiler, copy the bundle of the first aside and pass both:
+//
+//   sbt "cli/run transpile js ... --outdir jsout" && cp jsout/_bundle.js /tmp/before.js
+//   (change the transpiler, transpile again)
+//   node scripts/bench_js_bundle.js /tmp/before.js jsout/_bundle.js
+//
+// For each bundle it reports the size, the gzipped size, the number of IIFEs
+// and the median time to run it (parse it and evaluate every top level value,
+// which includes the tests) in a fresh vm context. A run that takes longer
+// than --timeout seconds (default 600, 0 for no limit) is an error.
+
+const fs = require('fs');
+const vm = require('vm');
+const zlib = require('zlib');
+
+const args = process.argv.slice(2);
+let runs = 3;
+let timeoutSeconds = 600;
+const bundles = [];
+for (let i = 0; i < args.length; i++) {
+  if (args[i] === '--runs') {
+    runs = parseInt(args[++i], 10);
+    if (!(runs > 0)) {
+      console.error("--runs expects a positive number");
+      process.exit(1);
+    }
+  } else if (args[i] === '--timeout') {
+    timeoutSeconds = Number(args[++i]);
+    if (!(timeoutSeconds >= 0)) {
+      console.error("--timeout expects a number of seconds, 0 for no limit");
+      process.exit(1);
+    }
+  } else {
+    bundles.push(args[i]);
+  }
+}
+if (bundles.length === 0) bundles.push('./jsout/_bundle.js');
+
+const median = (xs) => {
+  const sorted = xs.slice().sort((a, b) => a - b);
+  const mid = sorted.length >> 1;
+  return (sorted.length % 2) ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+const runOnce = (code, path) => {
+  const context = { console, _tests: {} };
+  vm.createContext(context);
+  const script = new vm.Script(code, { filename: path });
+  const start = process.hrtime.bigint();
+  script.runInContext(context, timeoutSeconds > 0 ? { timeout: timeoutSeconds * 1000 } : {});
+  return Number(process.hrtime.bigint() - start) / 1e6;
+};
+
+const measure = (path) => {
+  const code = fs.readFileSync(path, 'utf8');
+  const times = [];
+  for (let i = 0; i < runs; i++) times.push(runOnce(code, path));
+  return {
+    bundle: path,
+    bytes: Buffer.byteLength(code),
+    gzipBytes: zlib.gzipSync(code).length,
+    iifes: (code.match(/\(\(\) => /g) || []).length,
+    medianMs: median(times),
+    minMs: Math.min(...times)
+  };
+};
+
+const results = [];
+for (const path of bundles) {
+  try {
+    results.push(measure(path));
+  } catch (err) {
+    console.error("Error running " + path + ": " + err.message);
+    process.exit(1);
+  }
+}
+
+console.log("runs per bundle: " + runs);
+console.table(results.map((r) => ({
+  bundle: r.bundle,
+  bytes: r.bytes,
+  "gzip bytes": r.gzipBytes,
+  IIFEs: r.iifes,
+  "median ms": r.medianMs.toFixed(1),
+  "min ms": r.minMs.toFixed(1)
+})));
+
+if (results.length > 1) {
+  const base = results[0];
+  const pct = (now, before) => ((now - before) / before * 100).toFixed(1) + "%";
+  for (const r of results.slice(1)) {
+    console.log(r.bundle + " vs " + base.bundle + ": size " + pct(r.bytes, base.bytes) +
+      ", gzip " + pct(r.gzipBytes, base.gzipBytes) +
+      ", median time " + pct(r.medianMs, base.medianMs));
+  }
+}
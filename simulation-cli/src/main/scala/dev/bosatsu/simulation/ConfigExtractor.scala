@@ -1,7 +1,7 @@
 package dev.bosatsu.simulation
 
 import dev.bosatsu.Value
-import dev.bosatsu.Value.{ProductValue, VInt, Str, VList}
+import dev.bosatsu.Value.{ProductValue, SumValue, VInt, Str, VList, VOption}
 
 /**
  * Extracts SimConfig values from Bosatsu Value representations.
@@ -61,6 +61,36 @@ object ConfigExtractor {
     chartType: String      // "line", "area", "bar"
   )
 
+  /**
+   * The distribution a Monte Carlo trial draws an input from.
+   *
+   * Example usage in Bosatsu:
+   *   enum Distribution:
+   *     Uniform(low: Int, high: Int)
+   *     Normal(mean: Int, stddev: Int)
+   *     Triangular(low: Int, mode: Int, high: Int)
+   */
+  sealed trait Distribution derives CanEqual
+  object Distribution {
+    case class Uniform(low: Int, high: Int) extends Distribution
+    case class Normal(mean: Int, stddev: Int) extends Distribution
+    case class Triangular(low: Int, mode: Int, high: Int) extends Distribution
+  }
+
+  /**
+   * Configuration for Monte Carlo runs: each trial draws the listed inputs
+   * from their distributions, keeps the other inputs at their current values,
+   * and records every output.
+   *
+   * Example usage in Bosatsu:
+   *   MonteCarloConfig(10000, 42, [("annual_rate", Normal(700, 150))])
+   */
+  case class MonteCarloConfig(
+    trials: Int,
+    seed: Int,
+    distributions: List[(String, Distribution)]
+  )
+
   case class SimConfig(
     name: String,
     description: String,
@@ -69,7 +99,8 @@ object ConfigExtractor {
     inputs: List[(String, InputConfig)],
     outputs: List[(String, OutputConfig)],
     assumptions: List[AssumptionConfig] = Nil,  // Optional, for function variant toggles
-    sweeps: List[SweepConfig] = Nil             // Optional, for parameter sweep charts
+    sweeps: List[SweepConfig] = Nil,            // Optional, for parameter sweep charts
+    monteCarlo: Option[MonteCarloConfig] = None // Optional, for Monte Carlo runs
   )
 
   /**
@@ -83,7 +114,9 @@ object ConfigExtractor {
    *     function_name: String,
    *     inputs: List[(String, InputConfig)],
    *     outputs: List[(String, OutputConfig)],
-   *     assumptions: List[AssumptionConfig]  # Optional
+   *     assumptions: List[AssumptionConfig],  # Optional
+   *     sweeps: List[SweepConfig],            # Optional
+   *     monte_carlo: Option[MonteCarloConfig] # Optional
    *   )
    */
   def extractSimConfig(value: Value): SimConfig = {
@@ -99,15 +132,28 @@ object ConfigExtractor {
         } else {
           Nil
         }
+        val monteCarlo = if (p.values.length >= 9) {
+          extractMonteCarloOption(p.get(8))
+        } else {
+          None
+        }
+        val inputs = extractInputList(p.get(4))
+        monteCarlo.foreach { mc =>
+          mc.distributions.foreach { case (name, _) =>
+            if (!inputs.exists(_._1 == name))
+              throw new RuntimeException(s"Monte Carlo distribution for unknown input: $name")
+          }
+        }
         SimConfig(
           name = extractString(p.get(0)),
           description = extractString(p.get(1)),
           packageName = extractString(p.get(2)),
           functionName = extractString(p.get(3)),
-          inputs = extractInputList(p.get(4)),
+          inputs = inputs,
           outputs = extractOutputList(p.get(5)),
           assumptions = assumptions,
-          sweeps = sweeps
+          sweeps = sweeps,
+          monteCarlo = monteCarlo
         )
       case other =>
         throw new RuntimeException(s"Expected SimConfig struct (ProductValue with 6+ fields), got: $other")
@@ -305,4 +351,58 @@ object ConfigExtractor {
     case other =>
       throw new RuntimeException(s"Expected SweepConfig struct (ProductValue with 6 fields), got: $other")
   }
+
+  /**
+   * Extract an Option[MonteCarloConfig].
+   *
+   * Matches struct:
+   *   struct MonteCarloConfig(
+   *     trials: Int,
+   *     seed: Int,
+   *     distributions: List[(String, Distribution)]
+   *   )
+   */
+  private def extractMonteCarloOption(v: Value): Option[MonteCarloConfig] = v match {
+    case VOption(None) => None
+    case VOption(Some(p: ProductValue)) if p.values.length >= 3 =>
+      val trials = extractInt(p.get(0))
+      if (trials <= 0) throw new RuntimeException(s"Monte Carlo trials must be positive, got: $trials")
+      val distributions = VList.unapply(p.get(2)) match {
+        case Some(items) =>
+          items.map { item =>
+            val (name, dist) = extractTuple2(item)
+            (extractString(name), extractDistribution(dist))
+          }
+        case None =>
+          throw new RuntimeException(s"Expected List for distributions, got: ${p.get(2)}")
+      }
+      Some(MonteCarloConfig(trials, extractInt(p.get(1)), distributions))
+    case other =>
+      throw new RuntimeException(s"Expected Option[MonteCarloConfig] (MonteCarloConfig with 3 fields), got: $other")
+  }
+
+  /**
+   * Extract a Distribution from the variants of the Distribution enum, in
+   * order: Uniform(low, high), Normal(mean, stddev), Triangular(low, mode, high).
+   */
+  private def extractDistribution(v: Value): Distribution = v match {
+    case s: SumValue if s.variant == 0 && s.value.values.length == 2 =>
+      val low = extractInt(s.value.get(0))
+      val high = extractInt(s.value.get(1))
+      if (low > high) throw new RuntimeException(s"Uniform needs low <= high, got: $low, $high")
+      Distribution.Uniform(low, high)
+    case s: SumValue if s.variant == 1 && s.value.values.length == 2 =>
+      val stddev = extractInt(s.value.get(1))
+      if (stddev < 0) throw new RuntimeException(s"Normal needs stddev >= 0, got: $stddev")
+      Distribution.Normal(extractInt(s.value.get(0)), stddev)
+    case s: SumValue if s.variant == 2 && s.value.values.length == 3 =>
+      val low = extractInt(s.value.get(0))
+      val mode = extractInt(s.value.get(1))
+      val high = extractInt(s.value.get(2))
+      if (low > mode || mode > high)
+        throw new RuntimeException(s"Triangular needs low <= mode <= high, got: $low, $mode, $high")
+      Distribution.Triangular(low, mode, high)
+    case other =>
+      throw new RuntimeException(s"Expected Distribution (Uniform, Normal or Triangular), got: $other")
+  }
 }
@@ -0,0 +1,463 @@
+package dev.bosatsu.simulation
+
+import dev.bosatsu.codegen.js.{Code, JsGen}
+
+/**
+ * Generator for the Monte Carlo section of a config-driven simulation page.
+ *
+ * Each trial draws the inputs named in MonteCarloConfig from their
+ * distributions, keeps the other inputs at their slider values, and calls the
+ * compiled function. The trials run in a Web Worker from a generator seeded
+ * with the seed field, so the same seed gives the same trials, and the page
+ * shows a histogram and percentiles of every output and offers the trials as
+ * CSV.
+ */
+object MonteCarloGen {
+
+  /**
+   * The JS for the page: the config as data, the trial runner, the source of
+   * the worker that runs it, and initMonteCarlo(container) which adds the
+   * Monte Carlo section to the page.
+   */
+  def generate(
+      mc: ConfigExtractor.MonteCarloConfig,
+      simConfig: ConfigExtractor.SimConfig,
+      funcName: String,
+      funcParams: List[(String, String)],
+      computeJs: String
+  ): String = {
+    val data = dataJs(mc, simConfig, funcName, funcParams)
+    val worker = List(JsGen.runtimeCode, computeJs, data, trialsJs, workerMainJs).mkString("\n")
+    s"""// Monte Carlo configuration
+$data
+
+$trialsJs
+
+// The worker runs the runtime, the compiled function and the trial runner
+var _mcWorkerSource = ${stringLiteral(worker)};
+
+$pageJs"""
+  }
+
+  // a JS string literal that can sit inside a <script> element
+  private def stringLiteral(s: String): String =
+    Code.render(Code.StringLiteral(s)).replace("</", "<\\/")
+
+  /**
+   * The config as JS data, and _mcCall which calls the function with the
+   * arguments of a trial in parameter order.
+   */
+  private[simulation] def dataJs(
+      mc: ConfigExtractor.MonteCarloConfig,
+      simConfig: ConfigExtractor.SimConfig,
+      funcName: String,
+      funcParams: List[(String, String)]
+  ): String = {
+    import ConfigExtractor.Distribution._
+
+    val distributions = mc.distributions.map { case (name, dist) =>
+      val input = simConfig.inputs.collectFirst { case (n, ic) if n == name => ic }
+      val label = input.fold(name)(_.label)
+      // inputs are Int unless the function takes a Double
+      val integer = !funcParams.exists { case (n, tpe) => n == name && tpe == "Double" }
+      val params = dist match {
+        case Uniform(low, high) => s"kind: 'uniform', low: $low, high: $high"
+        case Normal(mean, stddev) => s"kind: 'normal', mean: $mean, stddev: $stddev"
+        case Triangular(low, mode, high) => s"kind: 'triangular', low: $low, mode: $mode, high: $high"
+      }
+      val min = input.fold("-Infinity")(_.minValue.toString)
+      val max = input.fold("Infinity")(_.maxValue.toString)
+      s"""  { name: ${stringLiteral(name)}, label: ${stringLiteral(label)}, $params, min: $min, max: $max, integer: $integer }"""
+    }.mkString(",\n")
+
+    val outputs = simConfig.outputs.zipWithIndex.map { case ((name, oc), idx) =>
+      s"""  { name: ${stringLiteral(name)}, index: $idx, label: ${stringLiteral(oc.label)}, format: ${stringLiteral(oc.format)} }"""
+    }.mkString(",\n")
+
+    val args = funcParams.map { case (name, _) => s"args[${stringLiteral(name)}]" }.mkString(", ")
+
+    s"""var _mcTrials = ${mc.trials};
+var _mcSeed = ${mc.seed};
+var _mcInputs = [${funcParams.map { case (name, _) => stringLiteral(name) }.mkString(", ")}];
+var _mcDistributions = [
+$distributions
+];
+var _mcOutputs = [
+$outputs
+];
+function _mcCall(args) {
+  return $funcName($args);
+}"""
+  }
+
+  /**
+   * Sampling, the trial loop and the statistics of the results. The page and
+   * the worker both load it, so a page without workers can run the trials
+   * itself.
+   */
+  private[simulation] val trialsJs: String =
+    """// Inverse CDF of the triangular distribution at u in [0, 1)
+function _mcTriangular(u, low, mode, high) {
+  if (high === low) return low;
+  if (u < (mode - low) / (high - low)) return low + Math.sqrt(u * (high - low) * (mode - low));
+  return high - Math.sqrt((1 - u) * (high - low) * (high - mode));
+}
+
+// Draw an input from its distribution. Draws stay in the input's slider range
+// and Int inputs get whole numbers.
+function _mcSample(rng, d) {
+  let x;
+  switch (d.kind) {
+    case 'uniform':
+      x = d.integer ? Number(_rng_int(rng, d.low, d.high)) : _rng_uniform(rng, d.low, d.high);
+      break;
+    case 'normal':
+      x = _rng_gaussian(rng, d.mean, d.stddev);
+      break;
+    default:
+      x = _mcTriangular(_rng_double(rng), d.low, d.mode, d.high);
+  }
+  if (d.integer) x = Math.round(x);
+  return Math.min(d.max, Math.max(d.min, x));
+}
+
+// A numeric output of a result: structs are arrays, a single output may be
+// the result itself. Values that aren't numbers become NaN.
+function _mcOutputValue(result, o) {
+  const v = Array.isArray(result) ? result[o.index]
+    : (result !== null && typeof result === 'object') ? result[o.name]
+    : result;
+  return (typeof v === 'number' || typeof v === 'bigint') ? Number(v) : NaN;
+}
+
+// Run job.trials trials from a generator seeded with job.seed. Inputs without
+// a distribution come from job.inputs. Gives one column per distribution
+// (samples) and per output (outputs).
+function _mcRunTrials(job, onProgress) {
+  const rng = _rng_make(job.seed);
+  const n = job.trials;
+  const samples = _mcDistributions.map(() => new Float64Array(n));
+  const outputs = _mcOutputs.map(() => new Float64Array(n));
+  const every = Math.max(1, Math.floor(n / 100));
+  for (let t = 0; t < n; t++) {
+    const args = Object.assign({}, job.inputs);
+    _mcDistributions.forEach((d, i) => {
+      const x = _mcSample(rng, d);
+      args[d.name] = x;
+      samples[i][t] = x;
+    });
+    const result = _mcCall(args);
+    _mcOutputs.forEach((o, i) => {
+      outputs[i][t] = _mcOutputValue(result, o);
+    });
+    if (onProgress && (t + 1) % every === 0) onProgress(t + 1, n);
+  }
+  return { seed: job.seed, trials: n, samples: samples, outputs: outputs };
+}
+
+// The values of a column in order, without NaNs
+function _mcSorted(column) {
+  return column.filter(x => !Number.isNaN(x)).sort();
+}
+
+function _mcMean(sorted) {
+  let sum = 0;
+  for (let i = 0; i < sorted.length; i++) sum += sorted[i];
+  return sorted.length > 0 ? sum / sorted.length : NaN;
+}
+
+// The p-th percentile of sorted values, interpolating between ranks
+function _mcPercentile(sorted, p) {
+  if (sorted.length === 0) return NaN;
+  const pos = (sorted.length - 1) * p / 100;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+// Counts of sorted values in equal width bins from the least to the greatest
+function _mcHistogram(sorted, bins) {
+  const counts = new Array(bins).fill(0);
+  if (sorted.length === 0) return { min: 0, max: 0, counts: counts };
+  const min = sorted[0];
+  const max = sorted[sorted.length - 1];
+  const width = (max - min) / bins;
+  for (let i = 0; i < sorted.length; i++) {
+    const b = width > 0 ? Math.min(bins - 1, Math.floor((sorted[i] - min) / width)) : 0;
+    counts[b]++;
+  }
+  return { min: min, max: max, counts: counts };
+}
+
+// The trials as CSV: the trial number, the drawn inputs, then the outputs
+function _mcCsv(res) {
+  const header = ['trial'].concat(_mcDistributions.map(d => d.name), _mcOutputs.map(o => o.name));
+  const lines = [header.join(',')];
+  for (let t = 0; t < res.trials; t++) {
+    const row = [t + 1];
+    res.samples.forEach(col => row.push(col[t]));
+    res.outputs.forEach(col => row.push(col[t]));
+    lines.push(row.join(','));
+  }
+  return lines.join('\n') + '\n';
+}"""
+
+  // the worker runs one job per message and reports progress as it goes
+  private val workerMainJs: String =
+    """onmessage = (e) => {
+  try {
+    const res = _mcRunTrials(e.data, (done, total) => postMessage({ progress: done, total: total }));
+    postMessage({ result: res }, res.samples.concat(res.outputs).map(col => col.buffer));
+  } catch (err) {
+    postMessage({ error: String((err && err.message) || err) });
+  }
+};"""
+
+  // running trials, and the Monte Carlo section of the page
+  private val pageJs: String =
+    """var _mcWorker = null;
+var _mcWorkerUrl = null;
+var _mcTimer = null;
+var _mcLast = null;
+var _mcPercentiles = [5, 25, 50, 75, 95];
+
+// Run a job in a worker, or on the page when workers aren't available
+function _mcStart(job, onProgress, onDone, onError) {
+  _mcStop();
+  let worker = null;
+  try {
+    if (_mcWorkerUrl === null) {
+      _mcWorkerUrl = URL.createObjectURL(new Blob([_mcWorkerSource], { type: 'text/javascript' }));
+    }
+    worker = new Worker(_mcWorkerUrl);
+  } catch (err) {
+    console.warn('Running Monte Carlo trials without a worker:', err);
+  }
+  if (worker === null) {
+    _mcTimer = setTimeout(() => {
+      _mcTimer = null;
+      try { onDone(_mcRunTrials(job, null)); }
+      catch (err) { onError(String((err && err.message) || err)); }
+    }, 0);
+    return;
+  }
+  _mcWorker = worker;
+  worker.onmessage = (e) => {
+    const msg = e.data;
+    if (msg.progress !== undefined) {
+      onProgress(msg.progress, msg.total);
+    } else {
+      _mcStop();
+      if (msg.error !== undefined) onError(msg.error);
+      else onDone(msg.result);
+    }
+  };
+  worker.onerror = (e) => {
+    e.preventDefault();
+    _mcStop();
+    onError(e.message);
+  };
+  worker.postMessage(job);
+}
+
+// Stop the running worker, or the run waiting to start on the page, if any
+function _mcStop() {
+  if (_mcWorker !== null) {
+    _mcWorker.terminate();
+    _mcWorker = null;
+  }
+  if (_mcTimer !== null) {
+    clearTimeout(_mcTimer);
+    _mcTimer = null;
+  }
+}
+
+function _mcDescribe(d) {
+  switch (d.kind) {
+    case 'uniform':
+      return d.label + ': uniform from ' + d.low.toLocaleString() + ' to ' + d.high.toLocaleString();
+    case 'normal':
+      return d.label + ': normal, mean ' + d.mean.toLocaleString() + ', standard deviation ' + d.stddev.toLocaleString();
+    default:
+      return d.label + ': triangular from ' + d.low.toLocaleString() + ' to ' + d.high.toLocaleString() + ', most likely ' + d.mode.toLocaleString();
+  }
+}
+
+// Add the Monte Carlo section: trials and seed, run, cancel and CSV download
+function initMonteCarlo(container) {
+  const section = document.createElement('div');
+  section.id = 'monte-carlo';
+  section.className = 'monte-carlo-section';
+  section.innerHTML = '<h3>Monte Carlo</h3>' +
+    '<ul class="mc-distributions"></ul>' +
+    '<div class="mc-controls">' +
+    '<label>Trials <input type="number" id="mc-trials" min="1" step="1"></label> ' +
+    '<label>Seed <input type="number" id="mc-seed" step="1"></label> ' +
+    '<button id="mc-run">Run</button> ' +
+    '<button id="mc-cancel" disabled>Cancel</button> ' +
+    '<button id="mc-csv" disabled>Download CSV</button>' +
+    '</div>' +
+    '<div id="mc-status" class="mc-status"></div>' +
+    '<div id="mc-results" class="mc-results"></div>';
+  if (!container) return;
+  container.appendChild(section);
+
+  const list = section.querySelector('.mc-distributions');
+  _mcDistributions.forEach(d => {
+    const item = document.createElement('li');
+    item.textContent = _mcDescribe(d);
+    list.appendChild(item);
+  });
+
+  const trialsInput = section.querySelector('#mc-trials');
+  const seedInput = section.querySelector('#mc-seed');
+  const runBtn = section.querySelector('#mc-run');
+  const cancelBtn = section.querySelector('#mc-cancel');
+  const csvBtn = section.querySelector('#mc-csv');
+  const status = section.querySelector('#mc-status');
+  trialsInput.value = _mcTrials;
+  // a ?seed= in the URL replays the same trials
+  seedInput.value = String(_url_seed !== null ? _url_seed : _mcSeed);
+
+  const finish = () => {
+    runBtn.disabled = false;
+    cancelBtn.disabled = true;
+  };
+
+  runBtn.onclick = () => {
+    const trials = parseInt(trialsInput.value, 10);
+    const seed = _string_to_Int(seedInput.value.trim());
+    if (!(trials > 0)) {
+      status.textContent = 'Trials must be a positive whole number';
+      return;
+    }
+    if (seed[0] !== 1) {
+      status.textContent = 'Seed must be a whole number';
+      return;
+    }
+    const inputs = {};
+    _mcInputs.forEach(name => { inputs[name] = _getState(name); });
+    runBtn.disabled = true;
+    cancelBtn.disabled = false;
+    status.textContent = 'Running ' + trials.toLocaleString() + ' trials...';
+    _mcStart({ trials: trials, seed: seed[1], inputs: inputs },
+      (done, total) => {
+        status.textContent = 'Running: ' + Math.round(100 * done / total) + '% of ' + total.toLocaleString() + ' trials';
+      },
+      (res) => {
+        finish();
+        _mcLast = res;
+        csvBtn.disabled = false;
+        status.textContent = res.trials.toLocaleString() + ' trials with seed ' + res.seed;
+        _mcShowResults(res, section.querySelector('#mc-results'));
+      },
+      (message) => {
+        finish();
+        status.textContent = 'Monte Carlo run failed: ' + message;
+      });
+  };
+
+  cancelBtn.onclick = () => {
+    _mcStop();
+    finish();
+    status.textContent = 'Cancelled';
+  };
+
+  csvBtn.onclick = () => {
+    if (_mcLast !== null) _mcDownloadCsv(_mcLast);
+  };
+}
+
+// Percentiles and a histogram of each output
+function _mcShowResults(res, resultsDiv) {
+  resultsDiv.innerHTML = '';
+  _mcOutputs.forEach((o, i) => {
+    const sorted = _mcSorted(res.outputs[i]);
+    const stats = [['Mean', _mcMean(sorted)]].concat(_mcPercentiles.map(p => ['P' + p, _mcPercentile(sorted, p)]));
+
+    const div = document.createElement('div');
+    div.className = 'mc-output';
+    const title = document.createElement('h4');
+    title.textContent = o.label;
+    const table = document.createElement('table');
+    table.className = 'mc-percentiles';
+    const head = table.insertRow();
+    const values = table.insertRow();
+    stats.forEach(([name, v]) => {
+      const th = document.createElement('th');
+      th.textContent = name;
+      head.appendChild(th);
+      values.insertCell().textContent = _formatOutput(v, o.format);
+    });
+    const canvas = document.createElement('canvas');
+    canvas.width = 500;
+    canvas.height = 180;
+    div.appendChild(title);
+    div.appendChild(table);
+    div.appendChild(canvas);
+    resultsDiv.appendChild(div);
+
+    _mcDrawHistogram(canvas, _mcHistogram(sorted, 30), _mcPercentile(sorted, 50), o.format);
+  });
+}
+
+// Draw histogram bars with the median marked
+function _mcDrawHistogram(canvas, hist, median, format) {
+  const ctx = canvas.getContext('2d');
+  if (!ctx) return;
+  const width = canvas.width;
+  const height = canvas.height;
+  const padding = 30;
+  const plotWidth = width - 2 * padding;
+  const plotHeight = height - 2 * padding;
+  const maxCount = Math.max(1, ...hist.counts);
+  const barWidth = plotWidth / hist.counts.length;
+
+  ctx.fillStyle = '#f8f9fa';
+  ctx.fillRect(0, 0, width, height);
+
+  ctx.fillStyle = '#667eea';
+  hist.counts.forEach((c, i) => {
+    const h = c / maxCount * plotHeight;
+    ctx.fillRect(padding + i * barWidth + 1, height - padding - h, Math.max(1, barWidth - 2), h);
+  });
+
+  ctx.strokeStyle = '#333';
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.moveTo(padding, height - padding);
+  ctx.lineTo(width - padding, height - padding);
+  ctx.stroke();
+
+  const range = hist.max - hist.min;
+  if (range > 0 && !Number.isNaN(median)) {
+    const mx = padding + (median - hist.min) / range * plotWidth;
+    ctx.strokeStyle = '#ef4444';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(mx, padding);
+    ctx.lineTo(mx, height - padding);
+    ctx.stroke();
+  }
+
+  ctx.fillStyle = '#666';
+  ctx.font = '12px system-ui';
+  ctx.textAlign = 'left';
+  ctx.fillText(_formatOutput(hist.min, format), padding, height - 10);
+  ctx.textAlign = 'right';
+  ctx.fillText(_formatOutput(hist.max, format), width - padding, height - 10);
+  ctx.fillText(maxCount.toLocaleString() + ' trials', width - padding, padding - 10);
+}
+
+function _mcDownloadCsv(res) {
+  const blob = new Blob([_mcCsv(res)], { type: 'text/csv' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = 'monte-carlo-seed-' + res.seed + '.csv';
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}"""
+}
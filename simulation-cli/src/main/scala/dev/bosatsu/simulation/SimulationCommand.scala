@@ -113,6 +113,9 @@ case class SimulationCommand(
       _ <- IO(println(s"Config loaded: ${simConfig.name} (function: ${simConfig.functionName})"))
       _ <- IO(println(s"  Inputs: ${simConfig.inputs.map(_._1).mkString(", ")}"))
       _ <- IO(println(s"  Outputs: ${simConfig.outputs.map(_._1).mkString(", ")}"))
+      _ <- IO(simConfig.monteCarlo.foreach { mc =>
+        println(s"  Monte Carlo: ${mc.trials} trials (seed ${mc.seed}) over ${mc.distributions.map(_._1).mkString(", ")}")
+      })
 
       // Find the function definition in the simulation package
       funcDefs = simPackage.lets.filter { case (name, _, expr) =>
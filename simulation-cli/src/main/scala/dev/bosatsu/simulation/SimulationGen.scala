@@ -14,6 +14,7 @@ import dev.bosatsu.Identifier.Bindable
  * - WhyExplainer: Generates "Why?" button UI
  * - WhatIfToggle: Generates "What if?" toggle UI
  * - ParameterSweep: Generates parameter sweep UI
+ * - MonteCarloGen: Generates seeded Monte Carlo trials and their charts
  */
 object SimulationGen {
 
@@ -54,6 +55,8 @@ object SimulationGen {
     val fullJs =
       s"""${JsGen.runtimeCode}
 
+$seedJs
+
 // Derivation state tracking
 $derivationState
 
@@ -514,6 +517,42 @@ $sweepSliders
     result
   }
 
+  /**
+   * JavaScript that seeds Bosatsu/IO random values from a ?seed= URL
+   * parameter. The page shows the seed in use either way, with a link that
+   * opens the page with that seed, so any run can be replayed exactly.
+   */
+  private[simulation] val seedJs: String =
+    """// Seed Bosatsu/IO random values from ?seed=N, kept in _url_seed
+var _url_seed = null;
+(function() {
+  const param = (typeof window !== 'undefined' && window.location)
+    ? new URLSearchParams(window.location.search).get('seed')
+    : null;
+  if (param !== null) {
+    const parsed = _string_to_Int(param.trim());
+    if (parsed[0] === 1) _url_seed = _io_seed(parsed[1]);
+    else console.warn('Ignoring ?seed=' + param + ': not an integer');
+  }
+})();
+
+// Show the seed at the end of the page, once init has built it
+function _showIoSeed() {
+  const container = document.querySelector('.applet-container') || document.body;
+  const div = document.createElement('div');
+  div.id = 'io-seed';
+  div.className = 'io-seed';
+  div.textContent = 'Seed ' + _io_seed_value + ' ';
+  const url = new URL(window.location.href);
+  url.searchParams.set('seed', String(_io_seed_value));
+  const link = document.createElement('a');
+  link.href = url.toString();
+  link.textContent = 'Replay with this seed';
+  div.appendChild(link);
+  container.appendChild(div);
+}
+if (typeof document !== 'undefined') document.addEventListener('DOMContentLoaded', _showIoSeed);"""
+
   /**
    * Escape a string for use in JavaScript.
    */
@@ -609,6 +648,8 @@ function _formatValue(v) {
     // 4. Combine all JS
     val fullJs = s"""${JsGen.runtimeCode}
 
+$seedJs
+
 // Derivation state tracking for inputs
 $derivationState
 
@@ -743,25 +784,34 @@ function _formatValue(v) {
     // 4. Generate UI with config-driven inputs and outputs
     val uiJs = generateConfigDrivenUI(simConfig, config)
 
-    // 5. Combine all JS
+    // 5. Monte Carlo trials, if the config has distributions
+    val monteCarloJs = simConfig.monteCarlo.fold("") { mc =>
+      MonteCarloGen.generate(mc, simConfig, funcName, funcParams, computeJs)
+    }
+
+    // 6. Combine all JS
     val fullJs = s"""${JsGen.runtimeCode}
 
+$seedJs
+
 // Derivation state tracking for inputs
 $derivationState
 
 // Function and recomputation
 $recomputeJs
 
+$monteCarloJs
+
 // UI initialization
 $uiJs
 """
 
-    // 6. Build initial state from config defaults
+    // 7. Build initial state from config defaults
     val initialState = simConfig.inputs.map { case (name, inputConfig) =>
       name -> inputConfig.defaultValue.toString
     }.toMap
 
-    // 7. Generate embed config
+    // 8. Generate embed config
     val embedConfig = EmbedGenerator.EmbedConfig(
       title = config.title,
       theme = config.theme,
@@ -771,7 +821,7 @@ $uiJs
       showCanvas = config.showCanvas
     )
 
-    // 8. Generate HTML
+    // 9. Generate HTML
     EmbedGenerator.generateEmbed(embedConfig, initialState, fullJs)
   }
 
@@ -997,6 +1047,11 @@ ${if (simConfig.sweeps.nonEmpty) s"""
 ${generateSweepCharts(simConfig.sweeps, simConfig.functionName, simConfig.inputs.map(_._1))}
 """ else ""}
 
+${if (simConfig.monteCarlo.nonEmpty) """
+  // Add Monte Carlo section
+  initMonteCarlo(appletContainer);
+""" else ""}
+
   // Initial computation
   _recompute();
 }"""
@@ -206,6 +206,7 @@ case class UICommand(
   ): String = {
     // Generate bindings from UIAnalyzer (automatic detection via handler analysis)
     val bindingsJs = UIAnalyzer.bindingsToJs(analysis.bindings)
+    val functionsJs = UIAnalyzer.functionsToJs(analysis.bindings)
 
     val runtimeJs = generateRuntimeJs()
     val stylesCss = generateStyles(config.theme)
@@ -252,6 +253,9 @@ const _bindings = $bindingsJs;
 
 $computeJs
 
+// The functions bindings can name (transforms), see UIAnalyzer.functionsToJs
+const _functions = $functionsJs;
+
 // ============================================================================
 // Initialize Application
 // ============================================================================
@@ -274,6 +278,9 @@ $stateLinkingCode
   // Initialize element cache for bindings
   _initBindingCache();
 
+  // Delegate the event handler props from the mount root
+  _initEvents(document.getElementById('app'));
+
   // Apply initial state values to DOM (for states that aren't 0/false)
   _applyInitialBindings();
 }
@@ -360,6 +367,10 @@ const _elements = {};
 const _handlers = {};
 let _handlerIdCounter = 0;
 
+// Two-way binding registry: { id: { kind, state, elements } }
+const _inputBindings = {};
+let _inputBindingIdCounter = 0;
+
 // Map state objects to their binding keys (WeakMap for proper GC)
 const _stateToBindingKey = new WeakMap();
 
@@ -396,6 +407,13 @@ function _ui_write(stateObj, value) {
     });
   }
 
+  // Show the new value in the form elements bound to this state
+  Object.values(_inputBindings).forEach(input => {
+    if (input.state === stateObj) {
+      input.elements.forEach(el => _showInput(el, input.kind, value));
+    }
+  });
+
   return []; // Return Unit (empty tuple)
 }
 
@@ -406,6 +424,107 @@ function _ui_register_handler(eventType, handler) {
   return handlerId;
 }
 
+// Register a two-way binding of a state (bind_value, bind_int, ...) and
+// return its ID; kind is the UIAnalyzer.InputKind edits are parsed as
+function _ui_register_binding(kind, stateObj) {
+  const bindingId = 'binding_' + (_inputBindingIdCounter++);
+  _inputBindings[bindingId] = { kind: kind, state: stateObj, elements: [] };
+  return bindingId;
+}
+
+// Props whose presence depends on a value; a null value is left out
+function _ui_attr(name, value) {
+  return [name, value[0] === 1 ? value[1] : null];
+}
+
+function _ui_toggle_attr(name, on) {
+  return [name, on[0] === 1 ? '' : null];
+}
+
+function _ui_toggle_class(name, on) {
+  return ['class.' + name, on[0] === 1 ? '' : null];
+}
+
+// An attribute's value for a state value: null (remove it) for None and
+// False, empty for True, the value of a Some, or the value as a string
+function _attributeValue(value) {
+  if (value === null || value === undefined || value === false) return null;
+  if (value === true) return '';
+  if (Array.isArray(value) && value.length === 1) return value[0] === 1 ? '' : null;
+  if (Array.isArray(value) && value.length === 2 && value[0] === 1) return String(value[1]);
+  return String(value);
+}
+
+// A Bosatsu Int from its digits: a number when safe, a BigInt otherwise
+function _parseInt(text) {
+  const n = BigInt(text);
+  return (n >= BigInt(Number.MIN_SAFE_INTEGER) && n <= BigInt(Number.MAX_SAFE_INTEGER)) ? Number(n) : n;
+}
+
+// Parsers of a form element's value by kind; undefined leaves the state unchanged
+const _inputParsers = {
+  string: (text) => text,
+  int: (text) => (/^\s*[+-]?\d+\s*$/.test(text) ? _parseInt(text.trim()) : undefined),
+  double: (text) => {
+    const n = text.trim() === '' ? NaN : Number(text);
+    return Number.isNaN(n) ? undefined : n;
+  },
+  optional_int: (text) => {
+    if (text.trim() === '') return [0];
+    const n = _inputParsers.int(text);
+    return n === undefined ? undefined : [1, n];
+  },
+  optional_double: (text) => {
+    if (text.trim() === '') return [0];
+    const n = _inputParsers.double(text);
+    return n === undefined ? undefined : [1, n];
+  }
+};
+
+// The Bosatsu value of a form element as a kind (undefined for an unchecked radio)
+function _readInput(el, kind) {
+  if (el.type === 'radio' && !el.checked) return undefined;
+  if (kind === 'bool') return el.checked ? [1] : [0];
+  if (kind === 'strings') {
+    return Array.from(el.selectedOptions || []).reduceRight((tail, o) => [1, o.value, tail], [0]);
+  }
+  const parse = _inputParsers[kind];
+  return parse ? parse(String(el.value)) : undefined;
+}
+
+// Checkboxes, radios and selects are read on change, others as they are edited
+function _inputEvent(el) {
+  return (el.tagName === 'SELECT' || el.type === 'checkbox' || el.type === 'radio') ? 'change' : 'input';
+}
+
+function _sameValue(a, b) {
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((x, i) => _sameValue(x, b[i]));
+  }
+  return a === b;
+}
+
+// Show a state value in a form element, unless it already shows it (so
+// writing back an edit doesn't reformat what is being typed)
+function _showInput(el, kind, value) {
+  if (_sameValue(_readInput(el, kind), value)) return;
+  if (kind === 'bool') {
+    el.checked = Array.isArray(value) ? value[0] === 1 : !!value;
+  } else if (kind === 'strings') {
+    const selected = new Set(_bosatsuListToArray(value));
+    Array.from(el.options).forEach(o => { o.selected = selected.has(o.value); });
+  } else {
+    // an Option shows its value, or nothing for None
+    const text = (Array.isArray(value) && value[0] === 1) ? String(value[1])
+      : (Array.isArray(value) ? '' : String(value));
+    if (el.type === 'radio') {
+      el.checked = el.value === text;
+    } else {
+      el.value = text;
+    }
+  }
+}
+
 // Update a single DOM binding
 function _updateBinding(binding, value) {
   let el = _elements[binding.elementId];
@@ -416,6 +535,12 @@ function _updateBinding(binding, value) {
   }
   if (!el) return;
 
+  // A region shows the first of its branches that matches the value
+  if (binding.property === 'region') {
+    _updateRegion(el, binding.branches || [], value);
+    return;
+  }
+
   // Check if value is a Bosatsu Bool - [0] for False, [1] for True
   // Also handle raw integers 0/1 for numeric boolean pattern
   const isBosatsuBool = Array.isArray(value) && (value[0] === 0 || value[0] === 1) && value.length <= 2;
@@ -424,8 +549,8 @@ function _updateBinding(binding, value) {
 
   let displayValue;
   if (binding.transform) {
-    const transformResult = eval(binding.transform)(value);
-    // Transform may return a Bosatsu string (array), convert to JS string
+    const transformResult = _applyTransform(binding.transform, value);
+    // Transform results are usually strings already; normalize anything else
     displayValue = Array.isArray(transformResult)
       ? _bosatsuStringToJs(transformResult)
       : String(transformResult);
@@ -455,19 +580,225 @@ function _updateBinding(binding, value) {
       el.value = displayValue;
       break;
     case 'checked':
-      el.checked = !!value;
+      el.checked = boolValue !== null ? boolValue : !!value;
       break;
     case 'disabled':
-      el.disabled = !!value;
+      el.disabled = boolValue !== null ? boolValue : !!value;
       break;
     default:
       if (binding.property.startsWith('style.')) {
         const styleProp = binding.property.slice(6);
         el.style[styleProp] = displayValue;
+      } else if (binding.property.startsWith('attr.')) {
+        const attrName = binding.property.slice(5);
+        const attrValue = binding.transform ? displayValue : _attributeValue(value);
+        if (attrValue === null) {
+          el.removeAttribute(attrName);
+        } else {
+          el.setAttribute(attrName, attrValue);
+        }
+      } else if (binding.property.startsWith('class.')) {
+        el.classList.toggle(binding.property.slice(6), boolValue !== null ? boolValue : !!value);
       }
   }
 }
 
+// The index of the branch each region element shows
+const _regionBranches = new WeakMap();
+
+// Whether a region branch matcher accepts a value: {} accepts anything,
+// {tag: n} a Bool or enum value with that tag, and {equals: v} a literal
+function _matchesBranch(matcher, value) {
+  if (!matcher) return true;
+  if ('tag' in matcher) {
+    if (typeof value === 'boolean') return (value ? 1 : 0) === matcher.tag;
+    return Array.isArray(value) && value[0] === matcher.tag;
+  }
+  if ('equals' in matcher) {
+    return (typeof value === 'bigint') ? value === BigInt(matcher.equals) : value === matcher.equals;
+  }
+  return true;
+}
+
+function _selectBranch(branches, value) {
+  return branches.findIndex(branch => _matchesBranch(branch.match, value));
+}
+
+// Show the branch a value selects in a region: the old branch's elements
+// are removed (and dropped from the element cache), the new one is built
+// from its VNode and the bindings inside it are applied
+function _updateRegion(el, branches, value) {
+  const index = _selectBranch(branches, value);
+  if (_regionBranches.get(el) === index) return;
+  _regionBranches.set(el, index);
+
+  Object.keys(_elements).forEach(id => {
+    if (_elements[id] !== el && el.contains(_elements[id])) delete _elements[id];
+  });
+  el.textContent = '';
+  if (index >= 0) el.appendChild(_renderBranchVNode(branches[index].vnode));
+
+  _eachBinding((binding, stateObj) => {
+    const target = document.getElementById(binding.elementId) ||
+                   document.querySelector('[data-bosatsu-id="' + binding.elementId + '"]');
+    if (target && target !== el && el.contains(target)) _updateBinding(binding, stateObj.value);
+  });
+}
+
+// Render a region branch's VNode, which is plain JSON ({tag, attributes,
+// children} or a fragment, see UIAnalyzer.staticVNode) rather than a
+// Bosatsu value
+function _renderBranchVNode(vnode) {
+  if (typeof vnode === 'string') return document.createTextNode(vnode);
+  if (vnode.type === 'fragment') {
+    const frag = document.createDocumentFragment();
+    (vnode.children || []).forEach(child => frag.appendChild(_renderBranchVNode(child)));
+    return frag;
+  }
+  const el = document.createElement(vnode.tag || 'div');
+  Object.entries(vnode.attributes || {}).forEach(([key, val]) => {
+    if (key === 'class') {
+      el.className = val;
+    } else {
+      el.setAttribute(key, val);
+    }
+  });
+  (vnode.children || []).forEach(child => el.appendChild(_renderBranchVNode(child)));
+  return el;
+}
+
+// Call f with each binding and the state object it shows
+function _eachBinding(f) {
+  Object.values(_state).forEach(stateObj => {
+    const bindingKey = _stateToBindingKey.get(stateObj);
+    const bindings = bindingKey ? _bindings[bindingKey] : null;
+    if (bindings) bindings.forEach(binding => f(binding, stateObj));
+  });
+}
+
+// Apply a binding's transform (see UIAnalyzer.Transform): an {op, ...}
+// object, an array of transforms applied in order, or the name of a
+// function in _functions. Transforms are data, never evaluated as code.
+function _applyTransform(transform, value) {
+  if (typeof transform === 'string') {
+    const fn = Object.prototype.hasOwnProperty.call(_functions, transform) ? _functions[transform] : undefined;
+    if (typeof fn !== 'function') throw new Error('Unknown transform function: ' + transform);
+    return fn(value);
+  }
+  if (Array.isArray(transform)) {
+    return transform.reduce((v, step) => _applyTransform(step, v), value);
+  }
+  const num = typeof value === 'bigint' ? value : Number(value);
+  const digits = (d, dflt) => ({ minimumFractionDigits: d ?? dflt, maximumFractionDigits: d ?? dflt });
+  switch (transform.op) {
+    case 'call':
+      return _applyTransform(transform.name, value);
+    case 'number':
+      return new Intl.NumberFormat(transform.locale || 'en-US', digits(transform.decimals, 0)).format(num);
+    case 'currency':
+      return new Intl.NumberFormat(transform.locale || 'en-US',
+        { style: 'currency', currency: transform.currency || 'USD', ...digits(transform.decimals, 2) }).format(num);
+    case 'percent':
+      return new Intl.NumberFormat(transform.locale || 'en-US', digits(transform.decimals, 0)).format(num) + '%';
+    case 'concat':
+      return (transform.prefix || '') + _bosatsuStringToJs(value) + (transform.suffix || '');
+    case 'table': {
+      const key = String(value);
+      if (Object.prototype.hasOwnProperty.call(transform.table, key)) return transform.table[key];
+      return transform.default !== undefined ? transform.default : key;
+    }
+    default:
+      throw new Error('Unknown transform op: ' + transform.op);
+  }
+}
+
+// DOM event each kind of handler is delegated from; focus and blur don't
+// bubble to the root, so their bubbling focusin and focusout are used
+const _delegatedEvents = {
+  click: 'click', input: 'input', change: 'change', submit: 'submit',
+  focus: 'focusin', blur: 'focusout', keydown: 'keydown', keyup: 'keyup',
+  pointerdown: 'pointerdown', pointerup: 'pointerup', pointermove: 'pointermove',
+  wheel: 'wheel'
+};
+
+function _bool(b) {
+  return b ? [1] : [0];
+}
+
+// Bosatsu/UI::Modifiers(shift, ctrl, alt, meta)
+function _modifiers(e) {
+  return [_bool(e.shiftKey), _bool(e.ctrlKey), _bool(e.altKey), _bool(e.metaKey)];
+}
+
+// Bosatsu/UI::KeyEvent(key, code, repeat, modifiers)
+function _keyEvent(e) {
+  return [e.key || '', e.code || '', _bool(e.repeat), _modifiers(e)];
+}
+
+// Bosatsu/UI::PointerEvent(x, y, button, pointer_type, modifiers), with x
+// and y relative to the top left of the element with the handler
+function _pointerEvent(e, el) {
+  const rect = el.getBoundingClientRect();
+  return [e.clientX - rect.left, e.clientY - rect.top, e.button || 0,
+    e.pointerType || 'mouse', _modifiers(e)];
+}
+
+// Bosatsu/UI::WheelEvent(delta_x, delta_y, modifiers), in pixels whatever
+// the deltaMode (lines are taken as 16px, pages as the element's height)
+function _wheelEvent(e, el) {
+  const scale = e.deltaMode === 1 ? 16 : (e.deltaMode === 2 ? (el.clientHeight || window.innerHeight) : 1);
+  return [(e.deltaX || 0) * scale, (e.deltaY || 0) * scale, _modifiers(e)];
+}
+
+// The form's fields as a List[(String, String)], leaving out files
+function _formFields(form) {
+  const fields = Array.from(new FormData(form).entries()).filter(([, v]) => typeof v === 'string');
+  return fields.reduceRight((tail, [k, v]) => [1, [k, v], tail], [0]);
+}
+
+// The Bosatsu value a handler is called with, by handler type
+const _eventPayloads = {
+  click: () => [],  // Unit = empty tuple
+  input: (e, el) => el.value,
+  change: (e, el) => el.value,
+  submit: (e, el) => _formFields(el),
+  focus: () => [],
+  blur: () => [],
+  keydown: _keyEvent,
+  keyup: _keyEvent,
+  pointerdown: _pointerEvent,
+  pointerup: _pointerEvent,
+  pointermove: _pointerEvent,
+  wheel: _wheelEvent
+};
+
+// Call the handlers of an event, innermost first, from the target up to
+// the root as if each element had its own listener. Focus and blur only
+// call the handler of the element that gained or lost focus.
+function _dispatchEvent(root, type, e) {
+  const attr = 'data-on' + type;
+  const bubbles = type !== 'focus' && type !== 'blur';
+  let el = e.target;
+  while (el && el !== root.parentNode) {
+    const handler = el.getAttribute && _handlers[el.getAttribute(attr)];
+    if (handler) {
+      if (type === 'submit') e.preventDefault();
+      handler.fn(_eventPayloads[type](e, el));
+    }
+    if (!bubbles) break;
+    el = el.parentNode;
+  }
+}
+
+// Listen for every kind of handler once, on the mount root, so handlers
+// of elements rendered later need no listeners of their own
+function _initEvents(root) {
+  Object.entries(_delegatedEvents).forEach(([type, domEvent]) => {
+    root.addEventListener(domEvent, (e) => _dispatchEvent(root, type, e),
+      { passive: type !== 'submit' });
+  });
+}
+
 // Initialize element cache for all bindings
 function _initBindingCache() {
   Object.values(_bindings).flat().forEach(binding => {
@@ -478,20 +809,23 @@ function _initBindingCache() {
     }
   });
 
-  // Set up event handlers
-  Object.entries(_handlers).forEach(([handlerId, handler]) => {
-    // Find elements with this handler ID
-    const els = document.querySelectorAll('[data-on' + handler.type + '="' + handlerId + '"]');
-    els.forEach(el => {
-      el.addEventListener(handler.type, (e) => {
-        // Call the handler - for click it receives Unit, for input it receives the value
-        if (handler.type === 'click') {
-          handler.fn([]);  // Unit = empty tuple
-        } else if (handler.type === 'input' || handler.type === 'change') {
-          // Convert JS string to Bosatsu string
-          const bsString = _js_to_bosatsu_string(e.target.value);
-          handler.fn(bsString);
-        }
+  // The mounted DOM shows the branch of each region for the initial state,
+  // so a region is only rebuilt when its branch changes
+  _eachBinding((binding, stateObj) => {
+    const el = _elements[binding.elementId];
+    if (binding.property === 'region' && el) {
+      _regionBranches.set(el, _selectBranch(binding.branches || [], stateObj.value));
+    }
+  });
+
+  // Set up two-way bindings: show the state and write parsed edits back
+  Object.entries(_inputBindings).forEach(([bindingId, input]) => {
+    input.elements = Array.from(document.querySelectorAll('[data-bind="' + bindingId + '"]'));
+    input.elements.forEach(el => {
+      _showInput(el, input.kind, input.state.value);
+      el.addEventListener(_inputEvent(el), () => {
+        const value = _readInput(el, input.kind);
+        if (value !== undefined) _ui_write(input.state, value);
       });
     });
   });
@@ -510,7 +844,7 @@ function _renderVNode(vnode) {
 
   if (type === 'element') {
     // Element node: { type: "element", tag: "div", props: [...], children: [...] }
-    // Tag may be a Bosatsu string (array), convert to JS string
+    // Tag is normally a string; normalize legacy encodings
     const tag = _bosatsuStringToJs(vnode.tag) || vnode.tag || 'div';
     const el = document.createElement(tag);
 
@@ -519,15 +853,19 @@ function _renderVNode(vnode) {
       const props = _bosatsuListToArray(vnode.props);
       props.forEach(prop => {
         // prop is a Bosatsu tuple: [key, value]
-        if (Array.isArray(prop) && prop.length >= 2) {
+        // a null value is a prop left out, e.g. attr for None
+        if (Array.isArray(prop) && prop.length >= 2 && prop[1] !== null) {
           const key = _bosatsuStringToJs(prop[0]) || prop[0];
           const value = _bosatsuStringToJs(prop[1]) || prop[1];
 
-          if (key.startsWith('data-on')) {
+          if (key.startsWith('class.')) {
+            el.classList.add(key.slice(6));
+          } else if (key.startsWith('data-on')) {
             // Event handler attribute
             el.setAttribute(key, value);
           } else if (key === 'class') {
-            el.className = value;
+            // added to, so toggle_class props before it are kept
+            el.classList.add(...String(value).split(/\s+/).filter(Boolean));
           } else if (key === 'id') {
             el.id = value;
           } else {
@@ -576,8 +914,9 @@ function _bosatsuListToArray(list) {
   return result;
 }
 
-// Convert Bosatsu string to JS string
-// Bosatsu string: [1, "c", [1, "h", [0]]] - linked list of characters
+// Convert a Bosatsu value to a JS string
+// Bosatsu strings are native JS strings; the [1, "c", tail] list
+// encoding used by older generated code is still accepted.
 function _bosatsuStringToJs(str) {
   if (typeof str === 'string') return str;
   if (!Array.isArray(str)) return String(str);
@@ -590,16 +929,7 @@ function _bosatsuStringToJs(str) {
   }
   return result;
 }
-
-// Convert JS string to Bosatsu string (for event handlers)
-function _js_to_bosatsu_string(s) {
-  if (s.length === 0) return [0];
-  let result = [0];
-  for (let i = s.length - 1; i >= 0; i--) {
-    result = [1, s[i], result];
-  }
-  return result;
-}"""
+"""
   }
 
   /**
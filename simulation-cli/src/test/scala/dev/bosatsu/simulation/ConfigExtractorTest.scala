@@ -0,0 +1,85 @@
+package dev.bosatsu.simulation
+
+import munit.FunSuite
+import dev.bosatsu.Value
+import dev.bosatsu.Value.{ProductValue, SumValue, Str, VInt, VList, VOption}
+
+class ConfigExtractorTest extends FunSuite {
+
+  private def struct(vs: Value*): ProductValue = ProductValue.fromList(vs.toList)
+
+  private def input(label: String, default: Int, min: Int, max: Int): Value =
+    struct(Str(label), VInt(default), VInt(min), VInt(max), VInt(1), Str("slider"))
+
+  private def uniform(low: Int, high: Int): Value = SumValue(0, struct(VInt(low), VInt(high)))
+  private def normal(mean: Int, sd: Int): Value = SumValue(1, struct(VInt(mean), VInt(sd)))
+  private def triangular(low: Int, mode: Int, high: Int): Value =
+    SumValue(2, struct(VInt(low), VInt(mode), VInt(high)))
+
+  private def monteCarlo(trials: Int, dists: (String, Value)*): Value =
+    VOption.some(struct(
+      VInt(trials),
+      VInt(42),
+      VList(dists.toList.map { case (name, d) => struct(Str(name), d) })
+    ))
+
+  // SimConfig(name, description, package, function, inputs, outputs, assumptions, sweeps, monte_carlo)
+  private def simConfig(mc: Value): Value =
+    struct(
+      Str("Loan"),
+      Str("A loan"),
+      Str("Loan"),
+      Str("payment"),
+      VList(List(
+        struct(Str("principal"), input("Principal", 200000, 10000, 1000000)),
+        struct(Str("rate"), input("Rate", 650, 0, 2000))
+      )),
+      VList(List(struct(Str("monthly"), struct(Str("Monthly"), Str("currency"), Value.True)))),
+      VList(Nil),
+      VList(Nil),
+      mc
+    )
+
+  test("extractSimConfig reads Monte Carlo distributions") {
+    val config = ConfigExtractor.extractSimConfig(simConfig(monteCarlo(
+      5000,
+      "rate" -> normal(650, 100),
+      "principal" -> triangular(150000, 200000, 400000)
+    )))
+    assertEquals(
+      config.monteCarlo,
+      Some(ConfigExtractor.MonteCarloConfig(5000, 42, List(
+        "rate" -> ConfigExtractor.Distribution.Normal(650, 100),
+        "principal" -> ConfigExtractor.Distribution.Triangular(150000, 200000, 400000)
+      )))
+    )
+  }
+
+  test("Monte Carlo is optional") {
+    assertEquals(ConfigExtractor.extractSimConfig(simConfig(VOption.none)).monteCarlo, None)
+
+    val eightFields = simConfig(VOption.none) match {
+      case p: ProductValue => ProductValue.fromList(p.values.toList.take(8))
+      case other => fail(s"expected a struct, got $other")
+    }
+    assertEquals(ConfigExtractor.extractSimConfig(eightFields).monteCarlo, None)
+  }
+
+  test("Monte Carlo distributions must name an input") {
+    val err = intercept[RuntimeException] {
+      ConfigExtractor.extractSimConfig(simConfig(monteCarlo(100, "years" -> uniform(10, 30))))
+    }
+    assert(err.getMessage.contains("unknown input: years"), err.getMessage)
+  }
+
+  test("invalid Monte Carlo configs are rejected") {
+    List(
+      monteCarlo(0, "rate" -> uniform(0, 10)),
+      monteCarlo(100, "rate" -> uniform(10, 0)),
+      monteCarlo(100, "rate" -> normal(650, -1)),
+      monteCarlo(100, "rate" -> triangular(0, 20, 10))
+    ).foreach { mc =>
+      intercept[RuntimeException](ConfigExtractor.extractSimConfig(simConfig(mc)))
+    }
+  }
+}
@@ -290,6 +290,53 @@ class SimulationGenTest extends FunSuite {
     }
   }
 
+  test("generated pages seed Bosatsu/IO from ?seed=") {
+    val analyses = List(makeAnalysis("x", DerivationAnalyzer.Assumption))
+    val html = SimulationGen.generate(analyses, "", SimulationGen.SimConfig("Seeded"))
+    assert(html.contains("get('seed')"))
+    assert(html.contains("_io_seed(parsed[1])"))
+    // the page shows the seed rather than logging it
+    assert(html.contains("addEventListener('DOMContentLoaded', _showIoSeed)"))
+    assert(!html.contains("console.log('Bosatsu/IO seed"))
+    // the seed comes after the runtime defines _io_seed
+    assert(html.indexOf("var _io_seed") < html.indexOf(SimulationGen.seedJs))
+
+    val fnHtml = SimulationGen.generateFunctionBased("f", List("x" -> "Int"), analyses, "", SimulationGen.SimConfig("Seeded"))
+    assert(fnHtml.contains(SimulationGen.seedJs))
+  }
+
+  test("Monte Carlo trials run in a worker only when configured") {
+    val simConfig = ConfigExtractor.SimConfig(
+      name = "Loan",
+      description = "",
+      packageName = "Loan",
+      functionName = "payment",
+      inputs = List("rate" -> ConfigExtractor.InputConfig("Rate", 650, 0, 2000, 10, "slider")),
+      outputs = List("monthly" -> ConfigExtractor.OutputConfig("Monthly", "currency", true))
+    )
+    val analyses = List(makeAnalysis("rate", DerivationAnalyzer.Assumption))
+    def page(sc: ConfigExtractor.SimConfig): String =
+      SimulationGen.generateFunctionBasedWithConfig(
+        "payment", List("rate" -> "Int"), sc, analyses, "const payment = (rate) => rate;", SimulationGen.SimConfig("Loan"))
+
+    assert(!page(simConfig).contains("initMonteCarlo"))
+
+    val mc = ConfigExtractor.MonteCarloConfig(5000, 7, List("rate" -> ConfigExtractor.Distribution.Normal(650, 100)))
+    val html = page(simConfig.copy(monteCarlo = Some(mc)))
+    assert(html.contains("initMonteCarlo(appletContainer)"))
+    assert(html.contains("new Worker"))
+    // cancelling also stops a run waiting to start without a worker
+    assert(html.contains("clearTimeout(_mcTimer);"))
+    assert(html.contains("var _mcTrials = 5000;"))
+    assert(html.contains("kind: 'normal', mean: 650, stddev: 100, min: 0, max: 2000, integer: true"))
+    assert(html.contains("return payment(args[\"rate\"]);"))
+    assert(html.contains("_mcCsv"))
+    // the worker source can't close the page's script element
+    val workerLine = html.linesIterator.find(_.startsWith("var _mcWorkerSource")).getOrElse(fail("no worker source"))
+    assert(!workerLine.contains("</"))
+    assert(workerLine.contains("onmessage"))
+  }
+
   // ============================================
   // SimConfig tests
   // ============================================
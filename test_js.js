@@ -25,17 +25,6 @@ try {
   process.exit(1);
 }
 
-// Helper to convert Bosatsu string to JS string
-const _bosatsu_to_js_string = (bstr) => {
-  let result = '';
-  let current = bstr;
-  while (current && current[0] === 1) {
-    result += current[1];
-    current = current[2];
-  }
-  return result;
-};
-
 console.log("Found " + Object.keys(context._tests).length + " tests\n");
 
 let passed = 0;
@@ -52,7 +41,7 @@ const checkAssertion = (name, assertion) => {
   // Assertion: [0, boolResult, message]
   if (assertion[0] === 0 && Array.isArray(assertion[1])) {
     const boolResult = assertion[1][0] === 1;
-    const message = assertion[2] ? _bosatsu_to_js_string(assertion[2]) : "";
+    const message = assertion[2] || "";
 
     if (boolResult) {
       console.log("  ✓ " + name);
@@ -71,10 +60,9 @@ const processTestValue = (name, value, indent = "  ") => {
   if (checkAssertion(name, value)) return;
 
   // Check if it's a TestSuite: [1, suiteName, assertionsList]
-  // where suiteName is a Bosatsu string and assertionsList is a cons list
-  if (value && value[0] === 1 && Array.isArray(value[1]) && value[1][0] === 1) {
-    // This looks like a TestSuite - value[1] is a Bosatsu string (starts with [1, char, ...])
-    const suiteName = _bosatsu_to_js_string(value[1]);
+  // where suiteName is a string and assertionsList is a cons list
+  if (value && value[0] === 1 && typeof value[1] === 'string') {
+    const suiteName = value[1];
     const assertions = value[2];
     console.log(indent + "Suite: " + suiteName);
 
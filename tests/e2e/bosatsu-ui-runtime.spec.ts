@@ -0,0 +1,654 @@
+import { test, expect, Page } from '@playwright/test';
+import * as path from 'path';
+
+// =============================================================================
+// BOSATSU UI RUNTIME
+// Loads core/src/main/resources/bosatsu-ui-runtime.js into a blank page and
+// drives window.BosatsuUI directly
+// =============================================================================
+
+const runtimePath = path.join(__dirname, '../../core/src/main/resources/bosatsu-ui-runtime.js');
+
+async function loadRuntime(page: Page) {
+  await page.setContent('<!DOCTYPE html><html><body><div id="app"></div></body></html>');
+  await page.addScriptTag({ path: runtimePath });
+}
+
+test.describe('BosatsuUI runtime keyed children', () => {
+  test.beforeEach(async ({ page }) => {
+    await loadRuntime(page);
+    await page.evaluate(() => {
+      const BosatsuUI = (window as any).BosatsuUI;
+      (window as any).renderTodo = (todo: { id: string, text: string }) =>
+        ({ type: 'element', tag: 'li', key: todo.id, children: [todo.text] });
+      // bindings only reach registered functions; tests may swap renderTodo
+      BosatsuUI.registerFunctions({ renderTodo: (todo: unknown) => (window as any).renderTodo(todo) });
+      const todos = [{ id: 'a', text: 'A' }, { id: 'b', text: 'B' }, { id: 'c', text: 'C' }];
+      BosatsuUI.configure({ flushDelay: 0 });
+      BosatsuUI.mount(
+        document.getElementById('app'),
+        { tag: 'ul', id: 'todos', children: todos.map((window as any).renderTodo) },
+        { todos: [{ elementId: 'todos', property: 'children', render: 'renderTodo' }] },
+        { todos }
+      );
+      // remember the mounted nodes so the tests can check they are reused
+      (window as any).mounted = Array.from(document.querySelectorAll('li'));
+    });
+  });
+
+  test('keyed children carry data-bosatsu-key', async ({ page }) => {
+    await expect(page.locator('li')).toHaveText(['A', 'B', 'C']);
+    await expect(page.locator('li').first()).toHaveAttribute('data-bosatsu-key', 'a');
+  });
+
+  test('reordering moves the existing nodes', async ({ page }) => {
+    const reused = await page.evaluate(() => {
+      const BosatsuUI = (window as any).BosatsuUI;
+      const [a, b, c] = (window as any).mounted;
+      BosatsuUI.setState(['todos'], [{ id: 'c', text: 'C' }, { id: 'a', text: 'A' }, { id: 'b', text: 'B' }]);
+      const lis = Array.from(document.querySelectorAll('li'));
+      return lis[0] === c && lis[1] === a && lis[2] === b;
+    });
+    await expect(page.locator('li')).toHaveText(['C', 'A', 'B']);
+    expect(reused).toBe(true);
+  });
+
+  test('adding and removing items leaves the other nodes alone', async ({ page }) => {
+    const reused = await page.evaluate(() => {
+      const BosatsuUI = (window as any).BosatsuUI;
+      const [a, , c] = (window as any).mounted;
+      BosatsuUI.setState(['todos'], [{ id: 'a', text: 'A' }, { id: 'd', text: 'D' }, { id: 'c', text: 'C' }]);
+      const lis = Array.from(document.querySelectorAll('li'));
+      return lis[0] === a && lis[2] === c;
+    });
+    await expect(page.locator('li')).toHaveText(['A', 'D', 'C']);
+    expect(reused).toBe(true);
+  });
+
+  test('a changed item is rebuilt', async ({ page }) => {
+    const rebuilt = await page.evaluate(() => {
+      const BosatsuUI = (window as any).BosatsuUI;
+      const [, b] = (window as any).mounted;
+      BosatsuUI.setState(['todos'], [{ id: 'a', text: 'A' }, { id: 'b', text: 'B!' }, { id: 'c', text: 'C' }]);
+      return document.querySelectorAll('li')[1] !== b;
+    });
+    await expect(page.locator('li')).toHaveText(['A', 'B!', 'C']);
+    expect(rebuilt).toBe(true);
+  });
+
+  test('items whose handlers change are patched in place and keep focus', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const BosatsuUI = (window as any).BosatsuUI;
+      const clicks: string[] = [];
+      let version = 0;
+      (window as any).renderTodo = (todo: { id: string, text: string }) => {
+        const v = version;
+        return {
+          type: 'element', tag: 'li', key: todo.id,
+          props: { className: todo.text === 'B!' ? 'edited' : 'todo', onClick: () => clicks.push(`${todo.id}${v}`) },
+          children: [{ type: 'element', tag: 'input', props: {} }, todo.id],
+        };
+      };
+      BosatsuUI.setState(['todos'], [{ id: 'a', text: 'A' }, { id: 'b', text: 'B' }, { id: 'c', text: 'C' }]);
+      const b = document.querySelectorAll('li')[1] as HTMLElement;
+      const input = b.querySelector('input')!;
+      input.focus();
+      version = 1;
+      // a is removed before anything is placed, so b doesn't move
+      BosatsuUI.setState(['todos'], [{ id: 'b', text: 'B!' }, { id: 'c', text: 'C' }]);
+      const lis = document.querySelectorAll('li');
+      (lis[0] as HTMLElement).click();
+      return [lis[0] === b, document.activeElement === input, b.className, clicks];
+    });
+    expect(result).toEqual([true, true, 'edited', ['b1']]);
+  });
+
+  test('Bosatsu lists are accepted as the bound value', async ({ page }) => {
+    await page.evaluate(() => {
+      const BosatsuUI = (window as any).BosatsuUI;
+      BosatsuUI.setState(['todos'], [1, { id: 'b', text: 'B' }, [0]]);
+    });
+    await expect(page.locator('li')).toHaveText(['B']);
+  });
+});
+
+test.describe('BosatsuUI runtime conditional regions', () => {
+  test.beforeEach(async ({ page }) => {
+    await loadRuntime(page);
+    await page.evaluate(() => {
+      const BosatsuUI = (window as any).BosatsuUI;
+      BosatsuUI.configure({ flushDelay: 0 });
+      BosatsuUI.mount(
+        document.getElementById('app'),
+        {
+          tag: 'div', children: [
+            { tag: 'div', id: 'auth', children: [{ tag: 'span', children: ['Welcome back'] }] },
+            { tag: 'p', id: 'count', children: ['0'] },
+          ]
+        },
+        {
+          logged_in: [{
+            elementId: 'auth', property: 'region', branches: [
+              { match: { tag: 1 }, vnode: { tag: 'span', children: ['Welcome back'] } },
+              { match: { tag: 0 }, vnode: { tag: 'button', children: [{ tag: 'b', id: 'name', children: [''] }] } },
+            ]
+          }],
+          name: [{ elementId: 'name', property: 'textContent' }],
+          count: [{ elementId: 'count', property: 'textContent' }],
+        },
+        { logged_in: [1], name: 'guest', count: 0 }
+      );
+      (window as any).mountedSpan = document.querySelector('#app span');
+    });
+  });
+
+  test('the mounted branch is kept while the selected branch is unchanged', async ({ page }) => {
+    const kept = await page.evaluate(() => {
+      const BosatsuUI = (window as any).BosatsuUI;
+      BosatsuUI.setState(['logged_in'], true);
+      BosatsuUI.setState(['count'], 1);
+      return document.querySelector('#app span') === (window as any).mountedSpan;
+    });
+    await expect(page.locator('[data-bosatsu-id="count"]')).toHaveText('1');
+    expect(kept).toBe(true);
+  });
+
+  test('selecting another branch swaps the region and applies its bindings', async ({ page }) => {
+    await page.evaluate(() => (window as any).BosatsuUI.setState(['logged_in'], [0]));
+    await expect(page.locator('#app span')).toHaveCount(0);
+    await expect(page.locator('[data-bosatsu-id="name"]')).toHaveText('guest');
+
+    await page.evaluate(() => (window as any).BosatsuUI.setState(['name'], 'ada'));
+    await expect(page.locator('[data-bosatsu-id="name"]')).toHaveText('ada');
+  });
+
+  test('bindings outside the region stay live across swaps', async ({ page }) => {
+    await page.evaluate(() => {
+      const BosatsuUI = (window as any).BosatsuUI;
+      BosatsuUI.batch(() => {
+        BosatsuUI.setState(['logged_in'], [0]);
+        BosatsuUI.setState(['count'], 2);
+      });
+      BosatsuUI.setState(['logged_in'], [1]);
+      BosatsuUI.setState(['count'], 3);
+    });
+    await expect(page.locator('#app span')).toHaveText('Welcome back');
+    await expect(page.locator('[data-bosatsu-id="count"]')).toHaveText('3');
+  });
+});
+
+test.describe('BosatsuUI runtime apps', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.setContent('<!DOCTYPE html><html><body><div id="loan"></div><div id="tax"></div></body></html>');
+    await page.addScriptTag({ path: runtimePath });
+    await page.evaluate(() => {
+      const BosatsuUI = (window as any).BosatsuUI;
+      const vnode = { tag: 'span', id: 'total', children: ['0'] };
+      const bindings = { total: [{ elementId: 'total', property: 'textContent' }] };
+      (window as any).loan = BosatsuUI.createApp(
+        document.getElementById('loan'), vnode, bindings, { total: 0 }, { flushDelay: 0 });
+      (window as any).tax = BosatsuUI.createApp(
+        document.getElementById('tax'), vnode, bindings, { total: 0 });
+    });
+  });
+
+  test('apps with the same ids update only their own elements', async ({ page }) => {
+    await page.evaluate(() => {
+      (window as any).loan.setState(['total'], 1200);
+      (window as any).tax.setState(['total'], 300);
+    });
+    await expect(page.locator('#loan span')).toHaveText('1200');
+    await expect(page.locator('#tax span')).toHaveText('300');
+    const states = await page.evaluate(() =>
+      [(window as any).loan.getState(), (window as any).tax.getState(), (window as any).BosatsuUI.getState()]);
+    expect(states).toEqual([{ total: 1200 }, { total: 300 }, {}]);
+  });
+
+  test('each app has its own batching config', async ({ page }) => {
+    const texts = await page.evaluate(() => {
+      const { loan, tax } = window as any;
+      loan.setState(['total'], 1);
+      tax.setState(['total'], 2);
+      // loan flushes synchronously, tax on the next microtask
+      return [document.querySelector('#loan span')!.textContent, document.querySelector('#tax span')!.textContent];
+    });
+    expect(texts).toEqual(['1', '0']);
+    await expect(page.locator('#tax span')).toHaveText('2');
+  });
+
+  test('unmounting an app leaves the others mounted', async ({ page }) => {
+    await page.evaluate(() => {
+      const { loan, tax } = window as any;
+      loan.unmount();
+      tax.batch(() => tax.setState(['total'], 5));
+    });
+    await expect(page.locator('#loan span')).toHaveCount(0);
+    await expect(page.locator('#tax span')).toHaveText('5');
+  });
+});
+
+test.describe('BosatsuUI runtime subscriptions', () => {
+  test.beforeEach(async ({ page }) => {
+    await loadRuntime(page);
+    await page.evaluate(() => {
+      const BosatsuUI = (window as any).BosatsuUI;
+      BosatsuUI.configure({ flushDelay: 0 });
+      BosatsuUI.mount(
+        document.getElementById('app'),
+        { tag: 'span', id: 'name', children: ['ada'] },
+        { 'user.name': [{ elementId: 'name', property: 'textContent' }] },
+        { user: { name: 'ada', age: 36 }, count: 0 }
+      );
+      (window as any).calls = [];
+    });
+  });
+
+  test('listeners get the new and old values after the DOM is updated', async ({ page }) => {
+    const calls = await page.evaluate(() => {
+      const { BosatsuUI, calls } = window as any;
+      BosatsuUI.subscribe(['user', 'name'], (value: string, oldValue: string) =>
+        calls.push([value, oldValue, document.getElementById('app')!.textContent]));
+      BosatsuUI.setState(['user', 'name'], 'grace');
+      return calls;
+    });
+    expect(calls).toEqual([['grace', 'ada', 'grace']]);
+  });
+
+  test('a prefix path hears about changes below it', async ({ page }) => {
+    const calls = await page.evaluate(() => {
+      const { BosatsuUI, calls } = window as any;
+      BosatsuUI.subscribe(['user'], (value: any, oldValue: any, paths: string[][]) =>
+        calls.push([value.age, oldValue.age, paths]));
+      BosatsuUI.setState(['user', 'age'], 37);
+      BosatsuUI.setState(['count'], 1);
+      return calls;
+    });
+    expect(calls).toEqual([[37, 36, [['user', 'age']]]]);
+  });
+
+  test('a batch notifies once, and not at all when it changes nothing', async ({ page }) => {
+    const calls = await page.evaluate(() => {
+      const { BosatsuUI, calls } = window as any;
+      BosatsuUI.subscribe([], (_value: any, _oldValue: any, paths: string[][]) => calls.push(paths));
+      BosatsuUI.batch(() => {
+        BosatsuUI.setState(['count'], 1);
+        BosatsuUI.setState(['user', 'age'], 40);
+      });
+      BosatsuUI.batch(() => {
+        BosatsuUI.setState(['count'], 2);
+        BosatsuUI.setState(['count'], 1);
+      });
+      return calls;
+    });
+    expect(calls).toEqual([[['count'], ['user', 'age']]]);
+  });
+
+  test('unsubscribing stops the listener', async ({ page }) => {
+    const calls = await page.evaluate(() => {
+      const { BosatsuUI, calls } = window as any;
+      const unsubscribe = BosatsuUI.subscribe(['count'], (value: number) => calls.push(value));
+      BosatsuUI.setState(['count'], 1);
+      unsubscribe();
+      BosatsuUI.setState(['count'], 2);
+      return calls;
+    });
+    expect(calls).toEqual([1]);
+  });
+});
+
+test.describe('BosatsuUI runtime history', () => {
+  test.beforeEach(async ({ page }) => {
+    await loadRuntime(page);
+    await page.evaluate(() => {
+      const BosatsuUI = (window as any).BosatsuUI;
+      (window as any).app = BosatsuUI.createApp(
+        document.getElementById('app'),
+        {
+          tag: 'div', children: [
+            { tag: 'span', id: 'principal', children: ['100'] },
+            { tag: 'span', id: 'rate', children: ['5'] },
+          ]
+        },
+        {
+          principal: [{ elementId: 'principal', property: 'textContent' }],
+          rate: [{ elementId: 'rate', property: 'textContent' }],
+        },
+        { principal: 100, rate: 5 },
+        { flushDelay: 0, history: true }
+      );
+    });
+  });
+
+  test('undo and redo step through setState calls and batches', async ({ page }) => {
+    const principal = page.locator('[data-bosatsu-id="principal"]');
+    const rate = page.locator('[data-bosatsu-id="rate"]');
+    await page.evaluate(() => {
+      const { app } = window as any;
+      app.setState(['principal'], 200);
+      app.batch(() => {
+        app.setState(['principal'], 300);
+        app.setState(['rate'], 6);
+      });
+      app.undo();
+    });
+    await expect(principal).toHaveText('200');
+    await expect(rate).toHaveText('5');
+
+    await page.evaluate(() => (window as any).app.undo());
+    await expect(principal).toHaveText('100');
+
+    await page.evaluate(() => (window as any).app.redo());
+    await expect(principal).toHaveText('200');
+  });
+
+  test('goto only re-applies the bindings of the paths that changed', async ({ page }) => {
+    const untouched = await page.evaluate(() => {
+      const { app } = window as any;
+      app.setState(['principal'], 200);
+      app.setState(['principal'], 300);
+      // mark the rate element; a re-applied binding would reset its text
+      document.querySelector('[data-bosatsu-id="rate"]')!.textContent = 'marked';
+      app.goto(0);
+      return document.querySelector('[data-bosatsu-id="rate"]')!.textContent;
+    });
+    expect(untouched).toBe('marked');
+    await expect(page.locator('[data-bosatsu-id="principal"]')).toHaveText('100');
+  });
+
+  test('history lists the transactions and new changes drop undone ones', async ({ page }) => {
+    const history = await page.evaluate(() => {
+      const { app } = window as any;
+      app.setState(['principal'], 200);
+      app.setState(['rate'], 6);
+      app.undo();
+      app.setState(['principal'], 250);
+      const { index, entries } = app.history();
+      return { index, paths: entries.map((e: any) => e.paths), redo: app.redo() };
+    });
+    expect(history).toEqual({ index: 2, paths: [[], [['principal']], [['principal']]], redo: false });
+  });
+});
+
+test.describe('BosatsuUI runtime server rendering and hydration', () => {
+  test.beforeEach(async ({ page }) => {
+    await loadRuntime(page);
+    await page.evaluate(() => {
+      (window as any).counterVNode = () => ({
+        tag: 'div', attributes: { className: 'counter' }, children: [
+          { tag: 'span', id: 'count', children: ['0'] },
+          { tag: 'button', id: 'inc', props: { onClick: () => (window as any).BosatsuUI.updateState(['count'], (n: number) => n + 1) }, children: ['+'] },
+        ]
+      });
+    });
+  });
+
+  test('renderToString matches the DOM createDOM builds', async ({ page }) => {
+    const [html, dom] = await page.evaluate(() => {
+      const BosatsuUI = (window as any).BosatsuUI;
+      const vnode = {
+        tag: 'p', attributes: { style: { fontSize: '12px' }, title: 'a "quote"' }, children: [
+          'x < y', { tag: 'input', attributes: { type: 'checkbox', checked: true } }, { tag: 'li', key: 'k', children: [] },
+        ]
+      };
+      const div = document.createElement('div');
+      div.appendChild(BosatsuUI.createDOM(vnode));
+      return [BosatsuUI.renderToString(vnode), div.innerHTML];
+    });
+    expect(html).toBe(dom);
+    expect(html).toContain('x &lt; y');
+  });
+
+  test('hydrate reuses the server-rendered nodes and attaches handlers', async ({ page }) => {
+    const reused = await page.evaluate(() => {
+      const { BosatsuUI, counterVNode } = window as any;
+      const app = document.getElementById('app')!;
+      app.innerHTML = BosatsuUI.renderToString(counterVNode());
+      const span = app.querySelector('span');
+      BosatsuUI.configure({ flushDelay: 0 });
+      BosatsuUI.hydrate(app, counterVNode(), { count: [{ elementId: 'count', property: 'textContent' }] }, { count: 0 });
+      return app.querySelector('span') === span;
+    });
+    expect(reused).toBe(true);
+    await page.click('button');
+    await page.click('button');
+    await expect(page.locator('[data-bosatsu-id="count"]')).toHaveText('2');
+  });
+
+  test('hydrate renders from scratch when the markup does not match', async ({ page }) => {
+    await page.evaluate(() => {
+      const { BosatsuUI, counterVNode } = window as any;
+      const app = document.getElementById('app')!;
+      app.innerHTML = '<p>stale</p>';
+      BosatsuUI.hydrate(app, counterVNode(), {}, { count: 0 });
+    });
+    await expect(page.locator('#app p')).toHaveCount(0);
+    await expect(page.locator('[data-bosatsu-id="count"]')).toHaveText('0');
+  });
+});
+
+test.describe('BosatsuUI runtime transforms', () => {
+  test('declarative transforms run under a CSP without unsafe-eval', async ({ page }) => {
+    const errors: string[] = [];
+    page.on('console', (msg) => { if (msg.type() === 'error') errors.push(msg.text()); });
+    await page.setContent(`<!DOCTYPE html><html><head>
+      <meta http-equiv="Content-Security-Policy" content="script-src 'self' 'unsafe-inline'">
+      </head><body><div id="app"></div></body></html>`);
+    await page.addScriptTag({ path: runtimePath });
+    await page.evaluate(() => {
+      const BosatsuUI = (window as any).BosatsuUI;
+      BosatsuUI.registerFunctions({ _int_to_String: (n: unknown) => String(n) });
+      const span = (id: string) => ({ tag: 'span', id, children: [''] });
+      BosatsuUI.configure({ flushDelay: 0 });
+      BosatsuUI.mount(
+        document.getElementById('app'),
+        { tag: 'div', children: [span('label'), span('payment'), span('rate'), span('status')] },
+        {
+          count: [{ elementId: 'label', property: 'textContent', transform: [
+            { op: 'call', name: '_int_to_String' }, { op: 'concat', prefix: 'Count: ', suffix: '!' },
+          ] }],
+          payment: [{ elementId: 'payment', property: 'textContent', transform: { op: 'currency', currency: 'USD' } }],
+          rate: [{ elementId: 'rate', property: 'textContent', transform: { op: 'percent', decimals: 1 } }],
+          status: [{ elementId: 'status', property: 'textContent', transform: { op: 'table', table: { '0': 'Off', '1': 'On' }, default: 'Unknown' } }],
+        },
+        { count: 0, payment: 0, rate: 0, status: 0 }
+      );
+      BosatsuUI.setState(['count'], 3);
+      BosatsuUI.setState(['payment'], 1234.5);
+      BosatsuUI.setState(['rate'], 6.25);
+      BosatsuUI.setState(['status'], 7);
+    });
+    await expect(page.locator('[data-bosatsu-id="label"]')).toHaveText('Count: 3!');
+    await expect(page.locator('[data-bosatsu-id="payment"]')).toHaveText('$1,234.50');
+    await expect(page.locator('[data-bosatsu-id="rate"]')).toHaveText('6.3%');
+    await expect(page.locator('[data-bosatsu-id="status"]')).toHaveText('Unknown');
+    expect(errors).toEqual([]);
+  });
+
+  test('string transforms name functions and are never evaluated', async ({ page }) => {
+    await loadRuntime(page);
+    const text = await page.evaluate(() => {
+      const BosatsuUI = (window as any).BosatsuUI;
+      (window as any).injected = false;
+      const errors: string[] = [];
+      const origError = console.error;
+      console.error = (...args: unknown[]) => { errors.push(String(args[0])); };
+      BosatsuUI.configure({ flushDelay: 0 });
+      BosatsuUI.mount(
+        document.getElementById('app'),
+        { tag: 'span', id: 'x', children: [''] },
+        { x: [{ elementId: 'x', property: 'textContent', transform: '(v) => { window.injected = true; return v; }' }] },
+        { x: 0 }
+      );
+      BosatsuUI.setState(['x'], 1);
+      console.error = origError;
+      return [document.querySelector('[data-bosatsu-id="x"]')!.textContent, (window as any).injected, errors.length];
+    });
+    expect(text).toEqual(['1', false, 1]);
+  });
+
+  test('only registered functions can be named', async ({ page }) => {
+    await loadRuntime(page);
+    const result = await page.evaluate(() => {
+      const BosatsuUI = (window as any).BosatsuUI;
+      (window as any).leak = () => 'leaked';
+      BosatsuUI.registerFunctions({ shout: (v: unknown) => `${v}!` });
+      const errors: string[] = [];
+      const origError = console.error;
+      console.error = (...args: unknown[]) => { errors.push(String(args[0])); };
+      BosatsuUI.configure({ flushDelay: 0 });
+      BosatsuUI.mount(
+        document.getElementById('app'),
+        { tag: 'div', children: [{ tag: 'span', id: 'ok', children: [''] }, { tag: 'span', id: 'global', children: [''] }] },
+        {
+          x: [
+            { elementId: 'ok', property: 'textContent', transform: { op: 'call', name: 'shout' } },
+            { elementId: 'global', property: 'textContent', transform: { op: 'call', name: 'leak' } },
+          ],
+        },
+        { x: 0 }
+      );
+      BosatsuUI.setState(['x'], 1);
+      console.error = origError;
+      const text = (id: string) => document.querySelector(`[data-bosatsu-id="${id}"]`)!.textContent;
+      return [text('ok'), text('global'), errors.length];
+    });
+    expect(result).toEqual(['1!', '1', 1]);
+  });
+});
+
+test.describe('BosatsuUI runtime form bindings', () => {
+  test('edits are parsed into Bosatsu values and the state is shown back', async ({ page }) => {
+    await loadRuntime(page);
+    await page.evaluate(() => {
+      const BosatsuUI = (window as any).BosatsuUI;
+      const options = ['red', 'green', 'blue'].map((v) => ({ tag: 'option', props: { value: v }, children: [v] }));
+      (window as any).app = BosatsuUI.createApp(
+        document.getElementById('app'),
+        { tag: 'form', children: [
+          { tag: 'input', id: 'count', props: { type: 'number' } },
+          { tag: 'input', id: 'ratio', props: { type: 'range', min: '0', max: '1', step: '0.25' } },
+          { tag: 'input', id: 'limit', props: { type: 'number' } },
+          { tag: 'input', id: 'agree', props: { type: 'checkbox' } },
+          { tag: 'input', id: 'small', props: { type: 'radio', name: 'size', value: 's' } },
+          { tag: 'input', id: 'large', props: { type: 'radio', name: 'size', value: 'l' } },
+          { tag: 'select', id: 'colors', props: { multiple: true }, children: options },
+        ] },
+        {
+          count: [{ elementId: 'count', property: 'value', input: 'int' }],
+          ratio: [{ elementId: 'ratio', property: 'value', input: 'double' }],
+          limit: [{ elementId: 'limit', property: 'value', input: 'optional_int' }],
+          agree: [{ elementId: 'agree', property: 'checked', input: 'bool' }],
+          size: [
+            { elementId: 'small', property: 'value', input: 'string' },
+            { elementId: 'large', property: 'value', input: 'string' },
+          ],
+          colors: [{ elementId: 'colors', property: 'selected', input: 'strings' }],
+        },
+        { count: 1, ratio: 0.5, limit: [0], agree: [0], size: 'l', colors: [1, 'blue', [0]] },
+        { flushDelay: 0 }
+      );
+    });
+    const id = (name: string) => `[data-bosatsu-id="${name}"]`;
+    await expect(page.locator(id('count'))).toHaveValue('1');
+    await expect(page.locator(id('ratio'))).toHaveValue('0.5');
+    await expect(page.locator(id('limit'))).toHaveValue('');
+    await expect(page.locator(id('large'))).toBeChecked();
+
+    await page.fill(id('count'), '42');
+    await page.fill(id('limit'), '7');
+    await page.check(id('agree'));
+    await page.check(id('small'));
+    await page.selectOption(id('colors'), ['red', 'green']);
+    const state = await page.evaluate(() => (window as any).app.getState());
+    expect(state).toEqual({
+      count: 42, ratio: 0.5, limit: [1, 7], agree: [1], size: 's', colors: [1, 'red', [1, 'green', [0]]],
+    });
+
+    await page.fill(id('limit'), '');
+    expect(await page.evaluate(() => (window as any).app.getStateAt(['limit']))).toEqual([0]);
+
+    await page.evaluate(() => {
+      const app = (window as any).app;
+      app.setState(['count'], 5);
+      app.setState(['size'], 'l');
+      app.setState(['agree'], [0]);
+    });
+    await expect(page.locator(id('count'))).toHaveValue('5');
+    await expect(page.locator(id('large'))).toBeChecked();
+    await expect(page.locator(id('small'))).not.toBeChecked();
+    await expect(page.locator(id('agree'))).not.toBeChecked();
+  });
+
+  test('input that does not parse leaves the state unchanged', async ({ page }) => {
+    await loadRuntime(page);
+    const values = await page.evaluate(() => {
+      const BosatsuUI = (window as any).BosatsuUI;
+      const app = BosatsuUI.createApp(
+        document.getElementById('app'),
+        { tag: 'input', id: 'n', props: { type: 'text' } },
+        { n: [{ elementId: 'n', property: 'value', input: 'int' }] },
+        { n: 3 },
+        { flushDelay: 0 }
+      );
+      const input = document.querySelector('[data-bosatsu-id="n"]') as HTMLInputElement;
+      const edit = (text: string) => {
+        input.value = text;
+        input.dispatchEvent(new Event('input', { bubbles: true }));
+        return app.getStateAt(['n']);
+      };
+      return [edit('12'), edit('12.5'), edit('abc'), typeof edit('12345678901234567890'), input.value];
+    });
+    expect(values).toEqual([12, 12, 12, 'bigint', '12345678901234567890']);
+  });
+});
+
+test.describe('BosatsuUI runtime attribute and class bindings', () => {
+  test('attributes follow Option and Bool state and classes toggle one at a time', async ({ page }) => {
+    await loadRuntime(page);
+    const snapshot = () => page.evaluate(() => {
+      const link = document.querySelector('[data-bosatsu-id="link"]')!;
+      return {
+        href: link.getAttribute('href'),
+        hidden: link.getAttribute('hidden'),
+        label: link.getAttribute('aria-label'),
+        item: link.getAttribute('data-item'),
+        className: link.className,
+      };
+    });
+    await page.evaluate(() => {
+      const BosatsuUI = (window as any).BosatsuUI;
+      (window as any).app = BosatsuUI.createApp(
+        document.getElementById('app'),
+        { tag: 'a', id: 'link', props: { className: 'nav' }, children: ['Docs'] },
+        {
+          link: [{ elementId: 'link', property: 'attr.href' }],
+          collapsed: [{ elementId: 'link', property: 'attr.hidden' }],
+          label: [{ elementId: 'link', property: 'attr.aria-label', transform: { op: 'concat', prefix: 'Open ', suffix: '' } }],
+          item: [{ elementId: 'link', property: 'attr.data-item' }],
+          selected: [{ elementId: 'link', property: 'class.active' }],
+        },
+        { link: [0], collapsed: [0], label: '', item: 0, selected: [0] },
+        { flushDelay: 0 }
+      );
+      const app = (window as any).app;
+      app.setState(['link'], [1, '/docs']);
+      app.setState(['collapsed'], [1]);
+      app.setState(['label'], 'the docs');
+      app.setState(['item'], 3);
+      app.setState(['selected'], [1]);
+    });
+    expect(await snapshot()).toEqual({
+      href: '/docs', hidden: '', label: 'Open the docs', item: '3', className: 'nav active',
+    });
+
+    await page.evaluate(() => {
+      const app = (window as any).app;
+      app.setState(['link'], [0]);
+      app.setState(['collapsed'], [0]);
+      app.setState(['selected'], [0]);
+    });
+    expect(await snapshot()).toEqual({
+      href: null, hidden: null, label: 'Open the docs', item: '3', className: 'nav',
+    });
+  });
+});